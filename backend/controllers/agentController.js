@@ -0,0 +1,131 @@
+/**
+ * Agent Controller
+ *
+ * CRUD for verification agent definitions. Changes take effect on the
+ * next verification without a restart.
+ */
+
+const logger = require('../utils/logger');
+const agentRegistry = require('../services/agentRegistry');
+const { AgentRegistryError } = require('../services/agentRegistry');
+
+const ERROR_TITLES = {
+  400: 'Validation Error',
+  404: 'Not Found',
+  409: 'Conflict'
+};
+
+class AgentController {
+  /**
+   * List agent definitions
+   * GET /api/v1/agents
+   */
+  async list(req, res) {
+    try {
+      await agentRegistry.ensureFresh();
+
+      const agents = agentRegistry.listDefinitions();
+
+      res.json({
+        agents,
+        defaultAgents: agentRegistry.getDefaultAgentIds(),
+        count: agents.length,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Failed to list agents');
+    }
+  }
+
+  /**
+   * Get one agent definition
+   * GET /api/v1/agents/:id
+   */
+  async get(req, res) {
+    try {
+      await agentRegistry.ensureFresh();
+
+      const definition = agentRegistry.getDefinition(req.params.id);
+
+      if (!definition) {
+        return res.status(404).json({
+          error: 'Not Found',
+          message: `Agent '${req.params.id}' not found`,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      res.json(definition);
+    } catch (error) {
+      this.handleError(res, error, 'Failed to get agent');
+    }
+  }
+
+  /**
+   * Create an agent definition
+   * POST /api/v1/agents
+   */
+  async create(req, res) {
+    try {
+      const definition = await agentRegistry.create(req.body);
+      res.status(201).json(definition);
+    } catch (error) {
+      this.handleError(res, error, 'Failed to create agent');
+    }
+  }
+
+  /**
+   * Replace an agent definition
+   * PUT /api/v1/agents/:id
+   */
+  async update(req, res) {
+    try {
+      const definition = await agentRegistry.update(req.params.id, req.body);
+      res.json(definition);
+    } catch (error) {
+      this.handleError(res, error, 'Failed to update agent');
+    }
+  }
+
+  /**
+   * Delete an agent definition
+   * DELETE /api/v1/agents/:id
+   */
+  async remove(req, res) {
+    try {
+      const restored = await agentRegistry.remove(req.params.id);
+
+      res.json({
+        deleted: req.params.id,
+        // Set when a config-file agent with the same id is active again
+        restored,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Failed to delete agent');
+    }
+  }
+
+  /**
+   * Send registry errors with their status, anything else as a 500
+   */
+  handleError(res, error, message) {
+    if (error instanceof AgentRegistryError) {
+      return res.status(error.status).json({
+        error: ERROR_TITLES[error.status] || 'Error',
+        message: error.message,
+        ...(error.details.length > 0 && { details: error.details }),
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    logger.error(message, { error: error.message });
+    res.status(500).json({
+      error: 'Internal Error',
+      message,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+module.exports = new AgentController();
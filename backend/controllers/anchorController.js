@@ -0,0 +1,134 @@
+/**
+ * Anchor Controller
+ *
+ * On-chain anchoring: per-verification anchor details with the batch
+ * inclusion proof, scheduler status, anchoring pending verifications on
+ * demand, and the outbox of single-transaction anchors.
+ */
+
+const logger = require('../utils/logger');
+const anchorBatchService = require('../services/anchorBatchService');
+const anchorOutboxService = require('../services/anchorOutboxService');
+const blockchainService = require('../services/blockchainService');
+const { AnchorBatchError } = require('../services/anchorBatchService');
+const { AnchorOutboxError } = require('../services/anchorOutboxService');
+
+const ERROR_TITLES = {
+  400: 'Validation Error',
+  404: 'Not Found',
+  409: 'Conflict'
+};
+
+class AnchorController {
+  /**
+   * How a verification was anchored, with its batch proof
+   * GET /api/v1/verify/:hash/anchor
+   */
+  async getAnchor(req, res) {
+    try {
+      res.json({
+        ...(await anchorBatchService.getAnchor(req.params.hash)),
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Failed to get anchor');
+    }
+  }
+
+  /**
+   * Pending verifications and recent batches
+   * GET /api/v1/anchors
+   */
+  async status(req, res) {
+    try {
+      res.json({
+        ...(await anchorBatchService.status()),
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Failed to get anchoring status');
+    }
+  }
+
+  /**
+   * Anchor pending verifications now instead of waiting for the interval
+   * POST /api/v1/anchors/flush
+   */
+  async flush(req, res) {
+    try {
+      if (blockchainService.anchorMode !== 'batch') {
+        throw new AnchorBatchError('Batch anchoring is off (BLOCKCHAIN_ANCHOR_MODE=single)', 409);
+      }
+
+      const batches = await anchorBatchService.tick();
+
+      res.json({
+        batches: batches.map(b => ({
+          batch_id: b.batchId ?? null,
+          status: b.status,
+          root: b.root,
+          size: b.size,
+          transaction_hash: b.transactionHash || null,
+          error: b.error || null
+        })),
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Failed to anchor pending verifications');
+    }
+  }
+
+  /**
+   * Outbox counts per status and recent failures
+   * GET /api/v1/anchors/outbox
+   */
+  async outboxStatus(req, res) {
+    try {
+      res.json({
+        ...(await anchorOutboxService.status()),
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Failed to get outbox status');
+    }
+  }
+
+  /**
+   * Queue failed anchors to be sent again
+   * POST /api/v1/anchors/outbox/retry
+   */
+  async retryOutbox(req, res) {
+    try {
+      const queued = await anchorOutboxService.retryFailed(req.body.graph_hashes);
+
+      res.json({
+        queued,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Failed to re-anchor failed verifications');
+    }
+  }
+
+  /**
+   * Send anchoring errors with their status, anything else as a 500
+   */
+  handleError(res, error, message) {
+    if (error instanceof AnchorBatchError || error instanceof AnchorOutboxError) {
+      return res.status(error.status).json({
+        error: ERROR_TITLES[error.status] || 'Error',
+        message: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    logger.error(message, { error: error.message });
+    res.status(500).json({
+      error: 'Internal Error',
+      message,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+module.exports = new AnchorController();
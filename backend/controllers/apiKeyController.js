@@ -0,0 +1,180 @@
+/**
+ * API Key Controller
+ *
+ * API key issuance, plans and revocation for admins, and usage reports:
+ * any key's for admins, a client's own through GET /api/v1/usage.
+ */
+
+const logger = require('../utils/logger');
+const apiKeyService = require('../services/apiKeyService');
+const usageService = require('../services/usageService');
+const { ApiKeyError } = require('../services/apiKeyService');
+
+const ERROR_TITLES = {
+  400: 'Validation Error',
+  404: 'Not Found',
+  409: 'Conflict'
+};
+
+class ApiKeyController {
+  /**
+   * List plans and their limits
+   * GET /api/v1/keys/plans
+   */
+  listPlans(req, res) {
+    res.json({
+      plans: apiKeyService.listPlans(),
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  /**
+   * List API keys
+   * GET /api/v1/keys
+   */
+  async list(req, res) {
+    try {
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 20;
+
+      const keys = await apiKeyService.list({
+        status: req.query.status,
+        plan: req.query.plan,
+        page,
+        limit
+      });
+
+      res.json({
+        ...keys,
+        pages: Math.ceil(keys.total / limit),
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Failed to list API keys');
+    }
+  }
+
+  /**
+   * Issue an API key; the response is the only time the key is shown
+   * POST /api/v1/keys
+   */
+  async issue(req, res) {
+    try {
+      const { apiKey, key } = await apiKeyService.issue({
+        name: req.body.name,
+        owner: req.body.owner,
+        plan: req.body.plan,
+        limits: req.body.limits
+      });
+      res.status(201).json({ ...apiKeyService.format(apiKey), key });
+    } catch (error) {
+      this.handleError(res, error, 'Failed to issue API key');
+    }
+  }
+
+  /**
+   * Get an API key
+   * GET /api/v1/keys/:id
+   */
+  async get(req, res) {
+    try {
+      res.json(apiKeyService.format(await apiKeyService.get(req.params.id)));
+    } catch (error) {
+      this.handleError(res, error, 'Failed to get API key');
+    }
+  }
+
+  /**
+   * Change an API key's name, owner, plan or limits
+   * PATCH /api/v1/keys/:id
+   */
+  async update(req, res) {
+    try {
+      const apiKey = await apiKeyService.update(req.params.id, {
+        name: req.body.name,
+        owner: req.body.owner,
+        plan: req.body.plan,
+        limits: req.body.limits
+      });
+      res.json(apiKeyService.format(apiKey));
+    } catch (error) {
+      this.handleError(res, error, 'Failed to update API key');
+    }
+  }
+
+  /**
+   * Revoke an API key
+   * POST /api/v1/keys/:id/revoke
+   */
+  async revoke(req, res) {
+    try {
+      const apiKey = await apiKeyService.revoke(req.params.id, req.body.reason);
+      res.json(apiKeyService.format(apiKey));
+    } catch (error) {
+      this.handleError(res, error, 'Failed to revoke API key');
+    }
+  }
+
+  /**
+   * Usage of an API key
+   * GET /api/v1/keys/:id/usage
+   */
+  async getUsage(req, res) {
+    try {
+      const apiKey = await apiKeyService.get(req.params.id);
+      res.json(await this.usageReport(apiKey, req.query));
+    } catch (error) {
+      this.handleError(res, error, 'Failed to get API key usage');
+    }
+  }
+
+  /**
+   * Usage of the calling API key
+   * GET /api/v1/usage
+   */
+  async getOwnUsage(req, res) {
+    try {
+      res.json(await this.usageReport(req.apiKey, req.query));
+    } catch (error) {
+      this.handleError(res, error, 'Failed to get usage');
+    }
+  }
+
+  /**
+   * A key with its plan, today's quota and its usage over a period
+   * @param {Object} apiKey - ApiKey document
+   * @param {Object} query - { from?, to? }
+   * @returns {Promise<Object>}
+   */
+  async usageReport(apiKey, { from, to }) {
+    const usage = await usageService.report({ apiKey, from, to });
+
+    return {
+      key: apiKeyService.format(apiKey),
+      ...usage,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Send API key errors with their status, anything else as a 500
+   */
+  handleError(res, error, message) {
+    if (error instanceof ApiKeyError) {
+      return res.status(error.status).json({
+        error: ERROR_TITLES[error.status] || 'Error',
+        message: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    logger.error(message, { error: error.message });
+    res.status(500).json({
+      error: 'Internal Error',
+      message,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+module.exports = new ApiKeyController();
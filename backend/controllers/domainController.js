@@ -0,0 +1,182 @@
+/**
+ * Domain Controller
+ *
+ * Domain reputation: the scores, categories and ownership networks every
+ * evidence scorer reads. Changes take effect on the next verification
+ * without a restart.
+ */
+
+const logger = require('../utils/logger');
+const domainReputationService = require('../services/domainReputationService');
+const { DomainReputationError } = require('../services/domainReputationService');
+
+const ERROR_TITLES = {
+  400: 'Validation Error',
+  404: 'Not Found',
+  409: 'Conflict'
+};
+
+class DomainController {
+  /**
+   * List domain entries
+   * GET /api/v1/domains
+   */
+  async list(req, res) {
+    try {
+      await domainReputationService.ensureFresh();
+
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 50;
+
+      const domains = domainReputationService.list({
+        category: req.query.category,
+        network: req.query.network,
+        source: req.query.source,
+        q: req.query.q,
+        page,
+        limit
+      });
+
+      res.json({
+        ...domains,
+        pages: Math.ceil(domains.total / limit),
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Failed to list domains');
+    }
+  }
+
+  /**
+   * Resolve the reputation of a URL or host, as the scorers see it
+   * GET /api/v1/domains/lookup?url=
+   */
+  async lookup(req, res) {
+    try {
+      await domainReputationService.ensureFresh();
+
+      const resolved = domainReputationService.resolve(req.query.url);
+
+      res.json({
+        url: req.query.url,
+        matched: resolved.domain,
+        score: resolved.score,
+        base_score: resolved.baseScore,
+        scored_by: resolved.scoredBy,
+        category: resolved.category,
+        network: resolved.network,
+        name: resolved.name,
+        outcomes: resolved.outcomes,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Failed to look up domain');
+    }
+  }
+
+  /**
+   * Get a domain entry with its score history
+   * GET /api/v1/domains/:domain
+   */
+  async get(req, res) {
+    try {
+      await domainReputationService.ensureFresh();
+      res.json(await domainReputationService.get(req.params.domain));
+    } catch (error) {
+      this.handleError(res, error, 'Failed to get domain');
+    }
+  }
+
+  /**
+   * Create or update a domain entry
+   * PUT /api/v1/domains/:domain
+   */
+  async upsert(req, res) {
+    try {
+      const { entry, created } = await domainReputationService.upsert(req.params.domain, {
+        score: req.body.score,
+        category: req.body.category,
+        network: req.body.network,
+        name: req.body.name
+      }, { source: 'admin', by: req.body.by, note: req.body.note });
+
+      res.status(created ? 201 : 200).json(entry);
+    } catch (error) {
+      this.handleError(res, error, 'Failed to save domain');
+    }
+  }
+
+  /**
+   * Delete a stored domain entry
+   * DELETE /api/v1/domains/:domain
+   */
+  async remove(req, res) {
+    try {
+      const restored = await domainReputationService.remove(req.params.domain);
+
+      res.json({
+        deleted: req.params.domain,
+        // Set when a built-in entry for the domain applies again
+        restored,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Failed to delete domain');
+    }
+  }
+
+  /**
+   * Import domain entries from CSV
+   * POST /api/v1/domains/import
+   */
+  async import(req, res) {
+    try {
+      const csv = typeof req.body === 'string' ? req.body : req.body?.csv;
+      if (!csv || typeof csv !== 'string') {
+        throw new DomainReputationError('Send CSV as text/csv or as { "csv": "..." }');
+      }
+
+      const dryRun = req.query.dry_run === 'true';
+      const results = await domainReputationService.importCsv(csv, {
+        by: req.query.by || req.body?.by,
+        dryRun
+      });
+
+      const count = (status) => results.filter(r => r.status === status).length;
+
+      res.json({
+        dry_run: dryRun,
+        created: count(dryRun ? 'would_create' : 'created'),
+        updated: count(dryRun ? 'would_update' : 'updated'),
+        invalid: count('invalid'),
+        results,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Failed to import domains');
+    }
+  }
+
+  /**
+   * Send domain errors with their status, anything else as a 500
+   */
+  handleError(res, error, message) {
+    if (error instanceof DomainReputationError) {
+      return res.status(error.status).json({
+        error: ERROR_TITLES[error.status] || 'Error',
+        message: error.message,
+        ...(error.details.length > 0 && { details: error.details }),
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    logger.error(message, { error: error.message });
+    res.status(500).json({
+      error: 'Internal Error',
+      message,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+module.exports = new DomainController();
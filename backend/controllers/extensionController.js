@@ -8,7 +8,9 @@
 const logger = require('../utils/logger');
 const orchestrator = require('../routes/agents/orchestrator');
 const SourceGraph = require('../models/SourceGraph');
+const verificationStoreService = require('../services/verificationStoreService');
 const { isValidNewsUrl } = require('../utils/validators');
+const { quickAgents } = require('../utils/apiAccess');
 
 class ExtensionController {
   /**
@@ -43,6 +45,7 @@ class ExtensionController {
           url,
           text,
           source: 'extension',
+          agents: quickAgents(req.apiKey),
           testMode
         });
       } catch (verifyError) {
@@ -63,34 +66,18 @@ class ExtensionController {
       const isTestMode = testMode || result.metadata?.test_mode;
       let graphHash = result.source_graph?.hash || this.generateQuickHash(url, text);
 
-      // Skip database operations in test mode
-      if (!isTestMode) {
-        const sourceGraph = new SourceGraph({
-          hash: graphHash,
-          claim: result.metadata?.claim || text?.substring(0, 200) || url,
-          nodes: result.source_graph?.nodes || [],
-          edges: result.source_graph?.edges || [],
-          verification: {
-            verdict: result.verdict,
-            accuracyScore: result.accuracy_score || 0.5,
-            confidence: result.confidence || 0.5
-          },
-          request: {
-            source: 'extension',
-            originalUrl: url,
-            processingTimeMs: processingTime
-          }
-        });
-
-        try {
-          await sourceGraph.save();
-        } catch (saveError) {
-          // Log but don't fail - we can still return the result
-          logger.warn('Failed to save extension verification to database', {
-            error: saveError.message
-          });
-        }
-      }
+      // Skipped in test mode
+      await verificationStoreService.save({
+        ...result,
+        source_graph: { ...result.source_graph, hash: graphHash }
+      }, {
+        source: 'extension',
+        url,
+        processingTimeMs: processingTime,
+        requester: req.ip,
+        message: { kind: 'page' },
+        testMode: isTestMode
+      });
 
       logger.verification('Extension completed', {
         verdict: result.verdict,
@@ -0,0 +1,94 @@
+/**
+ * Integrity Controller
+ *
+ * Chain-to-database integrity audits (see services/integrityAuditService.js):
+ * one verification's status, the aggregate report, and audits on demand.
+ */
+
+const logger = require('../utils/logger');
+const integrityAuditService = require('../services/integrityAuditService');
+const { IntegrityAuditError } = require('../services/integrityAuditService');
+
+const ERROR_TITLES = {
+  400: 'Validation Error',
+  404: 'Not Found',
+  409: 'Conflict'
+};
+
+class IntegrityController {
+  /**
+   * Audit one verification against its anchor now
+   * GET /api/v1/verify/:hash/integrity
+   */
+  async getIntegrity(req, res) {
+    try {
+      res.json({
+        ...(await integrityAuditService.auditOne(req.params.hash)),
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Failed to audit verification');
+    }
+  }
+
+  /**
+   * Verifications per integrity status and issue, latest mismatches
+   * GET /api/v1/integrity
+   */
+  async report(req, res) {
+    try {
+      res.json({
+        ...(await integrityAuditService.report()),
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Failed to get integrity report');
+    }
+  }
+
+  /**
+   * Run an audit now
+   * POST /api/v1/integrity/audit
+   */
+  async audit(req, res) {
+    try {
+      const run = await integrityAuditService.audit({
+        hashes: req.body.graph_hashes,
+        ...(req.body.limit && { limit: req.body.limit })
+      });
+
+      res.json({
+        ...run,
+        mismatches: run.mismatches.map(({ hash, issues }) => ({
+          hash,
+          issues: integrityAuditService.format({ issues }).issues
+        })),
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Failed to run integrity audit');
+    }
+  }
+
+  /**
+   * Send audit errors with their status, anything else as a 500
+   */
+  handleError(res, error, message) {
+    if (error instanceof IntegrityAuditError) {
+      return res.status(error.status).json({
+        error: ERROR_TITLES[error.status] || 'Error',
+        message: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    logger.error(message, { error: error.message });
+    res.status(500).json({
+      error: 'Internal Error',
+      message,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+module.exports = new IntegrityController();
@@ -0,0 +1,178 @@
+/**
+ * Job Controller
+ *
+ * Asynchronous verification jobs: returns a job ID immediately and
+ * exposes progress by polling or over Server-Sent Events, to the API key
+ * that started the job (see services/jobService.js).
+ */
+
+const logger = require('../utils/logger');
+const orchestrator = require('../routes/agents/orchestrator');
+const jobService = require('../services/jobService');
+const verificationStoreService = require('../services/verificationStoreService');
+const usageService = require('../services/usageService');
+const verifyController = require('./verifyController');
+const { isValidNewsUrl } = require('../utils/validators');
+
+// Keep idle proxies from closing the event stream
+const SSE_HEARTBEAT_MS = 15000;
+
+class JobController {
+  /**
+   * Start a verification job
+   * POST /api/v1/verify/jobs
+   */
+  async create(req, res) {
+    const { url, text, source = 'frontend', testMode, multiClaim, maxClaims, agents } = req.body;
+
+    logger.verification('Job request received', {
+      url,
+      hasText: !!text,
+      source,
+      testMode,
+      multiClaim,
+      agents,
+      ip: req.ip
+    });
+
+    // Validate URL if provided
+    if (url && !isValidNewsUrl(url)) {
+      return res.status(400).json({
+        error: 'Invalid URL',
+        message: 'The provided URL is not a valid news URL',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    // The job outlives the 202 response, so it closes its own usage record
+    const usage = usageService.defer();
+
+    const job = jobService.createJob({ url, text, source }, async (emit) => {
+      const startTime = Date.now();
+
+      let result;
+      try {
+        result = await orchestrator.verify({
+          url,
+          text,
+          source,
+          testMode,
+          multiClaim,
+          maxClaims,
+          agents,
+          onProgress: emit
+        });
+      } catch (error) {
+        usageService.finish(usage, 'failed');
+        throw error;
+      }
+
+      usageService.annotate({ graphHash: result.source_graph?.hash });
+      usageService.finish(usage, 'succeeded');
+
+      // Skipped in test mode
+      await verificationStoreService.save(result, {
+        source,
+        url,
+        text,
+        processingTimeMs: Date.now() - startTime,
+        requester: req.ip,
+        message: { kind: 'job' },
+        testMode
+      });
+
+      return verifyController.formatResult(result);
+    }, { owner: req.apiKey?._id });
+
+    const basePath = `${req.baseUrl}/jobs/${job.job_id}`;
+
+    res.status(202).json({
+      job_id: job.job_id,
+      status: job.status,
+      status_url: basePath,
+      events_url: `${basePath}/events`,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Poll a verification job
+   * GET /api/v1/verify/jobs/:jobId
+   */
+  async get(req, res) {
+    const includeEvents = req.query.events === 'true';
+    const snapshot = jobService.getSnapshot(req.params.jobId, { owner: req.apiKey?._id, includeEvents });
+
+    if (!snapshot) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Job not found or expired',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.json(snapshot);
+  }
+
+  /**
+   * Stream verification job events over Server-Sent Events
+   * GET /api/v1/verify/jobs/:jobId/events
+   *
+   * Replays events already recorded (after Last-Event-ID when reconnecting),
+   * then streams live events until the job completes or fails.
+   */
+  async stream(req, res) {
+    const job = jobService.getJob(req.params.jobId, req.apiKey?._id);
+
+    if (!job) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Job not found or expired',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    const lastEventId = parseInt(req.get('Last-Event-ID') || req.query.lastEventId, 10) || 0;
+    let unsubscribe = () => {};
+    let heartbeat = null;
+
+    const close = () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+      res.end();
+    };
+
+    const send = (event) => {
+      res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+
+      if (event.type === 'job_status' && jobService.isFinished({ status: event.data.status })) {
+        close();
+      }
+    };
+
+    // Replay and subscribe in the same tick so no event is missed in between
+    for (const event of job.events.filter(e => e.id > lastEventId)) {
+      send(event);
+      if (res.writableEnded) return;
+    }
+
+    unsubscribe = jobService.subscribe(job.id, send);
+
+    heartbeat = setInterval(() => res.write(': heartbeat\n\n'), SSE_HEARTBEAT_MS);
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+  }
+}
+
+module.exports = new JobController();
@@ -0,0 +1,139 @@
+/**
+ * Network Controller
+ *
+ * Analytics over the global source network: which domains spread,
+ * originate and amplify stories, and how central they are.
+ */
+
+const logger = require('../utils/logger');
+const sourceNetworkService = require('../services/sourceNetworkService');
+const { SourceNetworkError } = require('../services/sourceNetworkService');
+
+const ERROR_TITLES = {
+  400: 'Validation Error',
+  404: 'Not Found'
+};
+
+class NetworkController {
+  /**
+   * Rank domains by stories spread
+   * GET /api/v1/network/super-spreaders
+   */
+  async superSpreaders(req, res) {
+    try {
+      const items = await sourceNetworkService.superSpreaders({
+        verdict: req.query.verdict,
+        limit: req.query.limit,
+        min: req.query.min
+      });
+
+      res.json({
+        verdict: req.query.verdict || null,
+        items,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Failed to rank super-spreaders');
+    }
+  }
+
+  /**
+   * Rank domains by centrality
+   * GET /api/v1/network/centrality
+   */
+  async centrality(req, res) {
+    try {
+      const result = await sourceNetworkService.centrality({
+        metric: req.query.metric,
+        type: req.query.type,
+        limit: req.query.limit
+      });
+
+      res.json({
+        ...result,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Failed to compute centrality');
+    }
+  }
+
+  /**
+   * Origin frequency by verdict
+   * GET /api/v1/network/origins
+   */
+  async origins(req, res) {
+    try {
+      const items = await sourceNetworkService.origins({
+        verdict: req.query.verdict,
+        limit: req.query.limit,
+        min: req.query.min
+      });
+
+      res.json({
+        verdict: req.query.verdict || null,
+        items,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Failed to rank origins');
+    }
+  }
+
+  /**
+   * Domains that most often amplify stories judged false (or another verdict)
+   * GET /api/v1/network/amplifiers
+   */
+  async amplifiers(req, res) {
+    try {
+      const verdict = req.query.verdict || 'false';
+      const items = await sourceNetworkService.amplifiers({
+        verdict,
+        limit: req.query.limit,
+        min: req.query.min
+      });
+
+      res.json({
+        verdict,
+        items,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Failed to rank amplifiers');
+    }
+  }
+
+  /**
+   * A domain's network profile
+   * GET /api/v1/network/domains/:domain
+   */
+  async getDomain(req, res) {
+    try {
+      res.json(await sourceNetworkService.getDomain(req.params.domain, { limit: req.query.limit }));
+    } catch (error) {
+      this.handleError(res, error, 'Failed to get domain network');
+    }
+  }
+
+  /**
+   * Send network errors with their status, anything else as a 500
+   */
+  handleError(res, error, message) {
+    if (error instanceof SourceNetworkError) {
+      return res.status(error.status).json({
+        error: ERROR_TITLES[error.status] || 'Error',
+        message: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    logger.error(message, { error: error.message });
+    res.status(500).json({
+      error: 'Internal Error',
+      message,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+module.exports = new NetworkController();
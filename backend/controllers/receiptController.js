@@ -0,0 +1,80 @@
+/**
+ * Receipt Controller
+ *
+ * Signed verification receipts (see services/receiptService.js) as JSON
+ * or QR codes, and the public keys that verify them.
+ */
+
+const logger = require('../utils/logger');
+const receiptService = require('../services/receiptService');
+const { ReceiptError } = require('../services/receiptService');
+
+const ERROR_TITLES = {
+  400: 'Validation Error',
+  404: 'Not Found',
+  422: 'Unprocessable Entity'
+};
+
+const QR_CONTENT_TYPES = {
+  svg: 'image/svg+xml',
+  png: 'image/png'
+};
+
+class ReceiptController {
+  /**
+   * Signed receipt for a verification
+   * GET /api/v1/verify/:hash/receipt
+   */
+  async getReceipt(req, res) {
+    const { hash } = req.params;
+    const format = req.query.format || 'json';
+
+    try {
+      const receipt = await receiptService.issue(hash);
+      const qrCode = format === 'json' ? null : await receiptService.toQrCode(receipt, format);
+
+      if (req.query.download) {
+        res.attachment(`satyatrail-receipt-${hash.substring(0, 12)}.${format}`);
+      }
+
+      if (!qrCode) {
+        return res.json(receipt);
+      }
+
+      res.type(QR_CONTENT_TYPES[format]).send(qrCode);
+    } catch (error) {
+      this.handleError(res, error, 'Failed to issue receipt');
+    }
+  }
+
+  /**
+   * Public keys for checking receipt signatures (JWK set)
+   * GET /.well-known/satyatrail-keys.json
+   */
+  getKeys(req, res) {
+    res.set('Cache-Control', 'public, max-age=3600');
+    res.json(receiptService.keys());
+  }
+
+  /**
+   * Send receipt errors with their status, anything else as a 500
+   */
+  handleError(res, error, message) {
+    if (error instanceof ReceiptError) {
+      return res.status(error.status).json({
+        error: ERROR_TITLES[error.status] || 'Error',
+        message: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    logger.error(message, { error: error.message });
+    res.status(500).json({
+      error: 'Internal Error',
+      message,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+module.exports = new ReceiptController();
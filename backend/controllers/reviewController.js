@@ -0,0 +1,142 @@
+/**
+ * Review Controller
+ *
+ * Editor review queue: user flags, reviewer assignment, and approving or
+ * overriding AI verdicts with an audit trail.
+ */
+
+const logger = require('../utils/logger');
+const reviewService = require('../services/reviewService');
+const { ReviewError } = require('../services/reviewService');
+
+const ERROR_TITLES = {
+  400: 'Validation Error',
+  404: 'Not Found'
+};
+
+class ReviewController {
+  /**
+   * List the review queue, highest priority first
+   * GET /api/v1/reviews
+   */
+  async list(req, res) {
+    try {
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 20;
+
+      const queue = await reviewService.listQueue({
+        status: req.query.status,
+        reason: req.query.reason,
+        assignee: req.query.assignee,
+        page,
+        limit
+      });
+
+      res.json({
+        ...queue,
+        pages: Math.ceil(queue.total / limit),
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Failed to list review queue');
+    }
+  }
+
+  /**
+   * Get a verification's review and audit trail
+   * GET /api/v1/reviews/:hash
+   */
+  async get(req, res) {
+    try {
+      res.json(await reviewService.get(req.params.hash));
+    } catch (error) {
+      this.handleError(res, error, 'Failed to get review');
+    }
+  }
+
+  /**
+   * Flag a verification for editor review
+   * POST /api/v1/reviews/:hash/flag
+   */
+  async flag(req, res) {
+    try {
+      const flagged = await reviewService.flag(req.params.hash, {
+        reason: req.body.reason,
+        note: req.body.note,
+        source: req.body.source || 'api'
+      });
+      res.status(201).json(flagged);
+    } catch (error) {
+      this.handleError(res, error, 'Failed to flag verification');
+    }
+  }
+
+  /**
+   * Assign a verification to a reviewer (the calling editor by default)
+   * POST /api/v1/reviews/:hash/assign
+   */
+  async assign(req, res) {
+    try {
+      res.json(await reviewService.assign(req.params.hash, {
+        reviewer: req.principal,
+        assignee: req.body.assignee
+      }));
+    } catch (error) {
+      this.handleError(res, error, 'Failed to assign review');
+    }
+  }
+
+  /**
+   * Approve the AI verdict
+   * POST /api/v1/reviews/:hash/approve
+   */
+  async approve(req, res) {
+    try {
+      res.json(await reviewService.approve(req.params.hash, {
+        reviewer: req.principal,
+        rationale: req.body.rationale
+      }));
+    } catch (error) {
+      this.handleError(res, error, 'Failed to approve verdict');
+    }
+  }
+
+  /**
+   * Override the AI verdict
+   * POST /api/v1/reviews/:hash/override
+   */
+  async override(req, res) {
+    try {
+      res.json(await reviewService.override(req.params.hash, {
+        reviewer: req.principal,
+        verdict: req.body.verdict,
+        accuracyScore: req.body.accuracy_score,
+        rationale: req.body.rationale
+      }));
+    } catch (error) {
+      this.handleError(res, error, 'Failed to override verdict');
+    }
+  }
+
+  /**
+   * Send review errors with their status, anything else as a 500
+   */
+  handleError(res, error, message) {
+    if (error instanceof ReviewError) {
+      return res.status(error.status).json({
+        error: ERROR_TITLES[error.status] || 'Error',
+        message: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    logger.error(message, { error: error.message });
+    res.status(500).json({
+      error: 'Internal Error',
+      message,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+module.exports = new ReviewController();
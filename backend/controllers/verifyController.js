@@ -4,10 +4,19 @@
  * Handles news verification requests from all sources.
  */
 
+const { pipeline } = require('stream');
 const logger = require('../utils/logger');
 const orchestrator = require('../routes/agents/orchestrator');
 const SourceGraph = require('../models/SourceGraph');
-const AgentReport = require('../models/AgentReport');
+const reviewService = require('../services/reviewService');
+const recheckService = require('../services/recheckService');
+const graphService = require('../services/graphService');
+const verificationStoreService = require('../services/verificationStoreService');
+const graphExportService = require('../services/graphExportService');
+const integrityAuditService = require('../services/integrityAuditService');
+const usageService = require('../services/usageService');
+const { RecheckError } = require('../services/recheckService');
+const { GraphExportError } = require('../services/graphExportService');
 const { isValidNewsUrl } = require('../utils/validators');
 
 class VerifyController {
@@ -17,13 +26,15 @@ class VerifyController {
    */
   async verify(req, res) {
     const startTime = Date.now();
-    const { url, text, source = 'frontend', testMode } = req.body;
+    const { url, text, source = 'frontend', testMode, multiClaim, maxClaims, agents } = req.body;
 
     logger.verification('Request received', {
       url,
       hasText: !!text,
       source,
       testMode,
+      multiClaim,
+      agents,
       ip: req.ip
     });
 
@@ -42,63 +53,23 @@ class VerifyController {
         url,
         text,
         source,
-        testMode
+        testMode,
+        multiClaim,
+        maxClaims,
+        agents
       });
+      usageService.annotate({ graphHash: result.source_graph?.hash });
 
-      // Skip database operations in test mode
-      if (!testMode && !result.metadata?.test_mode) {
-        try {
-          // Save to database
-          const sourceGraph = new SourceGraph({
-            hash: result.source_graph.hash,
-            claim: result.metadata.claim,
-            nodes: result.source_graph.nodes,
-            edges: result.source_graph.edges,
-            clusters: [],
-            metadata: {
-              sourceCount: result.metadata.evidence_count,
-              nodeCount: result.source_graph.nodes.length,
-              edgeCount: result.source_graph.edges.length,
-              aiEnhanced: true
-            },
-            blockchain: {
-              provider: 'polygon',
-              transactionHash: result.blockchain_hash
-            },
-            verification: {
-              verdict: result.verdict,
-              accuracyScore: result.accuracy_score,
-              confidence: result.metadata?.confidence
-            },
-            request: {
-              source,
-              originalUrl: url,
-              processingTimeMs: Date.now() - startTime
-            }
-          });
-
-          await sourceGraph.save();
-
-          // Save agent reports
-          for (const report of result.agent_reports) {
-            const agentReport = new AgentReport({
-              sourceGraphId: sourceGraph._id,
-              agentName: report.agent_name,
-              agentType: this.getAgentType(report.agent_name),
-              credibilityScore: report.credibility_score,
-              confidence: report.confidence || 0.5,
-              verdict: this.normalizeVerdict(report.verdict),
-              summary: report.summary,
-              detailedReasoning: report.reasoning,
-              evidenceLinks: report.evidence_links,
-              agreedWithFinal: report.verdict === result.verdict
-            });
-            await agentReport.save();
-          }
-        } catch (dbError) {
-          logger.warn('Database save failed (non-blocking)', { error: dbError.message });
-        }
-      }
+      // Skipped in test mode
+      await verificationStoreService.save(result, {
+        source,
+        url,
+        text,
+        processingTimeMs: Date.now() - startTime,
+        requester: req.ip,
+        message: { kind: 'web' },
+        testMode
+      });
 
       logger.verification('Completed', {
         verdict: result.verdict,
@@ -108,15 +79,7 @@ class VerifyController {
       });
 
       // Return response in required format
-      res.json({
-        verdict: result.verdict,
-        accuracy_score: result.accuracy_score,
-        agent_reports: result.agent_reports,
-        source_graph: result.source_graph,
-        blockchain_hash: result.blockchain_hash,
-        timestamp: result.timestamp,
-        metadata: result.metadata
-      });
+      res.json(this.formatResult(result));
     } catch (error) {
       logger.error('Verification failed', {
         error: error.message,
@@ -163,19 +126,67 @@ class VerifyController {
       }
 
       res.json({
-        verdict: sourceGraph.verification.verdict,
-        accuracy_score: sourceGraph.verification.accuracyScore,
+        // Editor verdict when reviewed, otherwise the AI verdict
+        ...reviewService.verdictFields(sourceGraph),
+        review: {
+          status: sourceGraph.review?.status || 'none',
+          reasons: sourceGraph.review?.reasons || []
+        },
+        language: sourceGraph.language,
         source_graph: {
           nodes: sourceGraph.nodes,
           edges: sourceGraph.edges,
-          hash: sourceGraph.hash
+          hash: sourceGraph.hash,
+          hash_version: sourceGraph.hashVersion
         },
+        ...(sourceGraph.claims?.length > 0 && {
+          claims: sourceGraph.claims.map(claim => ({
+            id: claim.claimId,
+            claim: claim.text,
+            ...(claim.englishText && { english_claim: claim.englishText }),
+            type: claim.type,
+            verifiability: claim.verifiability,
+            verdict: claim.verdict,
+            accuracy_score: claim.accuracyScore,
+            confidence: claim.confidence,
+            summary: claim.summary,
+            evidence_links: claim.evidenceLinks,
+            influence: claim.influence,
+            drove_verdict: claim.droveVerdict,
+            ...(claim.temporal?.status && { temporal: this.formatTemporal(claim.temporal) }),
+            ...(claim.aggregation?.method && { aggregation: this.formatAggregation(claim.aggregation) })
+          }))
+        }),
         blockchain_hash: sourceGraph.blockchain?.transactionHash,
+        // Last chain-to-database audit, once there has been one
+        ...(sourceGraph.integrity?.status && {
+          integrity: integrityAuditService.format(sourceGraph.integrity)
+        }),
         timestamp: sourceGraph.createdAt.toISOString(),
         metadata: {
           claim: sourceGraph.claim,
+          ...(sourceGraph.englishClaim && { english_claim: sourceGraph.englishClaim }),
           source: sourceGraph.request.source,
-          processingTimeMs: sourceGraph.request.processingTimeMs
+          processingTimeMs: sourceGraph.request.processingTimeMs,
+          mode: sourceGraph.verification.mode,
+          ...(sourceGraph.verification.temporal?.status && {
+            temporal: this.formatTemporal(sourceGraph.verification.temporal)
+          }),
+          ...(sourceGraph.verification.aggregation?.method && {
+            aggregation: this.formatAggregation(sourceGraph.verification.aggregation)
+          }),
+          ...(sourceGraph.verification.rollupSummary && {
+            claim_rollup: { summary: sourceGraph.verification.rollupSummary }
+          }),
+          ...(sourceGraph.revisionOf && {
+            revision_of: sourceGraph.revisionOf,
+            revision: sourceGraph.revision
+          }),
+          ...(sourceGraph.revisions?.length > 0 && {
+            current_revision: recheckService.formatRevision(
+              sourceGraph.revisions[sourceGraph.revisions.length - 1]
+            )
+          })
         }
       });
     } catch (error) {
@@ -188,6 +199,231 @@ class VerifyController {
     }
   }
 
+  /**
+   * Inclusion proof for one node or edge of a verification, so it can be
+   * shown part of the anchored graph without revealing the rest
+   * GET /api/v1/verify/:hash/proof
+   */
+  async getProof(req, res) {
+    const { hash } = req.params;
+    const { node, edge } = req.query;
+
+    if ((node === undefined) === (edge === undefined)) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'Provide either node or edge',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    try {
+      const sourceGraph = await SourceGraph.findByHash(hash);
+
+      if (!sourceGraph) {
+        return res.status(404).json({
+          error: 'Not Found',
+          message: 'Verification not found for this hash',
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      if (sourceGraph.hashVersion !== 2) {
+        return res.status(409).json({
+          error: 'Conflict',
+          message: `This graph uses hash version ${sourceGraph.hashVersion}, which has no inclusion proofs; verify it against the full graph from GET /api/v1/verify/${hash}`,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      const inclusion = graphService.inclusionProof(sourceGraph, { node, edge });
+
+      if (!inclusion) {
+        return res.status(404).json({
+          error: 'Not Found',
+          message: `${node !== undefined ? 'Node' : 'Edge'} not found in this graph`,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      if (inclusion.root !== sourceGraph.hash) {
+        logger.error('Stored graph does not match its hash', { hash, computed: inclusion.root });
+        return res.status(409).json({
+          error: 'Conflict',
+          message: 'The stored graph no longer matches its hash',
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      res.json({
+        hash,
+        hash_version: sourceGraph.hashVersion,
+        leaf: inclusion.leaf,
+        leaf_hash: inclusion.leafHash,
+        index: inclusion.index,
+        leaf_count: inclusion.leafCount,
+        proof: inclusion.proof,
+        root: inclusion.root,
+        blockchain_hash: sourceGraph.blockchain?.transactionHash,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Failed to build inclusion proof', { hash, error: error.message });
+      res.status(500).json({
+        error: 'Internal Error',
+        message: 'Failed to build inclusion proof',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  /**
+   * Get the verdict history of a story: the original verification, every
+   * scheduled rerun with its diff, and the current verdict
+   * GET /api/v1/verify/:hash/history
+   */
+  async getHistory(req, res) {
+    try {
+      res.json(await recheckService.history(req.params.hash));
+    } catch (error) {
+      this.handleRecheckError(res, error, 'Failed to retrieve verification history');
+    }
+  }
+
+  /**
+   * Schedule a story for re-verification
+   * POST /api/v1/verify/:hash/recheck
+   */
+  async scheduleRecheck(req, res) {
+    try {
+      usageService.annotate({ graphHash: req.params.hash });
+      res.status(202).json({
+        hash: req.params.hash,
+        // The defaults the caller's plan allows (meterVerification)
+        recheck: await recheckService.schedule(req.params.hash, { agents: req.body?.agents }),
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      this.handleRecheckError(res, error, 'Failed to schedule recheck');
+    }
+  }
+
+  /**
+   * Stop re-verifying a story
+   * DELETE /api/v1/verify/:hash/recheck
+   */
+  async cancelRecheck(req, res) {
+    try {
+      res.json({
+        hash: req.params.hash,
+        recheck: await recheckService.cancel(req.params.hash),
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      this.handleRecheckError(res, error, 'Failed to cancel recheck');
+    }
+  }
+
+  /**
+   * Export a verification's source graph for network analysis tools
+   * GET /api/v1/verify/:hash/graph
+   */
+  async exportGraph(req, res) {
+    try {
+      const file = await graphExportService.exportOne(req.params.hash, {
+        format: req.query.format || 'graphml',
+        table: req.query.table
+      });
+      this.sendExport(res, file);
+    } catch (error) {
+      this.handleExportError(res, error, 'Failed to export source graph');
+    }
+  }
+
+  /**
+   * Export every verification saved in a date range as one graph
+   * GET /api/v1/verify/export
+   */
+  async exportRange(req, res) {
+    if (!req.query.from) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'from is required',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    try {
+      const file = await graphExportService.exportRange({
+        from: req.query.from,
+        to: req.query.to,
+        format: req.query.format || 'graphml',
+        table: req.query.table,
+        includeRevisions: req.query.include_revisions
+      });
+      res.set('X-Graph-Count', String(file.count));
+      this.sendExport(res, file);
+    } catch (error) {
+      this.handleExportError(res, error, 'Failed to export source graphs');
+    }
+  }
+
+  /**
+   * Send an export as a file download. A streamed export that fails
+   * midway can no longer get an error status, so the response is cut off.
+   */
+  sendExport(res, { body, stream, contentType, filename }) {
+    res.set('Content-Type', contentType);
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+
+    if (!stream) return res.send(body);
+
+    pipeline(stream, res, (error) => {
+      if (error && error.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+        logger.error('Failed to stream graph export', { error: error.message });
+      }
+    });
+  }
+
+  /**
+   * Send export errors with their status, anything else as a 500
+   */
+  handleExportError(res, error, message) {
+    if (error instanceof GraphExportError) {
+      return res.status(error.status).json({
+        error: { 400: 'Validation Error', 404: 'Not Found' }[error.status] || 'Error',
+        message: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    logger.error(message, { error: error.message });
+    res.status(500).json({
+      error: 'Internal Error',
+      message,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Send recheck errors with their status, anything else as a 500
+   */
+  handleRecheckError(res, error, message) {
+    if (error instanceof RecheckError) {
+      return res.status(error.status).json({
+        error: { 404: 'Not Found', 409: 'Conflict' }[error.status] || 'Error',
+        message: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    logger.error(message, { error: error.message });
+    res.status(500).json({
+      error: 'Internal Error',
+      message,
+      timestamp: new Date().toISOString()
+    });
+  }
+
   /**
    * Get recent verifications
    * GET /api/v1/verify/recent
@@ -236,26 +472,56 @@ class VerifyController {
   }
 
   /**
-   * Get agent type from name
+   * Shape an orchestrator result for API responses
+   * @param {Object} result - Orchestrator verification result
+   * @returns {Object} VerificationResult response body
    */
-  getAgentType(agentName) {
-    const nameLower = agentName.toLowerCase();
-    if (nameLower.includes('toi') || nameLower.includes('times of india')) return 'toi';
-    if (nameLower.includes('indiatimes') || nameLower.includes('india times')) return 'indiaTimes';
-    if (nameLower.includes('ndtv')) return 'ndtv';
-    return 'generic';
+  formatResult(result) {
+    return {
+      verdict: result.verdict,
+      accuracy_score: result.accuracy_score,
+      summary: result.summary,
+      language: result.language,
+      agent_reports: result.agent_reports,
+      ...(result.claims && { claims: result.claims }),
+      source_graph: result.source_graph,
+      blockchain_hash: result.blockchain_hash,
+      timestamp: result.timestamp,
+      metadata: result.metadata
+    };
   }
 
   /**
-   * Normalize verdict string
+   * Shape a stored temporal finding for API responses
    */
-  normalizeVerdict(verdict) {
-    const normalized = verdict?.toLowerCase();
-    if (['true', 'false', 'mixed', 'unknown'].includes(normalized)) {
-      return normalized;
-    }
-    return 'unknown';
+  formatTemporal(temporal) {
+    return {
+      status: temporal.status,
+      explanation: temporal.explanation,
+      claim_date: temporal.claimDate || null,
+      earliest_evidence: temporal.earliestEvidenceDate
+        ? { url: temporal.earliestEvidenceUrl, date: temporal.earliestEvidenceDate.toISOString() }
+        : null
+    };
+  }
+
+  /**
+   * Shape a stored aggregation audit for API responses
+   */
+  formatAggregation(aggregation) {
+    return {
+      method: aggregation.method,
+      deterministic: {
+        verdict: aggregation.deterministicVerdict,
+        accuracy_score: aggregation.deterministicAccuracy
+      },
+      disagreement: {
+        flagged: aggregation.disagreement,
+        reasons: aggregation.disagreementReasons
+      }
+    };
   }
+
 }
 
 module.exports = new VerifyController();
@@ -0,0 +1,139 @@
+/**
+ * Watch Controller
+ *
+ * Topic and claim watchlists: subscriptions whose matching verifications
+ * and verdict changes are pushed over the bots or email. Each API key
+ * sees and manages only the watches it created.
+ */
+
+const logger = require('../utils/logger');
+const watchService = require('../services/watchService');
+const { WatchError } = require('../services/watchService');
+
+const ERROR_TITLES = {
+  400: 'Validation Error',
+  404: 'Not Found',
+  409: 'Conflict',
+  429: 'Too Many Requests',
+  502: 'Bad Gateway',
+  503: 'Service Unavailable'
+};
+
+class WatchController {
+  /**
+   * List the caller's watches
+   * GET /api/v1/watches
+   */
+  async list(req, res) {
+    try {
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 20;
+
+      const watches = await watchService.list({
+        owner: req.apiKey._id,
+        channel: req.query.channel,
+        recipient: req.query.recipient,
+        type: req.query.type,
+        active: req.query.active,
+        page,
+        limit
+      });
+
+      res.json({
+        ...watches,
+        pages: Math.ceil(watches.total / limit),
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Failed to list watches');
+    }
+  }
+
+  /**
+   * Create a watch (an existing one for the same recipient is returned);
+   * the recipient is sent a link to confirm it
+   * POST /api/v1/watches
+   */
+  async create(req, res) {
+    try {
+      const { watch, created } = await watchService.create({
+        channel: req.body.channel,
+        recipient: req.body.recipient,
+        topic: req.body.topic,
+        claimHash: req.body.claim_hash?.toLowerCase(),
+        language: req.body.language,
+        owner: req.apiKey._id
+      });
+      res.status(created ? 201 : 200).json(watchService.format(watch));
+    } catch (error) {
+      this.handleError(res, error, 'Failed to create watch');
+    }
+  }
+
+  /**
+   * Confirm a watch from the link sent to its recipient
+   * GET /api/v1/watches/confirm/:token
+   */
+  async confirm(req, res) {
+    try {
+      const watch = await watchService.confirm(req.params.token);
+      res.json({
+        confirmed: watch.id,
+        message: `Alerts about ${watchService.describe(watch)} will be sent to you.`,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Failed to confirm watch');
+    }
+  }
+
+  /**
+   * Get a watch
+   * GET /api/v1/watches/:id
+   */
+  async get(req, res) {
+    try {
+      res.json(watchService.format(await watchService.get(req.params.id, req.apiKey._id)));
+    } catch (error) {
+      this.handleError(res, error, 'Failed to get watch');
+    }
+  }
+
+  /**
+   * Delete a watch
+   * DELETE /api/v1/watches/:id
+   */
+  async remove(req, res) {
+    try {
+      const watch = await watchService.remove(req.params.id, req.apiKey._id);
+      res.json({
+        deleted: watch.id,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Failed to delete watch');
+    }
+  }
+
+  /**
+   * Send watch errors with their status, anything else as a 500
+   */
+  handleError(res, error, message) {
+    if (error instanceof WatchError) {
+      return res.status(error.status).json({
+        error: ERROR_TITLES[error.status] || 'Error',
+        message: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    logger.error(message, { error: error.message });
+    res.status(500).json({
+      error: 'Internal Error',
+      message,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+module.exports = new WatchController();
@@ -0,0 +1,71 @@
+/**
+ * AgentDefinition Model
+ *
+ * Verification agents defined as data. Definitions stored here override
+ * (or add to) the built-in definitions in config/agents/.
+ * See services/agentRegistry.js for the rule format.
+ */
+
+const mongoose = require('mongoose');
+
+const AgentDefinitionSchema = new mongoose.Schema({
+  // Stable identifier used in API requests and stored as agentType
+  agentId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+
+  // Display name, also the key for reputation tracking
+  name: {
+    type: String,
+    required: true
+  },
+
+  description: {
+    type: String
+  },
+
+  biasProfile: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+
+  // Persona prompt sent as the system message
+  systemPrompt: {
+    type: String,
+    required: true
+  },
+
+  // Domain lists applied before the evidence rules
+  trustedDomains: [{ type: String }],
+  domainBonus: { type: Number, default: 15 },
+  penalizedDomains: [{ type: String }],
+  domainPenalty: { type: Number, default: 20 },
+
+  // Named keyword lists matched against the claim
+  signals: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+
+  // Score adjustment rules
+  evidenceRules: [{ type: mongoose.Schema.Types.Mixed }],
+  resultRules: [{ type: mongoose.Schema.Types.Mixed }],
+
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+
+  // Run when a request does not name its agents
+  isDefault: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('AgentDefinition', AgentDefinitionSchema);
@@ -21,9 +21,14 @@ const AgentReportSchema = new mongoose.Schema({
     index: true
   },
 
+  // Claim within the source graph this report covers (multi-claim mode only)
+  claimId: {
+    type: String
+  },
+
+  // Agent id from the agent registry
   agentType: {
     type: String,
-    enum: ['toi', 'indiaTimes', 'ndtv', 'generic'],
     required: true
   },
 
@@ -95,6 +100,16 @@ const AgentReportSchema = new mongoose.Schema({
   // Agreement with final verdict
   agreedWithFinal: {
     type: Boolean
+  },
+
+  // Ground-truth label this report was scored against, and the reputation
+  // change it caused (undone if the label changes)
+  groundTruth: {
+    verdict: { type: String, enum: ['true', 'false', 'mixed', 'unknown'] },
+    source: { type: String, enum: ['editor', 'fact_check'] },
+    correct: { type: Boolean },
+    change: { type: Number },
+    scoredAt: { type: Date }
   }
 }, {
   timestamps: true
@@ -103,6 +118,7 @@ const AgentReportSchema = new mongoose.Schema({
 // Indexes
 AgentReportSchema.index({ agentType: 1, createdAt: -1 });
 AgentReportSchema.index({ verdict: 1 });
+AgentReportSchema.index({ sourceGraphId: 1, claimId: 1 });
 
 // Instance methods
 AgentReportSchema.methods.getCompactReport = function() {
@@ -0,0 +1,42 @@
+/**
+ * AnchorBatch Model
+ *
+ * Verifications anchored together: their graph hashes are the leaves of
+ * one Merkle tree and only the root goes on chain. Each SourceGraph in the
+ * batch keeps its own inclusion proof. See services/anchorBatchService.js.
+ */
+
+const mongoose = require('mongoose');
+
+const AnchorBatchSchema = new mongoose.Schema({
+  // building: verifications claimed, root not yet on chain
+  status: {
+    type: String,
+    enum: ['building', 'anchored', 'failed'],
+    default: 'building'
+  },
+
+  // Merkle root (hex) over the graph hashes, in leaf order
+  root: { type: String },
+  graphHashes: [{ type: String }],
+  size: { type: Number, default: 0 },
+
+  // Batch id assigned by the contract (BatchAnchored event)
+  batchId: { type: Number },
+  provider: { type: String },
+  contractAddress: { type: String },
+  transactionHash: { type: String },
+  blockNumber: { type: Number },
+  dryRun: { type: Boolean, default: false },
+  anchoredAt: { type: Date },
+
+  error: { type: String }
+}, {
+  timestamps: true
+});
+
+AnchorBatchSchema.index({ status: 1, createdAt: 1 });
+AnchorBatchSchema.index({ root: 1 });
+AnchorBatchSchema.index({ batchId: 1 });
+
+module.exports = mongoose.model('AnchorBatch', AnchorBatchSchema);
@@ -0,0 +1,78 @@
+/**
+ * AnchorOutbox Model
+ *
+ * One entry per verification waiting to be, or already, anchored with its
+ * own transaction (BLOCKCHAIN_ANCHOR_MODE=single on an EVM chain). Entries
+ * hold the storeGraph arguments, so they can be resent after a restart.
+ * See services/anchorOutboxService.js.
+ */
+
+const mongoose = require('mongoose');
+
+// One signed transaction; gas bumps add more with the same nonce
+const TransactionSchema = new mongoose.Schema({
+  hash: { type: String, required: true },
+  // Wei amounts as decimal strings
+  maxFeePerGas: { type: String },
+  maxPriorityFeePerGas: { type: String },
+  gasPrice: { type: String },
+  sentAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+const AnchorOutboxSchema = new mongoose.Schema({
+  graphHash: { type: String, required: true, unique: true },
+
+  // pending: waiting to be sent (again, after nextAttemptAt)
+  // submitted: sent, not yet mined with enough confirmations
+  status: {
+    type: String,
+    enum: ['pending', 'submitted', 'confirmed', 'failed'],
+    default: 'pending'
+  },
+
+  provider: { type: String },
+  // storeGraph arguments (blockchainService.toStoreGraphArgs)
+  payload: {
+    claim: { type: String },
+    verdict: { type: String },
+    accuracyScore: { type: Number },
+    nodes: [{
+      _id: false,
+      id: String,
+      url: String,
+      role: String,
+      domainReputation: Number,
+      timestamp: Number,
+      title: String
+    }],
+    timestamp: { type: Number }
+  },
+
+  from: { type: String },
+  contractAddress: { type: String },
+  nonce: { type: Number },
+  gasLimit: { type: String },
+  transactions: [TransactionSchema],
+
+  // Mined transaction (one of `transactions`)
+  transactionHash: { type: String },
+  blockNumber: { type: Number },
+  confirmations: { type: Number },
+  gasUsed: { type: String },
+
+  attempts: { type: Number, default: 0 },
+  nextAttemptAt: { type: Date, default: Date.now },
+  // Claimed by a worker until then
+  lockedUntil: { type: Date },
+  error: { type: String },
+
+  submittedAt: { type: Date },
+  confirmedAt: { type: Date }
+}, {
+  timestamps: true
+});
+
+AnchorOutboxSchema.index({ status: 1, nextAttemptAt: 1 });
+AnchorOutboxSchema.index({ status: 1, updatedAt: -1 });
+
+module.exports = mongoose.model('AnchorOutbox', AnchorOutboxSchema);
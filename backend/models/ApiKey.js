@@ -0,0 +1,50 @@
+/**
+ * ApiKey Model
+ *
+ * A client of the public API: its plan, per-key limits and today's
+ * verification count. Only a SHA-256 hash of the key is stored; the key
+ * itself is shown once, when issued. See services/apiKeyService.js.
+ */
+
+const mongoose = require('mongoose');
+
+const ApiKeySchema = new mongoose.Schema({
+  keyHash: { type: String, required: true, unique: true },
+  // First characters of the key, to recognize it in lists and logs
+  prefix: { type: String, required: true },
+
+  name: { type: String, required: true },
+  // Contact for the client (newsroom, developer)
+  owner: { type: String },
+
+  // Plan in config/plans.json
+  plan: { type: String, required: true },
+  // Per-key overrides of the plan's limits; unset fields come from the plan
+  limits: {
+    verificationsPerDay: { type: Number, min: 0 },
+    requestsPerMinute: { type: Number, min: 1 },
+    agents: { type: [String], default: undefined },
+    deepMode: { type: Boolean }
+  },
+
+  status: {
+    type: String,
+    enum: ['active', 'revoked'],
+    default: 'active'
+  },
+  revokedAt: { type: Date },
+  revokedReason: { type: String },
+  lastUsedAt: { type: Date },
+
+  // Verifications started on `day` (UTC, YYYY-MM-DD), for the daily quota
+  quota: {
+    day: { type: String },
+    verifications: { type: Number, default: 0 }
+  }
+}, {
+  timestamps: true
+});
+
+ApiKeySchema.index({ status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ApiKey', ApiKeySchema);
@@ -0,0 +1,76 @@
+/**
+ * Domain Model
+ *
+ * Reputation of a news source. Entries stored here override (or add to)
+ * the built-in list in config/domains.csv, field by field; a field left
+ * unset is inherited from the parent domain (pib.gov.in -> gov.in -> in).
+ * See services/domainReputationService.js.
+ */
+
+const mongoose = require('mongoose');
+
+const CATEGORIES = [
+  'wire', 'fact_checker', 'government', 'international_org', 'academic',
+  'news', 'social', 'blog', 'satire', 'unknown'
+];
+
+const PROVENANCE_SOURCES = ['builtin', 'admin', 'import', 'outcomes'];
+
+const HistoryEntrySchema = new mongoose.Schema({
+  baseScore: { type: Number },
+  category: { type: String },
+  network: { type: String },
+  source: { type: String, enum: PROVENANCE_SOURCES },
+  by: { type: String },
+  note: { type: String },
+  at: { type: Date, default: Date.now }
+}, { _id: false });
+
+const DomainSchema = new mongoose.Schema({
+  // Host without "www.", optionally with a path prefix (thequint.com/news/webqoof).
+  // A host entry also covers its subdomains.
+  domain: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+
+  name: { type: String },
+
+  // Score set by an admin, import or the built-in list; outcomes adjust
+  // the effective score around it
+  baseScore: { type: Number, min: 0, max: 100 },
+
+  category: { type: String, enum: CATEGORIES },
+
+  // Ownership group (e.g. "Times Group"), so related outlets can be compared
+  network: { type: String },
+
+  // Where the current base score came from
+  provenance: {
+    source: { type: String, enum: PROVENANCE_SOURCES },
+    by: { type: String },
+    note: { type: String },
+    updatedAt: { type: Date }
+  },
+
+  // Weighted count of verification outcomes this domain's stance got right or wrong
+  outcomes: {
+    correct: { type: Number, default: 0 },
+    incorrect: { type: Number, default: 0 },
+    lastAt: { type: Date }
+  },
+
+  // Earlier base scores and categories, newest last
+  history: [HistoryEntrySchema]
+}, {
+  timestamps: true
+});
+
+DomainSchema.index({ category: 1 });
+DomainSchema.index({ network: 1 });
+
+module.exports = mongoose.model('Domain', DomainSchema);
+module.exports.CATEGORIES = CATEGORIES;
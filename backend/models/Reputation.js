@@ -24,9 +24,9 @@ const ReputationSchema = new mongoose.Schema({
     index: true
   },
 
+  // Agent id from the agent registry
   agentType: {
     type: String,
-    enum: ['toi', 'indiaTimes', 'ndtv', 'generic'],
     required: true
   },
 
@@ -42,8 +42,10 @@ const ReputationSchema = new mongoose.Schema({
   // Statistics
   stats: {
     totalVerifications: { type: Number, default: 0 },
+    // Accuracy against ground truth (editor-reviewed verdicts, fact-checker ratings)
     correctPredictions: { type: Number, default: 0 },
     incorrectPredictions: { type: Number, default: 0 },
+    // Agreement with the aggregated verdict, whether or not it was right
     agreementWithConsensus: { type: Number, default: 0 },
     disagreementWithConsensus: { type: Number, default: 0 },
     avgCredibilityScore: { type: Number, default: 50 },
@@ -110,10 +112,8 @@ ReputationSchema.methods.recordVerification = function(agreed, confidence = 0.5)
   this.stats.totalVerifications += 1;
   
   if (agreed) {
-    this.stats.correctPredictions += 1;
     this.stats.agreementWithConsensus += 1;
   } else {
-    this.stats.incorrectPredictions += 1;
     this.stats.disagreementWithConsensus += 1;
   }
 
@@ -122,6 +122,11 @@ ReputationSchema.methods.recordVerification = function(agreed, confidence = 0.5)
   this.stats.avgConfidence = ((this.stats.avgConfidence * (total - 1)) + confidence) / total;
 };
 
+ReputationSchema.methods.recordGroundTruth = function(correct, count = 1) {
+  const field = correct ? 'correctPredictions' : 'incorrectPredictions';
+  this.stats[field] = Math.max(0, this.stats[field] + count);
+};
+
 ReputationSchema.methods.applyDecay = function() {
   const now = new Date();
   const lastDecay = this.decay.lastDecayApplied;
@@ -149,8 +154,14 @@ ReputationSchema.methods.applyDecay = function() {
 };
 
 ReputationSchema.methods.getAccuracyRate = function() {
+  const labeled = this.stats.correctPredictions + this.stats.incorrectPredictions;
+  if (labeled === 0) return 0;
+  return this.stats.correctPredictions / labeled;
+};
+
+ReputationSchema.methods.getAgreementRate = function() {
   if (this.stats.totalVerifications === 0) return 0;
-  return this.stats.correctPredictions / this.stats.totalVerifications;
+  return this.stats.agreementWithConsensus / this.stats.totalVerifications;
 };
 
 // Static methods
@@ -176,7 +187,7 @@ ReputationSchema.statics.getLeaderboard = function(limit = 10) {
   return this.find()
     .sort({ currentScore: -1 })
     .limit(limit)
-    .select('agentName agentType currentScore stats.totalVerifications stats.correctPredictions');
+    .select('agentName agentType currentScore stats.totalVerifications stats.correctPredictions stats.incorrectPredictions stats.agreementWithConsensus');
 };
 
 ReputationSchema.statics.getAllReputations = function() {
@@ -20,7 +20,20 @@ const NodeSchema = new mongoose.Schema({
     default: 'unknown'
   },
   author: { type: String },
-  domain: { type: String }
+  domain: { type: String },
+  // Stance of this source towards the claim
+  stance: {
+    label: {
+      type: String,
+      enum: ['supports', 'refutes', 'discusses', 'unrelated']
+    },
+    confidence: { type: Number, min: 0, max: 1 },
+    // Quote from the title or snippet that justifies the label
+    span: { type: String },
+    method: { type: String, enum: ['llm', 'heuristic'] },
+    // Claim the stance refers to (multi-claim mode)
+    claimId: { type: String }
+  }
 }, { _id: false });
 
 const EdgeSchema = new mongoose.Schema({
@@ -37,6 +50,129 @@ const EdgeSchema = new mongoose.Schema({
   aiDetected: { type: Boolean, default: false }
 }, { _id: false });
 
+// Whether a claim is old news shared as current (temporal service)
+const TemporalSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: ['outdated', 'consistent', 'unknown'],
+    default: 'unknown'
+  },
+  explanation: { type: String },
+  // Date the claim names, when it names one (YYYY-MM-DD)
+  claimDate: { type: String },
+  earliestEvidenceDate: { type: Date },
+  earliestEvidenceUrl: { type: String }
+}, { _id: false });
+
+// How the verdict was aggregated and whether the deterministic audit agreed
+const AggregationSchema = new mongoose.Schema({
+  method: { type: String, enum: ['llm', 'deterministic'] },
+  deterministicVerdict: {
+    type: String,
+    enum: ['true', 'false', 'mixed', 'unknown']
+  },
+  deterministicAccuracy: { type: Number, min: 0, max: 100 },
+  disagreement: { type: Boolean, default: false },
+  disagreementReasons: [{ type: String }]
+}, { _id: false });
+
+// One way the stored verification disagrees with itself or its anchor:
+// `expected` is the anchored value, `actual` what the database holds
+const IntegrityIssueSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['hash_drift', 'missing_anchor', 'verdict_mismatch', 'claim_mismatch', 'node_mismatch', 'proof_invalid', 'root_mismatch'],
+    required: true
+  },
+  expected: { type: String },
+  actual: { type: String }
+}, { _id: false });
+
+// A user report that a verdict looks wrong
+const ReviewFlagSchema = new mongoose.Schema({
+  reason: { type: String },
+  note: { type: String },
+  // Channel the flag came from (frontend, telegram, ...)
+  source: { type: String },
+  createdAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+// One entry in a verification's review audit trail
+const AuditEntrySchema = new mongoose.Schema({
+  action: {
+    type: String,
+    enum: ['queued', 'flagged', 'assigned', 'approved', 'overridden', 'reopened', 'fact_checked'],
+    required: true
+  },
+  // Reviewer name, 'system' or 'user'
+  actor: { type: String, required: true },
+  at: { type: Date, default: Date.now },
+  fromVerdict: { type: String },
+  toVerdict: { type: String },
+  rationale: { type: String },
+  details: { type: mongoose.Schema.Types.Mixed }
+}, { _id: false });
+
+// One re-verification of a story, with what changed since the previous run
+const RevisionSchema = new mongoose.Schema({
+  revision: { type: Number, required: true },
+  // Graph hash of the rerun (its own SourceGraph, or an earlier one if nothing changed)
+  hash: { type: String, required: true },
+  verdict: {
+    type: String,
+    enum: ['true', 'false', 'mixed', 'unknown']
+  },
+  accuracyScore: { type: Number, min: 0, max: 100 },
+  confidence: { type: Number },
+  // Transaction that revised the original's on-chain verdict (verdict changes only)
+  blockchainHash: { type: String },
+  diff: {
+    verdictChanged: { type: Boolean },
+    fromVerdict: { type: String },
+    toVerdict: { type: String },
+    accuracyDelta: { type: Number },
+    confidenceDelta: { type: Number },
+    newEvidence: [{
+      _id: false,
+      url: { type: String },
+      title: { type: String },
+      role: { type: String },
+      timestamp: { type: Date }
+    }],
+    removedEvidenceCount: { type: Number }
+  },
+  createdAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+// Per-claim result when an article is verified in multi-claim mode
+const ClaimSchema = new mongoose.Schema({
+  claimId: { type: String, required: true },
+  text: { type: String, required: true },
+  englishText: { type: String },
+  type: { type: String },
+  verifiability: {
+    type: String,
+    enum: ['high', 'medium', 'low'],
+    default: 'medium'
+  },
+  verdict: {
+    type: String,
+    enum: ['true', 'false', 'mixed', 'unknown'],
+    default: 'unknown'
+  },
+  accuracyScore: { type: Number, min: 0, max: 100 },
+  confidence: { type: Number, min: 0, max: 1 },
+  summary: { type: String },
+  evidenceLinks: [{ type: String }],
+  // Share of the article roll-up weight (0-1)
+  influence: { type: Number, min: 0, max: 1 },
+  // Whether this claim determined the article verdict
+  droveVerdict: { type: Boolean, default: false },
+  temporal: TemporalSchema,
+  aggregation: AggregationSchema,
+  agentReports: [{ type: mongoose.Schema.Types.ObjectId, ref: 'AgentReport' }]
+}, { _id: false });
+
 const SourceGraphSchema = new mongoose.Schema({
   // Unique hash of the canonical graph (also stored on-chain)
   hash: {
@@ -46,12 +182,33 @@ const SourceGraphSchema = new mongoose.Schema({
     index: true
   },
 
+  // How the hash was computed: 1 = one canonical JSON blob, 2 = Merkle root
+  // over the claim, nodes and edges (see services/graphService.js).
+  // Graphs saved before versioning are version 1.
+  hashVersion: {
+    type: Number,
+    enum: [1, 2],
+    default: 1
+  },
+
   // The claim being verified
   claim: {
     type: String,
     required: true
   },
 
+  // Detected language of the claim (ISO 639-1, 'hi-Latn' for Hinglish)
+  language: {
+    type: String,
+    default: 'en',
+    index: true
+  },
+
+  // English translation used for search when the claim is not in English
+  englishClaim: {
+    type: String
+  },
+
   // Graph structure
   nodes: [NodeSchema],
   edges: [EdgeSchema],
@@ -59,6 +216,9 @@ const SourceGraphSchema = new mongoose.Schema({
   // Clusters of similar content
   clusters: [[String]],
 
+  // Individual claims (multi-claim mode only)
+  claims: [ClaimSchema],
+
   // Verification metadata
   metadata: {
     createdAt: { type: Date, default: Date.now },
@@ -74,7 +234,48 @@ const SourceGraphSchema = new mongoose.Schema({
     provider: { type: String },
     transactionHash: { type: String },
     blockNumber: { type: Number },
-    storedAt: { type: Date }
+    storedAt: { type: Date },
+    // pending: waiting for the next batch (BLOCKCHAIN_ANCHOR_MODE=batch).
+    // queued/submitted/failed: in the anchoring outbox (one transaction
+    // each; see services/anchorOutboxService.js). Unset on graphs sent
+    // inline (dry run, Solana).
+    status: {
+      type: String,
+      enum: ['pending', 'queued', 'submitted', 'anchored', 'failed']
+    },
+    // AnchorBatch that has claimed this graph while it is being anchored
+    batchRef: { type: mongoose.Schema.Types.ObjectId, ref: 'AnchorBatch' },
+    // Batch the graph hash was anchored in, with its inclusion proof
+    batch: {
+      id: { type: Number },
+      // Batch ids restart at 1 on a new contract
+      contractAddress: { type: String },
+      root: { type: String },
+      index: { type: Number },
+      size: { type: Number },
+      proof: {
+        type: [{
+          _id: false,
+          position: { type: String, enum: ['left', 'right'] },
+          hash: { type: String }
+        }],
+        default: undefined
+      }
+    }
+  },
+
+  // Last integrity audit (services/integrityAuditService.js): the graph
+  // hash recomputed from the stored claim, nodes and edges, and the
+  // stored verification compared with its on-chain anchor
+  integrity: {
+    status: {
+      type: String,
+      enum: ['ok', 'mismatch', 'unanchored', 'unverifiable']
+    },
+    issues: [IntegrityIssueSchema],
+    anchor: { type: String, enum: ['single', 'batch', 'none'] },
+    contractAddress: { type: String },
+    checkedAt: { type: Date }
   },
 
   // Verification result
@@ -86,18 +287,124 @@ const SourceGraphSchema = new mongoose.Schema({
     },
     accuracyScore: { type: Number, min: 0, max: 100 },
     confidence: { type: Number, min: 0, max: 1 },
-    agentReports: [{ type: mongoose.Schema.Types.ObjectId, ref: 'AgentReport' }]
+    agentReports: [{ type: mongoose.Schema.Types.ObjectId, ref: 'AgentReport' }],
+    mode: {
+      type: String,
+      enum: ['single_claim', 'multi_claim'],
+      default: 'single_claim'
+    },
+    // How the claim verdicts rolled up into the article verdict
+    rollupSummary: { type: String },
+    temporal: TemporalSchema,
+    aggregation: AggregationSchema
+  },
+
+  // Editor review (services/reviewService.js). `verification` always
+  // holds the AI verdict; an editor decision never overwrites it.
+  review: {
+    status: {
+      type: String,
+      enum: ['none', 'queued', 'in_review', 'reviewed'],
+      default: 'none'
+    },
+    reasons: [{
+      type: String,
+      enum: ['low_confidence', 'agent_disagreement', 'aggregator_disagreement', 'high_reach', 'user_flag']
+    }],
+    priority: { type: Number, default: 0 },
+    queuedAt: { type: Date },
+    assignee: { type: String },
+    assignedAt: { type: Date },
+    flags: [ReviewFlagSchema],
+    decision: {
+      action: { type: String, enum: ['approved', 'overridden'] },
+      verdict: {
+        type: String,
+        enum: ['true', 'false', 'mixed', 'unknown']
+      },
+      accuracyScore: { type: Number, min: 0, max: 100 },
+      rationale: { type: String },
+      reviewer: { type: String },
+      decidedAt: { type: Date }
+    }
   },
 
+  // Every review action, oldest first
+  auditLog: [AuditEntrySchema],
+
+  // Verdict known to be right (editor decision or fact-checker rating);
+  // agent reputations are scored against it
+  groundTruth: {
+    verdict: { type: String, enum: ['true', 'false', 'mixed', 'unknown'] },
+    source: { type: String, enum: ['editor', 'fact_check'] },
+    rating: { type: String },
+    publisher: { type: String },
+    url: { type: String },
+    recordedAt: { type: Date }
+  },
+
+  // Verdict this verification's sources were last scored against
+  // (services/domainReputationService.js), so a ground-truth label can
+  // replace the consensus contribution
+  domainOutcome: {
+    verdict: { type: String, enum: ['true', 'false', 'mixed', 'unknown'] },
+    source: { type: String, enum: ['consensus', 'ground_truth'] },
+    weight: { type: Number },
+    recordedAt: { type: Date }
+  },
+
+  // Verdict this verification is counted under in the global source
+  // network (services/sourceNetworkService.js)
+  sourceNetwork: {
+    verdict: { type: String, enum: ['true', 'false', 'mixed', 'unknown'] },
+    ingestedAt: { type: Date }
+  },
+
+  // Scheduled re-verification (services/recheckService.js), on the
+  // original verification only
+  recheck: {
+    status: {
+      type: String,
+      enum: ['scheduled', 'running', 'settled', 'exhausted', 'cancelled']
+    },
+    // Reruns done so far; picks the next delay from the schedule
+    attempt: { type: Number, default: 0 },
+    nextRunAt: { type: Date },
+    startedAt: { type: Date },
+    lastRunAt: { type: Date },
+    lastError: { type: String },
+    // Agents the reruns use, narrowed to the scheduling key's plan (default agents when unset)
+    agents: { type: [String], default: undefined }
+  },
+  revisions: [RevisionSchema],
+
+  // Set on reruns: hash of the original verification and the revision number
+  revisionOf: { type: String, index: true },
+  revision: { type: Number },
+
   // Request metadata
   request: {
     source: { 
       type: String, 
-      enum: ['frontend', 'telegram', 'twitter', 'extension'],
+      enum: ['frontend', 'telegram', 'whatsapp', 'twitter', 'extension', 'recheck'],
       default: 'frontend'
     },
     originalUrl: { type: String },
-    processingTimeMs: { type: Number }
+    // Text submitted instead of a URL, which rechecks rerun from
+    originalText: { type: String },
+    processingTimeMs: { type: Number },
+    // Recording of the verification's external calls (CASSETTE_MODE=record)
+    cassetteId: { type: String },
+    // Keyed hash of the user id, phone number or IP; never the raw value
+    requester: { type: String, index: true },
+    // Where the request came from within its channel
+    context: {
+      kind: { type: String, enum: ['web', 'job', 'page', 'message', 'reply', 'mention'] },
+      chatType: { type: String },
+      messageId: { type: String },
+      inReplyTo: { type: String },
+      pageTitle: { type: String }
+    }
   }
 }, {
   timestamps: true
@@ -106,18 +413,33 @@ const SourceGraphSchema = new mongoose.Schema({
 // Indexes for common queries
 SourceGraphSchema.index({ 'verification.verdict': 1 });
 SourceGraphSchema.index({ 'request.source': 1 });
+SourceGraphSchema.index({ 'request.source': 1, createdAt: -1 });
+SourceGraphSchema.index({ 'verification.temporal.status': 1 });
+SourceGraphSchema.index({ 'verification.aggregation.disagreement': 1 });
+SourceGraphSchema.index({ 'review.status': 1, 'review.priority': -1, 'review.queuedAt': 1 });
+SourceGraphSchema.index({ 'recheck.status': 1, 'recheck.nextRunAt': 1 });
 SourceGraphSchema.index({ createdAt: -1 });
 SourceGraphSchema.index({ 'blockchain.transactionHash': 1 });
+SourceGraphSchema.index({ 'blockchain.status': 1, 'blockchain.batchRef': 1, createdAt: 1 });
+SourceGraphSchema.index({ 'integrity.checkedAt': 1 });
+SourceGraphSchema.index({ 'integrity.status': 1, 'integrity.checkedAt': -1 });
 
 // Instance methods
 SourceGraphSchema.methods.getSummary = function() {
   return {
     hash: this.hash,
     claim: this.claim.substring(0, 100),
+    language: this.language,
     verdict: this.verification?.verdict,
     accuracy: this.verification?.accuracyScore,
+    outdated: this.verification?.temporal?.status === 'outdated',
+    reviewStatus: this.review?.status,
+    editorVerdict: this.review?.decision?.verdict,
+    currentVerdict: this.revisions?.length > 0 ? this.revisions[this.revisions.length - 1].verdict : undefined,
     nodeCount: this.nodes?.length,
     edgeCount: this.edges?.length,
+    claimCount: this.claims?.length || undefined,
+    source: this.request?.source,
     blockchainHash: this.blockchain?.transactionHash,
     createdAt: this.createdAt
   };
@@ -133,10 +455,11 @@ SourceGraphSchema.statics.findByBlockchainTx = function(txHash) {
 };
 
 SourceGraphSchema.statics.getRecentVerifications = function(limit = 10) {
-  return this.find()
+  // Reruns show up in their original's history, not as new verifications
+  return this.find({ revisionOf: null })
     .sort({ createdAt: -1 })
     .limit(limit)
-    .select('hash claim verification.verdict verification.accuracyScore createdAt');
+    .select('hash claim language verification.verdict verification.accuracyScore verification.temporal.status review.status review.decision.verdict revisions.verdict request.source createdAt');
 };
 
 SourceGraphSchema.statics.getStatsBySource = function() {
@@ -0,0 +1,44 @@
+/**
+ * SourceNetworkEdge Model
+ *
+ * A directed link between two domains in the global source network,
+ * aggregated over every verification it appeared in. Direction follows
+ * the source graphs: `to` amplified or contradicted what `from` published
+ * before it. See services/sourceNetworkService.js.
+ */
+
+const mongoose = require('mongoose');
+
+const SourceNetworkEdgeSchema = new mongoose.Schema({
+  from: { type: String, required: true },
+  to: { type: String, required: true },
+
+  // amplifies covers the amplifies, quotes and cites relationships
+  type: {
+    type: String,
+    enum: ['amplifies', 'contradicts'],
+    required: true
+  },
+
+  // Verifications the link appeared in
+  count: { type: Number, default: 0 },
+
+  // Verdicts of those verifications
+  verdicts: {
+    true: { type: Number, default: 0 },
+    false: { type: Number, default: 0 },
+    mixed: { type: Number, default: 0 },
+    unknown: { type: Number, default: 0 }
+  },
+
+  firstSeenAt: { type: Date },
+  lastSeenAt: { type: Date }
+}, {
+  timestamps: true
+});
+
+SourceNetworkEdgeSchema.index({ from: 1, to: 1, type: 1 }, { unique: true });
+SourceNetworkEdgeSchema.index({ to: 1, type: 1 });
+SourceNetworkEdgeSchema.index({ type: 1, count: -1 });
+
+module.exports = mongoose.model('SourceNetworkEdge', SourceNetworkEdgeSchema);
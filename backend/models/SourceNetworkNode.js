@@ -0,0 +1,54 @@
+/**
+ * SourceNetworkNode Model
+ *
+ * One domain in the global source network: how often it took each role
+ * across all saved verifications, and the verdicts of the stories it
+ * originated or amplified. Built incrementally by
+ * services/sourceNetworkService.js.
+ */
+
+const mongoose = require('mongoose');
+
+// Verifications per verdict
+const VerdictCountsSchema = new mongoose.Schema({
+  true: { type: Number, default: 0 },
+  false: { type: Number, default: 0 },
+  mixed: { type: Number, default: 0 },
+  unknown: { type: Number, default: 0 }
+}, { _id: false });
+
+const SourceNetworkNodeSchema = new mongoose.Schema({
+  // Host without "www."
+  domain: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+
+  // Verifications the domain appeared in
+  verifications: { type: Number, default: 0 },
+
+  // Verifications in which the domain took each role
+  roles: {
+    origin: { type: Number, default: 0 },
+    amplifier: { type: Number, default: 0 },
+    modifier: { type: Number, default: 0 },
+    debunker: { type: Number, default: 0 },
+    unknown: { type: Number, default: 0 }
+  },
+
+  // Verdicts of the stories the domain originated / amplified
+  originVerdicts: { type: VerdictCountsSchema, default: () => ({}) },
+  amplifierVerdicts: { type: VerdictCountsSchema, default: () => ({}) },
+
+  firstSeenAt: { type: Date },
+  lastSeenAt: { type: Date }
+}, {
+  timestamps: true
+});
+
+SourceNetworkNodeSchema.index({ verifications: -1 });
+
+module.exports = mongoose.model('SourceNetworkNode', SourceNetworkNodeSchema);
@@ -0,0 +1,56 @@
+/**
+ * UsageRecord Model
+ *
+ * One metered verification request: who made it (API key, or none for
+ * anonymous requests), what it was, how it ended and the LLM tokens it
+ * used, with their cost. See services/usageService.js.
+ */
+
+const mongoose = require('mongoose');
+
+// Tokens used at one LLM call site and model
+const LlmSiteUsageSchema = new mongoose.Schema({
+  site: { type: String, required: true },
+  provider: { type: String },
+  model: { type: String },
+  calls: { type: Number, default: 0 },
+  promptTokens: { type: Number, default: 0 },
+  completionTokens: { type: Number, default: 0 },
+  costUsd: { type: Number, default: 0 }
+}, { _id: false });
+
+const UsageRecordSchema = new mongoose.Schema({
+  apiKey: { type: mongoose.Schema.Types.ObjectId, ref: 'ApiKey' },
+  keyPrefix: { type: String },
+
+  operation: {
+    type: String,
+    enum: ['verify', 'verify_job', 'extension_analyze', 'extension_quick', 'recheck'],
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['succeeded', 'failed'],
+    required: true
+  },
+
+  graphHash: { type: String },
+  deepMode: { type: Boolean, default: false },
+  agents: { type: [String], default: undefined },
+  durationMs: { type: Number },
+
+  llm: {
+    calls: { type: Number, default: 0 },
+    promptTokens: { type: Number, default: 0 },
+    completionTokens: { type: Number, default: 0 },
+    costUsd: { type: Number, default: 0 },
+    sites: [LlmSiteUsageSchema]
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+UsageRecordSchema.index({ apiKey: 1, createdAt: -1 });
+UsageRecordSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('UsageRecord', UsageRecordSchema);
@@ -0,0 +1,82 @@
+/**
+ * Watch Model
+ *
+ * A subscription to a topic ("election", a politician's name) or to one
+ * verified claim. Matching verifications and verdict changes are pushed
+ * to the subscriber over a bot channel or email once the recipient has
+ * confirmed it. See services/watchService.js.
+ */
+
+const mongoose = require('mongoose');
+
+const WatchSchema = new mongoose.Schema({
+  // Where alerts are delivered
+  channel: {
+    type: String,
+    enum: ['telegram', 'whatsapp', 'twitter', 'email'],
+    required: true
+  },
+
+  // Telegram chat ID, WhatsApp number, Twitter user ID or email address
+  recipient: {
+    type: String,
+    required: true
+  },
+
+  type: {
+    type: String,
+    enum: ['topic', 'claim'],
+    required: true
+  },
+
+  // Topic as entered, and its normalized form used for matching
+  topic: { type: String },
+  normalizedTopic: { type: String },
+
+  // Graph hash of the watched verification (claim watches)
+  claimHash: { type: String },
+  claim: { type: String },
+
+  // Language for alert labels
+  language: { type: String, default: 'en' },
+
+  active: {
+    type: Boolean,
+    default: true
+  },
+
+  // API key that created the watch through the API (bot watches have none)
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ApiKey'
+  },
+
+  // Alerts only go to confirmed watches: bot watches are confirmed by
+  // their own recipient, API watches by the link sent to the recipient
+  confirmed: {
+    type: Boolean,
+    default: false
+  },
+  confirmedAt: { type: Date },
+
+  // SHA-256 of the pending confirmation token, and when it was sent
+  confirmationHash: { type: String },
+  confirmationSentAt: { type: Date },
+
+  // Delivery bookkeeping; a watch is deactivated after repeated failures
+  lastNotifiedAt: { type: Date },
+  notificationCount: { type: Number, default: 0 },
+  consecutiveFailures: { type: Number, default: 0 },
+  lastError: { type: String }
+}, {
+  timestamps: true
+});
+
+// One watch per recipient and topic or claim
+WatchSchema.index({ channel: 1, recipient: 1, type: 1, normalizedTopic: 1, claimHash: 1 }, { unique: true });
+WatchSchema.index({ type: 1, active: 1 });
+WatchSchema.index({ owner: 1, createdAt: -1 });
+WatchSchema.index({ confirmationHash: 1 }, { sparse: true });
+WatchSchema.index({ claimHash: 1 });
+
+module.exports = mongoose.model('Watch', WatchSchema);
@@ -0,0 +1,96 @@
+/**
+ * Agent Definition Routes
+ * 
+ * CRUD for verification agents defined as data (see services/agentRegistry.js).
+ * Reading is public; changes need the ADMIN_TOKEN bearer token and are
+ * closed while none is configured.
+ */
+
+const express = require('express');
+const { body } = require('express-validator');
+const router = express.Router();
+
+const agentController = require('../controllers/agentController');
+const {
+  agentIdValidation,
+  agentDefinitionValidation,
+  validateRequest
+} = require('../utils/validators');
+const { requireToken } = require('../utils/auth');
+
+// Changes need ADMIN_TOKEN
+const requireAdmin = requireToken('ADMIN_TOKEN', 'admin');
+
+/**
+ * GET /api/v1/agents
+ * List agent definitions (config-file and database)
+ * 
+ * Response: { agents: AgentDefinition[], defaultAgents: string[], count: number }
+ */
+router.get(
+  '/',
+  agentController.list.bind(agentController)
+);
+
+/**
+ * GET /api/v1/agents/:id
+ * Get an agent definition
+ * 
+ * Response: AgentDefinition
+ */
+router.get(
+  '/:id',
+  agentIdValidation,
+  validateRequest,
+  agentController.get.bind(agentController)
+);
+
+/**
+ * POST /api/v1/agents
+ * Create an agent definition
+ * 
+ * Request body: AgentDefinition
+ * Response (201): AgentDefinition
+ */
+router.post(
+  '/',
+  requireAdmin,
+  body('id')
+    .matches(/^[A-Za-z][A-Za-z0-9_-]{1,39}$/)
+    .withMessage('id must be 2-40 letters, digits, - or _, starting with a letter'),
+  agentDefinitionValidation,
+  validateRequest,
+  agentController.create.bind(agentController)
+);
+
+/**
+ * PUT /api/v1/agents/:id
+ * Replace an agent definition (config-file agents get a database override)
+ * 
+ * Request body: AgentDefinition
+ * Response: AgentDefinition
+ */
+router.put(
+  '/:id',
+  requireAdmin,
+  agentIdValidation,
+  agentDefinitionValidation,
+  validateRequest,
+  agentController.update.bind(agentController)
+);
+
+/**
+ * DELETE /api/v1/agents/:id
+ * Delete a database agent definition
+ * 
+ * Response: { deleted: string, restored: AgentDefinition|null }
+ */
+router.delete(
+  '/:id',
+  requireAdmin,
+  agentIdValidation,
+  validateRequest,
+  agentController.remove.bind(agentController)
+);
+
+module.exports = router;
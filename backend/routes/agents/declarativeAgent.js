@@ -0,0 +1,270 @@
+/**
+ * Declarative Agent
+ *
+ * Runs a verification agent described entirely by data (see
+ * services/agentRegistry.js for the definition format):
+ *
+ * 1. Detect which of the definition's keyword signals appear in the claim
+ * 2. Score evidence: trusted/penalized domains, then evidence rules
+ * 3. Ask the LLM for a verdict with the definition's persona prompt
+ * 4. Apply result rules (confidence/credibility adjustments, verdict
+ *    overrides, findings and concerns)
+ */
+
+const logger = require('../../utils/logger');
+const openaiService = require('../../services/openaiService');
+const stanceService = require('../../services/stanceService');
+const domainReputationService = require('../../services/domainReputationService');
+
+// Report fields that result rules can adjust, with their valid range
+const ADJUSTABLE_FIELDS = {
+  credibility: { key: 'credibility_score', min: 0, max: 100 },
+  confidence: { key: 'confidence', min: 0, max: 1 }
+};
+
+class DeclarativeAgent {
+  /**
+   * @param {Object} definition - Validated agent definition
+   */
+  constructor(definition) {
+    this.definition = definition;
+    this.name = definition.name;
+    this.type = definition.id;
+  }
+
+  /**
+   * Verify a claim from this agent's perspective
+   * @param {string} claim - The claim to verify
+   * @param {Array} evidence - Array of evidence objects
+   * @param {Object} context - Claim language context: { language, englishClaim } (optional)
+   * @returns {Promise<Object>} Verification report
+   */
+  async verify(claim, evidence, context = {}) {
+    logger.info(`${this.name}: Starting verification`, { claim: claim.substring(0, 100) });
+
+    // Signal keywords are English, so match the translation too
+    const signals = this.detectSignals([claim, context.englishClaim].filter(Boolean).join('\n'));
+    const scoredEvidence = this.scoreEvidence(evidence, signals);
+
+    const result = await openaiService.agentVerify(this.definition, claim, scoredEvidence, context);
+
+    const adjustedResult = this.applyResultRules(result, signals, scoredEvidence);
+
+    logger.info(`${this.name}: Verification complete`, {
+      verdict: adjustedResult.verdict,
+      credibility: adjustedResult.credibility_score,
+      signals: [...signals]
+    });
+
+    return adjustedResult;
+  }
+
+  /**
+   * Find the signals whose keywords appear in the claim
+   * @param {string} claim - The claim
+   * @returns {Set<string>} Signal names
+   */
+  detectSignals(claim) {
+    const claimLower = claim.toLowerCase();
+    const found = new Set();
+
+    for (const [name, keywords] of Object.entries(this.definition.signals || {})) {
+      if (keywords.some(k => claimLower.includes(k.toLowerCase()))) {
+        found.add(name);
+      }
+    }
+
+    return found;
+  }
+
+  /**
+   * Score evidence with the domain lists and evidence rules
+   * @param {Array} evidence - Evidence objects
+   * @param {Set<string>} signals - Claim signals
+   * @returns {Array} Evidence with adjusted domainReputationScore
+   */
+  scoreEvidence(evidence, signals) {
+    const {
+      trustedDomains = [],
+      penalizedDomains = [],
+      domainBonus = 15,
+      domainPenalty = 20,
+      evidenceRules = []
+    } = this.definition;
+
+    const ruleApplies = evidenceRules.map(rule => !rule.when || this.matches(rule.when, { signals }));
+
+    return evidence.map(e => {
+      const domain = this.extractDomain(e.url);
+      let score = e.domainReputationScore || 50;
+
+      if (trustedDomains.some(d => domain.includes(d))) score += domainBonus;
+      if (penalizedDomains.some(d => domain.includes(d))) score -= domainPenalty;
+
+      // Within a group only the first matching rule applies
+      const usedGroups = new Set();
+
+      evidenceRules.forEach((rule, i) => {
+        if (!ruleApplies[i]) return;
+        if (rule.group && usedGroups.has(rule.group)) return;
+        if (!this.matchesSource(e.url, rule)) return;
+
+        if (rule.group) usedGroups.add(rule.group);
+        score = this.applyOperation(score, rule);
+      });
+
+      return {
+        ...e,
+        domainReputationScore: Math.max(0, Math.min(100, score))
+      };
+    });
+  }
+
+  /**
+   * Apply result rules to the LLM report
+   * @param {Object} result - Agent report from the LLM
+   * @param {Set<string>} signals - Claim signals
+   * @param {Array} evidence - Scored evidence
+   * @returns {Object} Adjusted report
+   */
+  applyResultRules(result, signals, evidence) {
+    for (const rule of this.definition.resultRules || []) {
+      const context = { signals, result, evidence, matchedDomains: new Set() };
+      if (rule.when && !this.matches(rule.when, context)) continue;
+
+      if (rule.verdict) {
+        result.verdict = rule.verdict;
+      }
+
+      for (const [field, operation] of Object.entries(rule.adjust || {})) {
+        const { key, min, max } = ADJUSTABLE_FIELDS[field];
+        const value = this.applyOperation(Number(result[key]) || 0, operation);
+        result[key] = Math.max(min, Math.min(max, value));
+      }
+
+      const domains = [...context.matchedDomains].join(', ');
+
+      if (rule.finding) {
+        result.key_findings = result.key_findings || [];
+        result.key_findings.push(rule.finding.replace('{matchedDomains}', domains));
+      }
+
+      if (rule.concern) {
+        result.concerns = result.concerns || [];
+        result.concerns.push(rule.concern.replace('{matchedDomains}', domains));
+      }
+    }
+
+    // Ensure agent name is correct
+    result.agent_name = this.name;
+
+    return result;
+  }
+
+  /**
+   * Check a rule condition. All listed conditions must hold; `any` holds
+   * when at least one of its nested conditions does.
+   * @param {Object} when - Rule condition
+   * @param {Object} context - { signals, result?, evidence?, matchedDomains? }
+   * @returns {boolean}
+   */
+  matches(when, context) {
+    const { signals, result, evidence = [] } = context;
+
+    if (when.claimSignals && !when.claimSignals.every(s => signals.has(s))) return false;
+    if (when.anyClaimSignals && !when.anyClaimSignals.some(s => signals.has(s))) return false;
+
+    if (when.verdict && !when.verdict.includes(result?.verdict)) return false;
+    if (when.verdictNot && when.verdictNot.includes(result?.verdict)) return false;
+
+    if (when.uniqueDomainsBelow !== undefined) {
+      const domains = new Set(evidence.map(e => this.extractDomain(e.url)));
+      if (domains.size >= when.uniqueDomainsBelow) return false;
+    }
+
+    if (when.avgReputationBelow !== undefined) {
+      if (evidence.length === 0) return false;
+      const avg = evidence.reduce((sum, e) => sum + e.domainReputationScore, 0) / evidence.length;
+      if (avg >= when.avgReputationBelow) return false;
+    }
+
+    if (when.evidence) {
+      const matched = evidence.filter(e => this.matchesEvidence(e, when.evidence));
+      if (matched.length < (when.evidence.minCount || 1)) return false;
+      matched.forEach(e => context.matchedDomains?.add(this.extractDomain(e.url)));
+    }
+
+    if (when.any && !when.any.some(branch => this.matches(branch, context))) return false;
+
+    return true;
+  }
+
+  /**
+   * Check one evidence item against { domains, suffixes, categories, snippetHas, stances }
+   */
+  matchesEvidence(e, spec) {
+    if ((spec.domains || spec.suffixes || spec.categories) && !this.matchesSource(e.url, spec)) return false;
+
+    if (spec.stances) {
+      if (!stanceService.isConfident(e.stance) || !spec.stances.includes(e.stance.label)) return false;
+    }
+
+    if (spec.snippetHas) {
+      const snippet = (e.snippet || '').toLowerCase();
+      if (!spec.snippetHas.some(k => snippet.includes(k.toLowerCase()))) return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Match a source by domain substring (domains), ending (suffixes) or
+   * domain reputation category (categories)
+   */
+  matchesSource(url, { domains = [], suffixes = [], categories = [] }) {
+    const domain = this.extractDomain(url);
+    return domains.some(d => domain.includes(d)) ||
+      suffixes.some(s => domain.endsWith(s)) ||
+      (categories.length > 0 && domainReputationService.isCategory(url, categories));
+  }
+
+  /**
+   * Apply { set, add, atLeast, atMost } to a value, in that order
+   */
+  applyOperation(value, operation) {
+    let next = value;
+    if (operation.set !== undefined) next = operation.set;
+    if (operation.add !== undefined) next += operation.add;
+    if (operation.atLeast !== undefined) next = Math.max(next, operation.atLeast);
+    if (operation.atMost !== undefined) next = Math.min(next, operation.atMost);
+    return next;
+  }
+
+  /**
+   * Extract domain from URL
+   */
+  extractDomain(url) {
+    try {
+      return new URL(url).hostname.toLowerCase();
+    } catch {
+      return '';
+    }
+  }
+
+  /**
+   * Get agent metadata
+   */
+  getMetadata() {
+    const { id, name, description, biasProfile, trustedDomains, penalizedDomains } = this.definition;
+    return {
+      name,
+      type: id,
+      description,
+      biasProfile,
+      trustedDomains,
+      penalizedDomains
+    };
+  }
+}
+
+module.exports = DeclarativeAgent;
@@ -8,17 +8,20 @@
 const crypto = require("crypto");
 const logger = require("../../utils/logger");
 const openaiService = require("../../services/openaiService");
-const tavilyService = require("../../services/tavilyService");
+const searchService = require("../../services/searchService");
 const graphService = require("../../services/graphService");
 const blockchainService = require("../../services/blockchainService");
+const cassetteService = require("../../services/cassetteService");
+const { CassetteMissError } = require("../../services/cassetteService");
+const languageService = require("../../services/languageService");
+const stanceService = require("../../services/stanceService");
+const domainReputationService = require("../../services/domainReputationService");
+const temporalService = require("../../services/temporalService");
 const reputationSystem = require("../../utils/reputationSystem");
+const verdictAggregator = require("../../utils/verdictAggregator");
 const pLimit = require("p-limit").default || require("p-limit");
 
-// Import all agents
-const toiAgent = require("./toiAgent");
-const indiaTimesAgent = require("./indiaTimesAgent");
-const ndtvAgent = require("./ndtvAgent");
-const genericAgent = require("./genericAgent");
+const agentRegistry = require("../../services/agentRegistry");
 
 // Concurrency limit for parallel agent execution
 const limit = pLimit(4);
@@ -26,18 +29,35 @@ const limit = pLimit(4);
 // Test mode can be enabled via environment variable
 const ENV_TEST_MODE = process.env.VERIFICATION_TEST_MODE === "true";
 
-class Orchestrator {
-    constructor() {
-        // Register all available agents
-        this.agents = {
-            toi: toiAgent,
-            indiaTimes: indiaTimesAgent,
-            ndtv: ndtvAgent,
-            generic: genericAgent,
-        };
+// Pipeline steps reported to progress listeners, in execution order
+const PIPELINE_STEPS = [
+    { id: "extract_claim", label: "Extracting claim" },
+    { id: "gather_evidence", label: "Gathering evidence" },
+    { id: "classify_stance", label: "Classifying evidence stance" },
+    { id: "check_timeline", label: "Checking for recycled old news" },
+    { id: "run_agents", label: "Running verification agents" },
+    { id: "agent_reputations", label: "Loading agent reputations" },
+    { id: "aggregate", label: "Aggregating agent verdicts" },
+    { id: "build_graph", label: "Building source graph" },
+    { id: "anchor_blockchain", label: "Anchoring on blockchain" },
+    { id: "update_reputations", label: "Updating agent reputations" },
+    { id: "compile_result", label: "Compiling result" },
+];
+
+// Upper bound on claims verified per article in multi-claim mode
+const MAX_CLAIMS = parseInt(process.env.MAX_CLAIMS_PER_ARTICLE, 10) || 5;
+
+// How much a claim counts towards the article roll-up, by verifiability
+const VERIFIABILITY_WEIGHTS = { high: 1, medium: 0.7, low: 0.4 };
 
-        // Default agent configuration
-        this.defaultAgents = ["toi", "ndtv", "generic"];
+const VERDICTS = ["true", "false", "mixed", "unknown"];
+
+class Orchestrator {
+    /**
+     * Agents run when a request names none (from the agent registry)
+     */
+    get defaultAgents() {
+        return agentRegistry.getDefaultAgentIds();
     }
 
     /**
@@ -59,10 +79,39 @@ class Orchestrator {
             .update(claim + Date.now())
             .digest("hex");
 
+        const mockClaims = params.multiClaim
+            ? [
+                  {
+                      id: "claim_1",
+                      claim: `${claim.substring(0, 80)} (first claim)`,
+                      type: "event",
+                      verifiability: "high",
+                      verdict: "true",
+                      accuracy_score: 85,
+                      confidence: 0.8,
+                      influence: 0.59,
+                      drove_verdict: false,
+                  },
+                  {
+                      id: "claim_2",
+                      claim: `${claim.substring(0, 80)} (second claim)`,
+                      type: "statistical",
+                      verifiability: "medium",
+                      verdict: "false",
+                      accuracy_score: 30,
+                      confidence: 0.8,
+                      influence: 0.41,
+                      drove_verdict: true,
+                  },
+              ]
+            : null;
+
         return {
             verdict: "mixed",
             accuracy_score: 75,
             confidence: 0.8,
+            summary: "Mock verification summary for testing purposes.",
+            language: languageService.detect(claim).code,
             agent_reports: agentsUsed.map((agentName) => ({
                 agent_name:
                     agentName === "toi"
@@ -84,6 +133,7 @@ class Orchestrator {
                 reasoning:
                     "This is a mock verification result for testing purposes.",
             })),
+            ...(mockClaims && { claims: mockClaims }),
             source_graph: {
                 nodes: [
                     {
@@ -113,10 +163,49 @@ class Orchestrator {
                 processing_time_ms: 150,
                 agents_used: agentsUsed,
                 evidence_count: 5,
+                evidence_stance: {
+                    supports: 3,
+                    refutes: 1,
+                    discusses: 1,
+                    unrelated: 0,
+                },
+                temporal: {
+                    status: "consistent",
+                    explanation:
+                        "The earliest coverage found fits the time the claim implies.",
+                },
+                aggregation: {
+                    method: "llm",
+                    deterministic: {
+                        verdict: "mixed",
+                        accuracy_score: 72,
+                        confidence: 0.6,
+                    },
+                    disagreement: {
+                        flagged: false,
+                        reasons: [],
+                        verdict: { llm: "mixed", deterministic: "mixed" },
+                        accuracy_delta: 3,
+                        confidence_delta: 0.2,
+                    },
+                },
                 consensus: "Agents generally agree on the mixed verdict",
                 remaining_uncertainties: [
                     "Some details could not be independently verified",
                 ],
+                ...(mockClaims && {
+                    mode: "multi_claim",
+                    claim_rollup: {
+                        verdict_counts: {
+                            true: 1,
+                            false: 1,
+                            mixed: 0,
+                            unknown: 0,
+                        },
+                        driver_claim_ids: ["claim_2"],
+                        summary: "1 of 2 claims are false or disputed",
+                    },
+                }),
                 test_mode: true,
             },
         };
@@ -130,16 +219,15 @@ class Orchestrator {
      * @param {string} params.source - Request source (frontend, telegram, twitter, extension)
      * @param {string[]} params.agents - List of agents to use (optional)
      * @param {boolean} params.testMode - Force test mode (optional)
+     * @param {boolean} params.multiClaim - Verify every extracted claim and roll up an article verdict (optional)
+     * @param {number} params.maxClaims - Maximum claims to verify in multi-claim mode (optional)
+     * @param {boolean} params.rerun - Rerun of a stored verification: not anchored and agents not
+     *   scored, since the rerun revises the original's record (optional)
+     * @param {Function} params.onProgress - Progress listener called as (type, data) (optional)
      * @returns {Promise<Object>} Complete verification result
      */
     async verify(params) {
-        const {
-            url,
-            text,
-            source = "frontend",
-            agents: requestedAgents,
-            testMode,
-        } = params;
+        const { url, text, source = "frontend", testMode, multiClaim } = params;
         const startTime = Date.now();
         const useTestMode = testMode || ENV_TEST_MODE;
 
@@ -148,6 +236,7 @@ class Orchestrator {
             source,
             hasText: !!text,
             testMode: useTestMode,
+            multiClaim: !!multiClaim,
         });
 
         // Return mock result in test mode
@@ -158,94 +247,233 @@ class Orchestrator {
             return this.generateMockResult(params);
         }
 
+        // Pick up agent definitions and domain scores changed through the API
+        await agentRegistry.ensureFresh();
+        await domainReputationService.ensureFresh();
+
+        // Recorded to / replayed from a cassette when CASSETTE_MODE is set
+        return cassetteService.run(params, () =>
+            multiClaim
+                ? this.verifyArticle(params, startTime)
+                : this.verifyClaim(params, startTime)
+        );
+    }
+
+    /**
+     * Run the single-claim pipeline
+     * @param {Object} params - Same parameters as verify()
+     * @param {number} startTime - Pipeline start timestamp
+     * @returns {Promise<Object>} Verification result
+     */
+    async verifyClaim(params, startTime) {
+        const {
+            url,
+            text,
+            source = "frontend",
+            agents: requestedAgents,
+            onProgress,
+        } = params;
+
         try {
-            // Step 1: Extract or use provided claim
-            const claim = await this.extractClaim(url, text);
+            // Step 1: Extract or use provided claim, detect its language
+            const { claim, language, englishClaim } = await this.runStep(
+                onProgress,
+                "extract_claim",
+                async () => {
+                    const extracted = await this.extractClaim(url, text);
+                    const detected = languageService.detect(extracted);
+                    return {
+                        claim: extracted,
+                        language: detected,
+                        englishClaim: await languageService.toEnglish(
+                            extracted,
+                            detected
+                        ),
+                    };
+                },
+                (value) => ({
+                    claim: value.claim,
+                    language: value.language.code,
+                })
+            );
             logger.info("Orchestrator: Claim extracted", {
                 claim: claim.substring(0, 100),
+                language: language.code,
             });
+            const claimContext = { language, englishClaim };
 
-            // Step 2: Gather evidence using Tavily
-            const evidence = await this.gatherEvidence(claim, url);
+            // Step 2: Gather evidence in the claim's language and English
+            const gatheredEvidence = await this.runStep(
+                onProgress,
+                "gather_evidence",
+                () => this.gatherEvidence(claim, url, null, englishClaim),
+                (value) => ({ evidence_count: value.length })
+            );
             logger.info("Orchestrator: Evidence gathered", {
-                count: evidence.length,
+                count: gatheredEvidence.length,
             });
 
-            // Step 3: Run agents in parallel
+            // Step 3: Label each evidence item's stance towards the claim
+            const evidence = await this.runStep(
+                onProgress,
+                "classify_stance",
+                () =>
+                    stanceService.classify(
+                        claim,
+                        gatheredEvidence,
+                        claimContext
+                    ),
+                (value) => ({
+                    stance_counts: stanceService.summarize(value).counts,
+                })
+            );
+            const stanceSummary = stanceService.summarize(evidence);
+
+            // Step 4: Compare the time the claim implies with its evidence dates
+            const temporal = await this.runStep(
+                onProgress,
+                "check_timeline",
+                async () =>
+                    temporalService.analyze(claim, evidence, claimContext),
+                (value) => ({ temporal_status: value.status })
+            );
+
+            // Step 5: Run agents in parallel
             const agentsToRun = requestedAgents || this.defaultAgents;
-            const agentReports = await this.runAgents(
-                agentsToRun,
-                claim,
-                evidence
+            const agentReports = await this.runStep(
+                onProgress,
+                "run_agents",
+                () =>
+                    this.runAgents(
+                        agentsToRun,
+                        claim,
+                        evidence,
+                        onProgress,
+                        claimContext
+                    ),
+                (value) => ({ report_count: value.length })
             );
             logger.info("Orchestrator: Agents completed", {
                 reportCount: agentReports.length,
             });
 
-            // Step 4: Get agent reputations
-            const reputations = await this.getAgentReputations(agentsToRun);
-
-            // Step 5: Aggregate results using AI orchestrator
-            const aggregatedResult = await openaiService.orchestratorAggregate(
-                agentReports,
-                reputations
+            // Step 6: Get agent reputations
+            const reputations = await this.runStep(
+                onProgress,
+                "agent_reputations",
+                () => this.getAgentReputations(agentsToRun)
             );
 
-            // Step 6: Build source graph
-            const sourceGraph = await graphService.buildGraph(claim, evidence);
+            // Step 7: Aggregate results using AI orchestrator, audited by
+            // the deterministic aggregator
+            const aggregatedResult = await this.runStep(
+                onProgress,
+                "aggregate",
+                () =>
+                    this.aggregateReports(agentReports, reputations, {
+                        language,
+                        stanceSummary,
+                        temporal,
+                        evidence,
+                    }),
+                (value) => this.describeAggregation(value)
+            );
 
-            // Step 7: Store on blockchain
-            const blockchainResult = await blockchainService.storeVerification({
-                graphHash: sourceGraph.hash,
+            // The verdict is known before the graph and anchoring steps run
+            this.emitProgress(onProgress, "partial_verdict", {
                 verdict: aggregatedResult.verdict,
-                timestamp: Date.now(),
-                claim: claim,
-                accuracyScore: aggregatedResult.confidence || 0.5,
-                nodes: sourceGraph.nodes || [],
-                metadata: {
-                    source,
-                    agentCount: agentReports.length,
-                    evidenceCount: evidence.length,
-                },
+                accuracy_score: aggregatedResult.accuracy_score,
+                confidence: aggregatedResult.confidence,
+                consensus: aggregatedResult.agent_consensus,
             });
 
-            // Step 8: Update agent reputations based on consensus
-            await this.updateReputations(
-                agentReports,
-                aggregatedResult.verdict
+            // Step 8: Build source graph
+            const sourceGraph = await this.runStep(
+                onProgress,
+                "build_graph",
+                () => graphService.buildGraph(claim, evidence),
+                (value) => ({
+                    hash: value.hash,
+                    node_count: value.nodes.length,
+                    edge_count: value.edges.length,
+                })
             );
 
-            // Step 9: Compile final result
-            const result = {
-                verdict: aggregatedResult.verdict,
-                accuracy_score: aggregatedResult.accuracy_score,
-                confidence: aggregatedResult.confidence,
-                agent_reports: agentReports.map((r) => ({
-                    agent_name: r.agent_name,
-                    credibility_score: r.credibility_score,
-                    summary: r.summary,
-                    evidence_links: r.evidence_links || [],
-                    reasoning: r.detailed_reasoning,
-                })),
-                source_graph: {
-                    nodes: sourceGraph.nodes,
-                    edges: sourceGraph.edges,
-                    hash: sourceGraph.hash,
-                },
-                blockchain_hash: blockchainResult.transactionHash,
-                timestamp: new Date().toISOString(),
-                metadata: {
-                    claim,
-                    source,
-                    url: url || null,
-                    processing_time_ms: Date.now() - startTime,
-                    agents_used: agentsToRun,
-                    evidence_count: evidence.length,
-                    consensus: aggregatedResult.agent_consensus,
-                    remaining_uncertainties:
-                        aggregatedResult.remaining_uncertainties,
-                },
-            };
+            // Step 9: Store on blockchain
+            const blockchainResult = await this.runStep(
+                onProgress,
+                "anchor_blockchain",
+                () =>
+                    this.anchor(params, {
+                        graphHash: sourceGraph.hash,
+                        verdict: aggregatedResult.verdict,
+                        timestamp: Date.now(),
+                        claim: claim,
+                        accuracyScore: aggregatedResult.confidence || 0.5,
+                        nodes: sourceGraph.nodes || [],
+                        metadata: {
+                            source,
+                            agentCount: agentReports.length,
+                            evidenceCount: evidence.length,
+                        },
+                    }),
+                (value) => ({ transaction_hash: value.transactionHash })
+            );
+
+            // Step 10: Update agent reputations based on consensus
+            await this.runStep(onProgress, "update_reputations", async () => {
+                if (params.rerun) return;
+                await this.updateReputations(
+                    agentReports,
+                    aggregatedResult.verdict
+                );
+            });
+
+            // Step 11: Compile final result
+            const result = await this.runStep(
+                onProgress,
+                "compile_result",
+                async () => ({
+                    verdict: aggregatedResult.verdict,
+                    accuracy_score: aggregatedResult.accuracy_score,
+                    confidence: aggregatedResult.confidence,
+                    summary: aggregatedResult.summary,
+                    language: language.code,
+                    agent_reports: agentReports.map((r) =>
+                        this.formatAgentReport(r)
+                    ),
+                    source_graph: {
+                        nodes: sourceGraph.nodes,
+                        edges: sourceGraph.edges,
+                        hash: sourceGraph.hash,
+                        hash_version: sourceGraph.hashVersion,
+                    },
+                    blockchain_hash: blockchainResult.transactionHash,
+                    // Anchored later: pending for the next batch root,
+                    // queued in the outbox
+                    ...(blockchainResult.status && {
+                        blockchain_status: blockchainResult.status,
+                    }),
+                    timestamp: new Date().toISOString(),
+                    metadata: {
+                        claim,
+                        ...(englishClaim !== claim && {
+                            english_claim: englishClaim,
+                        }),
+                        source,
+                        url: url || null,
+                        processing_time_ms: Date.now() - startTime,
+                        agents_used: agentsToRun,
+                        evidence_count: evidence.length,
+                        evidence_stance: stanceSummary.counts,
+                        temporal,
+                        aggregation: aggregatedResult.aggregation,
+                        consensus: aggregatedResult.agent_consensus,
+                        remaining_uncertainties:
+                            aggregatedResult.remaining_uncertainties,
+                    },
+                })
+            );
 
             logger.info("Orchestrator: Verification complete", {
                 verdict: result.verdict,
@@ -263,36 +491,705 @@ class Orchestrator {
         }
     }
 
+    /**
+     * Run the multi-claim pipeline: every extracted claim gets its own
+     * evidence, agent reports and verdict, then the claim verdicts are
+     * rolled up into an article verdict.
+     * @param {Object} params - Same parameters as verify()
+     * @param {number} startTime - Pipeline start timestamp
+     * @returns {Promise<Object>} Verification result with a claims[] array
+     */
+    async verifyArticle(params, startTime) {
+        const {
+            url,
+            text,
+            source = "frontend",
+            agents: requestedAgents,
+            maxClaims,
+            onProgress,
+        } = params;
+        const agentsToRun = requestedAgents || this.defaultAgents;
+        const claimLimit = Math.min(maxClaims || MAX_CLAIMS, MAX_CLAIMS);
+
+        try {
+            // Step 1: Extract all claims (up to the limit), detect the
+            // article language and translate each claim to English
+            const { claims, article, language } = await this.runStep(
+                onProgress,
+                "extract_claim",
+                async () => {
+                    const extracted = await this.extractClaims(
+                        url,
+                        text,
+                        claimLimit
+                    );
+                    const detected = languageService.detect(
+                        extracted.claims.map((c) => c.claim).join("\n")
+                    );
+                    const translated = await Promise.all(
+                        extracted.claims.map(async (c) => ({
+                            ...c,
+                            englishClaim: await languageService.toEnglish(
+                                c.claim,
+                                detected
+                            ),
+                        }))
+                    );
+                    return {
+                        ...extracted,
+                        claims: translated,
+                        language: detected,
+                    };
+                },
+                (value) => ({
+                    claim_count: value.claims.length,
+                    language: value.language.code,
+                    claims: value.claims.map((c) => ({
+                        id: c.id,
+                        claim: c.claim,
+                    })),
+                })
+            );
+            logger.info("Orchestrator: Claims extracted", {
+                count: claims.length,
+                language: language.code,
+            });
+
+            // Step 2: Gather evidence per claim
+            const gatheredByClaim = await this.runStep(
+                onProgress,
+                "gather_evidence",
+                () =>
+                    Promise.all(
+                        claims.map((c) =>
+                            this.gatherEvidence(
+                                c.claim,
+                                url,
+                                article,
+                                c.englishClaim
+                            )
+                        )
+                    ),
+                (value) => ({
+                    evidence_count: value.reduce((n, e) => n + e.length, 0),
+                })
+            );
+
+            // Step 3: Label evidence stance towards each claim
+            const evidenceByClaim = await this.runStep(
+                onProgress,
+                "classify_stance",
+                () =>
+                    Promise.all(
+                        claims.map(async (c, i) => {
+                            const classified = await stanceService.classify(
+                                c.claim,
+                                gatheredByClaim[i],
+                                { language, englishClaim: c.englishClaim }
+                            );
+                            // The article graph merges evidence from all claims
+                            return classified.map((e) => ({
+                                ...e,
+                                stance: { ...e.stance, claimId: c.id },
+                            }));
+                        })
+                    ),
+                (value) => ({
+                    stance_counts: stanceService.summarize(value.flat())
+                        .counts,
+                })
+            );
+            const stanceByClaim = evidenceByClaim.map((e) =>
+                stanceService.summarize(e)
+            );
+
+            // Step 4: Check each claim for recycled old news
+            const temporalByClaim = await this.runStep(
+                onProgress,
+                "check_timeline",
+                async () =>
+                    claims.map((c, i) =>
+                        temporalService.analyze(c.claim, evidenceByClaim[i], {
+                            englishClaim: c.englishClaim,
+                        })
+                    ),
+                (value) => ({
+                    outdated_claim_ids: claims
+                        .filter((c, i) => value[i].status === "outdated")
+                        .map((c) => c.id),
+                })
+            );
+
+            // Step 5: Run agents per claim
+            const reportsByClaim = await this.runStep(
+                onProgress,
+                "run_agents",
+                () =>
+                    Promise.all(
+                        claims.map((c, i) =>
+                            this.runAgents(
+                                agentsToRun,
+                                c.claim,
+                                evidenceByClaim[i],
+                                this.scopeProgress(onProgress, {
+                                    claim_id: c.id,
+                                }),
+                                { language, englishClaim: c.englishClaim }
+                            )
+                        )
+                    ),
+                (value) => ({
+                    report_count: value.reduce((n, r) => n + r.length, 0),
+                })
+            );
+
+            // Step 6: Get agent reputations
+            const reputations = await this.runStep(
+                onProgress,
+                "agent_reputations",
+                () => this.getAgentReputations(agentsToRun)
+            );
+
+            // Step 7: Aggregate each claim, then roll up the article verdict
+            const { claimResults, rollup } = await this.runStep(
+                onProgress,
+                "aggregate",
+                async () => {
+                    const aggregated = await Promise.all(
+                        claims.map(async (c, i) => {
+                            const result = await this.aggregateReports(
+                                reportsByClaim[i],
+                                reputations,
+                                {
+                                    language,
+                                    stanceSummary: stanceByClaim[i],
+                                    temporal: temporalByClaim[i],
+                                    evidence: evidenceByClaim[i],
+                                }
+                            );
+                            const { englishClaim, ...claimFields } = c;
+                            const claimResult = {
+                                ...claimFields,
+                                ...(englishClaim !== c.claim && {
+                                    english_claim: englishClaim,
+                                }),
+                                verdict: this.normalizeVerdict(result.verdict),
+                                accuracy_score: result.accuracy_score,
+                                confidence: result.confidence,
+                                summary: result.summary,
+                                consensus: result.agent_consensus,
+                                evidence_count: evidenceByClaim[i].length,
+                                evidence_stance: stanceByClaim[i].counts,
+                                temporal: temporalByClaim[i],
+                                aggregation: result.aggregation,
+                            };
+                            this.emitProgress(onProgress, "claim_verdict", {
+                                claim_id: c.id,
+                                claim: c.claim,
+                                verdict: claimResult.verdict,
+                                accuracy_score: claimResult.accuracy_score,
+                                confidence: claimResult.confidence,
+                            });
+                            return claimResult;
+                        })
+                    );
+                    const summary = this.rollUpClaims(aggregated);
+                    return {
+                        claimResults: summary.claims,
+                        rollup: {
+                            ...summary,
+                            localizedSummary: await languageService.fromEnglish(
+                                summary.summary,
+                                language
+                            ),
+                        },
+                    };
+                },
+                (value) => ({
+                    verdict: value.rollup.verdict,
+                    driver_claim_ids: value.rollup.driver_claim_ids,
+                    deterministic_claim_ids: value.claimResults
+                        .filter((c) => c.aggregation.method === "deterministic")
+                        .map((c) => c.id),
+                    disagreement_claim_ids: value.claimResults
+                        .filter((c) => c.aggregation.disagreement?.flagged)
+                        .map((c) => c.id),
+                })
+            );
+
+            this.emitProgress(onProgress, "partial_verdict", {
+                verdict: rollup.verdict,
+                accuracy_score: rollup.accuracy_score,
+                confidence: rollup.confidence,
+                consensus: rollup.summary,
+            });
+
+            // Step 8: Build one source graph for the article from all evidence
+            const allEvidence = this.dedupeEvidence(evidenceByClaim.flat());
+            const articleClaim =
+                article?.title || claims.map((c) => c.claim).join(" ");
+            const sourceGraph = await this.runStep(
+                onProgress,
+                "build_graph",
+                () => graphService.buildGraph(articleClaim, allEvidence),
+                (value) => ({
+                    hash: value.hash,
+                    node_count: value.nodes.length,
+                    edge_count: value.edges.length,
+                })
+            );
+
+            // Step 9: Store the article verdict on blockchain
+            const agentReportCount = reportsByClaim.reduce(
+                (n, r) => n + r.length,
+                0
+            );
+            const blockchainResult = await this.runStep(
+                onProgress,
+                "anchor_blockchain",
+                () =>
+                    this.anchor(params, {
+                        graphHash: sourceGraph.hash,
+                        verdict: rollup.verdict,
+                        timestamp: Date.now(),
+                        claim: articleClaim,
+                        accuracyScore: rollup.confidence || 0.5,
+                        nodes: sourceGraph.nodes || [],
+                        metadata: {
+                            source,
+                            agentCount: agentReportCount,
+                            evidenceCount: allEvidence.length,
+                            claimCount: claims.length,
+                        },
+                    }),
+                (value) => ({ transaction_hash: value.transactionHash })
+            );
+
+            // Step 10: Agents are scored against each claim's own verdict
+            await this.runStep(onProgress, "update_reputations", async () => {
+                if (params.rerun) return;
+                for (let i = 0; i < claimResults.length; i++) {
+                    await this.updateReputations(
+                        reportsByClaim[i],
+                        claimResults[i].verdict
+                    );
+                }
+            });
+
+            // Step 11: Compile final result
+            const result = await this.runStep(
+                onProgress,
+                "compile_result",
+                async () => ({
+                    verdict: rollup.verdict,
+                    accuracy_score: rollup.accuracy_score,
+                    confidence: rollup.confidence,
+                    summary: rollup.localizedSummary,
+                    language: language.code,
+                    agent_reports: claimResults.flatMap((c, i) =>
+                        reportsByClaim[i].map((r) => ({
+                            ...this.formatAgentReport(r),
+                            claim_id: c.id,
+                        }))
+                    ),
+                    claims: claimResults.map((c, i) => ({
+                        ...c,
+                        evidence_links: evidenceByClaim[i].map((e) => e.url),
+                        agent_reports: reportsByClaim[i].map((r) =>
+                            this.formatAgentReport(r)
+                        ),
+                    })),
+                    source_graph: {
+                        nodes: sourceGraph.nodes,
+                        edges: sourceGraph.edges,
+                        hash: sourceGraph.hash,
+                        hash_version: sourceGraph.hashVersion,
+                    },
+                    blockchain_hash: blockchainResult.transactionHash,
+                    // Anchored later: pending for the next batch root,
+                    // queued in the outbox
+                    ...(blockchainResult.status && {
+                        blockchain_status: blockchainResult.status,
+                    }),
+                    timestamp: new Date().toISOString(),
+                    metadata: {
+                        claim: articleClaim,
+                        source,
+                        url: url || null,
+                        processing_time_ms: Date.now() - startTime,
+                        agents_used: agentsToRun,
+                        evidence_count: allEvidence.length,
+                        consensus: rollup.summary,
+                        remaining_uncertainties: [],
+                        temporal: this.rollUpTemporal(
+                            claimResults,
+                            temporalByClaim
+                        ),
+                        aggregation: {
+                            deterministic_claim_ids: claimResults
+                                .filter(
+                                    (c) =>
+                                        c.aggregation.method === "deterministic"
+                                )
+                                .map((c) => c.id),
+                            disagreement_claim_ids: claimResults
+                                .filter((c) => c.aggregation.disagreement?.flagged)
+                                .map((c) => c.id),
+                        },
+                        mode: "multi_claim",
+                        claim_rollup: {
+                            verdict_counts: rollup.verdict_counts,
+                            driver_claim_ids: rollup.driver_claim_ids,
+                            summary: rollup.summary,
+                        },
+                    },
+                })
+            );
+
+            logger.info("Orchestrator: Article verification complete", {
+                verdict: result.verdict,
+                claims: claims.length,
+                drivers: rollup.driver_claim_ids,
+                processingTime: result.metadata.processing_time_ms,
+            });
+
+            return result;
+        } catch (error) {
+            logger.error("Orchestrator: Article verification failed", {
+                error: error.message,
+                stack: error.stack,
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * Roll claim verdicts up into an article verdict
+     *
+     * The article is true/false only when every verifiable claim agrees;
+     * anything else is mixed. Claims that drove the verdict are the ones
+     * sharing it, or for a mixed article the false and mixed claims.
+     * Each claim's influence is its share of verifiability x confidence.
+     * @param {Array} claims - Claim results with verdict, accuracy_score, confidence, verifiability
+     * @returns {Object} Article verdict, scores, driver claim IDs and annotated claims
+     */
+    rollUpClaims(claims) {
+        const weights = claims.map(
+            (c) =>
+                (VERIFIABILITY_WEIGHTS[c.verifiability] ||
+                    VERIFIABILITY_WEIGHTS.medium) * (c.confidence ?? 0.5)
+        );
+        const totalWeight = weights.reduce((sum, w) => sum + w, 0) || 1;
+
+        const verdictCounts = { true: 0, false: 0, mixed: 0, unknown: 0 };
+        claims.forEach((c) => verdictCounts[c.verdict]++);
+
+        const known = claims.filter((c) => c.verdict !== "unknown");
+        let verdict = "mixed";
+        if (known.length === 0) verdict = "unknown";
+        else if (known.every((c) => c.verdict === "true")) verdict = "true";
+        else if (known.every((c) => c.verdict === "false")) verdict = "false";
+
+        const drove = (c) =>
+            verdict === "mixed"
+                ? c.verdict === "false" || c.verdict === "mixed"
+                : c.verdict === verdict;
+
+        const annotated = claims.map((c, i) => ({
+            ...c,
+            influence: Math.round((weights[i] / totalWeight) * 100) / 100,
+            drove_verdict: drove(c),
+        }));
+
+        // Scores are weighted averages over the claims that could be verified
+        const scored = annotated
+            .map((c, i) => ({ claim: c, weight: weights[i] }))
+            .filter(
+                ({ claim }) =>
+                    known.length === 0 || claim.verdict !== "unknown"
+            );
+        const scoredWeight = scored.reduce((sum, s) => sum + s.weight, 0) || 1;
+        const weighted = (field) =>
+            scored.reduce(
+                (sum, s) => sum + (Number(s.claim[field]) || 0) * s.weight,
+                0
+            ) / scoredWeight;
+
+        const drivers = annotated.filter((c) => c.drove_verdict);
+        const summaries = {
+            true: `All ${known.length} verifiable claims are supported`,
+            false: `All ${known.length} verifiable claims are false`,
+            mixed: `${drivers.length} of ${claims.length} claims are false or disputed`,
+            unknown: `None of the ${claims.length} claims could be verified`,
+        };
+
+        return {
+            verdict,
+            accuracy_score: Math.round(weighted("accuracy_score")),
+            confidence: Math.round(weighted("confidence") * 100) / 100,
+            verdict_counts: verdictCounts,
+            driver_claim_ids: drivers
+                .sort((a, b) => b.influence - a.influence)
+                .map((c) => c.id),
+            summary: summaries[verdict],
+            claims: annotated,
+        };
+    }
+
+    /**
+     * Aggregate agent reports with the LLM and audit the result with the
+     * deterministic aggregator. When the LLM call fails the deterministic
+     * result is used instead, so aggregation never fails a verification.
+     * @param {Array} agentReports - Agent reports
+     * @param {Object} reputations - Agent reputation scores
+     * @param {Object} context - { language, stanceSummary, temporal, evidence }
+     * @returns {Promise<Object>} Aggregated result with an `aggregation` audit block
+     */
+    async aggregateReports(agentReports, reputations, context) {
+        const { evidence, ...promptContext } = context;
+        const deterministic = verdictAggregator.aggregate(
+            agentReports,
+            reputations,
+            { evidence }
+        );
+        const audit = {
+            verdict: deterministic.verdict,
+            accuracy_score: deterministic.accuracy_score,
+            confidence: deterministic.confidence,
+            breakdown: deterministic.breakdown,
+        };
+
+        let llmResult;
+        try {
+            llmResult = await openaiService.orchestratorAggregate(
+                agentReports,
+                reputations,
+                promptContext
+            );
+        } catch (error) {
+            if (error instanceof CassetteMissError) throw error;
+            logger.warn(
+                "Orchestrator: LLM aggregation failed, using deterministic aggregation",
+                { error: error.message }
+            );
+            return {
+                ...deterministic,
+                summary: await languageService.fromEnglish(
+                    deterministic.summary,
+                    promptContext.language
+                ),
+                remaining_uncertainties: [
+                    "The LLM aggregator was unavailable; the verdict is a weighted vote of the agent reports",
+                ],
+                aggregation: {
+                    method: "deterministic",
+                    deterministic: audit,
+                    disagreement: null,
+                    llm_error: error.message,
+                },
+            };
+        }
+
+        const disagreement = verdictAggregator.compare(llmResult, deterministic);
+        if (disagreement.flagged) {
+            logger.warn("Orchestrator: LLM and deterministic aggregation disagree", {
+                reasons: disagreement.reasons,
+            });
+        }
+
+        return {
+            ...llmResult,
+            aggregation: {
+                method: "llm",
+                deterministic: audit,
+                disagreement,
+            },
+        };
+    }
+
+    /**
+     * Progress details for the aggregate step
+     */
+    describeAggregation(result) {
+        return {
+            verdict: result.verdict,
+            method: result.aggregation.method,
+            disagreement: !!result.aggregation.disagreement?.flagged,
+        };
+    }
+
+    /**
+     * Roll claim temporal checks up into an article finding: the article
+     * is outdated when any of its claims is
+     * @param {Array} claims - Claim results (for IDs)
+     * @param {Array} temporalByClaim - temporalService.analyze() result per claim
+     * @returns {Object} { status, explanation, outdated_claim_ids }
+     */
+    rollUpTemporal(claims, temporalByClaim) {
+        const outdated = claims.filter(
+            (c, i) => temporalByClaim[i].status === "outdated"
+        );
+        const first = temporalByClaim.find((t) => t.status === "outdated");
+
+        let status = "unknown";
+        if (outdated.length > 0) status = "outdated";
+        else if (temporalByClaim.some((t) => t.status === "consistent"))
+            status = "consistent";
+
+        return {
+            status,
+            explanation: first
+                ? first.explanation
+                : "No claim is old news presented as current.",
+            earliest_evidence: first ? first.earliest_evidence : null,
+            outdated_claim_ids: outdated.map((c) => c.id),
+        };
+    }
+
+    /**
+     * Normalize an LLM verdict string to one of the known verdicts
+     */
+    normalizeVerdict(verdict) {
+        const normalized = String(verdict || "").toLowerCase();
+        return VERDICTS.includes(normalized) ? normalized : "unknown";
+    }
+
+    /**
+     * Wrap a progress listener so every event carries extra fields
+     */
+    scopeProgress(onProgress, extra) {
+        if (typeof onProgress !== "function") return onProgress;
+        return (type, data) => onProgress(type, { ...data, ...extra });
+    }
+
+    /**
+     * Run a single pipeline step and report its start and finish
+     * @param {Function} onProgress - Progress listener (optional)
+     * @param {string} step - Step ID from PIPELINE_STEPS
+     * @param {Function} fn - Async step implementation
+     * @param {Function} describe - Maps the step output to event details (optional)
+     * @returns {Promise<*>} Step output
+     */
+    async runStep(onProgress, step, fn, describe) {
+        const index = PIPELINE_STEPS.findIndex((s) => s.id === step);
+        const stepInfo = {
+            step,
+            label: PIPELINE_STEPS[index]?.label || step,
+            index: index + 1,
+            total: PIPELINE_STEPS.length,
+        };
+        const started = Date.now();
+
+        this.emitProgress(onProgress, "step_started", stepInfo);
+        const value = await fn();
+        this.emitProgress(onProgress, "step_finished", {
+            ...stepInfo,
+            duration_ms: Date.now() - started,
+            ...(describe ? describe(value) : {}),
+        });
+
+        return value;
+    }
+
+    /**
+     * Notify a progress listener without letting it break the pipeline
+     */
+    emitProgress(onProgress, type, data) {
+        if (typeof onProgress !== "function") return;
+
+        try {
+            onProgress(type, data);
+        } catch (error) {
+            logger.warn("Orchestrator: Progress listener failed", {
+                type,
+                error: error.message,
+            });
+        }
+    }
+
+    /**
+     * Shape an agent report for API responses
+     */
+    formatAgentReport(report) {
+        return {
+            agent_name: report.agent_name,
+            credibility_score: report.credibility_score,
+            verdict: report.verdict,
+            confidence: report.confidence,
+            summary: report.summary,
+            evidence_links: report.evidence_links || [],
+            reasoning: report.detailed_reasoning,
+        };
+    }
+
     /**
      * Extract claim from URL or text
      */
     async extractClaim(url, text) {
+        const { claims } = await this.extractClaims(url, text);
+        return claims[0].claim;
+    }
+
+    /**
+     * Extract claims from URL or text
+     * Falls back to a single claim built from the text or article title
+     * when no claims can be extracted.
+     * @param {string} url - Article URL (optional)
+     * @param {string} text - Raw text (optional)
+     * @param {number} maxClaims - Maximum number of claims to return (default: 1)
+     * @returns {Promise<Object>} { claims: [{ id, claim, type, verifiability }], article }
+     */
+    async extractClaims(url, text, maxClaims = 1) {
+        const toClaims = (extracted, fallback) => {
+            const claims = extracted
+                .filter((c) => c && c.claim)
+                .slice(0, maxClaims)
+                .map((c) => ({
+                    claim: c.claim.trim(),
+                    type: c.type || null,
+                    verifiability: VERIFIABILITY_WEIGHTS[c.verifiability]
+                        ? c.verifiability
+                        : "medium",
+                }));
+            if (claims.length === 0) {
+                claims.push({
+                    claim: fallback,
+                    type: null,
+                    verifiability: "medium",
+                });
+            }
+            return claims.map((c, i) => ({ id: `claim_${i + 1}`, ...c }));
+        };
+
         if (text) {
             // If text is short, use it directly as the claim
             if (text.length < 500) {
-                return text.trim();
+                return { claims: toClaims([], text.trim()), article: null };
             }
             // Extract main claims from longer text
-            const claims = await openaiService.extractClaims(text);
-            if (claims.length > 0) {
-                return claims[0].claim;
-            }
-            return text.substring(0, 500).trim();
+            const extracted = await openaiService.extractClaims(text);
+            return {
+                claims: toClaims(extracted, text.substring(0, 500).trim()),
+                article: null,
+            };
         }
 
         if (url) {
             // Fetch article content
-            const article = await tavilyService.fetch(url);
+            const article = await searchService.fetch(url);
             if (article.content) {
-                const claims = await openaiService.extractClaims(
+                const extracted = await openaiService.extractClaims(
                     article.content
                 );
-                if (claims.length > 0) {
-                    return claims[0].claim;
-                }
-                return article.title || article.content.substring(0, 300);
+                return {
+                    claims: toClaims(
+                        extracted,
+                        article.title || article.content.substring(0, 300)
+                    ),
+                    article,
+                };
             }
-            return article.title;
+            return { claims: toClaims([], article.title), article };
         }
 
         throw new Error("Either URL or text must be provided");
@@ -300,32 +1197,47 @@ class Orchestrator {
 
     /**
      * Gather evidence from multiple sources
+     * @param {string} claim - Claim to search for
+     * @param {string} originalUrl - Article URL to include as evidence (optional)
+     * @param {Object} originalArticle - Already fetched article for originalUrl (optional)
+     * @param {string} englishClaim - English translation, searched as well when it differs (optional)
      */
-    async gatherEvidence(claim, originalUrl) {
-        const results = await tavilyService.searchClaim(claim, {
-            maxResults: 8,
-        });
+    async gatherEvidence(
+        claim,
+        originalUrl,
+        originalArticle = null,
+        englishClaim = null
+    ) {
+        const queries = [claim];
+        if (englishClaim && englishClaim !== claim) queries.push(englishClaim);
+
+        const searches = await Promise.all(
+            queries.map((query) =>
+                searchService.searchClaim(query, { maxResults: 8 })
+            )
+        );
 
         // Combine direct results and fact-check results
-        let allEvidence = [
+        let allEvidence = searches.flatMap((results) => [
             ...results.directResults,
             ...results.factCheckResults,
-        ];
+        ]);
 
         // If we have the original URL, fetch it too
         if (originalUrl) {
             try {
-                const originalArticle = await tavilyService.fetch(originalUrl);
+                const article =
+                    originalArticle || (await searchService.fetch(originalUrl));
                 allEvidence.unshift({
                     url: originalUrl,
-                    title: originalArticle.title,
-                    snippet: originalArticle.content?.substring(0, 500),
-                    publishDate: originalArticle.publishDate,
-                    domainReputationScore:
-                        originalArticle.domainReputationScore,
+                    title: article.title,
+                    snippet: article.content?.substring(0, 500),
+                    publishDate: article.publishDate,
+                    domainReputationScore: article.domainReputationScore,
                     isOriginal: true,
                 });
             } catch (error) {
+                if (error instanceof CassetteMissError) throw error;
                 logger.warn("Failed to fetch original URL", {
                     url: originalUrl,
                     error: error.message,
@@ -333,38 +1245,49 @@ class Orchestrator {
             }
         }
 
-        // Deduplicate by URL
+        return this.dedupeEvidence(allEvidence);
+    }
+
+    /**
+     * Deduplicate evidence by URL, keeping the first occurrence
+     */
+    dedupeEvidence(evidence) {
         const seen = new Set();
-        allEvidence = allEvidence.filter((e) => {
+        return evidence.filter((e) => {
             if (seen.has(e.url)) return false;
             seen.add(e.url);
             return true;
         });
-
-        return allEvidence;
     }
 
     /**
      * Run verification agents in parallel
+     * @param {string[]} agentNames - Agent IDs
+     * @param {string} claim - Claim in the user's language
+     * @param {Array} evidence - Evidence objects
+     * @param {Function} onProgress - Progress listener (optional)
+     * @param {Object} context - Claim language context: { language, englishClaim } (optional)
      */
-    async runAgents(agentNames, claim, evidence) {
+    async runAgents(agentNames, claim, evidence, onProgress, context = {}) {
         const tasks = agentNames.map((name) =>
             limit(async () => {
-                const agent = this.agents[name];
+                const agent = agentRegistry.getAgent(name);
                 if (!agent) {
                     logger.warn(`Unknown agent: ${name}`);
                     return null;
                 }
 
+                let report;
                 try {
-                    const report = await agent.verify(claim, evidence);
-                    return report;
+                    report = await agent.verify(claim, evidence, context);
                 } catch (error) {
+                    // A replay missing a recording must fail, not fall back
+                    if (error instanceof CassetteMissError) throw error;
                     logger.error(`Agent ${name} failed`, {
                         error: error.message,
                     });
-                    return {
-                        agent_name: name,
+                    report = {
+                        agent_name: agent.name,
                         credibility_score: 0,
                         confidence: 0,
                         verdict: "unknown",
@@ -372,6 +1295,16 @@ class Orchestrator {
                         error: true,
                     };
                 }
+
+                this.emitProgress(onProgress, "agent_report", {
+                    agent: name,
+                    verdict: report.verdict,
+                    confidence: report.confidence,
+                    failed: !!report.error,
+                    report: this.formatAgentReport(report),
+                });
+
+                return report;
             })
         );
 
@@ -382,18 +1315,50 @@ class Orchestrator {
     /**
      * Get current reputation scores for agents
      */
-    async getAgentReputations(agentNames) {
-        const reputations = {};
-        for (const name of agentNames) {
-            reputations[name] = await reputationSystem.getReputation(name);
+    async getAgentReputations(agentIds) {
+        // Reputations are tracked by agent name, which is what reports carry
+        const agentNames = agentIds
+            .map((id) => agentRegistry.getAgent(id)?.name)
+            .filter(Boolean);
+
+        // Reputations feed the aggregation prompt, so a replay needs the recorded values
+        return cassetteService.intercept(
+            "reputation",
+            { agents: agentNames },
+            async () => {
+                const reputations = {};
+                for (const name of agentNames) {
+                    reputations[name] =
+                        await reputationSystem.getReputation(name);
+                }
+                return reputations;
+            }
+        );
+    }
+
+    /**
+     * Anchor a verification on chain. A rerun is not anchored: its
+     * original's on-chain record is revised instead (recheckService).
+     * @param {Object} params - verify() parameters
+     * @param {Object} data - blockchainService.storeVerification() data
+     * @returns {Promise<Object>} Transaction result
+     */
+    async anchor(params, data) {
+        if (params.rerun) {
+            return { success: true, skipped: true, transactionHash: null };
         }
-        return reputations;
+        return blockchainService.storeVerification(data);
     }
 
     /**
-     * Update agent reputations based on consensus
+     * Update agent reputations based on consensus. These updates are
+     * down-weighted; ground truth (editor review, fact-checker ratings)
+     * scores agents later through services/groundTruthService.js.
      */
     async updateReputations(agentReports, finalVerdict) {
+        // A replay re-runs past verdicts and must not move live reputations
+        if (cassetteService.isReplaying()) return;
+
         for (const report of agentReports) {
             if (report.error) continue;
 
@@ -416,15 +1381,17 @@ class Orchestrator {
 
     /**
      * Get quick verification for extension (optimized response)
+     * @param {Object} params - verify() params; `agents` defaults to the
+     *   generic agent alone (see apiAccess.quickAgents for a key's plan)
      */
     async verifyQuick(params) {
         const { url, text } = params;
 
         try {
-            // Use only generic agent for speed
+            // One agent for speed
             const result = await this.verify({
                 ...params,
-                agents: ["generic"],
+                agents: params.agents?.length ? params.agents : ["generic"],
             });
 
             // Return compact response with source_graph
@@ -432,8 +1399,16 @@ class Orchestrator {
                 verdict: result.verdict,
                 accuracy_score: result.accuracy_score,
                 confidence: result.confidence,
-                summary: result.agent_reports[0]?.summary || "Unable to verify",
+                summary:
+                    result.summary ||
+                    result.agent_reports[0]?.summary ||
+                    "Unable to verify",
+                language: result.language,
+                // Kept so channels can store the full verification
+                agent_reports: result.agent_reports,
                 source_graph: result.source_graph,
+                blockchain_hash: result.blockchain_hash,
+                blockchain_status: result.blockchain_status,
                 metadata: result.metadata,
                 timestamp: result.timestamp,
             };
@@ -451,8 +1426,9 @@ class Orchestrator {
      */
     getStatus() {
         return {
-            availableAgents: Object.keys(this.agents),
+            availableAgents: agentRegistry.getAgentIds(),
             defaultAgents: this.defaultAgents,
+            pipelineSteps: PIPELINE_STEPS,
             status: "operational",
         };
     }
@@ -0,0 +1,70 @@
+/**
+ * Anchor Routes
+ *
+ * Batched on-chain anchoring (see services/anchorBatchService.js) and the
+ * outbox of single-transaction anchors (services/anchorOutboxService.js).
+ * Status is public; anchoring on demand and re-anchoring need the
+ * ADMIN_TOKEN bearer token. Per-verification anchors are served at
+ * GET /api/v1/verify/:hash/anchor.
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const anchorController = require('../controllers/anchorController');
+const { outboxRetryValidation, validateRequest } = require('../utils/validators');
+const { requireToken } = require('../utils/auth');
+
+// Anchoring on demand needs ADMIN_TOKEN
+const requireAdmin = requireToken('ADMIN_TOKEN', 'admin');
+
+/**
+ * GET /api/v1/anchors
+ * Anchoring mode, pending verifications and the last batches
+ *
+ * Response: { mode, interval_ms, max_size, pending, recent_batches: Batch[] }
+ */
+router.get(
+  '/',
+  anchorController.status.bind(anchorController)
+);
+
+/**
+ * POST /api/v1/anchors/flush
+ * Anchor pending verifications now (batch mode only)
+ *
+ * Response: { batches: [{ batch_id, status, root, size, transaction_hash, error }] }
+ */
+router.post(
+  '/flush',
+  requireAdmin,
+  anchorController.flush.bind(anchorController)
+);
+
+/**
+ * GET /api/v1/anchors/outbox
+ * Outbox entries per status and the latest failures
+ *
+ * Response: { active, confirmations, counts: { pending, submitted, confirmed, failed }, failed: Failure[] }
+ */
+router.get(
+  '/outbox',
+  anchorController.outboxStatus.bind(anchorController)
+);
+
+/**
+ * POST /api/v1/anchors/outbox/retry
+ * Re-anchor failed verifications, from the first attempt
+ *
+ * Request body: { graph_hashes?: string[] }  (default: every failed entry)
+ * Response: { queued }
+ */
+router.post(
+  '/outbox/retry',
+  requireAdmin,
+  outboxRetryValidation,
+  validateRequest,
+  anchorController.retryOutbox.bind(anchorController)
+);
+
+module.exports = router;
@@ -0,0 +1,127 @@
+/**
+ * API Key Routes
+ *
+ * API key issuance and revocation, plans and per-key usage (see
+ * services/apiKeyService.js). Every route needs the ADMIN_TOKEN bearer
+ * token and is closed while none is configured. Clients read their own
+ * usage at GET /api/v1/usage.
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const apiKeyController = require('../controllers/apiKeyController');
+const {
+  paginationValidation,
+  apiKeyCreateValidation,
+  apiKeyUpdateValidation,
+  apiKeyListValidation,
+  apiKeyIdValidation,
+  apiKeyRevokeValidation,
+  usageQueryValidation,
+  validateRequest
+} = require('../utils/validators');
+const { requireToken } = require('../utils/auth');
+
+router.use(requireToken('ADMIN_TOKEN', 'admin'));
+
+/**
+ * GET /api/v1/keys/plans
+ * Plans a key can be issued on, with their limits
+ *
+ * Response: { plans: [{ id, description, limits: { verificationsPerDay, requestsPerMinute, agents, deepMode } }] }
+ */
+router.get(
+  '/plans',
+  apiKeyController.listPlans.bind(apiKeyController)
+);
+
+/**
+ * GET /api/v1/keys
+ * List API keys, newest first
+ *
+ * Query: status, plan, page, limit
+ * Response: { items: ApiKey[], total, page, limit, pages }
+ */
+router.get(
+  '/',
+  apiKeyListValidation,
+  paginationValidation,
+  validateRequest,
+  apiKeyController.list.bind(apiKeyController)
+);
+
+/**
+ * POST /api/v1/keys
+ * Issue an API key
+ *
+ * Request body: { name, owner?, plan, limits?: { verificationsPerDay?, requestsPerMinute?, agents?, deepMode? } }
+ * Response (201): ApiKey with `key`, shown only this once
+ */
+router.post(
+  '/',
+  apiKeyCreateValidation,
+  validateRequest,
+  apiKeyController.issue.bind(apiKeyController)
+);
+
+/**
+ * GET /api/v1/keys/:id
+ * Get an API key with its limits and today's quota
+ *
+ * Response: ApiKey
+ */
+router.get(
+  '/:id',
+  apiKeyIdValidation,
+  validateRequest,
+  apiKeyController.get.bind(apiKeyController)
+);
+
+/**
+ * PATCH /api/v1/keys/:id
+ * Change an API key's name, owner, plan or limit overrides
+ * (a null limit falls back to the plan's)
+ *
+ * Request body: { name?, owner?, plan?, limits? }
+ * Response: ApiKey
+ */
+router.patch(
+  '/:id',
+  apiKeyIdValidation,
+  apiKeyUpdateValidation,
+  validateRequest,
+  apiKeyController.update.bind(apiKeyController)
+);
+
+/**
+ * POST /api/v1/keys/:id/revoke
+ * Revoke an API key; requests with it are refused from then on
+ *
+ * Request body: { reason? }
+ * Response: ApiKey
+ */
+router.post(
+  '/:id/revoke',
+  apiKeyIdValidation,
+  apiKeyRevokeValidation,
+  validateRequest,
+  apiKeyController.revoke.bind(apiKeyController)
+);
+
+/**
+ * GET /api/v1/keys/:id/usage
+ * Usage of an API key: totals, per day and per operation, with LLM tokens and cost
+ *
+ * Query: from?, to? (ISO 8601; default the last 30 days)
+ * Response: { key: ApiKey, from, to, total: Usage, by_day: Usage[], by_operation: Usage[] }
+ */
+router.get(
+  '/:id/usage',
+  apiKeyIdValidation,
+  usageQueryValidation,
+  validateRequest,
+  apiKeyController.getUsage.bind(apiKeyController)
+);
+
+module.exports = router;
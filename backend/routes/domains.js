@@ -0,0 +1,114 @@
+/**
+ * Domain Routes
+ *
+ * Domain reputation (see services/domainReputationService.js). Reading is
+ * public; changes need the ADMIN_TOKEN bearer token and are closed while
+ * none is configured. Entries with a path (thequint.com/news/webqoof) are
+ * addressed with the slash URL-encoded: thequint.com%2Fnews%2Fwebqoof.
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const domainController = require('../controllers/domainController');
+const {
+  domainParamValidation,
+  domainListValidation,
+  domainLookupValidation,
+  domainUpdateValidation,
+  paginationValidation,
+  validateRequest
+} = require('../utils/validators');
+const { requireToken } = require('../utils/auth');
+
+// Changes need ADMIN_TOKEN
+const requireAdmin = requireToken('ADMIN_TOKEN', 'admin');
+
+/**
+ * GET /api/v1/domains
+ * List domain entries (built-in and stored)
+ *
+ * Query: category, network, source, q, page, limit
+ * Response: { items: Domain[], total, page, limit, pages }
+ */
+router.get(
+  '/',
+  domainListValidation,
+  paginationValidation,
+  validateRequest,
+  domainController.list.bind(domainController)
+);
+
+/**
+ * GET /api/v1/domains/lookup
+ * Resolve the reputation of a URL or host, including inherited fields
+ *
+ * Query: url
+ * Response: { url, matched, score, base_score, scored_by, category, network, name, outcomes }
+ */
+router.get(
+  '/lookup',
+  domainLookupValidation,
+  validateRequest,
+  domainController.lookup.bind(domainController)
+);
+
+/**
+ * POST /api/v1/domains/import
+ * Import entries from CSV (domain, score, category, network, name, note)
+ *
+ * Request body: CSV as text/csv, or { csv, by? }
+ * Query: dry_run, by
+ * Response: { dry_run, created, updated, invalid, results: [{ line, domain, status, errors? }] }
+ */
+router.post(
+  '/import',
+  requireAdmin,
+  express.text({ type: 'text/csv', limit: '5mb' }),
+  domainController.import.bind(domainController)
+);
+
+/**
+ * GET /api/v1/domains/:domain
+ * Get a domain entry with its score history
+ *
+ * Response: Domain
+ */
+router.get(
+  '/:domain',
+  domainParamValidation,
+  validateRequest,
+  domainController.get.bind(domainController)
+);
+
+/**
+ * PUT /api/v1/domains/:domain
+ * Create or update a domain entry; fields left out are kept
+ *
+ * Request body: { score?, category?, network?, name?, note?, by? }
+ * Response (201 when created, else 200): Domain
+ */
+router.put(
+  '/:domain',
+  requireAdmin,
+  domainParamValidation,
+  domainUpdateValidation,
+  validateRequest,
+  domainController.upsert.bind(domainController)
+);
+
+/**
+ * DELETE /api/v1/domains/:domain
+ * Delete a stored entry; a built-in entry it overrode applies again
+ *
+ * Response: { deleted, restored, timestamp }
+ */
+router.delete(
+  '/:domain',
+  requireAdmin,
+  domainParamValidation,
+  validateRequest,
+  domainController.remove.bind(domainController)
+);
+
+module.exports = router;
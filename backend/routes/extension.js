@@ -7,25 +7,17 @@
  */
 
 const express = require('express');
-const rateLimit = require('express-rate-limit');
 const router = express.Router();
 
 const openaiService = require('../services/openaiService');
-const tavilyService = require('../services/tavilyService');
+const searchService = require('../services/searchService');
+const verificationStoreService = require('../services/verificationStoreService');
+const usageService = require('../services/usageService');
 const logger = require('../utils/logger');
+const { rateLimiter, meterVerification } = require('../utils/apiAccess');
 
-// Rate limiting for extension endpoint
-const extensionLimiter = rateLimit({
-  windowMs: 1 * 60 * 1000, // 1 minute
-  max: 30, // 30 requests per minute
-  message: {
-    error: 'Rate Limit Exceeded',
-    message: 'Too many requests from this extension. Please wait.',
-    timestamp: new Date().toISOString()
-  },
-  standardHeaders: true,
-  legacyHeaders: false
-});
+// Per API key, or per IP for requests without one
+const extensionLimiter = rateLimiter('extension');
 
 /**
  * GPT Prompt: Analyze DOM content
@@ -131,7 +123,7 @@ Output in this exact JSON format:
  * 
  * Response: Structured verification result
  */
-router.post('/analyze', extensionLimiter, async (req, res) => {
+router.post('/analyze', extensionLimiter, meterVerification('extension_analyze'), async (req, res) => {
   const startTime = Date.now();
   const { domContent, url, title, metadata } = req.body;
 
@@ -185,7 +177,7 @@ router.post('/analyze', extensionLimiter, async (req, res) => {
         temperature: 0.3,
         max_completion_tokens: 2500,
         response_format: { type: 'json_object' }
-      });
+      }, 'page_analysis');
 
       domAnalysis = JSON.parse(analysisResponse.choices[0].message.content);
       
@@ -239,7 +231,7 @@ router.post('/analyze', extensionLimiter, async (req, res) => {
       // Search for evidence for each claim
       const evidencePromises = claimsToVerify.map(async (claim) => {
         try {
-          const searchResults = await tavilyService.searchClaim(claim.claim, {
+          const searchResults = await searchService.searchClaim(claim.claim, {
             maxResults: 4
           });
           
@@ -306,7 +298,7 @@ router.post('/analyze', extensionLimiter, async (req, res) => {
         temperature: 0.2,
         max_completion_tokens: 3000,
         response_format: { type: 'json_object' }
-      });
+      }, 'page_verdict');
 
       finalVerdict = JSON.parse(verdictResponse.choices[0].message.content);
       
@@ -326,7 +318,20 @@ router.post('/analyze', extensionLimiter, async (req, res) => {
     }
 
     // STEP 4: Return structured response
+    // Built before responding so the response can name the graph hash the
+    // analysis is stored under, and with it the verification's receipt
+    const graph = await verificationStoreService.analysisGraph({
+      url,
+      title,
+      pageSummary: domAnalysis.summary,
+      evidence: allEvidence
+    }).catch(error => {
+      logger.warn('Page analysis graph failed', { error: error.message, url });
+      return null;
+    });
+
     const processingTime = Date.now() - startTime;
+    usageService.annotate({ graphHash: graph?.hash });
     
     const response = {
       // Main verdict
@@ -356,6 +361,8 @@ router.post('/analyze', extensionLimiter, async (req, res) => {
       claims_analyzed: claimsToVerify.length,
       evidence_sources: allEvidence.reduce((sum, e) => sum + e.evidence.length, 0),
       processing_time_ms: processingTime,
+      // Signed receipt (GET /api/v1/verify/:hash/receipt) once the analysis is stored
+      graph_hash: graph?.hash || null,
       timestamp: new Date().toISOString()
     };
 
@@ -367,6 +374,17 @@ router.post('/analyze', extensionLimiter, async (req, res) => {
     });
 
     res.json(response);
+
+    // Store after responding; the extension doesn't wait for the database
+    verificationStoreService.saveAnalysis(finalVerdict, {
+      url,
+      title,
+      pageSummary: domAnalysis.summary,
+      evidence: allEvidence,
+      graph,
+      processingTimeMs: processingTime,
+      requester: req.ip
+    });
   } catch (error) {
     logger.error('Extension analyze failed', {
       error: error.message,
@@ -403,7 +421,7 @@ router.get('/status', (req, res) => {
  * Request body: { text: string, url?: string }
  * Response: Quick verdict
  */
-router.post('/quick', extensionLimiter, async (req, res) => {
+router.post('/quick', extensionLimiter, meterVerification('extension_quick'), async (req, res) => {
   const startTime = Date.now();
   const { text, url } = req.body;
 
@@ -428,7 +446,7 @@ router.post('/quick', extensionLimiter, async (req, res) => {
       temperature: 0.3,
       max_completion_tokens: 500,
       response_format: { type: 'json_object' }
-    });
+    }, 'quick_check');
 
     const result = JSON.parse(quickResponse.choices[0].message.content);
 
@@ -0,0 +1,47 @@
+/**
+ * Integrity Routes
+ *
+ * Chain-to-database integrity audits (see services/integrityAuditService.js).
+ * The report is public; running an audit needs the ADMIN_TOKEN bearer
+ * token. One verification's status is served at
+ * GET /api/v1/verify/:hash/integrity.
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const integrityController = require('../controllers/integrityController');
+const { integrityAuditValidation, validateRequest } = require('../utils/validators');
+const { requireToken } = require('../utils/auth');
+
+// Audits read the chain for every verification; ADMIN_TOKEN
+const requireAdmin = requireToken('ADMIN_TOKEN', 'admin');
+
+/**
+ * GET /api/v1/integrity
+ * Verifications per integrity status and issue type, the latest mismatches
+ * and the last audit run
+ *
+ * Response: { total, counts: { ok, mismatch, unanchored, unverifiable, unchecked }, issues, mismatches: Mismatch[], last_run }
+ */
+router.get(
+  '/',
+  integrityController.report.bind(integrityController)
+);
+
+/**
+ * POST /api/v1/integrity/audit
+ * Audit verifications now: the ones given, or those checked longest ago
+ *
+ * Request body: { graph_hashes?: string[], limit?: number }
+ * Response: { checked, counts, chain: { readable, reason? }, mismatches: [{ hash, issues }] }
+ */
+router.post(
+  '/audit',
+  requireAdmin,
+  integrityAuditValidation,
+  validateRequest,
+  integrityController.audit.bind(integrityController)
+);
+
+module.exports = router;
@@ -0,0 +1,90 @@
+/**
+ * Network Routes
+ *
+ * Analytics over the global source network built from every saved
+ * verification (see services/sourceNetworkService.js). Verdict filters use
+ * each story's current verdict, including editor and fact-check labels.
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const networkController = require('../controllers/networkController');
+const {
+  domainParamValidation,
+  networkQueryValidation,
+  validateRequest
+} = require('../utils/validators');
+
+/**
+ * GET /api/v1/network/super-spreaders
+ * Domains ranked by stories they originated or amplified
+ *
+ * Query: verdict (count only stories with this verdict), min, limit
+ * Response: { verdict, items: [{ domain, spreads, originated, amplified, verifications, reach }] }
+ */
+router.get(
+  '/super-spreaders',
+  networkQueryValidation,
+  validateRequest,
+  networkController.superSpreaders.bind(networkController)
+);
+
+/**
+ * GET /api/v1/network/centrality
+ * Domains ranked by PageRank or weighted degree
+ *
+ * Query: metric (pagerank|degree), type (amplifies|contradicts), limit
+ * Response: { metric, type, domains, links, truncated, items: [{ domain, score, in_degree, out_degree }] }
+ */
+router.get(
+  '/centrality',
+  networkQueryValidation,
+  validateRequest,
+  networkController.centrality.bind(networkController)
+);
+
+/**
+ * GET /api/v1/network/origins
+ * How often domains originate stories, by verdict
+ *
+ * Query: verdict (sort by this verdict's count), min, limit
+ * Response: { verdict, items: [{ domain, originated, verdicts, share? }] }
+ */
+router.get(
+  '/origins',
+  networkQueryValidation,
+  validateRequest,
+  networkController.origins.bind(networkController)
+);
+
+/**
+ * GET /api/v1/network/amplifiers
+ * Domains that most often amplify stories judged false (or ?verdict=)
+ *
+ * Query: verdict (default false), min, limit
+ * Response: { verdict, items: [{ domain, amplified, matching, share, verdicts }] }
+ */
+router.get(
+  '/amplifiers',
+  networkQueryValidation,
+  validateRequest,
+  networkController.amplifiers.bind(networkController)
+);
+
+/**
+ * GET /api/v1/network/domains/:domain
+ * A domain's roles, verdict counts and strongest links
+ *
+ * Query: limit (links per direction)
+ * Response: { domain, roles, origin_verdicts, amplifier_verdicts, amplified_by, amplifies, contradicted_by, contradicts }
+ */
+router.get(
+  '/domains/:domain',
+  domainParamValidation,
+  networkQueryValidation,
+  validateRequest,
+  networkController.getDomain.bind(networkController)
+);
+
+module.exports = router;
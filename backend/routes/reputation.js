@@ -2,9 +2,13 @@ const express = require('express');
 const Reputation = require('../models/Reputation');
 const reputationSystem = require('../utils/reputationSystem');
 const logger = require('../utils/logger');
+const { rateLimiter } = require('../utils/apiAccess');
 
 const router = express.Router();
 
+// Per API key, or per IP for requests without one
+router.use(rateLimiter('reputation'));
+
 /**
  * Normalize a credibility score that might be 0-1 or 0-100 into 0-100.
  */
@@ -21,10 +25,15 @@ function normalizeCredScore(score) {
 function mapReputationToLeaderboardItem(rep, index = 0) {
   const total = rep.stats?.totalVerifications || 0;
   const correct = rep.stats?.correctPredictions || 0;
+  const labeled = correct + (rep.stats?.incorrectPredictions || 0);
+  const agreed = rep.stats?.agreementWithConsensus || 0;
   const avgCredRaw = rep.stats?.avgCredibilityScore ?? 50;
 
+  // Accuracy is against ground truth, agreement against the other agents
   const accuracy =
-    total > 0 ? Math.round((correct / total) * 100) : 0;
+    labeled > 0 ? Math.round((correct / labeled) * 100) : 0;
+  const agreement =
+    total > 0 ? Math.round((agreed / total) * 100) : 0;
 
   return {
     rank: index + 1,
@@ -32,6 +41,7 @@ function mapReputationToLeaderboardItem(rep, index = 0) {
     agentType: rep.agentType || 'generic',
     reputationScore: normalizeCredScore(rep.currentScore),
     accuracyRate: accuracy,
+    agreementRate: agreement,
     totalVerifications: total,
     avgCredibilityScore: normalizeCredScore(avgCredRaw),
   };
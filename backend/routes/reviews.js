@@ -0,0 +1,124 @@
+/**
+ * Review Routes
+ *
+ * Editor review of AI verdicts (see services/reviewService.js). Anyone can
+ * flag a verification; editor actions need an editor's own bearer token
+ * from REVIEW_TOKENS, and are recorded under that editor's name. They are
+ * closed while no tokens are configured.
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const reviewController = require('../controllers/reviewController');
+const {
+  graphHashValidation,
+  paginationValidation,
+  reviewQueueValidation,
+  reviewFlagValidation,
+  reviewActionValidation,
+  reviewOverrideValidation,
+  validateRequest
+} = require('../utils/validators');
+const { requireNamedToken } = require('../utils/auth');
+const { rateLimiter } = require('../utils/apiAccess');
+
+// Editor actions need an editor token; req.principal is the editor
+const requireEditor = requireNamedToken('REVIEW_TOKENS', 'editor');
+
+/**
+ * GET /api/v1/reviews
+ * List the review queue (queued and in review by default)
+ *
+ * Query: status, reason, assignee, page, limit
+ * Response: { items: Review[], total, page, limit, pages }
+ */
+router.get(
+  '/',
+  requireEditor,
+  reviewQueueValidation,
+  paginationValidation,
+  validateRequest,
+  reviewController.list.bind(reviewController)
+);
+
+/**
+ * GET /api/v1/reviews/:hash
+ * Get a verification's AI and editor verdicts, review state and audit log
+ *
+ * Response: Review
+ */
+router.get(
+  '/:hash',
+  requireEditor,
+  graphHashValidation,
+  validateRequest,
+  reviewController.get.bind(reviewController)
+);
+
+/**
+ * POST /api/v1/reviews/:hash/flag
+ * Flag a verification for editor review (public, rate limited)
+ *
+ * Request body: { reason, note?, source? }
+ * Response (201): { hash, review: { status } }
+ */
+router.post(
+  '/:hash/flag',
+  rateLimiter('reviews'),
+  graphHashValidation,
+  reviewFlagValidation,
+  validateRequest,
+  reviewController.flag.bind(reviewController)
+);
+
+/**
+ * POST /api/v1/reviews/:hash/assign
+ * Assign a verification to a reviewer
+ *
+ * Request body: { assignee? } (defaults to the calling editor)
+ * Response: Review
+ */
+router.post(
+  '/:hash/assign',
+  requireEditor,
+  graphHashValidation,
+  reviewActionValidation,
+  validateRequest,
+  reviewController.assign.bind(reviewController)
+);
+
+/**
+ * POST /api/v1/reviews/:hash/approve
+ * Approve the AI verdict
+ *
+ * Request body: { rationale? }
+ * Response: Review
+ */
+router.post(
+  '/:hash/approve',
+  requireEditor,
+  graphHashValidation,
+  reviewActionValidation,
+  validateRequest,
+  reviewController.approve.bind(reviewController)
+);
+
+/**
+ * POST /api/v1/reviews/:hash/override
+ * Replace the AI verdict with an editor verdict
+ *
+ * Request body: { verdict, accuracy_score?, rationale }
+ * Response: Review
+ */
+router.post(
+  '/:hash/override',
+  requireEditor,
+  graphHashValidation,
+  reviewActionValidation,
+  reviewOverrideValidation,
+  validateRequest,
+  reviewController.override.bind(reviewController)
+);
+
+module.exports = router;
@@ -0,0 +1,31 @@
+/**
+ * Usage Routes
+ *
+ * A client's own plan, quota and metered usage, for the API key in the
+ * X-Api-Key header. Admins read any key's at GET /api/v1/keys/:id/usage.
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const apiKeyController = require('../controllers/apiKeyController');
+const { usageQueryValidation, validateRequest } = require('../utils/validators');
+const { requireApiKey } = require('../utils/apiAccess');
+
+/**
+ * GET /api/v1/usage
+ * Usage of the calling API key: totals, per day and per operation, with LLM tokens and cost
+ *
+ * Headers: X-Api-Key
+ * Query: from?, to? (ISO 8601; default the last 30 days)
+ * Response: { key: ApiKey, from, to, total: Usage, by_day: Usage[], by_operation: Usage[] }
+ */
+router.get(
+  '/',
+  requireApiKey,
+  usageQueryValidation,
+  validateRequest,
+  apiKeyController.getOwnUsage.bind(apiKeyController)
+);
+
+module.exports = router;
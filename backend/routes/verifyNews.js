@@ -5,36 +5,37 @@
  */
 
 const express = require('express');
-const rateLimit = require('express-rate-limit');
 const router = express.Router();
 
 const verifyController = require('../controllers/verifyController');
+const jobController = require('../controllers/jobController');
+const anchorController = require('../controllers/anchorController');
+const integrityController = require('../controllers/integrityController');
+const receiptController = require('../controllers/receiptController');
 const {
   verifyRequestValidation,
   graphHashValidation,
+  jobIdValidation,
   paginationValidation,
-  validateRequest,
-  rateLimitConfig
+  graphExportValidation,
+  inclusionProofValidation,
+  receiptValidation,
+  validateRequest
 } = require('../utils/validators');
+const { rateLimiter, meterVerification } = require('../utils/apiAccess');
 
-// Rate limiting for verification endpoint
-const verifyLimiter = rateLimit({
-  windowMs: rateLimitConfig.verify.windowMs,
-  max: rateLimitConfig.verify.max,
-  message: {
-    error: 'Rate Limit Exceeded',
-    message: rateLimitConfig.verify.message,
-    timestamp: new Date().toISOString()
-  },
-  standardHeaders: true,
-  legacyHeaders: false
-});
+// Per API key, or per IP for requests without one
+const verifyLimiter = rateLimiter('verify');
+const integrityLimiter = rateLimiter('integrity');
+const exportLimiter = rateLimiter('export');
+const receiptLimiter = rateLimiter('receipts');
 
 /**
  * POST /api/v1/verify
- * Main verification endpoint
+ * Main verification endpoint (counts against the API key's daily quota)
  * 
- * Request body: { url?: string, text?: string, source?: string }
+ * Request body: { url?: string, text?: string, source?: string, multiClaim?: boolean,
+ *                 maxClaims?: number, agents?: string[] }
  * Response: VerificationResult
  */
 router.post(
@@ -42,9 +43,56 @@ router.post(
   verifyLimiter,
   verifyRequestValidation,
   validateRequest,
+  meterVerification('verify'),
   verifyController.verify.bind(verifyController)
 );
 
+/**
+ * POST /api/v1/verify/jobs
+ * Start an asynchronous verification job (counts against the API key's daily quota)
+ * 
+ * Request body: { url?: string, text?: string, source?: string, multiClaim?: boolean,
+ *                 maxClaims?: number, agents?: string[] }
+ * Response (202): { job_id, status, status_url, events_url }
+ */
+router.post(
+  '/jobs',
+  verifyLimiter,
+  verifyRequestValidation,
+  validateRequest,
+  meterVerification('verify_job'),
+  jobController.create.bind(jobController)
+);
+
+/**
+ * GET /api/v1/verify/jobs/:jobId
+ * Poll a verification job (404 unless requested with the API key that
+ * started it, or without a key for a job started without one)
+ * 
+ * Query params: { events?: 'true' }
+ * Response: { job_id, status, current_step, completed_steps, result, error }
+ */
+router.get(
+  '/jobs/:jobId',
+  jobIdValidation,
+  validateRequest,
+  jobController.get.bind(jobController)
+);
+
+/**
+ * GET /api/v1/verify/jobs/:jobId/events
+ * Stream verification job progress (Server-Sent Events; same access as
+ * polling the job)
+ * 
+ * Events: job_status, step_started, step_finished, agent_report, partial_verdict
+ */
+router.get(
+  '/jobs/:jobId/events',
+  jobIdValidation,
+  validateRequest,
+  jobController.stream.bind(jobController)
+);
+
 /**
  * GET /api/v1/verify/recent
  * Get recent verifications
@@ -70,6 +118,23 @@ router.get(
   verifyController.getStats.bind(verifyController)
 );
 
+/**
+ * GET /api/v1/verify/export
+ * Export every verification saved in a date range as one graph
+ * (node and edge ids are prefixed with their verification's hash)
+ * 
+ * Query params: { from: ISO date, to?: ISO date, format?: graphml|gexf|dot|jsonld|csv,
+ *                 table?: nodes|edges (csv), include_revisions?: boolean }
+ * Response: graph file (attachment, streamed), X-Graph-Count header
+ */
+router.get(
+  '/export',
+  exportLimiter,
+  graphExportValidation,
+  validateRequest,
+  verifyController.exportRange.bind(verifyController)
+);
+
 /**
  * GET /api/v1/verify/:hash
  * Get verification by graph hash
@@ -83,5 +148,131 @@ router.get(
   verifyController.getByHash.bind(verifyController)
 );
 
+/**
+ * GET /api/v1/verify/:hash/history
+ * Verdict history of a story (original verification and scheduled reruns)
+ * 
+ * Response: { hash, claim, current: Revision, revisions: Revision[], recheck }
+ */
+router.get(
+  '/:hash/history',
+  graphHashValidation,
+  validateRequest,
+  verifyController.getHistory.bind(verifyController)
+);
+
+/**
+ * GET /api/v1/verify/:hash/proof
+ * Merkle inclusion proof for one node or edge (hash version 2 graphs)
+ * 
+ * Query params: { node?: string, edge?: string } (exactly one)
+ * Response: { hash, hash_version, leaf, leaf_hash, index, leaf_count, proof: [{ position, hash }], root }
+ */
+router.get(
+  '/:hash/proof',
+  graphHashValidation,
+  inclusionProofValidation,
+  validateRequest,
+  verifyController.getProof.bind(verifyController)
+);
+
+/**
+ * GET /api/v1/verify/:hash/anchor
+ * How the graph hash was anchored on chain; in batch mode, the batch
+ * root and the hash's inclusion proof, checked against the chain
+ * 
+ * Response: { hash, mode, status, transaction_hash, batch?: { id, root, size, index, leaf_hash, proof }, verified? }
+ */
+router.get(
+  '/:hash/anchor',
+  graphHashValidation,
+  validateRequest,
+  anchorController.getAnchor.bind(anchorController)
+);
+
+/**
+ * GET /api/v1/verify/:hash/integrity
+ * Audit the stored verification against its anchor now: the graph hash
+ * recomputed from the stored graph, and the verdict, claim and nodes (or
+ * batch root) read back from the chain. Rate limited, as every audit
+ * reads the chain.
+ * 
+ * Response: { hash, status, anchor, issues: [{ type, expected, actual }], contract_address, checked_at, chain: { readable, reason? } }
+ */
+router.get(
+  '/:hash/integrity',
+  integrityLimiter,
+  graphHashValidation,
+  validateRequest,
+  integrityController.getIntegrity.bind(integrityController)
+);
+
+/**
+ * GET /api/v1/verify/:hash/receipt
+ * Signed receipt of a verification: claim, verdict in effect, score,
+ * graph hash, verification time and anchor, signed with the server's
+ * Ed25519 key (public keys at /.well-known/satyatrail-keys.json). Rate
+ * limited, as every receipt is signed and QR codes are rendered here.
+ * 
+ * Query params: { format?: json|svg|png (default json; svg and png are QR codes of the JSON), download?: boolean }
+ * Response: { version, issuer, claim, verdict, verdict_source, accuracy_score, graph_hash, hash_version,
+ *             source_count, verified_at, anchor, issued_at, key_id, signature }
+ */
+router.get(
+  '/:hash/receipt',
+  receiptLimiter,
+  graphHashValidation,
+  receiptValidation,
+  validateRequest,
+  receiptController.getReceipt.bind(receiptController)
+);
+
+/**
+ * GET /api/v1/verify/:hash/graph
+ * Export a verification's source graph with roles, relationships,
+ * domain reputation and timestamps
+ * 
+ * Query params: { format?: graphml|gexf|dot|jsonld|csv (default graphml), table?: nodes|edges (csv) }
+ * Response: graph file (attachment)
+ */
+router.get(
+  '/:hash/graph',
+  exportLimiter,
+  graphHashValidation,
+  graphExportValidation,
+  validateRequest,
+  verifyController.exportGraph.bind(verifyController)
+);
+
+/**
+ * POST /api/v1/verify/:hash/recheck
+ * Schedule a story for re-verification (restarts the backoff schedule;
+ * counts against the API key's daily quota)
+ * 
+ * Response (202): { hash, recheck }
+ */
+router.post(
+  '/:hash/recheck',
+  verifyLimiter,
+  graphHashValidation,
+  validateRequest,
+  meterVerification('recheck'),
+  verifyController.scheduleRecheck.bind(verifyController)
+);
+
+/**
+ * DELETE /api/v1/verify/:hash/recheck
+ * Stop re-verifying a story
+ * 
+ * Response: { hash, recheck }
+ */
+router.delete(
+  '/:hash/recheck',
+  verifyLimiter,
+  graphHashValidation,
+  validateRequest,
+  verifyController.cancelRecheck.bind(verifyController)
+);
+
 module.exports = router;
 
@@ -0,0 +1,96 @@
+/**
+ * Watch Routes
+ *
+ * Topic and claim watchlists with push alerts (see
+ * services/watchService.js). Bot users manage their own watches with
+ * /watch, /unwatch and /watches. This API needs an API key, and each key
+ * sees only its own watches; a watch's recipient confirms it through the
+ * link sent to them before any alert goes out.
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const watchController = require('../controllers/watchController');
+const {
+  paginationValidation,
+  watchCreateValidation,
+  watchListValidation,
+  watchIdValidation,
+  watchConfirmValidation,
+  validateRequest
+} = require('../utils/validators');
+const { rateLimiter, requireApiKey } = require('../utils/apiAccess');
+
+/**
+ * GET /api/v1/watches/confirm/:token
+ * Confirm a watch (the link sent to its recipient; no API key)
+ *
+ * Response: { confirmed, message, timestamp }
+ */
+router.get(
+  '/confirm/:token',
+  watchConfirmValidation,
+  validateRequest,
+  watchController.confirm.bind(watchController)
+);
+
+router.use(rateLimiter('watches'), requireApiKey);
+
+/**
+ * GET /api/v1/watches
+ * List the caller's watches, newest first
+ *
+ * Query: channel, recipient, type, active, page, limit
+ * Response: { items: Watch[], total, page, limit, pages }
+ */
+router.get(
+  '/',
+  watchListValidation,
+  paginationValidation,
+  validateRequest,
+  watchController.list.bind(watchController)
+);
+
+/**
+ * POST /api/v1/watches
+ * Watch a topic or a verified claim; alerts start once the recipient
+ * confirms through the link sent to them
+ *
+ * Request body: { channel, recipient, topic? | claim_hash?, language? }
+ * Response (201, or 200 when the watch already exists): Watch
+ */
+router.post(
+  '/',
+  watchCreateValidation,
+  validateRequest,
+  watchController.create.bind(watchController)
+);
+
+/**
+ * GET /api/v1/watches/:id
+ * Get a watch with its delivery status
+ *
+ * Response: Watch
+ */
+router.get(
+  '/:id',
+  watchIdValidation,
+  validateRequest,
+  watchController.get.bind(watchController)
+);
+
+/**
+ * DELETE /api/v1/watches/:id
+ * Stop a watch
+ *
+ * Response: { deleted, timestamp }
+ */
+router.delete(
+  '/:id',
+  watchIdValidation,
+  validateRequest,
+  watchController.remove.bind(watchController)
+);
+
+module.exports = router;
@@ -0,0 +1,49 @@
+/**
+ * Anchor Batch
+ *
+ * Anchors verifications waiting for a batch (BLOCKCHAIN_ANCHOR_MODE=batch)
+ * now, instead of waiting for the server's interval. Useful from cron when
+ * the scheduler is not running.
+ * Run with: node scripts/anchor-batch.js
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+
+const anchorBatchService = require('../services/anchorBatchService');
+
+async function anchorBatch() {
+  try {
+    if (!process.env.DATABASE_URL) {
+      throw new Error('DATABASE_URL environment variable is required');
+    }
+
+    await mongoose.connect(process.env.DATABASE_URL, {
+      maxPoolSize: 10,
+      serverSelectionTimeoutMS: 5000
+    });
+    console.log('✅ Connected to MongoDB\n');
+
+    const batches = await anchorBatchService.tick();
+
+    if (batches.length === 0) {
+      console.log('Nothing pending');
+    }
+    for (const batch of batches) {
+      if (batch.status === 'anchored') {
+        console.log(`⛓️  Anchored ${batch.size} verifications (root ${batch.root}, tx ${batch.transactionHash})`);
+      } else {
+        console.log(`❌ Batch of ${batch.size} failed: ${batch.error}`);
+      }
+    }
+
+    await mongoose.connection.close();
+    process.exit(batches.some(b => b.status === 'failed') ? 1 : 0);
+  } catch (error) {
+    console.error('❌ Anchoring failed:', error.message);
+    await mongoose.connection.close();
+    process.exit(1);
+  }
+}
+
+anchorBatch();
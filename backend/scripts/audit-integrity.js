@@ -0,0 +1,69 @@
+/**
+ * Audit Integrity
+ *
+ * Checks stored verifications against what was anchored (see
+ * services/integrityAuditService.js) and stores each one's integrity
+ * status. Exits with 1 when a mismatch is found, so cron can alert on it.
+ * Run with: node scripts/audit-integrity.js [--limit=<n>] [--hash=<graph_hash>]
+ *
+ * Options:
+ *   --limit=<n>     Verifications to audit, those checked longest ago first
+ *                   (default: INTEGRITY_AUDIT_BATCH or 200)
+ *   --hash=<hash>   Audit this verification only (repeatable)
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+
+const integrityAuditService = require('../services/integrityAuditService');
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+const limitArg = args.find(arg => arg.startsWith('--limit='));
+const limit = limitArg ? parseInt(limitArg.split('=')[1], 10) : undefined;
+const hashes = args.filter(arg => arg.startsWith('--hash=')).map(arg => arg.split('=')[1]);
+
+async function auditIntegrity() {
+  try {
+    if (!process.env.DATABASE_URL) {
+      throw new Error('DATABASE_URL environment variable is required');
+    }
+    if (limit !== undefined && (!Number.isInteger(limit) || limit < 1)) {
+      throw new Error('--limit must be a positive integer');
+    }
+
+    await mongoose.connect(process.env.DATABASE_URL, {
+      maxPoolSize: 10,
+      serverSelectionTimeoutMS: 5000
+    });
+    console.log('✅ Connected to MongoDB\n');
+
+    const run = await integrityAuditService.audit({
+      ...(hashes.length > 0 && { hashes }),
+      ...(limit && { limit })
+    });
+
+    if (!run.chain.readable) {
+      console.log(`⚠️  Chain not read (${run.chain.reason}); only graph hashes and batch proofs were checked\n`);
+    }
+
+    for (const { hash, issues } of run.mismatches) {
+      console.log(`❌ ${hash}`);
+      for (const issue of issues) {
+        console.log(`   ${issue.type}: expected ${issue.expected ?? '-'}, found ${issue.actual ?? '-'}`);
+      }
+    }
+
+    const { ok, mismatch, unanchored, unverifiable } = run.counts;
+    console.log(`\n🔍 Audited ${run.checked} verifications: ${ok} ok, ${mismatch} mismatched, ${unanchored} not anchored, ${unverifiable} unverifiable`);
+
+    await mongoose.connection.close();
+    process.exit(mismatch > 0 ? 1 : 0);
+  } catch (error) {
+    console.error('❌ Audit failed:', error.message);
+    await mongoose.connection.close();
+    process.exit(1);
+  }
+}
+
+auditIntegrity();
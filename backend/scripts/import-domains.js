@@ -0,0 +1,79 @@
+/**
+ * Import Domain Reputations
+ *
+ * Loads domain scores, categories and ownership networks from a CSV file
+ * into the Domain collection, where they override the built-in list
+ * (see services/domainReputationService.js).
+ * Run with: node scripts/import-domains.js <domains.csv>
+ *
+ * The file has a header row; score, category, network, name and note are
+ * optional, but each row must set at least one of the first four:
+ *   domain,score,category,network,name,note
+ *   altnews.in,92,fact_checker,Pravda Media Foundation,Alt News,IFCN 2025
+ *   example-satire.in,5,satire,,,Reader reports
+ *
+ * Options:
+ *   --dry-run  Validate the rows without writing
+ *   --by=NAME  Record who made the import in each entry's provenance
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const mongoose = require('mongoose');
+
+const domainReputationService = require('../services/domainReputationService');
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
+const byArg = args.find(arg => arg.startsWith('--by='));
+const by = byArg ? byArg.split('=')[1] : 'import-domains';
+const file = args.find(arg => !arg.startsWith('--'));
+
+async function importDomains() {
+  try {
+    if (!file) {
+      throw new Error('Usage: node scripts/import-domains.js <domains.csv> [--dry-run] [--by=NAME]');
+    }
+
+    const csv = fs.readFileSync(file, 'utf8');
+
+    if (!dryRun) {
+      if (!process.env.DATABASE_URL) {
+        throw new Error('DATABASE_URL environment variable is required');
+      }
+
+      await mongoose.connect(process.env.DATABASE_URL, {
+        maxPoolSize: 10,
+        serverSelectionTimeoutMS: 5000
+      });
+      console.log('✅ Connected to MongoDB\n');
+
+      await domainReputationService.refresh();
+    }
+
+    const results = await domainReputationService.importCsv(csv, { by, dryRun });
+    console.log(`📥 ${results.length} domain rows in ${file}\n`);
+
+    for (const result of results) {
+      if (result.status === 'invalid') {
+        const reasons = result.errors.map(e => e.message).join('; ');
+        console.log(`   ⏭️  line ${result.line}${result.domain ? ` ${result.domain}` : ''}: ${reasons}`);
+      } else {
+        console.log(`   ✅ line ${result.line} ${result.domain}: ${result.status.replace('_', ' ')}`);
+      }
+    }
+
+    const valid = results.filter(r => r.status !== 'invalid').length;
+    console.log(`\n✨ ${dryRun ? 'Validated' : 'Imported'} ${valid} of ${results.length} rows`);
+
+    await mongoose.connection.close();
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Import failed:', error.message);
+    await mongoose.connection.close();
+    process.exit(1);
+  }
+}
+
+importDomains();
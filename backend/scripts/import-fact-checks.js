@@ -0,0 +1,83 @@
+/**
+ * Import Fact-Check Ratings
+ *
+ * Loads fact-checker ratings as ground truth for past verifications and
+ * scores the agents that ran on them (see services/groundTruthService.js).
+ * Run with: node scripts/import-fact-checks.js <ratings.json>
+ *
+ * The file holds an array of ratings, each matched by graph hash or by
+ * exact claim text:
+ *   [
+ *     { "hash": "3f9a...", "rating": "False", "publisher": "BOOM", "url": "https://..." },
+ *     { "claim": "RBI is withdrawing 500 rupee notes", "rating": "Misleading", "publisher": "Alt News" }
+ *   ]
+ *
+ * Options:
+ *   --dry-run  Show how each rating maps to a verdict without writing
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const mongoose = require('mongoose');
+
+const groundTruthService = require('../services/groundTruthService');
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
+const file = args.find(arg => !arg.startsWith('--'));
+
+async function importFactChecks() {
+  try {
+    if (!file) {
+      throw new Error('Usage: node scripts/import-fact-checks.js <ratings.json> [--dry-run]');
+    }
+
+    const ratings = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!Array.isArray(ratings)) {
+      throw new Error('Ratings file must contain a JSON array');
+    }
+
+    console.log(`📥 ${ratings.length} fact-check ratings in ${file}\n`);
+
+    if (dryRun) {
+      for (const [index, entry] of ratings.entries()) {
+        const verdict = entry.verdict || groundTruthService.ratingToVerdict(entry.rating);
+        console.log(`   #${index} ${entry.hash || entry.claim}: "${entry.rating}" → ${verdict || 'unrecognized'}`);
+      }
+      process.exit(0);
+    }
+
+    if (!process.env.DATABASE_URL) {
+      throw new Error('DATABASE_URL environment variable is required');
+    }
+
+    await mongoose.connect(process.env.DATABASE_URL, {
+      maxPoolSize: 10,
+      serverSelectionTimeoutMS: 5000
+    });
+    console.log('✅ Connected to MongoDB\n');
+
+    const results = await groundTruthService.importFactChecks(ratings);
+
+    for (const result of results) {
+      if (result.status === 'applied') {
+        console.log(`   ✅ #${result.index} ${result.hash}: ${result.verdict} (${result.scored} agents scored)`);
+      } else {
+        console.log(`   ⏭️  #${result.index}${result.hash ? ` ${result.hash}` : ''}: ${result.reason}`);
+      }
+    }
+
+    const applied = results.filter(r => r.status === 'applied').length;
+    console.log(`\n✨ Applied ${applied} of ${results.length} ratings`);
+
+    await mongoose.connection.close();
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Import failed:', error.message);
+    await mongoose.connection.close();
+    process.exit(1);
+  }
+}
+
+importFactChecks();
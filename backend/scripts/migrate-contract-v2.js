@@ -0,0 +1,84 @@
+#!/usr/bin/env node
+
+/**
+ * Migrate Contract V2 Script
+ *
+ * Copies every graph from the v1 SatyaTrail contract into SatyaTrailV2,
+ * keeping each graph's original timestamp and submitter. Graphs already
+ * in v2 are skipped, so an interrupted run can simply be started again.
+ *
+ * Usage:
+ *   node scripts/migrate-contract-v2.js [--offset=<n>] [--close]
+ *
+ * Options:
+ *   --offset=<n>  Legacy graph index to start at (default: 0)
+ *   --close       Close the migration afterwards; v2 then refuses imports
+ *
+ * Environment Variables Required:
+ *   BLOCKCHAIN_RPC_URL                  - RPC endpoint URL
+ *   BLOCKCHAIN_PRIVATE_KEY              - Key holding the v2 admin role
+ *   BLOCKCHAIN_CONTRACT_ADDRESS         - SatyaTrailV2 address
+ *   BLOCKCHAIN_CONTRACT_VERSION=2
+ *   BLOCKCHAIN_LEGACY_CONTRACT_ADDRESS  - v1 SatyaTrail address
+ */
+
+require("dotenv").config();
+
+const blockchainService = require("../services/blockchainService");
+
+async function main() {
+    const args = process.argv.slice(2);
+    const close = args.includes("--close");
+    const offsetArg = args.find((a) => a.startsWith("--offset="));
+    let offset = offsetArg ? parseInt(offsetArg.split("=")[1], 10) : 0;
+
+    if (!Number.isInteger(offset) || offset < 0) {
+        console.error("Error: --offset must be a non-negative integer");
+        process.exit(1);
+    }
+
+    console.log("\n=== SatyaTrail Contract Migration (v1 -> v2) ===\n");
+    console.log(`Legacy contract: ${blockchainService.legacyContractAddress}`);
+    console.log(`V2 contract:     ${blockchainService.contractAddress}\n`);
+
+    let imported = 0;
+    let skipped = 0;
+
+    try {
+        while (offset !== null) {
+            const result = await blockchainService.migrateLegacyGraphs({
+                offset,
+            });
+            imported += result.imported.length;
+            skipped += result.skipped.length;
+
+            console.log(
+                `${Math.min(result.next ?? result.total, result.total)}/${
+                    result.total
+                } checked (${imported} imported, ${skipped} already in v2)`
+            );
+            offset = result.next;
+        }
+
+        if (close) {
+            const result = await blockchainService.closeMigration();
+            console.log(
+                `\n🔒 Migration closed (transaction ${result.transactionHash})`
+            );
+        }
+
+        console.log("\n✅ Migration complete");
+        process.exit(0);
+    } catch (error) {
+        console.error("\n❌ Error:", error.message);
+        console.log(
+            `Rerun with --offset=${offset} to continue where this run stopped`
+        );
+        process.exit(1);
+    }
+}
+
+main().catch((error) => {
+    console.error("Fatal error:", error);
+    process.exit(1);
+});
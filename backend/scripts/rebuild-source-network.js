@@ -0,0 +1,54 @@
+/**
+ * Rebuild Source Network
+ *
+ * Adds saved verifications to the global source network (see
+ * services/sourceNetworkService.js). New verifications are added as they
+ * are saved; run this once for verifications saved before the network
+ * existed, or with --reset to rebuild it from scratch.
+ * Run with: node scripts/rebuild-source-network.js [--reset]
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+
+const sourceNetworkService = require('../services/sourceNetworkService');
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+const reset = args.includes('--reset');
+
+async function rebuildSourceNetwork() {
+  try {
+    if (!process.env.DATABASE_URL) {
+      throw new Error('DATABASE_URL environment variable is required');
+    }
+
+    await mongoose.connect(process.env.DATABASE_URL, {
+      maxPoolSize: 10,
+      serverSelectionTimeoutMS: 5000
+    });
+    console.log('✅ Connected to MongoDB\n');
+
+    if (reset) {
+      console.log('🗑️  Clearing the source network\n');
+    }
+
+    const { scanned, updated } = await sourceNetworkService.rebuild({
+      reset,
+      onProgress: ({ scanned }) => {
+        if (scanned % 100 === 0) console.log(`   ${scanned} verifications scanned`);
+      }
+    });
+
+    console.log(`\n✨ Added or updated ${updated} of ${scanned} verifications`);
+
+    await mongoose.connection.close();
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Rebuild failed:', error.message);
+    await mongoose.connection.close();
+    process.exit(1);
+  }
+}
+
+rebuildSourceNetwork();
@@ -0,0 +1,120 @@
+#!/usr/bin/env node
+
+/**
+ * Replay Verification Script
+ *
+ * Re-runs the real verification pipeline from a recorded cassette with no
+ * network access, then compares the replayed verdict with the recorded one.
+ * Record cassettes by running the server with CASSETTE_MODE=record.
+ *
+ * Usage:
+ *   node scripts/replay-verification.js <cassette_id|cassette_file> [--json]
+ *
+ * Examples:
+ *   node scripts/replay-verification.js 3f9a1c0d2b7e4a5f6c8d9e0a-0mgxq1k2c7d41e9
+ *   node scripts/replay-verification.js ./cassettes/3f9a1c0d2b7e4a5f6c8d9e0a-0mgxq1k2c7d41e9.json --json
+ */
+
+require("dotenv").config();
+
+// Every external call, domain reputation and agent definition is served
+// from the cassette; these guarantee that nothing can reach a real
+// provider or chain if one is missing.
+process.env.SEARCH_PROVIDER = "fixture";
+process.env.LLM_PROVIDER = "stub";
+process.env.BLOCKCHAIN_DRY_RUN = "true";
+process.env.CASSETTE_MODE = "off";
+
+const cassetteService = require("../services/cassetteService");
+const { CassetteMissError } = require("../services/cassetteService");
+const orchestrator = require("../routes/agents/orchestrator");
+
+async function main() {
+    const args = process.argv.slice(2);
+    const printJson = args.includes("--json");
+    const file = args.find((a) => !a.startsWith("--"));
+
+    if (!file) {
+        console.log(`
+Usage: node scripts/replay-verification.js <cassette_id|cassette_file> [--json]
+
+Arguments:
+  cassette_id     Id of a cassette in CASSETTE_DIR (default: backend/cassettes)
+  cassette_file   Path to a cassette file
+
+Options:
+  --json          Print the full replayed result
+    `);
+        process.exit(1);
+    }
+
+    const cassette = cassetteService.load(file);
+
+    console.log("\n=== SatyaTrail Verification Replay ===\n");
+    console.log(`Cassette: ${cassette.id}`);
+    console.log(`Recorded: ${cassette.recordedAt}`);
+    console.log(
+        `Input: ${cassette.params.url || cassette.params.text?.substring(0, 80)}`
+    );
+    console.log(
+        `Interactions: ${Object.keys(cassette.interactions).length} unique requests`
+    );
+    console.log(
+        `Lookups: ${Object.keys(cassette.lookups).length} domain reputations and agent definitions`
+    );
+    console.log("");
+
+    if (cassette.error) {
+        console.log(`Recording ended with an error: ${cassette.error}\n`);
+    }
+
+    const result = await cassetteService.replay(cassette, () =>
+        orchestrator.verify({ ...cassette.params })
+    );
+
+    const replayed = {
+        verdict: result.verdict,
+        accuracy_score: result.accuracy_score,
+        confidence: result.confidence,
+        graph_hash: result.source_graph?.hash || null,
+    };
+
+    console.log("=== Recorded vs Replayed ===\n");
+
+    let mismatches = 0;
+    for (const [key, value] of Object.entries(replayed)) {
+        const recorded = cassette.result ? cassette.result[key] : undefined;
+        const same = recorded === value;
+        if (!same) mismatches++;
+        console.log(
+            `${same ? "✅" : "❌"} ${key.padEnd(15)} ${String(recorded).padEnd(
+                20
+            )} ${value}`
+        );
+    }
+
+    if (printJson) {
+        console.log("\n=== Replayed Result ===\n");
+        console.log(JSON.stringify(result, null, 2));
+    }
+
+    if (mismatches > 0) {
+        console.log(
+            `\n${mismatches} field(s) differ from the recording.`
+        );
+        process.exit(2);
+    }
+
+    console.log("\nReplay matches the recording.");
+    process.exit(0);
+}
+
+main().catch((error) => {
+    console.error(`\n❌ Replay failed: ${error.message}`);
+    if (error instanceof CassetteMissError) {
+        console.error(
+            "The replay asked for something the recording never did, so its result would not be the recorded one."
+        );
+    }
+    process.exit(1);
+});
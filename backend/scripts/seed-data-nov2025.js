@@ -16,6 +16,7 @@ const crypto = require("crypto");
 const SourceGraph = require("../models/SourceGraph");
 const AgentReport = require("../models/AgentReport");
 const Reputation = require("../models/Reputation");
+const domainReputationService = require("../services/domainReputationService");
 
 // Parse command line arguments
 const args = process.argv.slice(2);
@@ -738,36 +739,7 @@ function createNodes(sources, baseTime) {
             title: source.title,
             snippet: `This article discusses ${source.title.toLowerCase()}. It provides detailed information and analysis about the topic.`,
             timestamp: timestamp,
-            domainReputation: source.domain.includes("gov")
-                ? 95
-                : source.domain.includes("edu")
-                ? 85
-                : [
-                      "reuters.com",
-                      "bbc.com",
-                      "thehindu.com",
-                      "theprint.in",
-                  ].some((d) => source.domain.includes(d))
-                ? 90
-                : [
-                      "twitter.com",
-                      "facebook.com",
-                      "whatsapp.com",
-                      "tiktok.com",
-                      "instagram.com",
-                      "linkedin.com",
-                      "email",
-                  ].some((d) => source.domain.includes(d))
-                ? 25
-                : [
-                      "altnews.in",
-                      "boomlive.in",
-                      "factly.in",
-                      "factcheck.org",
-                      "snopes.com",
-                  ].some((d) => source.domain.includes(d))
-                ? 95
-                : 70,
+            domainReputation: domainReputationService.score(source.domain),
             role: source.role,
             author: `News Reporter ${index + 1}`,
             domain: source.domain,
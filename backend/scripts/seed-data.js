@@ -16,6 +16,7 @@ const crypto = require('crypto');
 const SourceGraph = require('../models/SourceGraph');
 const AgentReport = require('../models/AgentReport');
 const Reputation = require('../models/Reputation');
+const domainReputationService = require('../services/domainReputationService');
 
 // Parse command line arguments
 const args = process.argv.slice(2);
@@ -164,11 +165,7 @@ function createNodes(sources, baseTime) {
       title: source.title,
       snippet: `This article discusses ${source.title.toLowerCase()}. It provides detailed information about the topic.`,
       timestamp: timestamp,
-      domainReputation: source.domain.includes('gov') ? 95 :
-                        source.domain.includes('edu') ? 85 :
-                        ['reuters.com', 'bbc.com', 'thehindu.com'].some(d => source.domain.includes(d)) ? 90 :
-                        ['twitter.com', 'facebook.com', 'whatsapp.com'].some(d => source.domain.includes(d)) ? 30 :
-                        ['altnews.in', 'boomlive.in', 'factcheck.org'].some(d => source.domain.includes(d)) ? 95 : 70,
+      domainReputation: domainReputationService.score(source.domain),
       role: source.role,
       author: `Author ${index + 1}`,
       domain: source.domain
@@ -93,7 +93,8 @@ Environment Variables Required:
         await blockchainService.initialize();
 
         console.log("Storing verification on chain...");
-        const result = await blockchainService.storeVerification({
+        // Sent now, bypassing the outbox and batches
+        const result = await blockchainService.sendVerification({
             graphHash,
             verdict: verdict.toLowerCase(),
             timestamp: Date.now(),
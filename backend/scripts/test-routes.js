@@ -43,6 +43,14 @@ const log = {
   detail: (msg) => console.log(`${COLORS.gray}  ${msg}${COLORS.reset}`)
 };
 
+/**
+ * Authorization header for a bearer token in the environment (empty when
+ * unset; tests that need the token are skipped then)
+ */
+function bearer(envVar) {
+  return process.env[envVar] ? { Authorization: `Bearer ${process.env[envVar]}` } : {};
+}
+
 /**
  * Test helper function
  */
@@ -185,6 +193,51 @@ async function testVerifyNewsRoutes() {
       throw new Error(`Expected 200/201, got ${result.status}`);
     }
 
+    if (!['outdated', 'consistent', 'unknown'].includes(result.data?.metadata?.temporal?.status)) {
+      throw new Error(`Expected a temporal status, got ${result.data?.metadata?.temporal?.status}`);
+    }
+
+    if (!['llm', 'deterministic'].includes(result.data?.metadata?.aggregation?.method)) {
+      throw new Error(`Expected an aggregation method, got ${result.data?.metadata?.aggregation?.method}`);
+    }
+
+    return result;
+  });
+
+  await test('POST /api/v1/verify (multi-claim)', async () => {
+    const result = await request('POST', '/api/v1/verify', {
+      text: 'The new metro line opened on Monday. It carries 50,000 passengers a day and cost 2,000 crore rupees.',
+      source: 'frontend',
+      multiClaim: true,
+      testMode: true // Use mock mode for testing
+    });
+
+    if (result.status !== 200 && result.status !== 201) {
+      throw new Error(`Expected 200/201, got ${result.status}`);
+    }
+
+    if (!Array.isArray(result.data?.claims) || result.data.claims.length === 0) {
+      throw new Error('Expected a non-empty claims array');
+    }
+
+    return result;
+  });
+
+  await test('POST /api/v1/verify (Hindi text)', async () => {
+    const result = await request('POST', '/api/v1/verify', {
+      text: 'सरकार ने सभी किसानों के कर्ज माफ करने की घोषणा की है।',
+      source: 'frontend',
+      testMode: true // Use mock mode for testing
+    });
+
+    if (result.status !== 200 && result.status !== 201) {
+      throw new Error(`Expected 200/201, got ${result.status}`);
+    }
+
+    if (result.data?.language !== 'hi') {
+      throw new Error(`Expected language 'hi', got ${result.data?.language}`);
+    }
+
     return result;
   });
 
@@ -201,6 +254,68 @@ async function testVerifyNewsRoutes() {
     return result;
   }, { expectError: true });
 
+  // Test verification jobs
+  let jobId = null;
+
+  await test('POST /api/v1/verify/jobs (with text)', async () => {
+    const result = await request('POST', '/api/v1/verify/jobs', {
+      text: 'The Earth is round and this is a verifiable fact that scientists have proven over centuries of research.',
+      source: 'frontend',
+      testMode: true // Use mock mode for testing
+    });
+
+    if (result.status !== 202) {
+      throw new Error(`Expected 202, got ${result.status}`);
+    }
+
+    if (!result.data.job_id || !result.data.events_url) {
+      throw new Error('Response should have job_id and events_url');
+    }
+
+    jobId = result.data.job_id;
+    return result;
+  });
+
+  await test('GET /api/v1/verify/jobs/:jobId', async () => {
+    // Give the mock job a moment to finish
+    await new Promise(resolve => setTimeout(resolve, 500));
+    const result = await request('GET', `/api/v1/verify/jobs/${jobId}`);
+
+    if (result.status !== 200) {
+      throw new Error(`Expected 200, got ${result.status}`);
+    }
+
+    if (result.data.status !== 'completed') {
+      throw new Error(`Expected completed job, got ${result.data.status}`);
+    }
+
+    return result;
+  }, { skip: !jobId });
+
+  await test('GET /api/v1/verify/jobs/:jobId (invalid ID)', async () => {
+    const result = await request('GET', '/api/v1/verify/jobs/not-a-job');
+
+    if (result.status !== 400) {
+      throw new Error(`Expected 400 for invalid job ID, got ${result.status}`);
+    }
+
+    return result;
+  }, { expectError: true });
+
+  await test('POST /api/v1/verify (whatsapp source)', async () => {
+    const result = await request('POST', '/api/v1/verify', {
+      text: 'A forwarded message claims the city will be under lockdown from Monday next week.',
+      source: 'whatsapp',
+      testMode: true
+    });
+
+    if (result.status !== 200) {
+      throw new Error(`Expected 200, got ${result.status}`);
+    }
+
+    return result;
+  });
+
   // Test GET /api/v1/verify/recent
   await test('GET /api/v1/verify/recent', async () => {
     const result = await request('GET', '/api/v1/verify/recent');
@@ -213,6 +328,11 @@ async function testVerifyNewsRoutes() {
       throw new Error('Response should have verifications array');
     }
 
+    // Every channel is stored, so each item says where it came from
+    if (result.data.verifications.some(v => !v.source)) {
+      throw new Error('Each verification should have a source');
+    }
+
     return result;
   });
 
@@ -272,6 +392,95 @@ async function testVerifyNewsRoutes() {
     return result;
   }, { expectError: true });
 
+  await test('GET /api/v1/verify/:hash/history (not found)', async () => {
+    const result = await request('GET', `/api/v1/verify/${'0'.repeat(64)}/history`);
+
+    if (result.status !== 404) {
+      throw new Error(`Expected 404 for non-existent hash, got ${result.status}`);
+    }
+
+    return result;
+  }, { expectError: true });
+
+  await test('GET /api/v1/verify/:hash/proof (not found)', async () => {
+    const result = await request('GET', `/api/v1/verify/${'0'.repeat(64)}/proof?node=node_0`);
+
+    if (result.status !== 404) {
+      throw new Error(`Expected 404 for non-existent hash, got ${result.status}`);
+    }
+
+    return result;
+  }, { expectError: true });
+
+  await test('GET /api/v1/verify/:hash/proof (no node or edge)', async () => {
+    const result = await request('GET', `/api/v1/verify/${'0'.repeat(64)}/proof`);
+
+    if (result.status !== 400) {
+      throw new Error(`Expected 400, got ${result.status}`);
+    }
+
+    return result;
+  }, { expectError: true });
+
+  await test('GET /api/v1/verify/:hash/anchor (not found)', async () => {
+    const result = await request('GET', `/api/v1/verify/${'0'.repeat(64)}/anchor`);
+
+    if (result.status !== 404) {
+      throw new Error(`Expected 404 for non-existent hash, got ${result.status}`);
+    }
+
+    return result;
+  }, { expectError: true });
+
+  await test('GET /api/v1/verify/:hash/graph (not found)', async () => {
+    const result = await request('GET', `/api/v1/verify/${'0'.repeat(64)}/graph?format=gexf`);
+
+    if (result.status !== 404) {
+      throw new Error(`Expected 404 for non-existent hash, got ${result.status}`);
+    }
+
+    return result;
+  }, { expectError: true });
+
+  await test('GET /api/v1/verify/:hash/graph (invalid format)', async () => {
+    const result = await request('GET', `/api/v1/verify/${'0'.repeat(64)}/graph?format=xlsx`);
+
+    if (result.status !== 400) {
+      throw new Error(`Expected 400, got ${result.status}`);
+    }
+
+    return result;
+  }, { expectError: true });
+
+  await test('GET /api/v1/verify/export?format=csv', async () => {
+    const from = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString();
+    const result = await request('GET', `/api/v1/verify/export?format=csv&from=${from}`);
+
+    if (result.status !== 200) {
+      throw new Error(`Expected 200, got ${result.status}`);
+    }
+
+    if (!String(result.headers['content-type']).startsWith('text/csv')) {
+      throw new Error(`Expected text/csv, got ${result.headers['content-type']}`);
+    }
+
+    if (!result.data.startsWith('id,label,')) {
+      throw new Error('CSV should start with a header row');
+    }
+
+    return result;
+  });
+
+  await test('GET /api/v1/verify/export (missing from)', async () => {
+    const result = await request('GET', '/api/v1/verify/export?format=graphml');
+
+    if (result.status !== 400) {
+      throw new Error(`Expected 400, got ${result.status}`);
+    }
+
+    return result;
+  }, { expectError: true });
+
   // Note: In test mode (testMode: true), database saves are skipped,
   // so we can't test actual data retrieval. To test that, run in non-test mode.
   if (verificationHash) {
@@ -355,6 +564,663 @@ async function testExtensionRoutes() {
   });
 }
 
+/**
+ * Test Agent Definition Routes
+ */
+async function testAgentRoutes() {
+  log.section('🤖 Agent Definition Routes');
+
+  const adminHeaders = bearer('ADMIN_TOKEN');
+  const noToken = !process.env.ADMIN_TOKEN;
+
+  await test('GET /api/v1/agents', async () => {
+    const result = await request('GET', '/api/v1/agents');
+
+    if (result.status !== 200) {
+      throw new Error(`Expected 200, got ${result.status}`);
+    }
+
+    if (!Array.isArray(result.data.agents) || !Array.isArray(result.data.defaultAgents)) {
+      throw new Error('Response should have agents and defaultAgents arrays');
+    }
+
+    return result;
+  });
+
+  await test('GET /api/v1/agents/generic', async () => {
+    const result = await request('GET', '/api/v1/agents/generic');
+
+    if (result.status !== 200) {
+      throw new Error(`Expected 200, got ${result.status}`);
+    }
+
+    if (result.data.id !== 'generic' || !result.data.systemPrompt) {
+      throw new Error('Response should be the generic agent definition');
+    }
+
+    return result;
+  });
+
+  await test('GET /api/v1/agents/:id (not found)', async () => {
+    const result = await request('GET', '/api/v1/agents/no-such-agent');
+
+    if (result.status !== 404) {
+      throw new Error(`Expected 404, got ${result.status}`);
+    }
+
+    return result;
+  }, { expectError: true });
+
+  await test('POST /api/v1/agents (invalid rules)', async () => {
+    const result = await request('POST', '/api/v1/agents', {
+      id: 'route-test-agent',
+      name: 'Route Test Agent',
+      systemPrompt: 'You are a fact-checking agent used by the route tests.',
+      evidenceRules: [{ domains: ['example.com'], multiply: 2 }]
+    }, adminHeaders);
+
+    if (result.status !== 400) {
+      throw new Error(`Expected 400 for invalid rules, got ${result.status}`);
+    }
+
+    return result;
+  }, { expectError: true, skip: noToken });
+
+  await test('DELETE /api/v1/agents/generic (no admin token)', async () => {
+    const result = await request('DELETE', '/api/v1/agents/generic');
+    const expected = noToken ? 503 : 401;
+
+    if (result.status !== expected) {
+      throw new Error(`Expected ${expected}, got ${result.status}`);
+    }
+
+    return result;
+  }, { expectError: true });
+
+  await test('DELETE /api/v1/agents/generic (built-in)', async () => {
+    const result = await request('DELETE', '/api/v1/agents/generic', null, adminHeaders);
+
+    if (result.status !== 409) {
+      throw new Error(`Expected 409 for built-in agent, got ${result.status}`);
+    }
+
+    return result;
+  }, { expectError: true, skip: noToken });
+}
+
+/**
+ * Test Review Routes
+ */
+async function testReviewRoutes() {
+  log.section('📝 Review Routes');
+
+  // The first editor in REVIEW_TOKENS (name:token,...)
+  const [, ...tokenParts] = (process.env.REVIEW_TOKENS || '').split(',')[0].split(':');
+  const editorToken = tokenParts.join(':').trim();
+  const editorHeaders = editorToken ? { Authorization: `Bearer ${editorToken}` } : {};
+  const noToken = !editorToken;
+  const missingHash = '0'.repeat(64);
+
+  await test('GET /api/v1/reviews', async () => {
+    const result = await request('GET', '/api/v1/reviews', null, editorHeaders);
+
+    if (result.status !== 200) {
+      throw new Error(`Expected 200, got ${result.status}`);
+    }
+
+    if (!Array.isArray(result.data.items) || typeof result.data.total !== 'number') {
+      throw new Error('Response should have items array and total');
+    }
+
+    return result;
+  }, { skip: noToken });
+
+  await test('GET /api/v1/reviews?reason=bogus', async () => {
+    const result = await request('GET', '/api/v1/reviews?reason=bogus', null, editorHeaders);
+
+    if (result.status !== 400) {
+      throw new Error(`Expected 400 for invalid reason, got ${result.status}`);
+    }
+
+    return result;
+  }, { expectError: true, skip: noToken });
+
+  await test('POST /api/v1/reviews/:hash/flag (not found)', async () => {
+    const result = await request('POST', `/api/v1/reviews/${missingHash}/flag`, {
+      reason: 'wrong_verdict',
+      note: 'Route test flag'
+    });
+
+    if (result.status !== 404) {
+      throw new Error(`Expected 404, got ${result.status}`);
+    }
+
+    return result;
+  }, { expectError: true });
+
+  await test('POST /api/v1/reviews/:hash/override (missing rationale)', async () => {
+    const result = await request('POST', `/api/v1/reviews/${missingHash}/override`, {
+      verdict: 'false'
+    }, editorHeaders);
+
+    if (result.status !== 400) {
+      throw new Error(`Expected 400 without rationale, got ${result.status}`);
+    }
+
+    return result;
+  }, { expectError: true, skip: noToken });
+}
+
+/**
+ * Test Watch Routes
+ */
+async function testWatchRoutes() {
+  log.section('👀 Watch Routes');
+
+  // Watches belong to an API key; TEST_API_KEY is one issued for the tests
+  const keyHeaders = process.env.TEST_API_KEY ? { 'X-Api-Key': process.env.TEST_API_KEY } : {};
+  const noKey = !process.env.TEST_API_KEY;
+  let watchId = null;
+
+  await test('GET /api/v1/watches (no API key)', async () => {
+    const result = await request('GET', '/api/v1/watches');
+
+    if (result.status !== 401) {
+      throw new Error(`Expected 401, got ${result.status}`);
+    }
+
+    return result;
+  }, { expectError: true });
+
+  await test('GET /api/v1/watches/confirm/:token (unknown token)', async () => {
+    const result = await request('GET', `/api/v1/watches/confirm/${'x'.repeat(32)}`);
+
+    if (result.status !== 404) {
+      throw new Error(`Expected 404, got ${result.status}`);
+    }
+
+    return result;
+  }, { expectError: true });
+
+  await test('POST /api/v1/watches (topic)', async () => {
+    const result = await request('POST', '/api/v1/watches', {
+      channel: 'email',
+      recipient: 'route-test@example.com',
+      topic: 'route test election'
+    }, keyHeaders);
+
+    // 503 when email alerts aren't configured on the server
+    if (result.status === 503) {
+      return result;
+    }
+    if (result.status !== 201 && result.status !== 200) {
+      throw new Error(`Expected 201, 200 or 503, got ${result.status}`);
+    }
+
+    if (result.data.type !== 'topic' || !result.data.id || result.data.confirmed) {
+      throw new Error('Response should be an unconfirmed topic watch with an id');
+    }
+
+    watchId = result.data.id;
+    return result;
+  }, { skip: noKey });
+
+  await test('GET /api/v1/watches?channel=email', async () => {
+    const result = await request('GET', '/api/v1/watches?channel=email&recipient=route-test@example.com', null, keyHeaders);
+
+    if (result.status !== 200) {
+      throw new Error(`Expected 200, got ${result.status}`);
+    }
+
+    if (!result.data.items?.some(watch => watch.id === watchId)) {
+      throw new Error('List should include the created watch');
+    }
+
+    return result;
+  }, { skip: noKey || !watchId });
+
+  await test('POST /api/v1/watches (topic and claim_hash)', async () => {
+    const result = await request('POST', '/api/v1/watches', {
+      channel: 'telegram',
+      recipient: '12345',
+      topic: 'election',
+      claim_hash: '0'.repeat(64)
+    }, keyHeaders);
+
+    if (result.status !== 400) {
+      throw new Error(`Expected 400 with both topic and claim_hash, got ${result.status}`);
+    }
+
+    return result;
+  }, { expectError: true, skip: noKey });
+
+  await test('POST /api/v1/watches (claim not found)', async () => {
+    const result = await request('POST', '/api/v1/watches', {
+      channel: 'telegram',
+      recipient: '12345',
+      claim_hash: '0'.repeat(64)
+    }, keyHeaders);
+
+    if (result.status !== 404) {
+      throw new Error(`Expected 404, got ${result.status}`);
+    }
+
+    return result;
+  }, { expectError: true, skip: noKey });
+
+  await test('DELETE /api/v1/watches/:id', async () => {
+    const result = await request('DELETE', `/api/v1/watches/${watchId}`, null, keyHeaders);
+
+    if (result.status !== 200 || result.data.deleted !== watchId) {
+      throw new Error(`Expected 200 with the deleted id, got ${result.status}`);
+    }
+
+    return result;
+  }, { skip: noKey || !watchId });
+}
+
+
+/**
+ * Test Domain Reputation Routes
+ */
+async function testDomainRoutes() {
+  log.section('🌐 Domain Routes');
+
+  const adminHeaders = bearer('ADMIN_TOKEN');
+  const noToken = !process.env.ADMIN_TOKEN;
+
+  await test('GET /api/v1/domains?category=fact_checker', async () => {
+    const result = await request('GET', '/api/v1/domains?category=fact_checker');
+
+    if (result.status !== 200) {
+      throw new Error(`Expected 200, got ${result.status}`);
+    }
+
+    if (!result.data.items?.length || result.data.items.some(d => d.category !== 'fact_checker')) {
+      throw new Error('Should list only fact-checker entries');
+    }
+
+    return result;
+  });
+
+  await test('GET /api/v1/domains/lookup (path entry)', async () => {
+    const result = await request('GET', '/api/v1/domains/lookup?url=https://www.thequint.com/news/webqoof/some-story');
+
+    if (result.status !== 200) {
+      throw new Error(`Expected 200, got ${result.status}`);
+    }
+
+    if (result.data.category !== 'fact_checker' || result.data.matched !== 'thequint.com/news/webqoof') {
+      throw new Error('WebQoof URLs should resolve to the fact-checker entry');
+    }
+
+    return result;
+  });
+
+  await test('PUT /api/v1/domains/:domain', async () => {
+    const result = await request('PUT', '/api/v1/domains/route-test.example', {
+      score: 15,
+      category: 'satire',
+      note: 'Route test'
+    }, adminHeaders);
+
+    if (result.status !== 201 && result.status !== 200) {
+      throw new Error(`Expected 201 or 200, got ${result.status}`);
+    }
+
+    if (result.data.base_score !== 15 || result.data.provenance?.source !== 'admin') {
+      throw new Error('Response should carry the new score and admin provenance');
+    }
+
+    return result;
+  }, { skip: noToken });
+
+  await test('PUT /api/v1/domains/:domain (invalid category)', async () => {
+    const result = await request('PUT', '/api/v1/domains/route-test.example', {
+      category: 'rumour-mill'
+    }, adminHeaders);
+
+    if (result.status !== 400) {
+      throw new Error(`Expected 400, got ${result.status}`);
+    }
+
+    return result;
+  }, { expectError: true, skip: noToken });
+
+  await test('POST /api/v1/domains/import?dry_run=true', async () => {
+    const result = await request('POST', '/api/v1/domains/import?dry_run=true', {
+      csv: 'domain,score,category\nroute-test.example,20,satire\nnot a domain,10,\n'
+    }, adminHeaders);
+
+    if (result.status !== 200 || result.data.invalid !== 1) {
+      throw new Error(`Expected 200 with one invalid row, got ${result.status}`);
+    }
+
+    return result;
+  }, { skip: noToken });
+
+  await test('DELETE /api/v1/domains/:domain', async () => {
+    const result = await request('DELETE', '/api/v1/domains/route-test.example', null, adminHeaders);
+
+    if (result.status !== 200 || result.data.deleted !== 'route-test.example') {
+      throw new Error(`Expected 200 with the deleted domain, got ${result.status}`);
+    }
+
+    return result;
+  }, { skip: noToken });
+
+  await test('DELETE /api/v1/domains/:domain (built-in)', async () => {
+    const result = await request('DELETE', '/api/v1/domains/snopes.com', null, adminHeaders);
+
+    if (result.status !== 409) {
+      throw new Error(`Expected 409 for a built-in entry, got ${result.status}`);
+    }
+
+    return result;
+  }, { expectError: true, skip: noToken });
+}
+
+/**
+ * Test Source Network Routes
+ */
+async function testNetworkRoutes() {
+  log.section('🕸️  Network Routes');
+
+  for (const endpoint of ['super-spreaders?verdict=false', 'origins', 'amplifiers', 'centrality?metric=degree']) {
+    await test(`GET /api/v1/network/${endpoint}`, async () => {
+      const result = await request('GET', `/api/v1/network/${endpoint}`);
+
+      if (result.status !== 200) {
+        throw new Error(`Expected 200, got ${result.status}`);
+      }
+
+      if (!Array.isArray(result.data.items)) {
+        throw new Error('Response should have an items array');
+      }
+
+      return result;
+    });
+  }
+
+  await test('GET /api/v1/network/centrality (invalid metric)', async () => {
+    const result = await request('GET', '/api/v1/network/centrality?metric=closeness');
+
+    if (result.status !== 400) {
+      throw new Error(`Expected 400, got ${result.status}`);
+    }
+
+    return result;
+  }, { expectError: true });
+
+  await test('GET /api/v1/network/domains/:domain (unseen)', async () => {
+    const result = await request('GET', '/api/v1/network/domains/never-seen.example');
+
+    if (result.status !== 404) {
+      throw new Error(`Expected 404, got ${result.status}`);
+    }
+
+    return result;
+  }, { expectError: true });
+}
+
+/**
+ * Test Anchor Routes
+ */
+async function testAnchorRoutes() {
+  log.section('⛓️  Anchor Routes');
+
+  await test('GET /api/v1/anchors', async () => {
+    const result = await request('GET', '/api/v1/anchors');
+
+    if (result.status !== 200) {
+      throw new Error(`Expected 200, got ${result.status}`);
+    }
+
+    if (!['batch', 'single'].includes(result.data.mode) || !Array.isArray(result.data.recent_batches)) {
+      throw new Error('Response should have mode and recent_batches');
+    }
+
+    return result;
+  });
+
+  await test('GET /api/v1/anchors/outbox', async () => {
+    const result = await request('GET', '/api/v1/anchors/outbox');
+
+    if (result.status !== 200) {
+      throw new Error(`Expected 200, got ${result.status}`);
+    }
+
+    if (typeof result.data.active !== 'boolean' || !result.data.counts || !Array.isArray(result.data.failed)) {
+      throw new Error('Response should have active, counts and failed');
+    }
+
+    return result;
+  });
+
+  await test('POST /api/v1/anchors/outbox/retry (invalid hashes)', async () => {
+    const result = await request('POST', '/api/v1/anchors/outbox/retry', {
+      graph_hashes: ['not-a-hash']
+    }, bearer('ADMIN_TOKEN'));
+
+    if (result.status !== 400) {
+      throw new Error(`Expected 400, got ${result.status}`);
+    }
+
+    return result;
+  }, { skip: !process.env.ADMIN_TOKEN });
+}
+
+/**
+ * Test Integrity Routes
+ */
+async function testIntegrityRoutes() {
+  log.section('🔍 Integrity Routes');
+
+  await test('GET /api/v1/integrity', async () => {
+    const result = await request('GET', '/api/v1/integrity');
+
+    if (result.status !== 200) {
+      throw new Error(`Expected 200, got ${result.status}`);
+    }
+
+    if (typeof result.data.counts?.unchecked !== 'number' || !Array.isArray(result.data.mismatches)) {
+      throw new Error('Response should have counts and mismatches');
+    }
+
+    return result;
+  });
+
+  await test('GET /api/v1/verify/:hash/integrity (not found)', async () => {
+    const result = await request('GET', `/api/v1/verify/${'0'.repeat(64)}/integrity`);
+
+    if (result.status !== 404) {
+      throw new Error(`Expected 404, got ${result.status}`);
+    }
+
+    return result;
+  });
+}
+
+/**
+ * Test Receipt Routes
+ */
+async function testReceiptRoutes() {
+  log.section('🧾 Receipt Routes');
+
+  await test('GET /.well-known/satyatrail-keys.json', async () => {
+    const result = await request('GET', '/.well-known/satyatrail-keys.json');
+
+    if (result.status !== 200) {
+      throw new Error(`Expected 200, got ${result.status}`);
+    }
+
+    const key = result.data.keys?.[0];
+    if (!key || key.kty !== 'OKP' || key.crv !== 'Ed25519' || !key.kid) {
+      throw new Error('Response should list Ed25519 keys');
+    }
+
+    return result;
+  });
+
+  await test('GET /api/v1/verify/:hash/receipt (not found)', async () => {
+    const result = await request('GET', `/api/v1/verify/${'0'.repeat(64)}/receipt`);
+
+    if (result.status !== 404) {
+      throw new Error(`Expected 404, got ${result.status}`);
+    }
+
+    return result;
+  });
+
+  await test('GET /api/v1/verify/:hash/receipt (invalid format)', async () => {
+    const result = await request('GET', `/api/v1/verify/${'0'.repeat(64)}/receipt?format=pdf`);
+
+    if (result.status !== 400) {
+      throw new Error(`Expected 400, got ${result.status}`);
+    }
+
+    return result;
+  });
+}
+
+/**
+ * Test API Key Routes
+ */
+async function testApiKeyRoutes() {
+  log.section('🔑 API Key Routes');
+
+  const adminHeaders = bearer('ADMIN_TOKEN');
+  const noToken = !process.env.ADMIN_TOKEN;
+  let issued = null;
+
+  await test('GET /api/v1/keys (no admin token)', async () => {
+    const result = await request('GET', '/api/v1/keys');
+    // Closed while ADMIN_TOKEN is not configured
+    const expected = noToken ? 503 : 401;
+
+    if (result.status !== expected) {
+      throw new Error(`Expected ${expected}, got ${result.status}`);
+    }
+
+    return result;
+  }, { expectError: true });
+
+  await test('GET /api/v1/keys/plans', async () => {
+    const result = await request('GET', '/api/v1/keys/plans', null, adminHeaders);
+
+    if (result.status !== 200) {
+      throw new Error(`Expected 200, got ${result.status}`);
+    }
+
+    if (!result.data.plans?.some(plan => plan.id === 'free')) {
+      throw new Error('Response should list the free plan');
+    }
+
+    return result;
+  }, { skip: noToken });
+
+  await test('POST /api/v1/keys (unknown plan)', async () => {
+    const result = await request('POST', '/api/v1/keys', { name: 'Route test', plan: 'no-such-plan' }, adminHeaders);
+
+    if (result.status !== 400) {
+      throw new Error(`Expected 400, got ${result.status}`);
+    }
+
+    return result;
+  }, { skip: noToken });
+
+  await test('POST /api/v1/keys', async () => {
+    const result = await request('POST', '/api/v1/keys', { name: 'Route test', plan: 'free' }, adminHeaders);
+
+    if (result.status !== 201) {
+      throw new Error(`Expected 201, got ${result.status}`);
+    }
+
+    if (!result.data.key?.startsWith(result.data.prefix)) {
+      throw new Error('Response should include the new key');
+    }
+
+    issued = result.data;
+    return result;
+  }, { skip: noToken });
+
+  await test('GET /api/v1/usage (no API key)', async () => {
+    const result = await request('GET', '/api/v1/usage');
+
+    if (result.status !== 401) {
+      throw new Error(`Expected 401, got ${result.status}`);
+    }
+
+    return result;
+  });
+
+  await test('GET /api/v1/usage (invalid API key)', async () => {
+    const result = await request('GET', '/api/v1/usage', null, { 'X-Api-Key': 'st_not-a-real-key' });
+
+    if (result.status !== 401) {
+      throw new Error(`Expected 401, got ${result.status}`);
+    }
+
+    return result;
+  });
+
+  await test('GET /api/v1/usage', async () => {
+    const result = await request('GET', '/api/v1/usage', null, { 'X-Api-Key': issued.key });
+
+    if (result.status !== 200) {
+      throw new Error(`Expected 200, got ${result.status}`);
+    }
+
+    if (result.data.key?.id !== issued.id || !result.data.total) {
+      throw new Error('Response should report the key and its usage');
+    }
+
+    return result;
+  }, { skip: !issued });
+
+  await test('POST /api/v1/verify (agent outside the plan)', async () => {
+    const result = await request('POST', '/api/v1/verify', {
+      text: 'The government announced a new policy on education today',
+      agents: ['ndtv']
+    }, { 'X-Api-Key': issued.key });
+
+    if (result.status !== 403) {
+      throw new Error(`Expected 403, got ${result.status}`);
+    }
+
+    return result;
+  }, { skip: !issued });
+
+  await test('GET /api/v1/reputation/leaderboard (with API key)', async () => {
+    const result = await request('GET', '/api/v1/reputation/leaderboard', null, { 'X-Api-Key': issued.key });
+
+    if (result.status !== 200) {
+      throw new Error(`Expected 200, got ${result.status}`);
+    }
+
+    if (result.headers['ratelimit-limit'] !== '20') {
+      throw new Error(`Expected the free plan's rate limit, got ${result.headers['ratelimit-limit']}`);
+    }
+
+    return result;
+  }, { skip: !issued });
+
+  await test('POST /api/v1/keys/:id/revoke', async () => {
+    const result = await request('POST', `/api/v1/keys/${issued.id}/revoke`, { reason: 'Route test' }, adminHeaders);
+
+    if (result.status !== 200 || result.data.status !== 'revoked') {
+      throw new Error(`Expected a revoked key, got ${result.status}`);
+    }
+
+    const reuse = await request('GET', '/api/v1/usage', null, { 'X-Api-Key': issued.key });
+    if (reuse.status !== 401) {
+      throw new Error(`Expected 401 with the revoked key, got ${reuse.status}`);
+    }
+
+    return result;
+  }, { skip: !issued || noToken });
+}
+
 /**
  * Test Webhook Routes
  */
@@ -527,6 +1393,15 @@ ${COLORS.reset}`);
     await testHealthCheck();
     await testVerifyNewsRoutes();
     await testExtensionRoutes();
+    await testAgentRoutes();
+    await testReviewRoutes();
+    await testWatchRoutes();
+    await testDomainRoutes();
+    await testNetworkRoutes();
+    await testAnchorRoutes();
+    await testIntegrityRoutes();
+    await testReceiptRoutes();
+    await testApiKeyRoutes();
     await testWebhookRoutes();
     await test404Handler();
 
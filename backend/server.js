@@ -2,9 +2,9 @@
  * SatyaTrail Backend Server
  * 
  * AI-powered news verification system with:
- * - Multi-agent orchestration (TOI, IndiaTimes, NDTV, Generic agents)
- * - Tavily Search for web browsing
- * - OpenAI GPT-5 for reasoning
+ * - Multi-agent orchestration (data-defined agents: TOI, IndiaTimes, NDTV, Generic built in)
+ * - Pluggable web search (Tavily, SearxNG, local fixtures)
+ * - LLM gateway for reasoning (OpenAI, OpenAI-compatible servers, offline stub)
  * - Blockchain storage for immutability
  * - Telegram and Twitter bot integrations
  */
@@ -17,9 +17,29 @@ const morgan = require('morgan');
 const mongoose = require('mongoose');
 
 const corsMiddleware = require('./utils/cors');
+const { publicCors } = require('./utils/cors');
 const logger = require('./utils/logger');
+const { authenticateApiKey } = require('./utils/apiAccess');
+const llmGateway = require('./services/llmGateway');
+const agentRegistry = require('./services/agentRegistry');
+const recheckService = require('./services/recheckService');
+const anchorBatchService = require('./services/anchorBatchService');
+const anchorOutboxService = require('./services/anchorOutboxService');
+const integrityAuditService = require('./services/integrityAuditService');
+const domainReputationService = require('./services/domainReputationService');
 const verifyNewsRoutes = require('./routes/verifyNews');
 const extensionRoutes = require('./routes/extension');
+const agentDefinitionRoutes = require('./routes/agentDefinitions');
+const reviewRoutes = require('./routes/reviews');
+const watchRoutes = require('./routes/watches');
+const domainRoutes = require('./routes/domains');
+const networkRoutes = require('./routes/network');
+const anchorRoutes = require('./routes/anchors');
+const integrityRoutes = require('./routes/integrity');
+const reputationRoutes = require('./routes/reputation');
+const apiKeyRoutes = require('./routes/apiKeys');
+const usageRoutes = require('./routes/usage');
+const receiptController = require('./controllers/receiptController');
 const telegramWebhook = require('./routes/webhooks/telegramWebhook');
 const twitterWebhook = require('./routes/webhooks/twitterWebhook');
 const whatsappWebhook = require('./routes/webhooks/whatsappWebhook');
@@ -27,11 +47,25 @@ const whatsappWebhook = require('./routes/webhooks/whatsappWebhook');
 // Validate critical environment variables
 const validateEnvironment = () => {
   const required = [
-    'OPENAI_API_KEY',
-    'TAVILY_API_KEY',
     'DATABASE_URL'
   ];
 
+  // Only the selected LLM provider's settings are required
+  const llmProvider = (process.env.LLM_PROVIDER || 'openai').toLowerCase();
+  if (llmProvider === 'openai') required.push('OPENAI_API_KEY');
+  if (llmProvider === 'openai-compatible') required.push('LLM_BASE_URL');
+
+  // Only the selected search provider's settings are required
+  const searchProvider = (process.env.SEARCH_PROVIDER || 'tavily').toLowerCase();
+  if (searchProvider === 'tavily') required.push('TAVILY_API_KEY');
+  if (searchProvider === 'searxng') required.push('SEARXNG_URL');
+
+  // Secrets whose absence only shows after a restart (requester hashes
+  // change, receipts stop verifying): required in production, generated
+  // per process elsewhere
+  const persistent = ['REQUESTER_HASH_SECRET', 'RECEIPT_SIGNING_KEY'];
+  if (process.env.NODE_ENV === 'production') required.push(...persistent);
+
   const missing = required.filter(key => !process.env[key]);
   
   if (missing.length > 0) {
@@ -39,9 +73,14 @@ const validateEnvironment = () => {
     process.exit(1);
   }
 
+  const generated = persistent.filter(key => !process.env[key]);
+  if (generated.length > 0) {
+    logger.warn(`Not set, generated for this process only (required in production): ${generated.join(', ')}`);
+  }
+
   // Model name check (defaults to gpt-4o if not specified)
   const modelName = process.env.MODEL_NAME || 'gpt-4o';
-  logger.info(`Using AI model: ${modelName}`);
+  logger.info(`Using AI provider: ${llmProvider}, default model: ${modelName}`);
 };
 
 // Initialize Express app
@@ -53,6 +92,11 @@ app.use(helmet());
 app.use(morgan('combined', { stream: { write: msg => logger.info(msg.trim()) } }));
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
+
+// Receipt signing keys, readable from any origin so receipts can be checked anywhere
+app.options('/.well-known/satyatrail-keys.json', publicCors);
+app.get('/.well-known/satyatrail-keys.json', publicCors, receiptController.getKeys.bind(receiptController));
+
 app.use(corsMiddleware);
 
 // Health check endpoint
@@ -63,14 +107,29 @@ app.get('/health', (req, res) => {
     version: '1.0.0',
     services: {
       database: mongoose.connection.readyState === 1 ? 'connected' : 'disconnected',
-      model: process.env.MODEL_NAME
+      model: process.env.MODEL_NAME,
+      llm: llmGateway.defaultProvider,
+      search: process.env.SEARCH_PROVIDER || 'tavily'
     }
   });
 });
 
+// Callers identified by API key (X-Api-Key), if they send one
+app.use('/api/v1', authenticateApiKey);
+
 // API Routes
 app.use('/api/v1/verify', verifyNewsRoutes);
 app.use('/api/v1/verify/extension', extensionRoutes);
+app.use('/api/v1/agents', agentDefinitionRoutes);
+app.use('/api/v1/reviews', reviewRoutes);
+app.use('/api/v1/watches', watchRoutes);
+app.use('/api/v1/domains', domainRoutes);
+app.use('/api/v1/network', networkRoutes);
+app.use('/api/v1/anchors', anchorRoutes);
+app.use('/api/v1/integrity', integrityRoutes);
+app.use('/api/v1/reputation', reputationRoutes);
+app.use('/api/v1/keys', apiKeyRoutes);
+app.use('/api/v1/usage', usageRoutes);
 app.use('/api/v1/webhook/telegram', telegramWebhook);
 app.use('/api/v1/webhook/twitter', twitterWebhook);
 app.use('/api/v1/webhook/whatsapp', whatsappWebhook);
@@ -193,6 +252,22 @@ const startServer = async () => {
     
     await connectDatabase();
     logger.info('Database connection established');
+
+    // Load agent definitions and domain scores stored in the database
+    await agentRegistry.ensureFresh();
+    await domainReputationService.ensureFresh();
+
+    // Re-verify unsettled stories on their backoff schedule
+    recheckService.start();
+
+    // Anchor pending verifications as Merkle batches (batch mode only)
+    anchorBatchService.start();
+
+    // Send, bump and confirm single-transaction anchors (EVM, single mode)
+    anchorOutboxService.start();
+
+    // Re-audit stored verifications against their anchors
+    integrityAuditService.start();
     
     // Initialize bots but don't block server start
     logger.info('Initializing bots...');
@@ -0,0 +1,500 @@
+/**
+ * Agent Registry
+ *
+ * Verification agents are data, not classes. Definitions are loaded from
+ * a config directory (AGENT_CONFIG_DIR, default backend/config/agents) and
+ * from the AgentDefinition collection; a database definition with the same
+ * id overrides the file. The orchestrator, reputation system and agent
+ * reports all resolve agents through this registry. A verification's
+ * agents are recorded in its cassette and replayed from it.
+ *
+ * Definition format:
+ *
+ *   {
+ *     "id": "ndtv",                       // stable id, stored as agentType
+ *     "name": "NDTV Agent",               // display name, reputation key
+ *     "description": "...",
+ *     "biasProfile": { "summary": "...", ... },
+ *     "systemPrompt": "...",              // persona prompt
+ *     "trustedDomains": ["ndtv.com"],     // +domainBonus (default 15)
+ *     "penalizedDomains": ["x.com"],      // -domainPenalty (default 20)
+ *     "signals": { "policy": ["government", "court"] },
+ *     "evidenceRules": [
+ *       { "categories": ["academic"], "when": { "claimSignals": ["policy"] },
+ *         "add": 25, "group": "tier" }
+ *     ],
+ *     "resultRules": [
+ *       { "when": { "verdict": ["true"], "uniqueDomainsBelow": 3 },
+ *         "adjust": { "confidence": { "add": -0.2, "atLeast": 0.3 } },
+ *         "verdict": "mixed", "concern": "...", "finding": "..." }
+ *     ],
+ *     "enabled": true,
+ *     "default": true                     // run when a request names no agents
+ *   }
+ *
+ * Score operations: set, add, atLeast, atMost (applied in that order).
+ * Evidence rules match sources by domains (substring), suffixes or
+ * categories from the domain reputation list (services/domainReputationService.js).
+ * Evidence rule conditions: claimSignals (all), anyClaimSignals.
+ * Result rule conditions add: verdict, verdictNot, uniqueDomainsBelow,
+ * avgReputationBelow, evidence { domains, suffixes, categories, snippetHas,
+ * stances, minCount } and any: [conditions]. `stances` matches evidence whose
+ * confident stance is one of supports, refutes, discusses or unrelated.
+ * Findings and concerns may use {matchedDomains}.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const logger = require('../utils/logger');
+const AgentDefinition = require('../models/AgentDefinition');
+const DeclarativeAgent = require('../routes/agents/declarativeAgent');
+const cassetteService = require('./cassetteService');
+const { STANCES } = require('./stanceService');
+const { CATEGORIES: DOMAIN_CATEGORIES } = require('../models/Domain');
+
+const DEFAULT_AGENT_DIR = path.join(__dirname, '../config/agents');
+
+// Re-read database definitions at most this often
+const REFRESH_INTERVAL_MS = 60 * 1000;
+
+const ID_PATTERN = /^[A-Za-z][A-Za-z0-9_-]{1,39}$/;
+const VERDICTS = ['true', 'false', 'mixed', 'unknown'];
+const OPERATIONS = ['set', 'add', 'atLeast', 'atMost'];
+const ADJUSTABLE_FIELDS = ['credibility', 'confidence'];
+const CLAIM_CONDITIONS = ['claimSignals', 'anyClaimSignals'];
+const RESULT_CONDITIONS = [
+  ...CLAIM_CONDITIONS,
+  'verdict', 'verdictNot', 'uniqueDomainsBelow', 'avgReputationBelow', 'evidence', 'any'
+];
+
+// Fields copied between API definitions and AgentDefinition documents
+const DEFINITION_FIELDS = [
+  'name', 'description', 'biasProfile', 'systemPrompt',
+  'trustedDomains', 'domainBonus', 'penalizedDomains', 'domainPenalty',
+  'signals', 'evidenceRules', 'resultRules', 'enabled'
+];
+
+class AgentRegistryError extends Error {
+  constructor(message, status = 400, details = []) {
+    super(message);
+    this.name = 'AgentRegistryError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+class AgentRegistry {
+  constructor() {
+    this.directory = path.resolve(process.env.AGENT_CONFIG_DIR || DEFAULT_AGENT_DIR);
+    this.fileDefinitions = this.loadDirectory();
+    this.databaseDefinitions = new Map();
+    this.lastRefresh = 0;
+    this.rebuild();
+  }
+
+  /**
+   * Load and validate every definition in the config directory
+   * @returns {Map<string, Object>} Definitions by id
+   */
+  loadDirectory() {
+    const definitions = new Map();
+
+    if (!fs.existsSync(this.directory)) {
+      logger.warn('Agent config directory not found', { directory: this.directory });
+      return definitions;
+    }
+
+    const files = fs.readdirSync(this.directory).filter(f => f.endsWith('.json')).sort();
+
+    for (const file of files) {
+      try {
+        const definition = JSON.parse(fs.readFileSync(path.join(this.directory, file), 'utf8'));
+        const errors = this.validate(definition);
+
+        if (errors.length > 0) {
+          logger.error('Invalid agent definition', { file, errors });
+          continue;
+        }
+
+        definitions.set(definition.id, { ...definition, source: 'config' });
+      } catch (error) {
+        logger.error('Failed to load agent definition', { file, error: error.message });
+      }
+    }
+
+    return definitions;
+  }
+
+  /**
+   * Re-read database definitions and rebuild the agent set
+   */
+  async refresh() {
+    if (mongoose.connection.readyState !== 1) return;
+
+    const docs = await AgentDefinition.find().lean();
+    this.databaseDefinitions = new Map(docs.map(doc => [doc.agentId, this.fromDocument(doc)]));
+    this.lastRefresh = Date.now();
+    this.rebuild();
+  }
+
+  /**
+   * Refresh database definitions if they may be stale (e.g. changed by another instance)
+   */
+  async ensureFresh() {
+    if (Date.now() - this.lastRefresh < REFRESH_INTERVAL_MS) return;
+
+    try {
+      await this.refresh();
+    } catch (error) {
+      logger.warn('Failed to refresh agent definitions', { error: error.message });
+    }
+  }
+
+  /**
+   * Merge file and database definitions and create agents for enabled ones
+   */
+  rebuild() {
+    this.definitions = new Map([...this.fileDefinitions, ...this.databaseDefinitions]);
+    this.agents = new Map();
+
+    for (const [id, definition] of this.definitions) {
+      if (definition.enabled !== false) {
+        this.agents.set(id, new DeclarativeAgent(definition));
+      }
+    }
+
+    logger.info('Agent registry loaded', {
+      agents: [...this.agents.keys()],
+      defaults: this.getDefaultAgentIds()
+    });
+  }
+
+  /**
+   * Get a runnable agent by id (enabled agents only)
+   * @param {string} id - Agent id
+   * @returns {DeclarativeAgent|undefined}
+   */
+  getAgent(id) {
+    const live = this.agents.get(id);
+    const definition = cassetteService.lookup('agent', { id }, () => live?.definition || null);
+
+    if (!definition) return undefined;
+    // Inside a cassette the definition is the recorded copy
+    return definition === live?.definition ? live : new DeclarativeAgent(definition);
+  }
+
+  /**
+   * Ids of all enabled agents
+   */
+  getAgentIds() {
+    return cassetteService.lookup('agents', {}, () => [...this.agents.keys()]);
+  }
+
+  /**
+   * Ids of the enabled agents that run when a request names none
+   */
+  getDefaultAgentIds() {
+    return cassetteService.lookup('agents', { defaults: true }, () =>
+      [...this.agents.values()]
+        .filter(agent => agent.definition.default)
+        .map(agent => agent.type)
+    );
+  }
+
+  /**
+   * Get a definition by id, including disabled ones
+   * @param {string} id - Agent id
+   * @returns {Object|undefined}
+   */
+  getDefinition(id) {
+    return this.definitions.get(id);
+  }
+
+  /**
+   * List all definitions
+   * @returns {Array<Object>}
+   */
+  listDefinitions() {
+    return [...this.definitions.values()];
+  }
+
+  /**
+   * Resolve the agent id for an agent display name
+   * @param {string} agentName - Agent display name
+   * @returns {string} Agent id ('generic' when unknown)
+   */
+  resolveType(agentName) {
+    const nameLower = String(agentName || '').toLowerCase();
+
+    for (const definition of this.definitions.values()) {
+      if (definition.name.toLowerCase() === nameLower || definition.id.toLowerCase() === nameLower) {
+        return definition.id;
+      }
+    }
+
+    return 'generic';
+  }
+
+  /**
+   * Create an agent definition in the database
+   * @param {Object} definition - Agent definition
+   * @returns {Promise<Object>} Stored definition
+   */
+  async create(definition) {
+    await this.refresh();
+
+    if (this.definitions.has(definition.id)) {
+      throw new AgentRegistryError(`Agent '${definition.id}' already exists`, 409);
+    }
+
+    this.assertValid(definition);
+
+    const doc = await AgentDefinition.create(this.toDocument(definition));
+    await this.refresh();
+
+    logger.info('Agent definition created', { id: definition.id });
+    return this.fromDocument(doc.toObject());
+  }
+
+  /**
+   * Replace an agent definition. Updating a config-file agent stores an
+   * overriding copy in the database.
+   * @param {string} id - Agent id
+   * @param {Object} definition - Agent definition
+   * @returns {Promise<Object>} Stored definition
+   */
+  async update(id, definition) {
+    await this.refresh();
+
+    if (!this.definitions.has(id)) {
+      throw new AgentRegistryError(`Agent '${id}' not found`, 404);
+    }
+
+    const next = { ...definition, id };
+    this.assertValid(next);
+
+    const doc = await AgentDefinition.findOneAndReplace(
+      { agentId: id },
+      this.toDocument(next),
+      { upsert: true, new: true }
+    ).lean();
+    await this.refresh();
+
+    logger.info('Agent definition updated', { id });
+    return this.fromDocument(doc);
+  }
+
+  /**
+   * Delete a database agent definition. A config-file agent it overrode
+   * becomes active again; config-file agents themselves can only be disabled.
+   * @param {string} id - Agent id
+   * @returns {Promise<Object|null>} Definition now active for the id, if any
+   */
+  async remove(id) {
+    await this.refresh();
+
+    if (!this.databaseDefinitions.has(id)) {
+      if (this.fileDefinitions.has(id)) {
+        throw new AgentRegistryError(
+          `Agent '${id}' comes from the config directory and cannot be deleted; set enabled to false instead`,
+          409
+        );
+      }
+      throw new AgentRegistryError(`Agent '${id}' not found`, 404);
+    }
+
+    await AgentDefinition.deleteOne({ agentId: id });
+    await this.refresh();
+
+    logger.info('Agent definition deleted', { id });
+    return this.definitions.get(id) || null;
+  }
+
+  /**
+   * Throw if a definition is invalid or its name is taken by another agent
+   */
+  assertValid(definition) {
+    const errors = this.validate(definition);
+
+    const nameLower = String(definition.name || '').toLowerCase();
+    for (const other of this.definitions.values()) {
+      if (other.id !== definition.id && other.name.toLowerCase() === nameLower) {
+        errors.push({ field: 'name', message: `Name is already used by agent '${other.id}'` });
+      }
+    }
+
+    if (errors.length > 0) {
+      throw new AgentRegistryError('Invalid agent definition', 400, errors);
+    }
+  }
+
+  /**
+   * Validate a definition
+   * @param {Object} definition - Agent definition
+   * @returns {Array<Object>} Errors as { field, message }
+   */
+  validate(definition) {
+    const errors = [];
+    const error = (field, message) => errors.push({ field, message });
+    const isStringArray = (value) => Array.isArray(value) && value.every(v => typeof v === 'string');
+
+    if (!definition || typeof definition !== 'object') {
+      return [{ field: 'body', message: 'Definition must be an object' }];
+    }
+
+    if (!ID_PATTERN.test(definition.id || '')) {
+      error('id', 'id must be 2-40 letters, digits, - or _, starting with a letter');
+    }
+    if (typeof definition.name !== 'string' || !definition.name.trim()) {
+      error('name', 'name is required');
+    }
+    if (typeof definition.systemPrompt !== 'string' || definition.systemPrompt.length < 20) {
+      error('systemPrompt', 'systemPrompt must be at least 20 characters');
+    }
+
+    for (const field of ['trustedDomains', 'penalizedDomains']) {
+      if (definition[field] !== undefined && !isStringArray(definition[field])) {
+        error(field, `${field} must be an array of strings`);
+      }
+    }
+    for (const field of ['domainBonus', 'domainPenalty']) {
+      if (definition[field] !== undefined && typeof definition[field] !== 'number') {
+        error(field, `${field} must be a number`);
+      }
+    }
+
+    const signals = definition.signals || {};
+    if (typeof signals !== 'object' || Array.isArray(signals)) {
+      error('signals', 'signals must map names to keyword arrays');
+    } else {
+      for (const [name, keywords] of Object.entries(signals)) {
+        if (!isStringArray(keywords)) error(`signals.${name}`, 'Signal keywords must be an array of strings');
+      }
+    }
+
+    const checkCondition = (when, field, allowed) => {
+      if (!when || typeof when !== 'object') {
+        error(field, 'Condition must be an object');
+        return;
+      }
+      for (const [key, value] of Object.entries(when)) {
+        if (!allowed.includes(key)) {
+          error(`${field}.${key}`, `Unknown condition. Allowed: ${allowed.join(', ')}`);
+        } else if (CLAIM_CONDITIONS.includes(key)) {
+          if (!isStringArray(value)) error(`${field}.${key}`, 'Must be an array of signal names');
+          else value.filter(s => !signals[s]).forEach(s => error(`${field}.${key}`, `Unknown signal '${s}'`));
+        } else if (key === 'verdict' || key === 'verdictNot') {
+          if (!isStringArray(value) || value.some(v => !VERDICTS.includes(v))) {
+            error(`${field}.${key}`, `Must be an array of: ${VERDICTS.join(', ')}`);
+          }
+        } else if (key === 'uniqueDomainsBelow' || key === 'avgReputationBelow') {
+          if (typeof value !== 'number') error(`${field}.${key}`, 'Must be a number');
+        } else if (key === 'evidence') {
+          const { domains, suffixes, categories, snippetHas, stances, minCount, ...rest } = value || {};
+          if (Object.keys(rest).length > 0) error(`${field}.evidence`, `Unknown keys: ${Object.keys(rest).join(', ')}`);
+          for (const [k, v] of Object.entries({ domains, suffixes, snippetHas })) {
+            if (v !== undefined && !isStringArray(v)) error(`${field}.evidence.${k}`, 'Must be an array of strings');
+          }
+          if (categories !== undefined) checkCategories(categories, `${field}.evidence.categories`);
+          if (stances !== undefined && (!isStringArray(stances) || stances.some(v => !STANCES.includes(v)))) {
+            error(`${field}.evidence.stances`, `Must be an array of: ${STANCES.join(', ')}`);
+          }
+          if (minCount !== undefined && !Number.isInteger(minCount)) error(`${field}.evidence.minCount`, 'Must be an integer');
+        } else if (key === 'any') {
+          if (!Array.isArray(value)) error(`${field}.any`, 'Must be an array of conditions');
+          else value.forEach((branch, i) => checkCondition(branch, `${field}.any[${i}]`, allowed));
+        }
+      }
+    };
+
+    const checkCategories = (categories, field) => {
+      if (!isStringArray(categories) || categories.some(c => !DOMAIN_CATEGORIES.includes(c))) {
+        error(field, `Must be an array of: ${DOMAIN_CATEGORIES.join(', ')}`);
+      }
+    };
+
+    const checkOperation = (operation, field) => {
+      const keys = Object.keys(operation || {});
+      if (keys.length === 0 || keys.some(k => !OPERATIONS.includes(k))) {
+        error(field, `Must use one or more of: ${OPERATIONS.join(', ')}`);
+      } else if (keys.some(k => typeof operation[k] !== 'number')) {
+        error(field, 'Operation values must be numbers');
+      }
+    };
+
+    const evidenceRules = definition.evidenceRules || [];
+    if (!Array.isArray(evidenceRules)) {
+      error('evidenceRules', 'evidenceRules must be an array');
+    } else {
+      evidenceRules.forEach((rule, i) => {
+        const field = `evidenceRules[${i}]`;
+        const { domains, suffixes, categories, when, group, ...operation } = rule || {};
+        if (!isStringArray(domains || []) || !isStringArray(suffixes || []) ||
+            !(domains?.length || suffixes?.length || categories?.length)) {
+          error(field, 'Evidence rules need domains, suffixes and/or categories (arrays of strings)');
+        }
+        if (categories !== undefined) checkCategories(categories, `${field}.categories`);
+        if (when !== undefined) checkCondition(when, `${field}.when`, CLAIM_CONDITIONS);
+        if (group !== undefined && typeof group !== 'string') error(`${field}.group`, 'group must be a string');
+        checkOperation(operation, field);
+      });
+    }
+
+    const resultRules = definition.resultRules || [];
+    if (!Array.isArray(resultRules)) {
+      error('resultRules', 'resultRules must be an array');
+    } else {
+      resultRules.forEach((rule, i) => {
+        const field = `resultRules[${i}]`;
+        const { when, adjust, verdict, finding, concern, ...rest } = rule || {};
+        if (Object.keys(rest).length > 0) error(field, `Unknown keys: ${Object.keys(rest).join(', ')}`);
+        if (when !== undefined) checkCondition(when, `${field}.when`, RESULT_CONDITIONS);
+        if (verdict !== undefined && !VERDICTS.includes(verdict)) {
+          error(`${field}.verdict`, `Must be one of: ${VERDICTS.join(', ')}`);
+        }
+        for (const [k, v] of Object.entries({ finding, concern })) {
+          if (v !== undefined && typeof v !== 'string') error(`${field}.${k}`, 'Must be a string');
+        }
+        for (const [target, operation] of Object.entries(adjust || {})) {
+          if (!ADJUSTABLE_FIELDS.includes(target)) {
+            error(`${field}.adjust.${target}`, `Can only adjust: ${ADJUSTABLE_FIELDS.join(', ')}`);
+          } else {
+            checkOperation(operation, `${field}.adjust.${target}`);
+          }
+        }
+        if (!adjust && !verdict && !finding && !concern) {
+          error(field, 'Rule has no effect (adjust, verdict, finding or concern)');
+        }
+      });
+    }
+
+    return errors;
+  }
+
+  /**
+   * Convert an AgentDefinition document to an API definition
+   */
+  fromDocument(doc) {
+    const definition = { id: doc.agentId, default: !!doc.isDefault, source: 'database' };
+    for (const field of DEFINITION_FIELDS) {
+      if (doc[field] !== undefined) definition[field] = doc[field];
+    }
+    return definition;
+  }
+
+  /**
+   * Convert an API definition to AgentDefinition document fields
+   */
+  toDocument(definition) {
+    const doc = { agentId: definition.id, isDefault: !!definition.default };
+    for (const field of DEFINITION_FIELDS) {
+      if (definition[field] !== undefined) doc[field] = definition[field];
+    }
+    return doc;
+  }
+}
+
+// Export singleton instance
+module.exports = new AgentRegistry();
+module.exports.AgentRegistryError = AgentRegistryError;
@@ -0,0 +1,319 @@
+/**
+ * Anchor Batch Service
+ *
+ * With BLOCKCHAIN_ANCHOR_MODE=batch, verifications are saved with
+ * `blockchain.status: 'pending'` instead of being sent on chain one by
+ * one. Every BLOCKCHAIN_BATCH_INTERVAL_MS the pending graph hashes become
+ * the leaves of one Merkle tree (utils/merkle.js) and only its root is
+ * anchored, through the contract's anchorBatch. Each SourceGraph then
+ * stores its batch id, root and inclusion proof, so anyone can check it
+ * with the contract's verifyInclusion.
+ *
+ * Verifications are claimed by a batch atomically, so several server
+ * instances can run the scheduler. A batch that fails to anchor releases
+ * its verifications for the next one.
+ */
+
+const logger = require('../utils/logger');
+const merkle = require('../utils/merkle');
+const SourceGraph = require('../models/SourceGraph');
+const AnchorBatch = require('../models/AnchorBatch');
+const blockchainService = require('./blockchainService');
+
+// Configuration
+const CONFIG = {
+  INTERVAL_MS: parseInt(process.env.BLOCKCHAIN_BATCH_INTERVAL_MS, 10) || 10 * 60 * 1000,
+  MAX_SIZE: parseInt(process.env.BLOCKCHAIN_BATCH_MAX, 10) || 1000,
+  // A batch still building after this long is assumed dead and released
+  STALE_BUILD_MS: 30 * 60 * 1000
+};
+
+class AnchorBatchError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'AnchorBatchError';
+    this.status = status;
+  }
+}
+
+/**
+ * Leaf hashes of a batch tree: graph hashes in the given order
+ * @param {Array<string>} graphHashes - Hex graph hashes
+ * @returns {Array<Buffer>}
+ */
+const batchLeaves = (graphHashes) => graphHashes.map(hash => merkle.hashLeafBytes(Buffer.from(hash, 'hex')));
+
+class AnchorBatchService {
+  constructor() {
+    this.timer = null;
+    this.ticking = false;
+  }
+
+  /**
+   * Start anchoring batches on an interval (no-op unless batch mode is on)
+   */
+  start() {
+    if (this.timer || blockchainService.anchorMode !== 'batch') return;
+
+    // Don't keep the process alive just for the scheduler
+    this.timer = setInterval(() => this.tick(), CONFIG.INTERVAL_MS);
+    this.timer.unref();
+
+    logger.info('Anchor batch scheduler started', {
+      intervalMs: CONFIG.INTERVAL_MS,
+      maxSize: CONFIG.MAX_SIZE
+    });
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Anchor pending verifications, one batch of up to MAX_SIZE at a time
+   * @returns {Promise<Array>} Batches anchored or failed in this tick
+   */
+  async tick() {
+    if (this.ticking) return [];
+    this.ticking = true;
+
+    const batches = [];
+    try {
+      await this.releaseStale();
+
+      for (;;) {
+        const batch = await this.anchorPending();
+        if (!batch) break;
+        batches.push(batch);
+        if (batch.status !== 'anchored' || batch.size < CONFIG.MAX_SIZE) break;
+      }
+    } catch (error) {
+      logger.error('Anchor batch tick failed', { error: error.message });
+    } finally {
+      this.ticking = false;
+    }
+    return batches;
+  }
+
+  /**
+   * Claim pending verifications and anchor them as one batch
+   * @returns {Promise<Object|null>} AnchorBatch document, or null if nothing was pending
+   */
+  async anchorPending() {
+    const batch = await AnchorBatch.create({ status: 'building' });
+
+    const graphHashes = await this.claim(batch._id);
+    if (graphHashes.length === 0) {
+      await AnchorBatch.deleteOne({ _id: batch._id });
+      return null;
+    }
+
+    const levels = merkle.buildLevels(batchLeaves(graphHashes));
+    batch.graphHashes = graphHashes;
+    batch.size = graphHashes.length;
+    batch.root = levels[levels.length - 1][0].toString('hex');
+
+    try {
+      const result = await blockchainService.anchorBatch({ root: batch.root, size: batch.size });
+
+      Object.assign(batch, {
+        status: 'anchored',
+        batchId: result.batchId ?? undefined,
+        provider: result.provider,
+        contractAddress: result.contractAddress,
+        transactionHash: result.transactionHash,
+        blockNumber: result.blockNumber,
+        dryRun: !!result.dryRun,
+        anchoredAt: new Date()
+      });
+      await batch.save();
+
+      await SourceGraph.bulkWrite(graphHashes.map((hash, index) => ({
+        updateOne: {
+          filter: { hash, 'blockchain.batchRef': batch._id },
+          update: {
+            $set: {
+              'blockchain.status': 'anchored',
+              'blockchain.provider': result.provider,
+              'blockchain.transactionHash': result.transactionHash,
+              'blockchain.blockNumber': result.blockNumber,
+              'blockchain.storedAt': batch.anchoredAt,
+              'blockchain.batch': {
+                id: batch.batchId,
+                contractAddress: batch.contractAddress,
+                root: batch.root,
+                index,
+                size: batch.size,
+                proof: merkle.proofFor(levels, index)
+              }
+            },
+            $unset: { 'blockchain.batchRef': '' }
+          }
+        }
+      })));
+
+      logger.info('Anchored verification batch', {
+        batchId: batch.batchId,
+        root: batch.root,
+        size: batch.size,
+        transactionHash: batch.transactionHash
+      });
+    } catch (error) {
+      batch.status = 'failed';
+      batch.error = error.message;
+      await batch.save();
+      await this.release(batch._id);
+
+      logger.error('Failed to anchor verification batch', {
+        root: batch.root,
+        size: batch.size,
+        error: error.message
+      });
+    }
+
+    return batch;
+  }
+
+  /**
+   * Atomically claim up to MAX_SIZE pending verifications for a batch
+   * @param {ObjectId} batchRef - AnchorBatch id
+   * @returns {Promise<Array<string>>} Claimed graph hashes, oldest first
+   */
+  async claim(batchRef) {
+    const candidates = await SourceGraph.find({
+      'blockchain.status': 'pending',
+      'blockchain.batchRef': { $exists: false }
+    })
+      .sort({ createdAt: 1 })
+      .limit(CONFIG.MAX_SIZE)
+      .select('_id');
+
+    if (candidates.length === 0) return [];
+
+    // Another instance may have claimed some of them in between
+    await SourceGraph.updateMany(
+      { _id: { $in: candidates.map(doc => doc._id) }, 'blockchain.batchRef': { $exists: false } },
+      { $set: { 'blockchain.batchRef': batchRef } }
+    );
+
+    const claimed = await SourceGraph.find({ 'blockchain.batchRef': batchRef })
+      .sort({ createdAt: 1 })
+      .select('hash');
+
+    return claimed.map(doc => doc.hash);
+  }
+
+  /**
+   * Return a batch's verifications to the pending pool
+   * @param {ObjectId} batchRef - AnchorBatch id
+   */
+  async release(batchRef) {
+    await SourceGraph.updateMany(
+      { 'blockchain.batchRef': batchRef, 'blockchain.status': 'pending' },
+      { $unset: { 'blockchain.batchRef': '' } }
+    );
+  }
+
+  /**
+   * Fail batches left building by a crashed run and release their verifications
+   */
+  async releaseStale() {
+    const stale = await AnchorBatch.find({
+      status: 'building',
+      createdAt: { $lte: new Date(Date.now() - CONFIG.STALE_BUILD_MS) }
+    }).select('_id');
+
+    for (const { _id } of stale) {
+      await AnchorBatch.updateOne({ _id }, { $set: { status: 'failed', error: 'Abandoned while building' } });
+      await this.release(_id);
+    }
+  }
+
+  /**
+   * Anchoring details of one verification, with its batch proof checked
+   * against the stored root and, when a contract is configured, the chain
+   * @param {string} hash - Graph hash
+   * @returns {Promise<Object>}
+   */
+  async getAnchor(hash) {
+    const doc = await SourceGraph.findByHash(hash);
+    if (!doc) {
+      throw new AnchorBatchError('Verification not found for this hash', 404);
+    }
+
+    const blockchain = doc.blockchain || {};
+    const batch = blockchain.batch?.root ? blockchain.batch : null;
+
+    const anchor = {
+      hash,
+      mode: batch || blockchain.status === 'pending' ? 'batch' : 'single',
+      status: blockchain.status || (blockchain.transactionHash ? 'anchored' : 'none'),
+      provider: blockchain.provider || null,
+      transaction_hash: blockchain.transactionHash || null,
+      block_number: blockchain.blockNumber ?? null,
+      anchored_at: blockchain.storedAt?.toISOString() || null
+    };
+
+    if (!batch) return anchor;
+
+    const proof = batch.proof.map(({ position, hash: sibling }) => ({ position, hash: sibling }));
+    const leafHash = batchLeaves([hash])[0];
+    const onChain = await blockchainService.getBatch(batch.id, batch.contractAddress);
+
+    return {
+      ...anchor,
+      batch: {
+        id: batch.id ?? null,
+        contract_address: batch.contractAddress || null,
+        root: batch.root,
+        size: batch.size,
+        index: batch.index,
+        leaf_hash: leafHash.toString('hex'),
+        proof
+      },
+      verified: {
+        proof: merkle.rootFromProof(leafHash, proof) === batch.root,
+        // null when there is no contract to ask (dry run or no contract address)
+        on_chain: onChain ? onChain.root === batch.root : null
+      }
+    };
+  }
+
+  /**
+   * Counts of pending verifications and recent batches
+   * @returns {Promise<Object>}
+   */
+  async status() {
+    const [pending, batches] = await Promise.all([
+      SourceGraph.countDocuments({ 'blockchain.status': 'pending' }),
+      AnchorBatch.find({ status: { $ne: 'building' } })
+        .sort({ createdAt: -1 })
+        .limit(10)
+        .select('status root size batchId transactionHash anchoredAt error createdAt')
+    ]);
+
+    return {
+      mode: blockchainService.anchorMode,
+      interval_ms: CONFIG.INTERVAL_MS,
+      max_size: CONFIG.MAX_SIZE,
+      pending,
+      recent_batches: batches.map(b => ({
+        batch_id: b.batchId ?? null,
+        status: b.status,
+        root: b.root,
+        size: b.size,
+        transaction_hash: b.transactionHash || null,
+        anchored_at: b.anchoredAt?.toISOString() || null,
+        error: b.error || null,
+        created_at: b.createdAt.toISOString()
+      }))
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new AnchorBatchService();
+module.exports.AnchorBatchError = AnchorBatchError;
+module.exports.CONFIG = CONFIG;
+module.exports.batchLeaves = batchLeaves;
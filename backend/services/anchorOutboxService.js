@@ -0,0 +1,617 @@
+/**
+ * Anchor Outbox Service
+ *
+ * With BLOCKCHAIN_ANCHOR_MODE=single on an EVM chain, a verification is
+ * not sent on chain inside the request. It is written to the outbox
+ * (models/AnchorOutbox.js) and this service takes it from there:
+ *
+ * - pending:   sent with a nonce from the wallet's nonce manager, several
+ *              at a time. A failed send is retried with backoff, up to
+ *              BLOCKCHAIN_MAX_ATTEMPTS times.
+ * - submitted: polled for its receipt. A transaction not mined after
+ *              BLOCKCHAIN_STUCK_TX_MS is resent with the same nonce and
+ *              BLOCKCHAIN_GAS_BUMP_PERCENT higher fees. If the nonce was
+ *              used by another transaction, the entry is sent again.
+ * - confirmed: mined with BLOCKCHAIN_CONFIRMATIONS confirmations.
+ *              SourceGraph.blockchain gets the transaction hash, block
+ *              number and storedAt.
+ * - failed:    out of attempts, or reverted. Re-anchored through
+ *              POST /api/v1/anchors/outbox/retry.
+ *
+ * A process that stops between broadcasting and saving the entry leaves it
+ * pending while its transaction stores the graph. Before every send, and
+ * after a revert, the contract is asked for the graph; one already stored
+ * confirms the entry instead of failing it on "Graph already exists".
+ *
+ * Entries survive restarts. The nonce manager is per process, so only one
+ * server instance per wallet should run the outbox.
+ */
+
+const { ethers } = require('ethers');
+const logger = require('../utils/logger');
+const AnchorOutbox = require('../models/AnchorOutbox');
+const SourceGraph = require('../models/SourceGraph');
+const blockchainService = require('./blockchainService');
+
+// Configuration
+const CONFIG = {
+  POLL_MS: parseInt(process.env.BLOCKCHAIN_OUTBOX_POLL_MS, 10) || 15000,
+  CONFIRMATIONS: parseInt(process.env.BLOCKCHAIN_CONFIRMATIONS, 10) || 2,
+  STUCK_MS: parseInt(process.env.BLOCKCHAIN_STUCK_TX_MS, 10) || 3 * 60 * 1000,
+  // Nodes refuse a replacement less than 10% above the transaction it replaces
+  GAS_BUMP_PERCENT: Math.max(parseInt(process.env.BLOCKCHAIN_GAS_BUMP_PERCENT, 10) || 20, 10),
+  // Fees are never bumped past this (no cap when unset)
+  MAX_FEE_GWEI: process.env.BLOCKCHAIN_MAX_FEE_GWEI || null,
+  MAX_ATTEMPTS: parseInt(process.env.BLOCKCHAIN_MAX_ATTEMPTS, 10) || 5,
+  // First retry delay; doubles with every attempt
+  RETRY_BASE_MS: 30 * 1000,
+  // Entries sent per tick (in parallel)
+  SUBMIT_BATCH: 10,
+  // An entry claimed longer ago than this is assumed abandoned
+  LOCK_MS: 5 * 60 * 1000,
+  // Blocks searched for the transaction of a graph found already stored
+  // (public RPCs limit log queries to ranges around this size)
+  STORED_LOOKBACK_BLOCKS: 10000
+};
+
+const FEE_FIELDS = ['maxFeePerGas', 'maxPriorityFeePerGas', 'gasPrice'];
+
+// SourceGraph.blockchain.status for each outbox status
+const GRAPH_STATUS = {
+  pending: 'queued',
+  submitted: 'submitted',
+  confirmed: 'anchored',
+  failed: 'failed'
+};
+
+class AnchorOutboxError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'AnchorOutboxError';
+    this.status = status;
+  }
+}
+
+/**
+ * Send errors meaning the nonce is already taken, usually because an
+ * earlier transaction with it has been mined
+ */
+const isNonceTaken = (error) => /nonce (too low|has already been used)|already known|NONCE_EXPIRED|replacement (transaction )?underpriced/i
+  .test(`${error.code || ''} ${error.message}`);
+
+class AnchorOutboxService {
+  constructor() {
+    this.timer = null;
+    this.ticking = false;
+    this.kicked = false;
+  }
+
+  /**
+   * True when verifications are anchored through the outbox
+   */
+  isActive() {
+    return blockchainService.anchorMode === 'single'
+      && !blockchainService.dryRun
+      && blockchainService.isEVM();
+  }
+
+  /**
+   * Start sending and confirming on an interval (no-op unless the outbox is active)
+   */
+  start() {
+    if (this.timer || !this.isActive()) return;
+
+    // Don't keep the process alive just for the worker
+    this.timer = setInterval(() => this.tick(), CONFIG.POLL_MS);
+    this.timer.unref();
+
+    logger.info('Anchor outbox started', {
+      pollMs: CONFIG.POLL_MS,
+      confirmations: CONFIG.CONFIRMATIONS,
+      stuckMs: CONFIG.STUCK_MS
+    });
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Add a verification to the outbox. A graph hash already in it is left
+   * as it is.
+   * @param {Object} args - { provider } plus blockchainService.toStoreGraphArgs()
+   */
+  async enqueue({ provider, graphHash, claim, verdict, accuracyScore, nodes, timestamp }) {
+    await AnchorOutbox.updateOne(
+      { graphHash },
+      {
+        $setOnInsert: {
+          graphHash,
+          provider,
+          payload: { claim, verdict, accuracyScore, nodes, timestamp }
+        }
+      },
+      { upsert: true }
+    );
+
+    logger.info('Verification queued for anchoring', { graphHash });
+    this.kick();
+  }
+
+  /**
+   * Run a tick soon instead of waiting for the interval
+   */
+  kick() {
+    if (this.kicked) return;
+    this.kicked = true;
+
+    setImmediate(() => {
+      this.kicked = false;
+      this.tick();
+    });
+  }
+
+  /**
+   * Send pending entries, check submitted ones and bring their
+   * verifications up to date
+   * @returns {Promise<Object>} Counts of entries sent and checked
+   */
+  async tick() {
+    if (this.ticking) return { submitted: 0, checked: 0 };
+    this.ticking = true;
+
+    const counts = { submitted: 0, checked: 0 };
+    try {
+      counts.submitted = await this.submitPending();
+      counts.checked = await this.checkSubmitted();
+      await this.syncGraphs();
+    } catch (error) {
+      logger.error('Anchor outbox tick failed', { error: error.message });
+    } finally {
+      this.ticking = false;
+    }
+    return counts;
+  }
+
+  /**
+   * Claim due pending entries and send them in parallel
+   * @returns {Promise<number>} Entries claimed
+   */
+  async submitPending() {
+    const entries = [];
+    const now = new Date();
+
+    // Claimed one at a time so another worker can't take the same entry
+    while (entries.length < CONFIG.SUBMIT_BATCH) {
+      const entry = await AnchorOutbox.findOneAndUpdate(
+        {
+          status: 'pending',
+          nextAttemptAt: { $lte: now },
+          $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }]
+        },
+        { $set: { lockedUntil: new Date(Date.now() + CONFIG.LOCK_MS) } },
+        { sort: { createdAt: 1 }, new: true }
+      );
+      if (!entry) break;
+      entries.push(entry);
+    }
+
+    await Promise.all(entries.map(entry => this.submit(entry)));
+    return entries.length;
+  }
+
+  /**
+   * Send one entry's transaction with a fresh nonce
+   * @param {Object} entry - AnchorOutbox document
+   */
+  async submit(entry) {
+    try {
+      if (await this.confirmIfStored(entry)) {
+        await entry.save();
+        await this.updateGraph(entry);
+        return;
+      }
+
+      const fees = await blockchainService.getFeeOverrides();
+      const tx = await blockchainService.sendAnchorTransaction(this.toArgs(entry), fees);
+
+      entry.set({
+        status: 'submitted',
+        from: tx.from,
+        contractAddress: blockchainService.contractAddress,
+        nonce: tx.nonce,
+        gasLimit: tx.gasLimit.toString(),
+        // A fresh nonce: earlier transactions (before a retry) no longer apply
+        transactions: [this.toTransactionDoc(tx.hash, fees)],
+        transactionHash: tx.hash,
+        submittedAt: new Date(),
+        error: undefined,
+        lockedUntil: undefined
+      });
+
+      logger.info('Anchoring transaction sent', {
+        graphHash: entry.graphHash,
+        transactionHash: tx.hash,
+        nonce: tx.nonce
+      });
+    } catch (error) {
+      this.retryLater(entry, error);
+    }
+
+    await entry.save();
+    await this.updateGraph(entry);
+  }
+
+  /**
+   * Check every submitted entry for a receipt
+   * @returns {Promise<number>} Entries checked
+   */
+  async checkSubmitted() {
+    const entries = await AnchorOutbox.find({ status: 'submitted' }).sort({ submittedAt: 1 });
+    if (entries.length === 0) return 0;
+
+    const head = await blockchainService.getBlockNumber();
+    for (const entry of entries) {
+      try {
+        await this.check(entry, head);
+      } catch (error) {
+        logger.warn('Failed to check anchoring transaction', {
+          graphHash: entry.graphHash,
+          error: error.message
+        });
+      }
+    }
+    return entries.length;
+  }
+
+  /**
+   * Confirm, bump or requeue one submitted entry
+   * @param {Object} entry - AnchorOutbox document
+   * @param {number} head - Latest block number
+   */
+  async check(entry, head) {
+    const receipt = await this.findReceipt(entry);
+
+    if (!receipt) {
+      const lastSentAt = entry.transactions[entry.transactions.length - 1]?.sentAt || entry.submittedAt;
+      if (Date.now() - lastSentAt.getTime() >= CONFIG.STUCK_MS) {
+        await this.unstick(entry);
+      }
+      return;
+    }
+
+    entry.set({
+      transactionHash: receipt.hash,
+      blockNumber: receipt.blockNumber,
+      confirmations: head - receipt.blockNumber + 1,
+      gasUsed: receipt.gasUsed.toString()
+    });
+
+    if (receipt.status === 0) {
+      // Reverted because an earlier send of the entry stored the graph
+      if (await this.confirmIfStored(entry)) {
+        await entry.save();
+        await this.updateGraph(entry);
+        return;
+      }
+
+      // Sending the same arguments again would revert again
+      entry.set({ status: 'failed', error: 'Transaction reverted' });
+      logger.error('Anchoring transaction reverted', {
+        graphHash: entry.graphHash,
+        transactionHash: receipt.hash
+      });
+    } else if (entry.confirmations >= CONFIG.CONFIRMATIONS) {
+      entry.set({ status: 'confirmed', confirmedAt: new Date() });
+      logger.info('Anchoring transaction confirmed', {
+        graphHash: entry.graphHash,
+        transactionHash: receipt.hash,
+        blockNumber: receipt.blockNumber
+      });
+    }
+
+    await entry.save();
+    await this.updateGraph(entry);
+  }
+
+  /**
+   * Receipt of whichever of the entry's transactions was mined
+   * @returns {Promise<Object|null>}
+   */
+  async findReceipt(entry) {
+    for (const { hash } of [...entry.transactions].reverse()) {
+      const receipt = await blockchainService.getTransactionReceipt(hash);
+      if (receipt) return receipt;
+    }
+    return null;
+  }
+
+  /**
+   * Handle a transaction that hasn't been mined in STUCK_MS: send it again
+   * if its nonce went to another transaction, otherwise bump its fees
+   * @param {Object} entry - AnchorOutbox document
+   */
+  async unstick(entry) {
+    if (await blockchainService.getMinedNonce() > entry.nonce) {
+      // Mined in the meantime after all
+      if (await this.findReceipt(entry)) return;
+
+      this.retryLater(entry, new Error(`Nonce ${entry.nonce} was used by another transaction`));
+      await entry.save();
+      await this.updateGraph(entry);
+      return;
+    }
+
+    await this.bump(entry);
+  }
+
+  /**
+   * Replace a stuck transaction: same nonce and gas limit, fees raised by
+   * GAS_BUMP_PERCENT (or to the network's current fees, if higher)
+   * @param {Object} entry - AnchorOutbox document
+   */
+  async bump(entry) {
+    const last = entry.transactions[entry.transactions.length - 1];
+    const current = await blockchainService.getFeeOverrides();
+    const cap = CONFIG.MAX_FEE_GWEI ? ethers.parseUnits(CONFIG.MAX_FEE_GWEI, 'gwei') : null;
+
+    const fees = {};
+    for (const field of FEE_FIELDS) {
+      if (!last[field]) continue;
+      const raised = BigInt(last[field]) * BigInt(100 + CONFIG.GAS_BUMP_PERCENT) / 100n;
+      fees[field] = current[field] && current[field] > raised ? current[field] : raised;
+      if (cap && fees[field] > cap) fees[field] = cap;
+    }
+
+    const fee = fees.maxFeePerGas ?? fees.gasPrice;
+    if (fee <= BigInt(last.maxFeePerGas ?? last.gasPrice)) {
+      logger.warn('Stuck anchoring transaction is at the fee cap', {
+        graphHash: entry.graphHash,
+        nonce: entry.nonce,
+        maxFeeGwei: CONFIG.MAX_FEE_GWEI
+      });
+      return;
+    }
+    if (fees.maxPriorityFeePerGas > fees.maxFeePerGas) {
+      fees.maxPriorityFeePerGas = fees.maxFeePerGas;
+    }
+
+    try {
+      const tx = await blockchainService.sendAnchorTransaction(this.toArgs(entry), {
+        ...fees,
+        nonce: entry.nonce,
+        gasLimit: BigInt(entry.gasLimit)
+      });
+
+      entry.transactions.push(this.toTransactionDoc(tx.hash, fees));
+      await entry.save();
+
+      logger.info('Bumped stuck anchoring transaction', {
+        graphHash: entry.graphHash,
+        nonce: entry.nonce,
+        transactionHash: tx.hash,
+        replaces: last.hash
+      });
+    } catch (error) {
+      // The original was mined while we were bumping; the next check finds it
+      if (isNonceTaken(error)) return;
+
+      logger.warn('Failed to bump stuck anchoring transaction', {
+        graphHash: entry.graphHash,
+        nonce: entry.nonce,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Confirm an entry whose graph is already on the contract, with the
+   * transaction that stored it if it is recent enough to be found
+   * @param {Object} entry - AnchorOutbox document
+   * @returns {Promise<boolean>} True if the graph was stored
+   */
+  async confirmIfStored(entry) {
+    const stored = await blockchainService.getVerification(entry.graphHash);
+    if (!stored || stored.contractAddress !== blockchainService.contractAddress) return false;
+
+    const event = await blockchainService.findGraphStored(entry.graphHash, CONFIG.STORED_LOOKBACK_BLOCKS)
+      .catch((error) => {
+        logger.warn('Failed to look up the transaction of a stored graph', {
+          graphHash: entry.graphHash,
+          error: error.message
+        });
+        return null;
+      });
+
+    entry.set({
+      status: 'confirmed',
+      contractAddress: stored.contractAddress,
+      confirmedAt: new Date(),
+      error: undefined,
+      lockedUntil: undefined,
+      // Not a reverted transaction's
+      transactionHash: event?.transactionHash,
+      blockNumber: event?.blockNumber
+    });
+
+    logger.info('Graph already stored on chain, anchoring confirmed', {
+      graphHash: entry.graphHash,
+      transactionHash: event?.transactionHash || null
+    });
+    return true;
+  }
+
+  /**
+   * Put an entry back in the queue with backoff, or fail it for good
+   * @param {Object} entry - AnchorOutbox document
+   * @param {Error} error
+   */
+  retryLater(entry, error) {
+    // ethers errors carry the whole transaction in `message`
+    const message = error.shortMessage || error.message;
+    entry.attempts += 1;
+    entry.error = message;
+    entry.lockedUntil = undefined;
+
+    if (entry.attempts >= CONFIG.MAX_ATTEMPTS) {
+      entry.status = 'failed';
+      logger.error('Anchoring failed, giving up', {
+        graphHash: entry.graphHash,
+        attempts: entry.attempts,
+        error: message
+      });
+      return;
+    }
+
+    entry.status = 'pending';
+    entry.nextAttemptAt = new Date(Date.now() + CONFIG.RETRY_BASE_MS * 2 ** (entry.attempts - 1));
+    logger.warn('Anchoring failed, will retry', {
+      graphHash: entry.graphHash,
+      attempts: entry.attempts,
+      nextAttemptAt: entry.nextAttemptAt.toISOString(),
+      error: message
+    });
+  }
+
+  /**
+   * Copy an entry's state to its verification
+   * @param {Object} entry - AnchorOutbox document
+   */
+  async updateGraph(entry) {
+    await SourceGraph.updateOne({ hash: entry.graphHash }, { $set: this.graphFields(entry) });
+  }
+
+  /**
+   * SourceGraph `blockchain` fields for an entry's state
+   * @param {Object} entry - AnchorOutbox document
+   * @returns {Object} $set paths
+   */
+  graphFields(entry) {
+    return {
+      'blockchain.status': GRAPH_STATUS[entry.status],
+      'blockchain.provider': entry.provider,
+      ...(entry.transactionHash && { 'blockchain.transactionHash': entry.transactionHash }),
+      ...(entry.status === 'confirmed' && {
+        ...(entry.blockNumber != null && { 'blockchain.blockNumber': entry.blockNumber }),
+        'blockchain.storedAt': entry.confirmedAt
+      })
+    };
+  }
+
+  /**
+   * Bring queued and submitted verifications up to date with the outbox.
+   * A verification saved after its entry moved on missed that update.
+   */
+  async syncGraphs() {
+    const graphs = await SourceGraph.find({ 'blockchain.status': { $in: ['queued', 'submitted'] } })
+      .sort({ createdAt: 1 })
+      .limit(500)
+      .select('hash blockchain.status blockchain.transactionHash');
+    if (graphs.length === 0) return;
+
+    const entries = await AnchorOutbox.find({ graphHash: { $in: graphs.map(g => g.hash) } });
+    const byHash = new Map(entries.map(entry => [entry.graphHash, entry]));
+
+    for (const graph of graphs) {
+      const entry = byHash.get(graph.hash);
+      if (!entry) continue;
+
+      if (GRAPH_STATUS[entry.status] !== graph.blockchain.status
+        || (entry.transactionHash || null) !== (graph.blockchain.transactionHash || null)) {
+        await this.updateGraph(entry);
+      }
+    }
+  }
+
+  /**
+   * Queue failed entries to be anchored again, from the first attempt
+   * @param {Array<string>} [graphHashes] - Only these (default: every failed entry)
+   * @returns {Promise<number>} Entries queued
+   */
+  async retryFailed(graphHashes) {
+    if (!this.isActive()) {
+      throw new AnchorOutboxError('The anchoring outbox is off (needs BLOCKCHAIN_ANCHOR_MODE=single on an EVM chain, without dry run)', 409);
+    }
+
+    const filter = {
+      status: 'failed',
+      ...(graphHashes?.length && { graphHash: { $in: graphHashes } })
+    };
+    const failed = await AnchorOutbox.find(filter).select('graphHash');
+    if (failed.length === 0) return 0;
+
+    await AnchorOutbox.updateMany(
+      { _id: { $in: failed.map(entry => entry._id) }, status: 'failed' },
+      {
+        $set: { status: 'pending', attempts: 0, nextAttemptAt: new Date() },
+        $unset: { error: '', lockedUntil: '' }
+      }
+    );
+    await SourceGraph.updateMany(
+      { hash: { $in: failed.map(entry => entry.graphHash) } },
+      { $set: { 'blockchain.status': GRAPH_STATUS.pending } }
+    );
+
+    logger.info('Re-anchoring failed verifications', { count: failed.length });
+    this.kick();
+    return failed.length;
+  }
+
+  /**
+   * Counts per status and the most recent failures
+   * @returns {Promise<Object>}
+   */
+  async status() {
+    const [counts, failed] = await Promise.all([
+      AnchorOutbox.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }]),
+      AnchorOutbox.find({ status: 'failed' })
+        .sort({ updatedAt: -1 })
+        .limit(20)
+        .select('graphHash attempts error transactionHash updatedAt')
+    ]);
+
+    const byStatus = Object.fromEntries(Object.keys(GRAPH_STATUS).map(status => [status, 0]));
+    for (const { _id, count } of counts) {
+      byStatus[_id] = count;
+    }
+
+    return {
+      active: this.isActive(),
+      confirmations: CONFIG.CONFIRMATIONS,
+      counts: byStatus,
+      failed: failed.map(entry => ({
+        graph_hash: entry.graphHash,
+        attempts: entry.attempts,
+        error: entry.error || null,
+        transaction_hash: entry.transactionHash || null,
+        failed_at: entry.updatedAt.toISOString()
+      }))
+    };
+  }
+
+  /**
+   * storeGraph arguments of an entry
+   */
+  toArgs(entry) {
+    return {
+      graphHash: entry.graphHash,
+      ...entry.toObject().payload
+    };
+  }
+
+  toTransactionDoc(hash, fees) {
+    return {
+      hash,
+      ...Object.fromEntries(
+        FEE_FIELDS.filter(field => fees[field] != null).map(field => [field, fees[field].toString()])
+      ),
+      sentAt: new Date()
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new AnchorOutboxService();
+module.exports.AnchorOutboxError = AnchorOutboxError;
+module.exports.CONFIG = CONFIG;
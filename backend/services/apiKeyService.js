@@ -0,0 +1,334 @@
+/**
+ * API Key Service
+ *
+ * API keys for clients of the public API (newsrooms, partners, the
+ * extension): issuance and revocation, each key's plan and limits, and
+ * the daily verification quota.
+ *
+ * Plans come from config/plans.json (or API_PLANS_FILE): verifications
+ * per day (null = unlimited), requests per minute, the agents a key may
+ * run (null = all) and whether it may use deep (multi-claim) mode. A key
+ * can override any of them in its own `limits`.
+ *
+ * Requests without a key keep the per-IP limits and no quota, unless
+ * API_KEYS_REQUIRED=true. The web app's origins (WEB_APP_ORIGINS) keep
+ * the per-IP limits even then: a key in a public bundle is no secret.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+const ApiKey = require('../models/ApiKey');
+
+const DEFAULT_PLANS_FILE = path.join(__dirname, '..', 'config', 'plans.json');
+
+const KEY_PREFIX = 'st_';
+// Characters of the key kept in clear to tell keys apart
+const VISIBLE_LENGTH = 10;
+
+// lastUsedAt is written at most this often per key
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+const LIMIT_FIELDS = ['verificationsPerDay', 'requestsPerMinute', 'agents', 'deepMode'];
+
+/**
+ * API key errors carry the HTTP status to answer with
+ */
+class ApiKeyError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'ApiKeyError';
+    this.status = status;
+  }
+}
+
+/**
+ * Digest under which a key is stored
+ * @param {string} key - Raw API key
+ * @returns {string} Hex SHA-256
+ */
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+/**
+ * Current UTC day, the unit of the daily quota
+ * @returns {string} YYYY-MM-DD
+ */
+const today = () => new Date().toISOString().substring(0, 10);
+
+class ApiKeyService {
+  constructor() {
+    const file = process.env.API_PLANS_FILE || DEFAULT_PLANS_FILE;
+    this.plans = JSON.parse(fs.readFileSync(file, 'utf8'));
+    this.required = process.env.API_KEYS_REQUIRED === 'true';
+    this.webAppOrigins = (process.env.WEB_APP_ORIGINS || '')
+      .split(',')
+      .map(origin => origin.trim())
+      .filter(Boolean);
+  }
+
+  /**
+   * Plans with their limits, for the admin API
+   * @returns {Object[]}
+   */
+  listPlans() {
+    return Object.entries(this.plans).map(([id, plan]) => ({
+      id,
+      description: plan.description || null,
+      limits: this.pickLimits(plan)
+    }));
+  }
+
+  /**
+   * The limit fields of a plan or override, without unset ones
+   * @param {Object} source
+   * @returns {Object}
+   */
+  pickLimits(source = {}) {
+    return Object.fromEntries(
+      LIMIT_FIELDS
+        .filter(field => source[field] !== undefined)
+        .map(field => [field, source[field]])
+    );
+  }
+
+  /**
+   * Limits in effect for a key: its plan's, with the key's overrides
+   * @param {Object} apiKey - ApiKey document
+   * @returns {{verificationsPerDay: number|null, requestsPerMinute: number,
+   *            agents: string[]|null, deepMode: boolean}}
+   */
+  limitsFor(apiKey) {
+    return {
+      verificationsPerDay: null,
+      agents: null,
+      deepMode: false,
+      ...this.pickLimits(this.plans[apiKey.plan]),
+      ...this.pickLimits(apiKey.limits)
+    };
+  }
+
+  /**
+   * Issue a key. The raw key is only ever returned here.
+   * @param {Object} params - { name, owner?, plan, limits? }
+   * @returns {Promise<{apiKey: Object, key: string}>}
+   */
+  async issue({ name, owner, plan, limits }) {
+    this.checkPlan(plan);
+
+    const key = KEY_PREFIX + crypto.randomBytes(24).toString('base64url');
+    const apiKey = await ApiKey.create({
+      keyHash: hashKey(key),
+      prefix: key.substring(0, VISIBLE_LENGTH),
+      name,
+      owner,
+      plan,
+      limits: this.pickLimits(limits)
+    });
+
+    logger.info('API key issued', { id: apiKey.id, prefix: apiKey.prefix, plan });
+    return { apiKey, key };
+  }
+
+  /**
+   * Find the active key for a raw key
+   * @param {string} key - Raw API key (X-Api-Key header)
+   * @returns {Promise<Object>} ApiKey document
+   */
+  async authenticate(key) {
+    const apiKey = key.startsWith(KEY_PREFIX) ? await ApiKey.findOne({ keyHash: hashKey(key) }) : null;
+
+    if (!apiKey) {
+      throw new ApiKeyError('Invalid API key', 401);
+    }
+    if (apiKey.status === 'revoked') {
+      throw new ApiKeyError('This API key has been revoked', 401);
+    }
+
+    const now = new Date();
+    if (!apiKey.lastUsedAt || now - apiKey.lastUsedAt > LAST_USED_RESOLUTION_MS) {
+      apiKey.lastUsedAt = now;
+      ApiKey.updateOne({ _id: apiKey._id }, { $set: { lastUsedAt: now } })
+        .catch(error => logger.warn('Failed to record API key use', { prefix: apiKey.prefix, error: error.message }));
+    }
+
+    return apiKey;
+  }
+
+  /**
+   * List keys, newest first
+   * @param {Object} filters - { status, plan, page, limit }
+   * @returns {Promise<Object>} { items, total, page, limit }
+   */
+  async list({ status, plan, page = 1, limit = 20 } = {}) {
+    const filter = {};
+    if (status) filter.status = status;
+    if (plan) filter.plan = plan;
+
+    const [items, total] = await Promise.all([
+      ApiKey.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      ApiKey.countDocuments(filter)
+    ]);
+
+    return { items: items.map(apiKey => this.format(apiKey)), total, page, limit };
+  }
+
+  /**
+   * Get a key by ID
+   * @param {string} id
+   * @returns {Promise<Object>} ApiKey document
+   */
+  async get(id) {
+    const apiKey = await ApiKey.findById(id).catch(() => null);
+    if (!apiKey) {
+      throw new ApiKeyError('API key not found', 404);
+    }
+    return apiKey;
+  }
+
+  /**
+   * Change a key's name, owner, plan or limit overrides
+   * (a null limit falls back to the plan's)
+   * @param {string} id
+   * @param {Object} changes - { name?, owner?, plan?, limits? }
+   * @returns {Promise<Object>} ApiKey document
+   */
+  async update(id, { name, owner, plan, limits }) {
+    const apiKey = await this.get(id);
+    if (apiKey.status === 'revoked') {
+      throw new ApiKeyError('A revoked API key cannot be changed', 409);
+    }
+
+    if (name !== undefined) apiKey.name = name;
+    if (owner !== undefined) apiKey.owner = owner;
+    if (plan !== undefined) {
+      this.checkPlan(plan);
+      apiKey.plan = plan;
+    }
+    for (const [field, value] of Object.entries(this.pickLimits(limits))) {
+      apiKey.set(`limits.${field}`, value === null ? undefined : value);
+    }
+
+    await apiKey.save();
+    logger.info('API key updated', { id, prefix: apiKey.prefix, plan: apiKey.plan });
+    return apiKey;
+  }
+
+  /**
+   * Revoke a key; requests with it are refused from then on
+   * @param {string} id
+   * @param {string} [reason]
+   * @returns {Promise<Object>} ApiKey document
+   */
+  async revoke(id, reason) {
+    const apiKey = await this.get(id);
+    if (apiKey.status === 'revoked') {
+      return apiKey;
+    }
+
+    Object.assign(apiKey, { status: 'revoked', revokedAt: new Date(), revokedReason: reason });
+    await apiKey.save();
+
+    logger.info('API key revoked', { id, prefix: apiKey.prefix, reason });
+    return apiKey;
+  }
+
+  /**
+   * Count one verification against the key's daily quota
+   * @param {Object} apiKey - ApiKey document
+   * @returns {Promise<{limit: number|null, used: number, remaining: number|null}>}
+   * @throws {ApiKeyError} 429 when the day's quota is used up
+   */
+  async consumeQuota(apiKey) {
+    const { verificationsPerDay: limit } = this.limitsFor(apiKey);
+    const day = today();
+
+    // A new day starts from zero
+    await ApiKey.updateOne(
+      { _id: apiKey._id, 'quota.day': { $ne: day } },
+      { $set: { 'quota.day': day, 'quota.verifications': 0 } }
+    );
+
+    const filter = { _id: apiKey._id, 'quota.day': day };
+    if (limit !== null) {
+      filter['quota.verifications'] = { $lt: limit };
+    }
+
+    const updated = await ApiKey.findOneAndUpdate(
+      filter,
+      { $inc: { 'quota.verifications': 1 } },
+      { new: true }
+    );
+
+    if (!updated) {
+      throw new ApiKeyError(`Daily quota of ${limit} verifications reached; it resets at 00:00 UTC`, 429);
+    }
+
+    const used = updated.quota.verifications;
+    return { limit, used, remaining: limit === null ? null : Math.max(0, limit - used) };
+  }
+
+  /**
+   * Give back a verification that failed
+   * @param {Object} apiKey - ApiKey document
+   */
+  async refundQuota(apiKey) {
+    await ApiKey.updateOne(
+      { _id: apiKey._id, 'quota.day': today(), 'quota.verifications': { $gt: 0 } },
+      { $inc: { 'quota.verifications': -1 } }
+    ).catch(error => logger.warn('Failed to refund API key quota', { prefix: apiKey.prefix, error: error.message }));
+  }
+
+  /**
+   * Today's quota for a key
+   * @param {Object} apiKey - ApiKey document
+   * @returns {{day: string, limit: number|null, used: number, remaining: number|null}}
+   */
+  quotaStatus(apiKey) {
+    const day = today();
+    const { verificationsPerDay: limit } = this.limitsFor(apiKey);
+    const used = apiKey.quota?.day === day ? apiKey.quota.verifications : 0;
+
+    return { day, limit, used, remaining: limit === null ? null : Math.max(0, limit - used) };
+  }
+
+  /**
+   * Throw unless a plan exists
+   * @param {string} plan
+   */
+  checkPlan(plan) {
+    if (!this.plans[plan]) {
+      throw new ApiKeyError(`Unknown plan: ${plan}. Plans: ${Object.keys(this.plans).join(', ')}`);
+    }
+  }
+
+  /**
+   * Shape a key for API responses (never includes the key)
+   * @param {Object} apiKey - ApiKey document
+   * @returns {Object}
+   */
+  format(apiKey) {
+    return {
+      id: apiKey.id,
+      prefix: apiKey.prefix,
+      name: apiKey.name,
+      owner: apiKey.owner || null,
+      plan: apiKey.plan,
+      limits: this.limitsFor(apiKey),
+      status: apiKey.status,
+      quota: this.quotaStatus(apiKey),
+      last_used_at: apiKey.lastUsedAt?.toISOString() || null,
+      ...(apiKey.status === 'revoked' && {
+        revoked_at: apiKey.revokedAt?.toISOString() || null,
+        revoked_reason: apiKey.revokedReason || null
+      }),
+      created_at: apiKey.createdAt?.toISOString()
+    };
+  }
+}
+
+module.exports = new ApiKeyService();
+module.exports.ApiKeyError = ApiKeyError;
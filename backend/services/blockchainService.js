@@ -18,32 +18,87 @@ const {
 } = require("@solana/web3.js");
 const crypto = require("crypto");
 const logger = require("../utils/logger");
+const NonceManager = require("../utils/nonceManager");
+const cassetteService = require("./cassetteService");
 
 // SatyaTrail contract ABI
 const STORAGE_ABI = [
+    "function graphHashes(uint256) public view returns (string memory)",
     "function storeGraph(string memory _hash, string memory _claim, string memory _verdict, uint256 _accuracyScore, tuple(string id, string url, string role, uint256 domainReputation, uint256 timestamp, string title)[] memory _nodes) public",
     "function getGraph(string memory _hash) public view returns (string memory claim, string memory verdict, uint256 accuracyScore, uint256 timestamp, address submitter, tuple(string id, string url, string role, uint256 domainReputation, uint256 timestamp, string title)[] memory nodes)",
     "function getGraphCount() public view returns (uint256)",
     "event GraphStored(string indexed hash, string claim, string verdict, uint256 timestamp)",
+    "function anchorBatch(bytes32 _root, uint256 _size) public returns (uint256 batchId)",
+    "function getBatch(uint256 _batchId) public view returns (bytes32 root, uint256 size, uint256 timestamp, address submitter)",
+    "function verifyInclusion(uint256 _batchId, bytes32 _graphHash, bytes32[] calldata _proof, bool[] calldata _siblingOnLeft) public view returns (bool)",
+    "event BatchAnchored(uint256 indexed batchId, bytes32 indexed root, uint256 size, uint256 timestamp)",
 ];
 
+// SatyaTrailV2: v1's functions plus access control, verdict revisions,
+// paginated reads and the import used to migrate from a v1 contract
+const REVISION_TUPLE =
+    "tuple(string verdict, uint256 accuracyScore, uint8 reason, uint256 timestamp, address submitter)";
+const SUMMARY_TUPLE =
+    "tuple(string hash, string claim, string verdict, uint256 accuracyScore, uint256 timestamp, address submitter, uint256 revisionCount)";
+const STORAGE_V2_ABI = [
+    ...STORAGE_ABI,
+    "function reviseVerdict(string memory _hash, string memory _verdict, uint256 _accuracyScore, uint8 _reason) public returns (uint256 revision)",
+    `function getRevisions(string memory _hash) public view returns (${REVISION_TUPLE}[] memory)`,
+    "function getRevisionCount(string memory _hash) public view returns (uint256)",
+    `function getGraphs(uint256 _offset, uint256 _limit) public view returns (${SUMMARY_TUPLE}[] memory)`,
+    `function getGraphsBySubmitter(address _submitter, uint256 _offset, uint256 _limit) public view returns (${SUMMARY_TUPLE}[] memory)`,
+    "function getSubmitterGraphCount(address _submitter) public view returns (uint256)",
+    "function importGraph(string memory _hash, string memory _claim, string memory _verdict, uint256 _accuracyScore, tuple(string id, string url, string role, uint256 domainReputation, uint256 timestamp, string title)[] memory _nodes, uint256 _timestamp, address _submitter) public",
+    "function closeMigration() public",
+    "function migrationClosed() public view returns (bool)",
+    "event VerdictRevised(string indexed hash, uint256 revision, string verdict, uint256 accuracyScore, uint8 reason, address indexed submitter, uint256 timestamp)",
+    "event GraphImported(string indexed hash, address indexed submitter, uint256 timestamp)",
+];
+
+// Index = the contract's RevisionReason value
+const REVISION_REASONS = [
+    "initial",
+    "recheck",
+    "editor_override",
+    "new_evidence",
+    "correction",
+    "migrated",
+];
+
+// Most graphs the contract returns per page
+const MAX_PAGE_SIZE = 100;
+
 class BlockchainService {
     constructor() {
         this.provider = process.env.BLOCKCHAIN_PROVIDER || "polygon";
         this.rpcUrl = process.env.BLOCKCHAIN_RPC_URL;
         this.privateKey = process.env.BLOCKCHAIN_PRIVATE_KEY;
         this.contractAddress = process.env.BLOCKCHAIN_CONTRACT_ADDRESS;
+        // 2 once BLOCKCHAIN_CONTRACT_ADDRESS points at SatyaTrailV2; the v1
+        // contract it replaced stays readable at the legacy address
+        this.contractVersion =
+            process.env.BLOCKCHAIN_CONTRACT_VERSION === "2" ? 2 : 1;
+        this.legacyContractAddress =
+            process.env.BLOCKCHAIN_LEGACY_CONTRACT_ADDRESS;
         this.dryRun = process.env.BLOCKCHAIN_DRY_RUN === "true";
+        // single: one transaction per verification; batch: verifications
+        // wait for anchorBatchService to anchor a Merkle root over them
+        this.anchorMode =
+            process.env.BLOCKCHAIN_ANCHOR_MODE === "batch" ? "batch" : "single";
 
         this.initialized = false;
         this.evmProvider = null;
         this.evmWallet = null;
+        this.nonceManager = null;
         this.solanaConnection = null;
         this.solanaKeypair = null;
 
         logger.info(`Blockchain service configured`, {
             provider: this.provider,
             dryRun: this.dryRun,
+            anchorMode: this.anchorMode,
+            contractVersion: this.contractVersion,
+            hasLegacyContract: !!this.legacyContractAddress,
             hasRpc: !!this.rpcUrl,
             hasKey: !!this.privateKey,
         });
@@ -84,13 +139,24 @@ class BlockchainService {
             throw new Error("BLOCKCHAIN_RPC_URL required for EVM chains");
         }
 
-        this.evmProvider = new ethers.JsonRpcProvider(this.rpcUrl);
+        // No response cache: back-to-back batch transactions would otherwise
+        // reuse a cached nonce
+        this.evmProvider = new ethers.JsonRpcProvider(this.rpcUrl, undefined, {
+            cacheTimeout: -1,
+        });
 
         if (this.privateKey && !this.dryRun) {
             this.evmWallet = new ethers.Wallet(
                 this.privateKey,
                 this.evmProvider
             );
+            // Every transaction from the wallet takes its nonce from here
+            this.nonceManager = new NonceManager(() =>
+                this.evmProvider.getTransactionCount(
+                    this.evmWallet.address,
+                    "pending"
+                )
+            );
             const balance = await this.evmProvider.getBalance(
                 this.evmWallet.address
             );
@@ -137,41 +203,72 @@ class BlockchainService {
      * @returns {Promise<Object>} Transaction result
      */
     async storeVerification(data) {
-        const {
-            graphHash,
-            verdict,
-            timestamp,
-            claim = "",
-            accuracyScore = 0,
-            nodes = [],
-            metadata = {},
-        } = data;
+        // Recorded/replayed with the verification's cassette; the timestamp
+        // is left out of the key because it changes on every run
+        const request = {
+            graphHash: data.graphHash,
+            verdict: data.verdict,
+            claim: data.claim || "",
+        };
+
+        // A replay that diverged from its recording must still never touch the chain
+        if (
+            cassetteService.isReplaying() &&
+            !cassetteService.hasRecording("anchor", request)
+        ) {
+            return this.simulateStore(data);
+        }
 
+        return cassetteService.intercept("anchor", request, () =>
+            this.anchorVerification(data)
+        );
+    }
+
+    /**
+     * Anchor a verification the configured way: queued for the next batch,
+     * queued in the outbox (EVM chains), or sent right away (dry run, Solana)
+     * @param {Object} data - Same as storeVerification()
+     * @returns {Promise<Object>} Transaction result
+     */
+    async anchorVerification(data) {
         logger.info("Storing verification on blockchain", {
             provider: this.provider,
-            graphHash,
-            verdict,
-            claim: claim.substring(0, 50),
-            nodeCount: nodes.length,
+            graphHash: data.graphHash,
+            verdict: data.verdict,
+            claim: (data.claim || "").substring(0, 50),
+            nodeCount: (data.nodes || []).length,
             dryRun: this.dryRun,
+            anchorMode: this.anchorMode,
         });
 
+        if (this.anchorMode === "batch") {
+            return this.queueForBatch(data);
+        }
+
+        if (!this.dryRun && this.isEVM()) {
+            return this.queueForOutbox(data);
+        }
+
+        return this.sendVerification(data);
+    }
+
+    /**
+     * Write a verification to the configured chain now and wait for it to
+     * be mined (or simulate in dry-run)
+     * @param {Object} data - Same as storeVerification()
+     * @returns {Promise<Object>} Transaction result
+     */
+    async sendVerification(data) {
         if (this.dryRun) {
             return this.simulateStore(data);
         }
 
         await this.initialize();
 
-        if (this.provider === "polygon" || this.provider === "ethereum") {
-            return this.storeOnEVM(
-                graphHash,
-                verdict,
-                timestamp,
-                claim,
-                accuracyScore,
-                nodes
-            );
+        if (this.isEVM()) {
+            return this.storeOnEVM(this.toStoreGraphArgs(data));
         } else if (this.provider === "solana") {
+            const { graphHash, verdict, timestamp, metadata = {} } = data;
             return this.storeOnSolana(graphHash, verdict, timestamp, metadata);
         }
 
@@ -181,112 +278,217 @@ class BlockchainService {
     }
 
     /**
-     * Store verification on EVM chain
+     * storeGraph arguments for a verification: the claim cut to 500
+     * characters, the score as a 0-100 integer and at most 10 nodes
+     * @param {Object} data - Same as storeVerification()
+     * @returns {Object} { graphHash, claim, verdict, accuracyScore, nodes, timestamp }
+     */
+    toStoreGraphArgs(data) {
+        const {
+            graphHash,
+            verdict,
+            timestamp,
+            claim = "",
+            accuracyScore = 0,
+            nodes = [],
+        } = data;
+
+        return {
+            graphHash,
+            claim: claim.substring(0, 500),
+            verdict,
+            // Convert accuracy score to uint256 (0-100 scale)
+            accuracyScore: Math.floor((accuracyScore || 0.5) * 100),
+            nodes: nodes.slice(0, 10).map((node) => ({
+                id: node.id || "",
+                url: node.url || "",
+                role: node.role || node.type || "source",
+                domainReputation: Math.floor(
+                    (node.domainReputationScore ||
+                        node.credibilityScore ||
+                        0.5) * 100
+                ),
+                timestamp: Math.floor(
+                    new Date(
+                        node.publishDate || node.timestamp || Date.now()
+                    ).getTime() / 1000
+                ),
+                title: (node.title || node.snippet || "").substring(0, 200),
+            })),
+            timestamp,
+        };
+    }
+
+    /**
+     * Store verification on EVM chain and wait for it to be mined
+     * @param {Object} args - toStoreGraphArgs() result
      */
-    async storeOnEVM(
-        graphHash,
-        verdict,
-        timestamp,
-        claim,
-        accuracyScore,
-        nodes
-    ) {
+    async storeOnEVM(args) {
         if (!this.evmWallet) {
             throw new Error("EVM wallet not initialized");
         }
 
-        if (!this.contractAddress) {
-            // If no contract, store as data in a transaction
-            const data = ethers.toUtf8Bytes(
-                JSON.stringify({
-                    type: "SATYATRAIL_VERIFICATION",
-                    graphHash,
-                    verdict,
-                    timestamp,
-                    claim,
-                    accuracyScore,
-                })
-            );
+        logger.info("Calling storeGraph on contract", {
+            contractAddress: this.contractAddress || null,
+            graphHash: args.graphHash,
+            claim: args.claim.substring(0, 50),
+            verdict: args.verdict,
+            accuracyScore: args.accuracyScore,
+            nodeCount: args.nodes.length,
+        });
 
-            const tx = await this.evmWallet.sendTransaction({
-                to: this.evmWallet.address, // Self-transaction with data
-                value: 0,
-                data: ethers.hexlify(data),
-            });
+        const tx = await this.sendAnchorTransaction(args);
+        const receipt = await tx.wait();
 
-            const receipt = await tx.wait();
+        return {
+            success: true,
+            provider: this.provider,
+            transactionHash: receipt.hash,
+            blockNumber: receipt.blockNumber,
+            ...(this.contractAddress && {
+                contractAddress: this.contractAddress,
+                claim: args.claim,
+                accuracyScore: args.accuracyScore,
+                nodeCount: args.nodes.length,
+            }),
+            graphHash: args.graphHash,
+            verdict: args.verdict,
+            timestamp: new Date(args.timestamp).toISOString(),
+            gasUsed: receipt.gasUsed.toString(),
+        };
+    }
 
-            return {
-                success: true,
-                provider: this.provider,
-                transactionHash: receipt.hash,
-                blockNumber: receipt.blockNumber,
-                graphHash,
-                verdict,
-                timestamp: new Date(timestamp).toISOString(),
-                gasUsed: receipt.gasUsed.toString(),
-            };
+    /**
+     * Sign and broadcast a verification's anchoring transaction without
+     * waiting for it to be mined
+     * @param {Object} args - toStoreGraphArgs() result
+     * @param {Object} [overrides] - Fee fields, gasLimit and, to replace a
+     *   stuck transaction, its nonce; otherwise the nonce manager picks one
+     * @returns {Promise<ethers.TransactionResponse>}
+     */
+    async sendAnchorTransaction(args, overrides = {}) {
+        await this.initialize();
+        if (!this.evmWallet) {
+            throw new Error("EVM wallet not initialized");
         }
 
-        // Use smart contract - prepare nodes for contract
-        const contractNodes = nodes.slice(0, 10).map((node) => ({
-            id: node.id || "",
-            url: node.url || "",
-            role: node.role || node.type || "source",
-            domainReputation: Math.floor(
-                (node.domainReputationScore || node.credibilityScore || 0.5) *
-                    100
-            ),
-            timestamp: Math.floor(
-                new Date(
-                    node.publishDate || node.timestamp || Date.now()
-                ).getTime() / 1000
-            ),
-            title: (node.title || node.snippet || "").substring(0, 200),
-        }));
+        const request = this.contractAddress
+            ? await this.getContract(
+                  this.evmWallet
+              ).storeGraph.populateTransaction(
+                  args.graphHash,
+                  args.claim,
+                  args.verdict,
+                  args.accuracyScore,
+                  args.nodes
+              )
+            : {
+                  // If no contract, store as data in a self-transaction
+                  to: this.evmWallet.address,
+                  value: 0,
+                  data: ethers.hexlify(
+                      ethers.toUtf8Bytes(
+                          JSON.stringify({
+                              type: "SATYATRAIL_VERIFICATION",
+                              graphHash: args.graphHash,
+                              verdict: args.verdict,
+                              timestamp: args.timestamp,
+                              claim: args.claim,
+                              accuracyScore: args.accuracyScore,
+                          })
+                      )
+                  ),
+              };
 
-        const contract = new ethers.Contract(
-            this.contractAddress,
-            STORAGE_ABI,
-            this.evmWallet
+        if (overrides.nonce !== undefined) {
+            return this.evmWallet.sendTransaction({ ...request, ...overrides });
+        }
+
+        return this.sendWithNonce((nonce) =>
+            this.evmWallet.sendTransaction({ ...request, ...overrides, nonce })
         );
+    }
 
-        // Convert accuracy score to uint256 (0-100 scale)
-        const accuracyScoreUint = Math.floor((accuracyScore || 0.5) * 100);
+    /**
+     * Send a transaction from the wallet with a nonce from the nonce manager
+     * @param {Function} send - (nonce) => Promise<ethers.TransactionResponse>
+     * @returns {Promise<ethers.TransactionResponse>}
+     */
+    async sendWithNonce(send) {
+        await this.initialize();
+        return this.nonceManager.run(send);
+    }
 
-        logger.info("Calling storeGraph on contract", {
-            contractAddress: this.contractAddress,
-            graphHash,
-            claim: claim.substring(0, 50),
-            verdict,
-            accuracyScore: accuracyScoreUint,
-            nodeCount: contractNodes.length,
-        });
+    /**
+     * Current network fees as transaction overrides: EIP-1559 fields, or
+     * gasPrice on chains without them
+     * @returns {Promise<Object>} { maxFeePerGas, maxPriorityFeePerGas } or { gasPrice }
+     */
+    async getFeeOverrides() {
+        await this.initialize();
+        const fees = await this.evmProvider.getFeeData();
 
-        const tx = await contract.storeGraph(
-            graphHash,
-            claim.substring(0, 500), // Limit claim length
-            verdict,
-            accuracyScoreUint,
-            contractNodes
+        if (fees.maxFeePerGas !== null) {
+            return {
+                maxFeePerGas: fees.maxFeePerGas,
+                maxPriorityFeePerGas: fees.maxPriorityFeePerGas,
+            };
+        }
+        return { gasPrice: fees.gasPrice };
+    }
+
+    /**
+     * Receipt of a mined transaction
+     * @param {string} transactionHash
+     * @returns {Promise<Object|null>} ethers receipt, or null while unmined
+     */
+    async getTransactionReceipt(transactionHash) {
+        await this.initialize();
+        return this.evmProvider.getTransactionReceipt(transactionHash);
+    }
+
+    async getBlockNumber() {
+        await this.initialize();
+        return this.evmProvider.getBlockNumber();
+    }
+
+    /**
+     * Transaction that stored a graph on the current contract, from its
+     * GraphStored event in the last `blocks` blocks
+     * @param {string} graphHash
+     * @param {number} blocks - How far back to search
+     * @returns {Promise<Object|null>} { transactionHash, blockNumber }, or null if not found
+     */
+    async findGraphStored(graphHash, blocks) {
+        await this.initialize();
+        if (!this.contractAddress) return null;
+
+        const contract = this.getContract(this.evmProvider);
+        const head = await this.evmProvider.getBlockNumber();
+        const [event] = await contract.queryFilter(
+            contract.filters.GraphStored(graphHash),
+            Math.max(head - blocks, 0),
+            head
         );
 
-        const receipt = await tx.wait();
+        return event
+            ? {
+                  transactionHash: event.transactionHash,
+                  blockNumber: event.blockNumber,
+              }
+            : null;
+    }
 
-        return {
-            success: true,
-            provider: this.provider,
-            transactionHash: receipt.hash,
-            blockNumber: receipt.blockNumber,
-            contractAddress: this.contractAddress,
-            graphHash,
-            verdict,
-            claim,
-            accuracyScore: accuracyScoreUint,
-            nodeCount: contractNodes.length,
-            timestamp: new Date(timestamp).toISOString(),
-            gasUsed: receipt.gasUsed.toString(),
-        };
+    /**
+     * Transactions mined from the wallet, i.e. the lowest nonce not yet used
+     * @returns {Promise<number>}
+     */
+    async getMinedNonce() {
+        await this.initialize();
+        return this.evmProvider.getTransactionCount(
+            this.evmWallet.address,
+            "latest"
+        );
     }
 
     /**
@@ -338,6 +540,171 @@ class BlockchainService {
         };
     }
 
+    /**
+     * Batch mode: nothing is sent now. The saved verification is marked
+     * pending and anchored with the next batch root.
+     */
+    queueForBatch(data) {
+        return {
+            success: true,
+            provider: this.provider,
+            batched: true,
+            status: "pending",
+            transactionHash: null,
+            graphHash: data.graphHash,
+            verdict: data.verdict,
+            timestamp: new Date(data.timestamp).toISOString(),
+        };
+    }
+
+    /**
+     * Outbox: the transaction is sent, bumped if it gets stuck, retried if
+     * it fails and confirmed in the background by anchorOutboxService. The
+     * saved verification is marked queued until then.
+     */
+    async queueForOutbox(data) {
+        // Required here: the outbox service requires this service
+        const anchorOutboxService = require("./anchorOutboxService");
+        await anchorOutboxService.enqueue({
+            provider: this.provider,
+            ...this.toStoreGraphArgs(data),
+        });
+
+        return {
+            success: true,
+            provider: this.provider,
+            queued: true,
+            status: "queued",
+            transactionHash: null,
+            graphHash: data.graphHash,
+            verdict: data.verdict,
+            timestamp: new Date(data.timestamp).toISOString(),
+        };
+    }
+
+    /**
+     * Anchor a batch's Merkle root (one transaction for the whole batch)
+     * @param {Object} batch
+     * @param {string} batch.root - Merkle root over the graph hashes (hex)
+     * @param {number} batch.size - Number of graph hashes
+     * @returns {Promise<Object>} Transaction result with the contract's batchId
+     */
+    async anchorBatch({ root, size }) {
+        logger.info("Anchoring batch root", {
+            provider: this.provider,
+            root,
+            size,
+            dryRun: this.dryRun,
+        });
+
+        if (this.dryRun) {
+            return this.simulateStore({ graphHash: root, timestamp: Date.now() });
+        }
+
+        await this.initialize();
+
+        if (this.provider !== "polygon" && this.provider !== "ethereum") {
+            throw new Error(
+                `Batch anchoring not implemented for provider: ${this.provider}`
+            );
+        }
+        if (!this.evmWallet) {
+            throw new Error("EVM wallet not initialized");
+        }
+
+        if (!this.contractAddress) {
+            // If no contract, store the root as data in a transaction
+            const tx = await this.sendWithNonce((nonce) =>
+                this.evmWallet.sendTransaction({
+                    to: this.evmWallet.address,
+                    value: 0,
+                    data: ethers.hexlify(
+                        ethers.toUtf8Bytes(
+                            JSON.stringify({
+                                type: "SATYATRAIL_BATCH",
+                                root,
+                                size,
+                            })
+                        )
+                    ),
+                    nonce,
+                })
+            );
+            const receipt = await tx.wait();
+
+            return {
+                success: true,
+                provider: this.provider,
+                transactionHash: receipt.hash,
+                blockNumber: receipt.blockNumber,
+                batchId: null,
+                gasUsed: receipt.gasUsed.toString(),
+            };
+        }
+
+        const contract = this.getContract(this.evmWallet);
+        const tx = await this.sendWithNonce((nonce) =>
+            contract.anchorBatch(`0x${root}`, size, { nonce })
+        );
+        const receipt = await tx.wait();
+
+        const event = this.findEvent(contract, receipt, "BatchAnchored");
+
+        return {
+            success: true,
+            provider: this.provider,
+            contractAddress: this.contractAddress,
+            transactionHash: receipt.hash,
+            blockNumber: receipt.blockNumber,
+            batchId: event ? Number(event.args.batchId) : null,
+            gasUsed: receipt.gasUsed.toString(),
+        };
+    }
+
+    /**
+     * Read an anchored batch from the contract
+     * @param {number} batchId - Contract batch id
+     * @param {string} [contractAddress] - Contract the batch was anchored on
+     *   (batch ids restart at 1 on a new contract); defaults to the current one
+     * @returns {Promise<Object|null>} { batchId, root, size, timestamp, submitter } or null
+     */
+    async getBatch(batchId, contractAddress = this.contractAddress) {
+        if (this.dryRun || !contractAddress || !batchId) {
+            return null;
+        }
+
+        await this.initialize();
+
+        if (this.provider !== "polygon" && this.provider !== "ethereum") {
+            return null;
+        }
+
+        try {
+            const contract = this.getContract(
+                this.evmProvider,
+                contractAddress
+            );
+            const [root, size, timestamp, submitter] =
+                await contract.getBatch(batchId);
+
+            if (root === ethers.ZeroHash) return null;
+
+            return {
+                batchId,
+                root: root.substring(2),
+                size: Number(size),
+                timestamp: new Date(Number(timestamp) * 1000).toISOString(),
+                submitter,
+            };
+        } catch (error) {
+            logger.warn("Failed to retrieve batch from blockchain", {
+                batchId,
+                error: error.message,
+            });
+            return null;
+        }
+    }
+
     /**
      * Simulate blockchain storage (dry run mode)
      */
@@ -365,7 +732,8 @@ class BlockchainService {
     }
 
     /**
-     * Retrieve verification from blockchain
+     * Retrieve verification from blockchain. Graphs stored before a move
+     * to a v2 contract, and not imported yet, are read from the legacy one.
      * @param {string} graphHash - Hash to look up
      * @returns {Promise<Object|null>} Verification data or null
      */
@@ -377,51 +745,28 @@ class BlockchainService {
 
         await this.initialize();
 
-        if (
-            (this.provider === "polygon" || this.provider === "ethereum") &&
-            this.contractAddress
-        ) {
-            const contract = new ethers.Contract(
-                this.contractAddress,
-                STORAGE_ABI,
-                this.evmProvider
-            );
+        if (this.provider !== "polygon" && this.provider !== "ethereum") {
+            return null;
+        }
+
+        for (const address of [
+            this.contractAddress,
+            this.legacyContractAddress,
+        ]) {
+            if (!address) continue;
 
             try {
-                const [
-                    claim,
-                    verdict,
-                    accuracyScore,
-                    timestamp,
-                    submitter,
-                    nodes,
-                ] = await contract.getGraph(graphHash);
-
-                if (claim && claim.length > 0) {
-                    return {
-                        graphHash,
-                        claim,
-                        verdict,
-                        accuracyScore: Number(accuracyScore),
-                        timestamp: new Date(
-                            Number(timestamp) * 1000
-                        ).toISOString(),
-                        submitter,
-                        nodes: nodes.map((n) => ({
-                            id: n.id,
-                            url: n.url,
-                            role: n.role,
-                            domainReputation: Number(n.domainReputation),
-                            timestamp: new Date(
-                                Number(n.timestamp) * 1000
-                            ).toISOString(),
-                            title: n.title,
-                        })),
-                    };
+                const graph = await this.readGraph(
+                    this.getContract(this.evmProvider, address),
+                    graphHash
+                );
+                if (graph) {
+                    return { ...graph, contractAddress: address };
                 }
             } catch (error) {
                 logger.warn("Failed to retrieve graph from blockchain", {
                     graphHash,
+                    contractAddress: address,
                     error: error.message,
                 });
             }
@@ -430,6 +775,320 @@ class BlockchainService {
         return null;
     }
 
+    /**
+     * Read one graph through the getGraph view (same shape on v1 and v2)
+     * @returns {Promise<Object|null>} Graph, or null if it is not stored
+     */
+    async readGraph(contract, graphHash) {
+        const [claim, verdict, accuracyScore, timestamp, submitter, nodes] =
+            await contract.getGraph(graphHash);
+
+        if (!claim || claim.length === 0) return null;
+
+        return {
+            graphHash,
+            claim,
+            verdict,
+            accuracyScore: Number(accuracyScore),
+            timestamp: new Date(Number(timestamp) * 1000).toISOString(),
+            submitter,
+            nodes: nodes.map((n) => ({
+                id: n.id,
+                url: n.url,
+                role: n.role,
+                domainReputation: Number(n.domainReputation),
+                timestamp: new Date(Number(n.timestamp) * 1000).toISOString(),
+                title: n.title,
+            })),
+        };
+    }
+
+    /**
+     * Append a verdict revision to a stored graph (SatyaTrailV2 only). The
+     * graph must have been stored on its own; batch-anchored graphs are
+     * not in the contract's graph list.
+     * @param {Object} revision
+     * @param {string} revision.graphHash - Hash the graph was stored under
+     * @param {string} revision.verdict - New verdict
+     * @param {number} revision.accuracyScore - Accuracy score (0-100)
+     * @param {string} revision.reason - One of REVISION_REASONS, except
+     *   'initial' and 'migrated'
+     * @returns {Promise<Object|null>} Transaction result, or null on a v1 contract
+     */
+    async reviseVerdict({ graphHash, verdict, accuracyScore, reason }) {
+        const reasonCode = REVISION_REASONS.indexOf(reason);
+        if (reasonCode < 1 || reason === "migrated") {
+            throw new Error(`Invalid revision reason: ${reason}`);
+        }
+
+        if (this.contractVersion !== 2) {
+            logger.debug("Verdict revision skipped (v1 contract)", {
+                graphHash,
+            });
+            return null;
+        }
+
+        const score = Math.round(
+            Math.min(100, Math.max(0, accuracyScore ?? 0))
+        );
+
+        logger.info("Revising verdict on blockchain", {
+            graphHash,
+            verdict,
+            accuracyScore: score,
+            reason,
+            dryRun: this.dryRun,
+        });
+
+        if (this.dryRun) {
+            return {
+                ...this.simulateStore({
+                    graphHash,
+                    verdict,
+                    timestamp: Date.now(),
+                }),
+                reason,
+            };
+        }
+
+        const contract = await this.getWritableV2Contract();
+        const tx = await this.sendWithNonce((nonce) =>
+            contract.reviseVerdict(graphHash, verdict, score, reasonCode, {
+                nonce,
+            })
+        );
+        const receipt = await tx.wait();
+        const event = this.findEvent(contract, receipt, "VerdictRevised");
+
+        return {
+            success: true,
+            provider: this.provider,
+            contractAddress: this.contractAddress,
+            transactionHash: receipt.hash,
+            blockNumber: receipt.blockNumber,
+            graphHash,
+            verdict,
+            accuracyScore: score,
+            reason,
+            revision: event ? Number(event.args.revision) : null,
+            gasUsed: receipt.gasUsed.toString(),
+        };
+    }
+
+    /**
+     * Verdict history of a stored graph, oldest first (SatyaTrailV2 only)
+     * @param {string} graphHash - Hash the graph was stored under
+     * @returns {Promise<Array|null>} Revisions, or null if unavailable
+     */
+    async getRevisions(graphHash) {
+        const contract = await this.getReadableV2Contract();
+        if (!contract) return null;
+
+        const revisions = await contract.getRevisions(graphHash);
+        return revisions.map((r, index) => ({
+            revision: index,
+            verdict: r.verdict,
+            accuracyScore: Number(r.accuracyScore),
+            reason: REVISION_REASONS[Number(r.reason)],
+            timestamp: new Date(Number(r.timestamp) * 1000).toISOString(),
+            submitter: r.submitter,
+        }));
+    }
+
+    /**
+     * Page through stored graphs, oldest first (SatyaTrailV2 only)
+     * @param {Object} [options]
+     * @param {number} [options.offset=0]
+     * @param {number} [options.limit=50] - At most MAX_PAGE_SIZE
+     * @param {string} [options.submitter] - Only graphs stored by this address
+     * @returns {Promise<Object|null>} { total, offset, items }, or null if unavailable
+     */
+    async listGraphs({ offset = 0, limit = 50, submitter } = {}) {
+        const contract = await this.getReadableV2Contract();
+        if (!contract) return null;
+
+        const size = Math.min(limit, MAX_PAGE_SIZE);
+        const [total, page] = submitter
+            ? await Promise.all([
+                  contract.getSubmitterGraphCount(submitter),
+                  contract.getGraphsBySubmitter(submitter, offset, size),
+              ])
+            : await Promise.all([
+                  contract.getGraphCount(),
+                  contract.getGraphs(offset, size),
+              ]);
+
+        return {
+            total: Number(total),
+            offset,
+            items: page.map((g) => ({
+                graphHash: g.hash,
+                claim: g.claim,
+                verdict: g.verdict,
+                accuracyScore: Number(g.accuracyScore),
+                timestamp: new Date(Number(g.timestamp) * 1000).toISOString(),
+                submitter: g.submitter,
+                revisionCount: Number(g.revisionCount),
+            })),
+        };
+    }
+
+    /**
+     * Copy graphs from the legacy v1 contract into the v2 contract, keeping
+     * their timestamp and submitter. Graphs already in v2 are skipped, so
+     * it can be rerun until `next` is null. Needs the v2 admin role.
+     * @param {Object} [options]
+     * @param {number} [options.offset=0] - Legacy graph index to start at
+     * @param {number} [options.limit=25] - Legacy graphs to look at
+     * @returns {Promise<Object>} { total, imported, skipped, next }
+     */
+    async migrateLegacyGraphs({ offset = 0, limit = 25 } = {}) {
+        if (!this.legacyContractAddress) {
+            throw new Error("BLOCKCHAIN_LEGACY_CONTRACT_ADDRESS is not set");
+        }
+
+        const contract = await this.getWritableV2Contract();
+        if (await contract.migrationClosed()) {
+            throw new Error("Migration is closed on the v2 contract");
+        }
+
+        const legacy = this.getContract(
+            this.evmProvider,
+            this.legacyContractAddress
+        );
+        const total = Number(await legacy.getGraphCount());
+        const end = Math.min(offset + limit, total);
+        const result = {
+            total,
+            imported: [],
+            skipped: [],
+            next: end < total ? end : null,
+        };
+
+        for (let i = offset; i < end; i++) {
+            const hash = await legacy.graphHashes(i);
+
+            if ((await contract.getRevisionCount(hash)) > 0n) {
+                result.skipped.push(hash);
+                continue;
+            }
+
+            const [claim, verdict, accuracyScore, timestamp, submitter, nodes] =
+                await legacy.getGraph(hash);
+            const tx = await this.sendWithNonce((nonce) =>
+                contract.importGraph(
+                    hash,
+                    claim,
+                    verdict,
+                    accuracyScore,
+                    nodes.map((n) => ({
+                        id: n.id,
+                        url: n.url,
+                        role: n.role,
+                        domainReputation: n.domainReputation,
+                        timestamp: n.timestamp,
+                        title: n.title,
+                    })),
+                    timestamp,
+                    submitter,
+                    { nonce }
+                )
+            );
+            await tx.wait();
+            result.imported.push(hash);
+        }
+
+        logger.info("Migrated legacy graphs", {
+            offset,
+            total,
+            imported: result.imported.length,
+            skipped: result.skipped.length,
+        });
+
+        return result;
+    }
+
+    /**
+     * Stop imports into the v2 contract for good
+     * @returns {Promise<Object>} Transaction result
+     */
+    async closeMigration() {
+        const contract = await this.getWritableV2Contract();
+        const tx = await this.sendWithNonce((nonce) =>
+            contract.closeMigration({ nonce })
+        );
+        const receipt = await tx.wait();
+
+        return {
+            success: true,
+            contractAddress: this.contractAddress,
+            transactionHash: receipt.hash,
+            blockNumber: receipt.blockNumber,
+        };
+    }
+
+    isEVM() {
+        return this.provider === "polygon" || this.provider === "ethereum";
+    }
+
+    /**
+     * SatyaTrail contract at an address, with the ABI of its version
+     * @param {Object} runner - Wallet (to send) or provider (to read)
+     * @param {string} [address] - Defaults to BLOCKCHAIN_CONTRACT_ADDRESS
+     * @returns {ethers.Contract}
+     */
+    getContract(runner, address = this.contractAddress) {
+        const abi =
+            this.contractVersion === 2 && address === this.contractAddress
+                ? STORAGE_V2_ABI
+                : STORAGE_ABI;
+        return new ethers.Contract(address, abi, runner);
+    }
+
+    async getReadableV2Contract() {
+        if (this.contractVersion !== 2 || this.dryRun || !this.contractAddress) {
+            return null;
+        }
+
+        await this.initialize();
+        if (!this.evmProvider) return null;
+
+        return this.getContract(this.evmProvider);
+    }
+
+    async getWritableV2Contract() {
+        if (this.contractVersion !== 2 || !this.contractAddress) {
+            throw new Error(
+                "Needs BLOCKCHAIN_CONTRACT_VERSION=2 and a SatyaTrailV2 BLOCKCHAIN_CONTRACT_ADDRESS"
+            );
+        }
+        if (this.dryRun) {
+            throw new Error("Not available in dry run mode");
+        }
+
+        await this.initialize();
+        if (!this.evmWallet) {
+            throw new Error("EVM wallet not initialized");
+        }
+
+        return this.getContract(this.evmWallet);
+    }
+
+    /**
+     * First log of a receipt that parses as the given contract event
+     */
+    findEvent(contract, receipt, name) {
+        return receipt.logs
+            .map((log) => {
+                try {
+                    return contract.interface.parseLog(log);
+                } catch {
+                    return null;
+                }
+            })
+            .find((parsed) => parsed?.name === name);
+    }
+
     /**
      * Check if service is operational
      * @returns {Promise<Object>} Service status
@@ -439,6 +1098,8 @@ class BlockchainService {
             provider: this.provider,
             initialized: this.initialized,
             dryRun: this.dryRun,
+            anchorMode: this.anchorMode,
+            contractVersion: this.contractVersion,
             connected: false,
         };
 
@@ -471,3 +1132,4 @@ class BlockchainService {
 
 // Export singleton instance
 module.exports = new BlockchainService();
+module.exports.REVISION_REASONS = REVISION_REASONS;
@@ -0,0 +1,369 @@
+/**
+ * Cassette Service
+ *
+ * Records every external call made during a verification (search, fetch,
+ * LLM chat completions, agent reputations, blockchain anchoring) into a
+ * cassette file, and replays a verification from that file with no network.
+ * Live state the verification reads (domain reputations, agent
+ * definitions) is recorded as lookups and replayed from the cassette too.
+ *
+ * Each interaction is keyed by a SHA-256 hash of its kind and request, so
+ * calls made in parallel replay correctly regardless of completion order.
+ * Identical requests are replayed in the order they were recorded; a
+ * lookup keeps its first answer.
+ *
+ * Modes (CASSETTE_MODE):
+ * - off     (default) Calls go straight through
+ * - record  Every verification writes <CASSETTE_DIR>/<cassette id>.json
+ * - replay  Every verification is served from <CASSETTE_DIR>/<cassette id>.json
+ *
+ * Each recording gets its own id: a hash of the verification input (url,
+ * text, agents, multiClaim, maxClaims) followed by when it was recorded, so
+ * verifying the same input again (or rechecking it) never overwrites an
+ * earlier recording. The id is stored with the verification
+ * (SourceGraph request.cassetteId). Replay mode serves a request from the
+ * latest recording of its input. scripts/replay-verification.js replays a
+ * single file.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const stringify = require('json-stable-stringify');
+const logger = require('../utils/logger');
+
+const MODES = ['off', 'record', 'replay'];
+// 2: lookups (domain reputations, agent definitions)
+const CASSETTE_VERSION = 2;
+const DEFAULT_CASSETTE_DIR = path.join(__dirname, '../cassettes');
+
+// Verification parameters that identify a cassette and are replayed
+const PARAM_KEYS = ['url', 'text', 'source', 'agents', 'multiClaim', 'maxClaims'];
+
+class CassetteMissError extends Error {
+  constructor(kind, key) {
+    super(`No recorded ${kind} interaction for request ${key.substring(0, 12)} in cassette`);
+    this.name = 'CassetteMissError';
+    this.kind = kind;
+    this.key = key;
+  }
+}
+
+class CassetteService {
+  constructor() {
+    this.mode = (process.env.CASSETTE_MODE || 'off').toLowerCase();
+
+    if (!MODES.includes(this.mode)) {
+      throw new Error(`Unknown CASSETTE_MODE '${this.mode}'. Supported: ${MODES.join(', ')}`);
+    }
+
+    this.directory = path.resolve(process.env.CASSETTE_DIR || DEFAULT_CASSETTE_DIR);
+    this.storage = new AsyncLocalStorage();
+
+    if (this.mode !== 'off') {
+      logger.info(`Cassette service in ${this.mode} mode`, { directory: this.directory });
+    }
+  }
+
+  /**
+   * Hash a value into a hex key
+   */
+  hash(value) {
+    return crypto.createHash('sha256').update(stringify(value)).digest('hex');
+  }
+
+  /**
+   * Pick the replayable verification parameters (drops callbacks and undefined)
+   * @param {Object} params - Orchestrator.verify parameters
+   * @returns {Object} Serializable parameters
+   */
+  pickParams(params) {
+    const picked = {};
+    for (const key of PARAM_KEYS) {
+      if (params[key] !== undefined && params[key] !== null) picked[key] = params[key];
+    }
+    return picked;
+  }
+
+  /**
+   * Hash of a verification request's input, shared by all its recordings
+   * @param {Object} params - Orchestrator.verify parameters
+   * @returns {string}
+   */
+  getInputKey(params) {
+    const { source, ...input } = this.pickParams(params);
+    return this.hash(input).substring(0, 24);
+  }
+
+  /**
+   * New cassette id for a recording: its input key, then the recording
+   * time and a random suffix, so ids of one input sort by recording time
+   * @param {Object} params - Orchestrator.verify parameters
+   * @returns {string} Cassette id
+   */
+  createCassetteId(params) {
+    const recordedAt = Date.now().toString(36).padStart(9, '0');
+    return `${this.getInputKey(params)}-${recordedAt}${crypto.randomBytes(3).toString('hex')}`;
+  }
+
+  /**
+   * Id of the latest recording of a verification request. Cassettes
+   * recorded before ids were unique are named by the input key alone.
+   * @param {Object} params - Orchestrator.verify parameters
+   * @returns {string} Cassette id
+   */
+  findCassetteId(params) {
+    const key = this.getInputKey(params);
+    const files = fs.existsSync(this.directory) ? fs.readdirSync(this.directory) : [];
+    const latest = files
+      .filter(file => file.startsWith(`${key}-`) && file.endsWith('.json'))
+      .sort()
+      .pop();
+
+    return latest ? path.basename(latest, '.json') : key;
+  }
+
+  /**
+   * Path of a cassette file
+   */
+  getPath(id) {
+    return path.join(this.directory, `${id}.json`);
+  }
+
+  /**
+   * Load a cassette from disk
+   * @param {string} file - Cassette id or path to a cassette file
+   * @returns {Object} Cassette
+   */
+  load(file) {
+    const filePath = fs.existsSync(file) ? file : this.getPath(file);
+
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`Cassette not found: ${filePath}`);
+    }
+
+    const cassette = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+    if (cassette.version < CASSETTE_VERSION) {
+      throw new Error(`Cassette ${filePath} predates recorded domain reputations and agent definitions (version ${cassette.version}); record it again`);
+    }
+
+    if (cassette.version !== CASSETTE_VERSION) {
+      throw new Error(`Unsupported cassette version ${cassette.version} in ${filePath}`);
+    }
+
+    return cassette;
+  }
+
+  /**
+   * Write a cassette to disk
+   * @param {Object} cassette - Cassette to save
+   * @returns {string} Path written
+   */
+  save(cassette) {
+    fs.mkdirSync(this.directory, { recursive: true });
+    const filePath = this.getPath(cassette.id);
+    fs.writeFileSync(filePath, JSON.stringify(cassette, null, 2));
+    return filePath;
+  }
+
+  /**
+   * Run a verification under the configured CASSETTE_MODE
+   * @param {Object} params - Orchestrator.verify parameters
+   * @param {Function} fn - Verification to run
+   * @returns {Promise<Object>} Verification result
+   */
+  async run(params, fn) {
+    // Already inside a cassette (e.g. an explicit replay) or disabled
+    if (this.mode === 'off' || this.storage.getStore()) {
+      return fn();
+    }
+
+    if (this.mode === 'replay') {
+      return this.replay(this.load(this.findCassetteId(params)), fn);
+    }
+
+    return this.record(params, fn);
+  }
+
+  /**
+   * Run a verification and record every interaction it makes
+   * @param {Object} params - Orchestrator.verify parameters
+   * @param {Function} fn - Verification to run
+   * @returns {Promise<Object>} Verification result
+   */
+  async record(params, fn) {
+    const cassette = {
+      version: CASSETTE_VERSION,
+      id: this.createCassetteId(params),
+      recordedAt: new Date().toISOString(),
+      params: this.pickParams(params),
+      result: null,
+      error: null,
+      interactions: {},
+      lookups: {}
+    };
+
+    try {
+      const result = await this.storage.run({ mode: 'record', cassette }, fn);
+
+      cassette.result = {
+        verdict: result.verdict,
+        accuracy_score: result.accuracy_score,
+        confidence: result.confidence,
+        graph_hash: result.source_graph?.hash || null,
+        blockchain_hash: result.blockchain_hash || null
+      };
+
+      result.metadata = { ...result.metadata, cassette: { id: cassette.id, mode: 'record' } };
+      return result;
+    } catch (error) {
+      cassette.error = error.message;
+      throw error;
+    } finally {
+      const filePath = this.save(cassette);
+      logger.info('Cassette recorded', {
+        id: cassette.id,
+        path: filePath,
+        interactions: Object.keys(cassette.interactions).length
+      });
+    }
+  }
+
+  /**
+   * Run a verification with every interaction served from a cassette
+   * @param {Object} cassette - Loaded cassette
+   * @param {Function} fn - Verification to run
+   * @returns {Promise<Object>} Verification result
+   */
+  async replay(cassette, fn) {
+    logger.info('Replaying cassette', { id: cassette.id, recordedAt: cassette.recordedAt });
+
+    const result = await this.storage.run({ mode: 'replay', cassette, cursors: {} }, fn);
+
+    result.metadata = {
+      ...result.metadata,
+      cassette: { id: cassette.id, mode: 'replay', recordedAt: cassette.recordedAt }
+    };
+    return result;
+  }
+
+  /**
+   * Pass an external call through the active cassette
+   * @param {string} kind - Interaction kind (search, fetch, llm, ...)
+   * @param {Object} request - Serializable request that identifies the call
+   * @param {Function} fn - Performs the real call
+   * @returns {Promise<*>} Real or recorded response
+   */
+  async intercept(kind, request, fn) {
+    const context = this.storage.getStore();
+    if (!context) return fn();
+
+    const key = this.hash({ kind, request });
+
+    if (context.mode === 'replay') {
+      return this.playback(context, kind, key);
+    }
+
+    const entries = context.cassette.interactions[key] || (context.cassette.interactions[key] = []);
+
+    try {
+      const response = await fn();
+      entries.push({ kind, request, response: response === undefined ? null : response });
+      return response;
+    } catch (error) {
+      entries.push({ kind, request, error: { message: error.message, status: error.status || null } });
+      throw error;
+    }
+  }
+
+  /**
+   * Return the next recorded response for a key
+   */
+  playback(context, kind, key) {
+    const entries = context.cassette.interactions[key];
+    if (!entries || entries.length === 0) {
+      throw new CassetteMissError(kind, key);
+    }
+
+    // Repeats beyond the recorded count reuse the last entry
+    const index = Math.min(context.cursors[key] || 0, entries.length - 1);
+    context.cursors[key] = index + 1;
+
+    const entry = entries[index];
+
+    if (entry.error) {
+      const error = new Error(entry.error.message);
+      if (entry.error.status) error.status = entry.error.status;
+      throw error;
+    }
+
+    // Callers may mutate responses, so hand out a copy
+    return JSON.parse(JSON.stringify(entry.response));
+  }
+
+  /**
+   * Pass a synchronous read of live state (a domain's reputation, an agent
+   * definition) through the active cassette. A recording keeps the first
+   * answer to each request, so the verification sees one consistent state;
+   * a replay answers from the cassette and never from live state.
+   * @param {string} kind - Lookup kind (domain, agent, ...)
+   * @param {Object} request - Serializable request that identifies the lookup
+   * @param {Function} fn - Reads the live value
+   * @returns {*} Live or recorded value
+   * @throws {CassetteMissError} When a replayed cassette lacks the lookup
+   */
+  lookup(kind, request, fn) {
+    const context = this.storage.getStore();
+    if (!context) return fn();
+
+    const key = this.hash({ kind, request });
+    const { lookups } = context.cassette;
+
+    if (!lookups[key]) {
+      if (context.mode === 'replay') {
+        throw new CassetteMissError(kind, key);
+      }
+      const response = fn();
+      lookups[key] = { kind, request, response: response === undefined ? null : response };
+    }
+
+    // Callers may mutate values, so hand out a copy
+    return JSON.parse(JSON.stringify(lookups[key].response));
+  }
+
+  /**
+   * Whether the replaying cassette holds a recording for a request
+   * @param {string} kind - Interaction kind
+   * @param {Object} request - Request as passed to intercept()
+   * @returns {boolean}
+   */
+  hasRecording(kind, request) {
+    const context = this.storage.getStore();
+    if (!context || context.mode !== 'replay') return false;
+    return !!context.cassette.interactions[this.hash({ kind, request })];
+  }
+
+  /**
+   * Whether the current async context is replaying a cassette
+   */
+  isReplaying() {
+    return this.storage.getStore()?.mode === 'replay';
+  }
+
+  /**
+   * Current time for the verification; replays see the recording time so
+   * date-relative findings (ages, staleness) come out the same
+   * @returns {number} Milliseconds since the epoch
+   */
+  now() {
+    const context = this.storage.getStore();
+    const recordedAt = context?.mode === 'replay' ? Date.parse(context.cassette.recordedAt) : NaN;
+    return Number.isNaN(recordedAt) ? Date.now() : recordedAt;
+  }
+}
+
+// Export singleton instance
+module.exports = new CassetteService();
+module.exports.CassetteMissError = CassetteMissError;
@@ -0,0 +1,715 @@
+/**
+ * Domain Reputation Service
+ *
+ * The single source of domain trust. Search providers score evidence with
+ * it, the graph builder asks it which sources are fact-checkers, and agent
+ * rules match sources by its categories.
+ *
+ * Entries come from a built-in list (DOMAIN_CONFIG_FILE, default
+ * backend/config/domains.csv) and the Domain collection; a stored entry
+ * overrides the built-in one field by field. A host entry covers its
+ * subdomains, and a source resolves to its most specific entry: a path
+ * entry (thequint.com/news/webqoof), then the host, then each parent
+ * (pib.gov.in -> gov.in -> in). Fields an entry leaves unset are inherited
+ * from the next one, and unknown sources score DEFAULT_SCORE.
+ *
+ * Scores learn from verification outcomes. When a verification is saved,
+ * every source whose stance agreed with the verdict counts as correct and
+ * every source that contradicted it as incorrect, at CONSENSUS_WEIGHT;
+ * a ground-truth label (editor decision or fact-check) replaces that with
+ * full weight. The effective score blends the base score, worth
+ * PRIOR_WEIGHT outcomes, with the share of outcomes the source got right.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const logger = require('../utils/logger');
+const Domain = require('../models/Domain');
+const { CATEGORIES } = require('../models/Domain');
+const stanceService = require('./stanceService');
+const cassetteService = require('./cassetteService');
+
+const DEFAULT_CONFIG_FILE = path.join(__dirname, '../config/domains.csv');
+
+// Configuration
+const CONFIG = {
+  DEFAULT_SCORE: 50,
+  // Outcomes the base score is worth when blending in learned accuracy
+  PRIOR_WEIGHT: parseFloat(process.env.DOMAIN_PRIOR_WEIGHT) || 20,
+  // Weight of an outcome judged by the AI verdict; ground truth counts 1
+  CONSENSUS_WEIGHT: process.env.DOMAIN_CONSENSUS_WEIGHT !== undefined
+    ? parseFloat(process.env.DOMAIN_CONSENSUS_WEIGHT)
+    : 0.25,
+  MAX_HISTORY: 50,
+  // Re-read stored entries at most this often
+  REFRESH_INTERVAL_MS: 60 * 1000
+};
+
+const CSV_COLUMNS = ['domain', 'score', 'category', 'network', 'name', 'note'];
+const DOMAIN_PATTERN = /^[a-z0-9-]+(\.[a-z0-9-]+)*(\/[^\s?#]*)?$/;
+const ENTRY_FIELDS = ['name', 'baseScore', 'category', 'network', 'provenance', 'outcomes'];
+
+class DomainReputationError extends Error {
+  constructor(message, status = 400, details = []) {
+    super(message);
+    this.name = 'DomainReputationError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+class DomainReputationService {
+  constructor() {
+    this.file = path.resolve(process.env.DOMAIN_CONFIG_FILE || DEFAULT_CONFIG_FILE);
+    this.builtins = this.loadFile();
+    this.stored = new Map();
+    this.lastRefresh = 0;
+    this.rebuild();
+  }
+
+  /**
+   * Load the built-in entries
+   * @returns {Map<string, Object>} Entries by domain
+   */
+  loadFile() {
+    const entries = new Map();
+
+    if (!fs.existsSync(this.file)) {
+      logger.warn('Domain config file not found', { file: this.file });
+      return entries;
+    }
+
+    try {
+      const rows = this.parseCsv(fs.readFileSync(this.file, 'utf8'));
+
+      for (const row of rows) {
+        const { entry, errors } = this.fromRow(row);
+        if (errors.length > 0) {
+          logger.error('Invalid built-in domain entry', { line: row.line, errors });
+          continue;
+        }
+        entries.set(entry.domain, {
+          ...entry,
+          provenance: { source: 'builtin', note: row.note || undefined }
+        });
+      }
+    } catch (error) {
+      logger.error('Failed to load domain config', { file: this.file, error: error.message });
+    }
+
+    return entries;
+  }
+
+  /**
+   * Re-read stored entries and rebuild the lookup tables
+   */
+  async refresh() {
+    if (mongoose.connection.readyState !== 1) return;
+
+    const docs = await Domain.find().select('-history').lean();
+    this.stored = new Map(docs.map(doc => [doc.domain, doc]));
+    this.lastRefresh = Date.now();
+    this.rebuild();
+  }
+
+  /**
+   * Refresh stored entries if they may be stale (e.g. changed by another instance)
+   */
+  async ensureFresh() {
+    if (Date.now() - this.lastRefresh < CONFIG.REFRESH_INTERVAL_MS) return;
+
+    try {
+      await this.refresh();
+    } catch (error) {
+      logger.warn('Failed to refresh domain reputations', { error: error.message });
+    }
+  }
+
+  /**
+   * Merge built-in and stored entries, field by field
+   */
+  rebuild() {
+    this.entries = new Map();
+
+    for (const domain of new Set([...this.builtins.keys(), ...this.stored.keys()])) {
+      const entry = { domain, ...this.builtins.get(domain) };
+      const doc = this.stored.get(domain);
+
+      for (const field of ENTRY_FIELDS) {
+        if (doc?.[field] !== undefined && doc[field] !== null && !(field === 'provenance' && !doc.provenance.source)) {
+          entry[field] = doc[field];
+        }
+      }
+      entry.stored = !!doc;
+      entry.builtin = this.builtins.has(domain);
+
+      this.entries.set(domain, entry);
+    }
+
+    // Path entries by host, longest path first
+    this.pathEntries = new Map();
+    for (const domain of this.entries.keys()) {
+      const slash = domain.indexOf('/');
+      if (slash === -1) continue;
+      const host = domain.substring(0, slash);
+      if (!this.pathEntries.has(host)) this.pathEntries.set(host, []);
+      this.pathEntries.get(host).push(domain);
+    }
+    for (const list of this.pathEntries.values()) {
+      list.sort((a, b) => b.length - a.length);
+    }
+  }
+
+  /**
+   * Normalize a domain key: lower case, no scheme, "www." or trailing slash
+   * @param {string} value - Domain, domain with path, or URL
+   * @returns {string}
+   */
+  normalizeKey(value) {
+    return String(value || '')
+      .trim()
+      .toLowerCase()
+      .replace(/^[a-z]+:\/\//, '')
+      .replace(/^www\./, '')
+      .replace(/^\.+/, '')
+      .replace(/[?#].*$/, '')
+      .replace(/\/+$/, '');
+  }
+
+  /**
+   * Entry keys that could apply to a source, most specific first
+   * @param {string} target - URL, hostname or domain key
+   * @returns {string[]}
+   */
+  candidates(target) {
+    const key = this.normalizeKey(target);
+    if (!key) return [];
+
+    const slash = key.indexOf('/');
+    const host = slash === -1 ? key : key.substring(0, slash);
+    const pathname = slash === -1 ? '' : key.substring(slash);
+    const labels = host.split('.');
+    const keys = [];
+
+    for (let i = 0; i < labels.length; i++) {
+      const suffix = labels.slice(i).join('.');
+      for (const entry of this.pathEntries.get(suffix) || []) {
+        const entryPath = entry.substring(suffix.length);
+        if (pathname === entryPath || pathname.startsWith(`${entryPath}/`)) keys.push(entry);
+      }
+      keys.push(suffix);
+    }
+
+    return keys.filter(k => this.entries.has(k));
+  }
+
+  /**
+   * Resolve the reputation of a source (recorded to / replayed from the
+   * active cassette, so a replay scores sources as the recording did)
+   * @param {string} target - URL, hostname or domain key
+   * @returns {Object} { domain, score, baseScore, category, network, name, scoredBy, outcomes }
+   */
+  resolve(target) {
+    const key = this.normalizeKey(target);
+    return cassetteService.lookup('domain', { target: key }, () => this.resolveEntries(target));
+  }
+
+  /**
+   * Resolve the reputation of a source from the current entries
+   * @param {string} target - URL, hostname or domain key
+   * @returns {Object} See resolve()
+   */
+  resolveEntries(target) {
+    const chain = this.candidates(target).map(key => this.entries.get(key));
+    const first = (field) => chain.find(entry => entry[field] !== undefined && entry[field] !== null);
+
+    const base = first('baseScore');
+    const baseScore = base ? base.baseScore : CONFIG.DEFAULT_SCORE;
+    const outcomes = chain[0]?.outcomes;
+
+    return {
+      domain: chain[0]?.domain || null,
+      score: this.effectiveScore(baseScore, outcomes),
+      baseScore,
+      category: first('category')?.category || 'unknown',
+      network: first('network')?.network || null,
+      name: chain[0]?.name || null,
+      scoredBy: base?.domain || null,
+      outcomes: {
+        correct: outcomes?.correct || 0,
+        incorrect: outcomes?.incorrect || 0
+      }
+    };
+  }
+
+  /**
+   * Reputation score for a source
+   * @param {string} target - URL or hostname
+   * @returns {number} Score 0-100
+   */
+  score(target) {
+    return this.resolve(target).score;
+  }
+
+  /**
+   * Category of a source (fact_checker, wire, government, ...)
+   * @param {string} target - URL or hostname
+   * @returns {string}
+   */
+  category(target) {
+    return this.resolve(target).category;
+  }
+
+  /**
+   * Check whether a source belongs to a category
+   * @param {string} target - URL or hostname
+   * @param {string|string[]} categories
+   * @returns {boolean}
+   */
+  isCategory(target, categories) {
+    const category = this.category(target);
+    return Array.isArray(categories) ? categories.includes(category) : category === categories;
+  }
+
+  /**
+   * Domain keys in a category, e.g. the fact-checkers searched for every claim
+   * @param {string} category
+   * @returns {string[]} Sorted domain keys
+   */
+  domainsIn(category) {
+    return cassetteService.lookup('domain_category', { category }, () =>
+      [...this.entries.values()]
+        .filter(entry => entry.category === category)
+        .map(entry => entry.domain)
+        .sort()
+    );
+  }
+
+  /**
+   * Blend a base score with the share of outcomes a source got right
+   * @param {number} baseScore - 0-100
+   * @param {Object} outcomes - { correct, incorrect } (weighted counts)
+   * @returns {number} Score 0-100
+   */
+  effectiveScore(baseScore, outcomes) {
+    const correct = Math.max(0, outcomes?.correct || 0);
+    const incorrect = Math.max(0, outcomes?.incorrect || 0);
+    if (correct + incorrect === 0) return baseScore;
+
+    const score = (baseScore * CONFIG.PRIOR_WEIGHT + 100 * correct) / (CONFIG.PRIOR_WEIGHT + correct + incorrect);
+    return Math.round(Math.max(0, Math.min(100, score)));
+  }
+
+  /**
+   * List entries
+   * @param {Object} filters - { category, network, source, q, page, limit }
+   * @returns {Object} { items, total, page, limit }
+   */
+  list({ category, network, source, q, page = 1, limit = 50 } = {}) {
+    const query = q ? q.toLowerCase() : null;
+
+    const matching = [...this.entries.values()]
+      .filter(entry => !category || entry.category === category)
+      .filter(entry => !network || entry.network?.toLowerCase() === network.toLowerCase())
+      .filter(entry => !source || entry.provenance?.source === source)
+      .filter(entry => !query || entry.domain.includes(query) || entry.name?.toLowerCase().includes(query))
+      .sort((a, b) => a.domain.localeCompare(b.domain));
+
+    return {
+      items: matching.slice((page - 1) * limit, page * limit).map(entry => this.format(entry)),
+      total: matching.length,
+      page,
+      limit
+    };
+  }
+
+  /**
+   * Get an entry with its score history
+   * @param {string} domain - Domain key
+   * @returns {Promise<Object>} Formatted entry
+   */
+  async get(domain) {
+    const key = this.normalizeKey(domain);
+    const entry = this.entries.get(key);
+    if (!entry) {
+      throw new DomainReputationError(`No reputation entry for '${key}'`, 404);
+    }
+
+    const doc = entry.stored ? await Domain.findOne({ domain: key }).select('history').lean() : null;
+    return this.format(entry, { history: doc?.history || [] });
+  }
+
+  /**
+   * Create or update an entry. Only the given fields change; the entry's
+   * learned outcomes are kept.
+   * @param {string} domain - Domain key
+   * @param {Object} fields - { score, category, network, name }
+   * @param {Object} provenance - { source: 'admin'|'import', by, note }
+   * @returns {Promise<Object>} { entry, created }
+   */
+  async upsert(domain, fields, { source, by, note }) {
+    const key = this.normalizeKey(domain);
+    const errors = this.validate({ domain: key, ...fields });
+    if (errors.length > 0) {
+      throw new DomainReputationError('Invalid domain entry', 400, errors);
+    }
+
+    const set = {};
+    if (fields.score !== undefined) set.baseScore = Number(fields.score);
+    for (const field of ['category', 'network', 'name']) {
+      // null clears an override, so the built-in or parent value applies
+      if (fields[field] !== undefined) set[field] = fields[field] || null;
+    }
+    set.provenance = { source, by, note, updatedAt: new Date() };
+
+    const previous = await Domain.exists({ domain: key });
+    const current = this.entries.get(key);
+
+    const doc = await Domain.findOneAndUpdate(
+      { domain: key },
+      {
+        $set: set,
+        $push: {
+          history: {
+            $each: [{
+              baseScore: set.baseScore ?? current?.baseScore,
+              category: set.category ?? current?.category,
+              network: set.network ?? current?.network,
+              source,
+              by,
+              note
+            }],
+            $slice: -CONFIG.MAX_HISTORY
+          }
+        }
+      },
+      { upsert: true, new: true, runValidators: true }
+    ).select('-history').lean();
+
+    this.stored.set(key, doc);
+    this.rebuild();
+
+    logger.info('Domain reputation updated', { domain: key, source, by, ...fields });
+    return { entry: this.format(this.entries.get(key)), created: !previous && !current };
+  }
+
+  /**
+   * Delete a stored entry. A built-in entry it overrode applies again;
+   * learned outcomes are kept.
+   * @param {string} domain - Domain key
+   * @returns {Promise<Object|null>} Built-in entry now in effect for the key, if any
+   */
+  async remove(domain) {
+    const key = this.normalizeKey(domain);
+    const doc = this.stored.get(key) || await Domain.findOne({ domain: key }).select('-history').lean();
+
+    if (!doc || doc.provenance?.source === undefined) {
+      if (this.builtins.has(key)) {
+        throw new DomainReputationError(
+          `'${key}' is a built-in entry and cannot be deleted; override it with PUT instead`,
+          409
+        );
+      }
+      throw new DomainReputationError(`No stored reputation entry for '${key}'`, 404);
+    }
+
+    if (doc.outcomes?.correct || doc.outcomes?.incorrect) {
+      const updated = await Domain.findOneAndUpdate(
+        { domain: key },
+        {
+          $unset: { name: 1, baseScore: 1, category: 1, network: 1, provenance: 1 },
+          $push: { history: { $each: [{ source: 'admin', note: 'Entry deleted' }], $slice: -CONFIG.MAX_HISTORY } }
+        },
+        { new: true }
+      ).select('-history').lean();
+      this.stored.set(key, updated);
+    } else {
+      await Domain.deleteOne({ domain: key });
+      this.stored.delete(key);
+    }
+    this.rebuild();
+
+    logger.info('Domain reputation deleted', { domain: key });
+    return this.builtins.has(key) ? this.format(this.entries.get(key)) : null;
+  }
+
+  /**
+   * Import entries from CSV (columns: domain, score, category, network, name, note)
+   * @param {string} text - CSV with a header row
+   * @param {Object} options - { by, dryRun }
+   * @returns {Promise<Array>} Per-row outcome: { line, domain, status, errors? }
+   */
+  async importCsv(text, { by, dryRun = false } = {}) {
+    const rows = this.parseCsv(text);
+    const results = [];
+
+    for (const row of rows) {
+      const { entry, errors } = this.fromRow(row);
+      if (errors.length > 0) {
+        results.push({ line: row.line, domain: row.domain || null, status: 'invalid', errors });
+        continue;
+      }
+
+      if (dryRun) {
+        results.push({ line: row.line, domain: entry.domain, status: this.entries.has(entry.domain) ? 'would_update' : 'would_create' });
+        continue;
+      }
+
+      const { created } = await this.upsert(entry.domain, {
+        score: entry.baseScore,
+        category: entry.category,
+        network: entry.network,
+        name: entry.name
+      }, { source: 'import', by, note: row.note || undefined });
+
+      results.push({ line: row.line, domain: entry.domain, status: created ? 'created' : 'updated' });
+    }
+
+    logger.info('Domain reputations imported', {
+      rows: rows.length,
+      invalid: results.filter(r => r.status === 'invalid').length,
+      dryRun
+    });
+    return results;
+  }
+
+  /**
+   * Learn from a saved verification: score each source whose stance agreed
+   * or disagreed with the verdict. A ground-truth label replaces the
+   * earlier contribution of the same verification. Never throws.
+   * @param {Object} doc - SourceGraph document
+   * @param {Object} outcome - { verdict, source: 'consensus'|'ground_truth' }
+   * @returns {Promise<number>} Domains updated
+   */
+  async recordOutcome(doc, { verdict, source }) {
+    try {
+      const previous = doc.domainOutcome;
+      const weight = source === 'ground_truth' ? 1 : CONFIG.CONSENSUS_WEIGHT;
+
+      if (previous?.verdict === verdict && previous?.source === source) return 0;
+      // A label is only ever replaced by another label
+      if (source === 'consensus' && previous?.source === 'ground_truth') return 0;
+      // The label covers the article verdict, not the claim each source was about
+      if (source === 'ground_truth' && doc.verification?.mode === 'multi_claim') return 0;
+
+      if (previous?.verdict) {
+        await this.applyOutcomes(this.outcomesFor(doc, previous.verdict), -previous.weight);
+      }
+
+      const outcomes = this.outcomesFor(doc, verdict);
+      await this.applyOutcomes(outcomes, weight);
+
+      doc.domainOutcome = { verdict, source, weight, recordedAt: new Date() };
+      await doc.save();
+
+      return outcomes.size;
+    } catch (error) {
+      logger.error('Failed to record domain outcomes', { hash: doc.hash, error: error.message });
+      return 0;
+    }
+  }
+
+  /**
+   * Count correct and incorrect stances per source. In multi-claim mode
+   * each stance is judged against the verdict of the claim it is about.
+   * @param {Object} doc - SourceGraph document
+   * @param {string} verdict - Verdict to judge stances against
+   * @returns {Map<string, Object>} Domain key -> { correct, incorrect }
+   */
+  outcomesFor(doc, verdict) {
+    const claimVerdicts = new Map((doc.claims || []).map(c => [c.claimId, c.verdict]));
+    const outcomes = new Map();
+
+    for (const node of doc.nodes || []) {
+      const stance = node.stance;
+      if (!stanceService.isConfident(stance) || !['supports', 'refutes'].includes(stance.label)) continue;
+
+      const judged = doc.verification?.mode === 'multi_claim' ? claimVerdicts.get(stance.claimId) : verdict;
+      if (judged !== 'true' && judged !== 'false') continue;
+
+      const key = this.outcomeKey(node.url || node.domain);
+      if (!key) continue;
+
+      const correct = (stance.label === 'supports') === (judged === 'true');
+      const counts = outcomes.get(key) || { correct: 0, incorrect: 0 };
+      counts[correct ? 'correct' : 'incorrect']++;
+      outcomes.set(key, counts);
+    }
+
+    return outcomes;
+  }
+
+  /**
+   * Key outcomes are stored under: a matching path entry, otherwise the host
+   */
+  outcomeKey(target) {
+    const [first] = this.candidates(target);
+    if (first?.includes('/')) return first;
+    return this.normalizeKey(target).split('/')[0] || null;
+  }
+
+  /**
+   * Add weighted outcome counts to stored entries (creating them as needed)
+   */
+  async applyOutcomes(outcomes, weight) {
+    if (weight === 0) return;
+
+    for (const [key, { correct, incorrect }] of outcomes) {
+      const doc = await Domain.findOneAndUpdate(
+        { domain: key },
+        {
+          $inc: { 'outcomes.correct': correct * weight, 'outcomes.incorrect': incorrect * weight },
+          $set: { 'outcomes.lastAt': new Date() }
+        },
+        { upsert: true, new: true }
+      ).select('-history').lean();
+      this.stored.set(key, doc);
+    }
+
+    this.rebuild();
+  }
+
+  /**
+   * Parse CSV text with a header row. Supports quoted fields.
+   * @param {string} text
+   * @returns {Array<Object>} Rows keyed by lower-case header, with `line`
+   */
+  parseCsv(text) {
+    const records = [];
+    let record = [];
+    let field = '';
+    let quoted = false;
+    let line = 1;
+    let recordLine = 1;
+
+    const endField = () => { record.push(field.trim()); field = ''; };
+    const endRecord = () => {
+      endField();
+      if (record.some(value => value !== '')) records.push({ values: record, line: recordLine });
+      record = [];
+      recordLine = line;
+    };
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (quoted) {
+        if (char === '"' && text[i + 1] === '"') { field += '"'; i++; }
+        else if (char === '"') quoted = false;
+        else {
+          if (char === '\n') line++;
+          field += char;
+        }
+      } else if (char === '"') quoted = true;
+      else if (char === ',') endField();
+      else if (char === '\n') { line++; endRecord(); }
+      else if (char !== '\r') field += char;
+    }
+    if (field !== '' || record.length > 0) endRecord();
+
+    if (records.length === 0) return [];
+
+    const header = records[0].values.map(h => h.toLowerCase());
+    if (!header.includes('domain')) {
+      throw new DomainReputationError(`CSV needs a header row with a domain column (columns: ${CSV_COLUMNS.join(', ')})`);
+    }
+
+    return records.slice(1).map(({ values, line: rowLine }) => {
+      const row = { line: rowLine };
+      header.forEach((column, i) => { row[column] = values[i] ?? ''; });
+      return row;
+    });
+  }
+
+  /**
+   * Turn a CSV row into an entry
+   * @returns {Object} { entry, errors }
+   */
+  fromRow(row) {
+    const entry = { domain: this.normalizeKey(row.domain) };
+    if (row.score !== undefined && row.score !== '') entry.baseScore = Number(row.score);
+    for (const field of ['category', 'network', 'name']) {
+      if (row[field]) entry[field] = row[field];
+    }
+
+    const errors = this.validate({ ...entry, score: entry.baseScore });
+    if (!errors.length && entry.baseScore === undefined && !entry.category && !entry.network && !entry.name) {
+      errors.push({ field: 'score', message: 'Row sets no score, category, network or name' });
+    }
+    return { entry, errors };
+  }
+
+  /**
+   * Validate entry fields
+   * @returns {Array<Object>} Errors as { field, message }
+   */
+  validate({ domain, score, category, network, name }) {
+    const errors = [];
+
+    if (!DOMAIN_PATTERN.test(domain || '')) {
+      errors.push({ field: 'domain', message: 'domain must be a host name, optionally with a path' });
+    }
+    if (score !== undefined && !(Number.isFinite(Number(score)) && score >= 0 && score <= 100)) {
+      errors.push({ field: 'score', message: 'score must be between 0 and 100' });
+    }
+    if (category !== undefined && category !== null && !CATEGORIES.includes(category)) {
+      errors.push({ field: 'category', message: `category must be one of: ${CATEGORIES.join(', ')}` });
+    }
+    for (const [field, value] of Object.entries({ network, name })) {
+      if (value !== undefined && value !== null && (typeof value !== 'string' || value.length > 100)) {
+        errors.push({ field, message: `${field} must be a string of at most 100 characters` });
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Shape an entry for API responses
+   * @param {Object} entry - Merged entry
+   * @param {Object} options - { history }
+   * @returns {Object}
+   */
+  format(entry, { history } = {}) {
+    const resolved = this.resolve(entry.domain);
+
+    return {
+      domain: entry.domain,
+      name: entry.name || null,
+      score: resolved.score,
+      base_score: resolved.baseScore,
+      category: resolved.category,
+      network: resolved.network,
+      // Set when the base score or category comes from a parent entry
+      ...(resolved.scoredBy !== entry.domain && { inherited_from: resolved.scoredBy }),
+      provenance: {
+        source: entry.provenance?.source || 'outcomes',
+        by: entry.provenance?.by || null,
+        note: entry.provenance?.note || null,
+        updated_at: entry.provenance?.updatedAt?.toISOString?.() || entry.provenance?.updatedAt || null
+      },
+      outcomes: {
+        correct: Math.round(resolved.outcomes.correct * 100) / 100,
+        incorrect: Math.round(resolved.outcomes.incorrect * 100) / 100
+      },
+      builtin: entry.builtin,
+      ...(history && {
+        history: history.map(h => ({
+          base_score: h.baseScore ?? null,
+          category: h.category || null,
+          network: h.network || null,
+          source: h.source,
+          by: h.by || null,
+          note: h.note || null,
+          at: h.at?.toISOString?.() || h.at
+        }))
+      })
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new DomainReputationService();
+module.exports.DomainReputationError = DomainReputationError;
+module.exports.CONFIG = CONFIG;
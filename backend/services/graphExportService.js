@@ -0,0 +1,540 @@
+/**
+ * Graph Export Service
+ *
+ * Serializes source graphs for network analysis tools: GraphML (Cytoscape,
+ * NetworkX, yEd), GEXF (Gephi, with a timeline from node and edge
+ * timestamps), DOT (Graphviz), JSON-LD (schema.org) and CSV node/edge
+ * tables (Gephi's spreadsheet import, pandas).
+ *
+ * A bulk export merges several verifications into one graph. Node and
+ * edge ids are prefixed with their verification's hash to keep them
+ * unique, and every node and edge carries that hash in its `graph`
+ * attribute.
+ */
+
+const { Readable } = require('stream');
+const SourceGraph = require('../models/SourceGraph');
+const reviewService = require('./reviewService');
+
+// Configuration
+const CONFIG = {
+  // Verifications allowed in one bulk export
+  MAX_BULK_GRAPHS: parseInt(process.env.GRAPH_EXPORT_MAX_GRAPHS) || 500,
+  VOCAB: 'https://satyatrail.onrender.com/ns#'
+};
+
+const FORMATS = {
+  graphml: { contentType: 'application/graphml+xml', extension: 'graphml' },
+  gexf: { contentType: 'application/gexf+xml', extension: 'gexf' },
+  dot: { contentType: 'text/vnd.graphviz', extension: 'dot' },
+  jsonld: { contentType: 'application/ld+json', extension: 'jsonld' },
+  csv: { contentType: 'text/csv', extension: 'csv' }
+};
+
+// Same colors as the frontend's role legend
+const ROLE_COLORS = {
+  origin: '#6EE7B7',
+  amplifier: '#60A5FA',
+  debunker: '#EF4444',
+  modifier: '#F59E0B',
+  unknown: '#999999'
+};
+
+const NODE_ATTRIBUTES = [
+  { name: 'url', type: 'string' },
+  { name: 'domain', type: 'string' },
+  { name: 'role', type: 'string' },
+  { name: 'domain_reputation', type: 'double' },
+  { name: 'timestamp', type: 'string' },
+  { name: 'stance', type: 'string' },
+  { name: 'stance_confidence', type: 'double' },
+  { name: 'author', type: 'string' },
+  { name: 'graph', type: 'string' }
+];
+
+const EDGE_ATTRIBUTES = [
+  { name: 'relationship', type: 'string' },
+  { name: 'timestamp', type: 'string' },
+  { name: 'ai_detected', type: 'boolean' },
+  { name: 'evidence', type: 'string' },
+  { name: 'graph', type: 'string' }
+];
+
+/**
+ * Characters XML 1.0 allows: tab, LF, CR and everything from U+0020 except
+ * U+FFFE and U+FFFF
+ */
+const isXmlChar = (char) => {
+  const code = char.codePointAt(0);
+  return code >= 0x20 ? code !== 0xFFFE && code !== 0xFFFF : code === 0x09 || code === 0x0A || code === 0x0D;
+};
+
+// Spreadsheets run a cell starting with these as a formula (a leading tab
+// or carriage return is dropped on import, exposing what follows)
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+class GraphExportError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'GraphExportError';
+    this.status = status;
+  }
+}
+
+class GraphExportService {
+  /**
+   * Export one verification's source graph
+   * @param {string} hash - Graph hash
+   * @param {Object} options - { format, table: 'nodes'|'edges' (csv) }
+   * @returns {Promise<Object>} { body, contentType, filename }
+   */
+  async exportOne(hash, { format, table = 'nodes' }) {
+    this.checkFormat(format, table);
+
+    const doc = await SourceGraph.findByHash(hash);
+    if (!doc) {
+      throw new GraphExportError('Verification not found for this hash', 404);
+    }
+
+    const { chunks, ...file } = this.render([doc], { format, table, name: `satyatrail-${doc.hash.substring(0, 12)}` });
+    let body = '';
+    for await (const chunk of chunks) body += chunk;
+
+    return { body, ...file };
+  }
+
+  /**
+   * Export every verification saved in a date range as one graph, streamed
+   * from a cursor so the verifications are never all in memory
+   * @param {Object} options - { from, to, format, table, includeRevisions }
+   * @returns {Promise<Object>} { stream, contentType, filename, count }
+   */
+  async exportRange({ from, to = new Date(), format, table = 'nodes', includeRevisions = false }) {
+    this.checkFormat(format, table);
+
+    if (from > to) {
+      throw new GraphExportError('from must be before to');
+    }
+
+    const filter = {
+      createdAt: { $gte: from, $lte: to },
+      ...(!includeRevisions && { revisionOf: { $exists: false } })
+    };
+
+    const count = await SourceGraph.countDocuments(filter);
+    if (count > CONFIG.MAX_BULK_GRAPHS) {
+      throw new GraphExportError(
+        `${count} verifications in this range; an export holds at most ${CONFIG.MAX_BULK_GRAPHS}. Narrow the date range.`
+      );
+    }
+
+    // A lone verification is described in the file's header, so it is read first
+    const query = SourceGraph.find(filter).sort({ createdAt: 1 });
+    const docs = count === 1 ? await query : query.cursor();
+    const day = (date) => date.toISOString().substring(0, 10);
+    const { chunks, ...file } = this.render(docs, {
+      format,
+      table,
+      name: `satyatrail-${day(from)}-${day(to)}`,
+      bulk: true,
+      count
+    });
+
+    return { stream: Readable.from(chunks), ...file, count };
+  }
+
+  /**
+   * Refuse an unknown format or CSV table before anything is read
+   */
+  checkFormat(format, table) {
+    if (!FORMATS[format]) {
+      throw new GraphExportError(`format must be one of: ${Object.keys(FORMATS).join(', ')}`);
+    }
+    if (format === 'csv' && !['nodes', 'edges'].includes(table)) {
+      throw new GraphExportError('table must be nodes or edges');
+    }
+  }
+
+  /**
+   * Serialize verifications in a format
+   * @param {Array|AsyncIterable} docs - SourceGraph documents (or a cursor over them)
+   * @param {Object} options - { format, table, name, bulk, count }
+   * @returns {Object} { chunks: AsyncGenerator<string>, contentType, filename }
+   */
+  render(docs, { format, table, name, bulk = false, count = docs.length }) {
+    const spec = FORMATS[format];
+    const single = Array.isArray(docs) && docs.length === 1 ? this.describe(docs[0]) : null;
+    const parts = this.flatten(docs, { bulk });
+    const options = { count, single };
+
+    const chunks = {
+      graphml: () => this.toGraphML(parts, options),
+      gexf: () => this.toGEXF(parts, options),
+      dot: () => this.toDOT(parts, options),
+      jsonld: () => this.toJSONLD(parts),
+      csv: () => this.toCSV(parts, table)
+    }[format]();
+
+    return {
+      chunks,
+      contentType: `${spec.contentType}; charset=utf-8`,
+      filename: `${name}${format === 'csv' ? `-${table}` : ''}.${spec.extension}`
+    };
+  }
+
+  /**
+   * Graph metadata of a verification
+   * @param {Object} doc - SourceGraph document
+   * @returns {Object} { hash, claim, verdict, verdictSource, createdAt, blockchainHash }
+   */
+  describe(doc) {
+    const { verdict, verdict_source: verdictSource } = reviewService.verdictFields(doc);
+
+    return {
+      hash: doc.hash,
+      claim: doc.claim,
+      verdict,
+      verdictSource,
+      createdAt: this.isoDate(doc.createdAt),
+      blockchainHash: doc.blockchain?.transactionHash || null
+    };
+  }
+
+  /**
+   * Reduce each verification to its graph metadata and plain nodes and edges
+   * @param {Array|AsyncIterable} docs - SourceGraph documents
+   * @param {Object} options - { bulk } prefix ids with the graph hash
+   * @returns {AsyncGenerator<Object>} { graph, nodes, edges } per verification
+   */
+  async *flatten(docs, { bulk }) {
+    for await (const doc of docs) {
+      const id = (localId) => bulk ? `${doc.hash}:${localId}` : localId;
+
+      yield {
+        graph: this.describe(doc),
+        nodes: (doc.nodes || []).map(node => ({
+          id: id(node.id),
+          localId: node.id,
+          label: node.title || node.domain || node.url,
+          url: node.url,
+          domain: node.domain,
+          role: node.role || 'unknown',
+          domain_reputation: node.domainReputation,
+          timestamp: this.isoDate(node.timestamp),
+          stance: node.stance?.label,
+          stance_confidence: node.stance?.confidence,
+          author: node.author,
+          graph: doc.hash
+        })),
+        edges: (doc.edges || []).map(edge => ({
+          id: id(edge.id),
+          localId: edge.id,
+          source: id(edge.from),
+          target: id(edge.to),
+          relationship: edge.relationship,
+          timestamp: this.isoDate(edge.timestamp),
+          ai_detected: !!edge.aiDetected,
+          evidence: edge.evidence,
+          graph: doc.hash
+        }))
+      };
+    }
+  }
+
+  /**
+   * GraphML with typed keys for every node and edge attribute
+   */
+  async *toGraphML(parts, { single }) {
+    const key = (scope, { name, type }) =>
+      `  <key id="${scope}_${name}" for="${scope}" attr.name="${name}" attr.type="${type}"/>`;
+    const data = (scope, item, attributes) => attributes
+      .filter(({ name }) => this.present(item[name]))
+      .map(({ name }) => `<data key="${scope}_${name}">${this.xml(item[name])}</data>`)
+      .join('');
+
+    yield this.lines([
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<graphml xmlns="http://graphml.graphdrawing.org/xmlns"',
+      '  xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"',
+      '  xsi:schemaLocation="http://graphml.graphdrawing.org/xmlns http://graphml.graphdrawing.org/xmlns/1.0/graphml.xsd">',
+      ...['hash', 'claim', 'verdict', 'created_at'].map(name => key('graph', { name, type: 'string' })),
+      key('node', { name: 'label', type: 'string' }),
+      ...NODE_ATTRIBUTES.map(attribute => key('node', attribute)),
+      ...EDGE_ATTRIBUTES.map(attribute => key('edge', attribute)),
+      '  <graph id="G" edgedefault="directed">',
+      ...(single
+        ? [`    ${data('graph', { hash: single.hash, claim: single.claim, verdict: single.verdict, created_at: single.createdAt },
+          ['hash', 'claim', 'verdict', 'created_at'].map(name => ({ name })))}`]
+        : [])
+    ]);
+
+    for await (const { nodes, edges } of parts) {
+      yield this.lines([
+        ...nodes.map(node =>
+          `    <node id="${this.xml(node.id)}">${data('node', node, [{ name: 'label' }, ...NODE_ATTRIBUTES])}</node>`),
+        ...edges.map(edge =>
+          `    <edge id="${this.xml(edge.id)}" source="${this.xml(edge.source)}" target="${this.xml(edge.target)}">` +
+          `${data('edge', edge, EDGE_ATTRIBUTES)}</edge>`)
+      ]);
+    }
+
+    yield this.lines(['  </graph>', '</graphml>']);
+  }
+
+  /**
+   * GEXF 1.3, dynamic so Gephi's timeline can replay how a story spread.
+   * Nodes and edges without a timestamp exist for the whole timeline.
+   * Edges follow all nodes, so their lines are held until the nodes are out.
+   */
+  async *toGEXF(parts, { count, single }) {
+    const declare = (attributes) => attributes
+      .map(({ name, type }) => `      <attribute id="${name}" title="${name}" type="${type}"/>`);
+    const values = (item, attributes) => {
+      const present = attributes.filter(({ name }) => this.present(item[name]));
+      if (present.length === 0) return '';
+      return `<attvalues>${present
+        .map(({ name }) => `<attvalue for="${name}" value="${this.xml(item[name])}"/>`)
+        .join('')}</attvalues>`;
+    };
+    const start = (item) => item.timestamp ? ` start="${item.timestamp}"` : '';
+    const color = (role) => {
+      const hex = ROLE_COLORS[role] || ROLE_COLORS.unknown;
+      const [r, g, b] = [1, 3, 5].map(i => parseInt(hex.substring(i, i + 2), 16));
+      return `<viz:color r="${r}" g="${g}" b="${b}"/>`;
+    };
+    const description = single
+      ? `${single.claim} (verdict: ${single.verdict})`
+      : `${count} SatyaTrail verifications`;
+
+    yield this.lines([
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<gexf xmlns="http://gexf.net/1.3" xmlns:viz="http://gexf.net/1.3/viz" version="1.3">',
+      `  <meta lastmodifieddate="${new Date().toISOString().substring(0, 10)}">`,
+      '    <creator>SatyaTrail</creator>',
+      `    <description>${this.xml(description)}</description>`,
+      '  </meta>',
+      '  <graph defaultedgetype="directed" mode="dynamic" timeformat="datetime">',
+      '    <attributes class="node">',
+      ...declare(NODE_ATTRIBUTES),
+      '    </attributes>',
+      '    <attributes class="edge">',
+      ...declare(EDGE_ATTRIBUTES),
+      '    </attributes>',
+      '    <nodes>'
+    ]);
+
+    const edgeLines = [];
+    for await (const { nodes, edges } of parts) {
+      yield this.lines(nodes.map(node =>
+        `      <node id="${this.xml(node.id)}" label="${this.xml(node.label)}"${start(node)}>` +
+        `${values(node, NODE_ATTRIBUTES)}${color(node.role)}</node>`));
+      edgeLines.push(...edges.map(edge =>
+        `      <edge id="${this.xml(edge.id)}" source="${this.xml(edge.source)}" target="${this.xml(edge.target)}"` +
+        ` label="${this.xml(edge.relationship)}"${start(edge)}>${values(edge, EDGE_ATTRIBUTES)}</edge>`));
+    }
+
+    yield this.lines([
+      '    </nodes>',
+      '    <edges>',
+      ...edgeLines,
+      '    </edges>',
+      '  </graph>',
+      '</gexf>'
+    ]);
+  }
+
+  /**
+   * Graphviz DOT, nodes colored by role and labeled with their domain
+   */
+  async *toDOT(parts, { count, single }) {
+    const attributes = (item, names) => names
+      .filter(name => this.present(item[name]))
+      .map(name => `${name}=${this.dot(item[name])}`);
+    const label = single
+      ? `${single.claim}\nverdict: ${single.verdict}`
+      : `${count} SatyaTrail verifications`;
+
+    yield this.lines([
+      'digraph satyatrail {',
+      `  graph [label=${this.dot(label)}, labelloc=t, rankdir=LR];`,
+      '  node [shape=box, style="rounded,filled", fontname="Helvetica"];',
+      '  edge [fontname="Helvetica", fontsize=10];'
+    ]);
+
+    for await (const { nodes, edges } of parts) {
+      yield this.lines([
+        ...nodes.map(node => `  ${this.dot(node.id)} [${[
+          `label=${this.dot(`${node.domain || ''}\n${this.truncate(node.label, 60)}`)}`,
+          `fillcolor=${this.dot(ROLE_COLORS[node.role] || ROLE_COLORS.unknown)}`,
+          ...attributes(node, NODE_ATTRIBUTES.map(a => a.name))
+        ].join(', ')}];`),
+        ...edges.map(edge => `  ${this.dot(edge.source)} -> ${this.dot(edge.target)} [${[
+          `label=${this.dot(edge.relationship)}`,
+          ...(edge.relationship === 'contradicts' ? ['color="#EF4444"'] : []),
+          ...attributes(edge, ['relationship', 'timestamp', 'ai_detected', 'graph'])
+        ].join(', ')}];`)
+      ]);
+    }
+
+    yield this.lines(['}']);
+  }
+
+  /**
+   * JSON-LD: verifications as ClaimReviews, sources as schema.org
+   * CreativeWorks, and edges as relationship resources. Written item by
+   * item, laid out as JSON.stringify(document, null, 2) would.
+   */
+  async *toJSONLD(parts) {
+    const graphId = (hash) => `urn:satyatrail:graph:${hash}`;
+    const nodeId = (node) => `${graphId(node.graph)}:node:${encodeURIComponent(node.localId)}`;
+    const compact = (object) => Object.fromEntries(Object.entries(object).filter(([, v]) => this.present(v)));
+    const indent = (value, depth) => JSON.stringify(value, null, 2).replace(/\n/g, `\n${' '.repeat(depth)}`);
+    const context = {
+      '@vocab': 'https://schema.org/',
+      st: CONFIG.VOCAB,
+      xsd: 'http://www.w3.org/2001/XMLSchema#',
+      role: 'st:role',
+      domain: 'st:domain',
+      domainReputation: { '@id': 'st:domainReputation', '@type': 'xsd:double' },
+      stance: 'st:stance',
+      stanceConfidence: { '@id': 'st:stanceConfidence', '@type': 'xsd:double' },
+      sourceGraph: { '@id': 'st:sourceGraph', '@type': '@id' },
+      relationship: 'st:relationship',
+      aiDetected: { '@id': 'st:aiDetected', '@type': 'xsd:boolean' },
+      from: { '@id': 'st:from', '@type': '@id' },
+      to: { '@id': 'st:to', '@type': '@id' },
+      blockchainTransaction: 'st:blockchainTransaction',
+      datePublished: { '@type': 'xsd:dateTime' },
+      dateCreated: { '@type': 'xsd:dateTime' }
+    };
+
+    yield `{\n  "@context": ${indent(context, 2)},\n  "@graph": [`;
+
+    let empty = true;
+    for await (const { graph, nodes, edges } of parts) {
+      // Edges only join nodes of their own verification
+      const nodeIds = new Map(nodes.map(node => [node.id, nodeId(node)]));
+      const items = [
+        compact({
+          '@id': graphId(graph.hash),
+          '@type': ['ClaimReview', 'st:SourceGraph'],
+          claimReviewed: graph.claim,
+          reviewRating: { '@type': 'Rating', alternateName: graph.verdict },
+          dateCreated: graph.createdAt,
+          identifier: graph.hash,
+          blockchainTransaction: graph.blockchainHash
+        }),
+        ...nodes.map(node => compact({
+          '@id': nodeIds.get(node.id),
+          '@type': 'CreativeWork',
+          sourceGraph: graphId(node.graph),
+          url: node.url,
+          headline: node.label,
+          datePublished: node.timestamp,
+          author: node.author && { '@type': 'Person', name: node.author },
+          domain: node.domain,
+          role: node.role,
+          domainReputation: node.domain_reputation,
+          stance: node.stance,
+          stanceConfidence: node.stance_confidence
+        })),
+        ...edges.map(edge => compact({
+          '@id': `${graphId(edge.graph)}:edge:${encodeURIComponent(edge.localId)}`,
+          '@type': 'st:Relationship',
+          sourceGraph: graphId(edge.graph),
+          from: nodeIds.get(edge.source),
+          to: nodeIds.get(edge.target),
+          relationship: edge.relationship,
+          dateCreated: edge.timestamp,
+          aiDetected: edge.ai_detected,
+          description: edge.evidence
+        }))
+      ];
+
+      yield items.map((item, i) => `${empty && i === 0 ? '' : ','}\n    ${indent(item, 4)}`).join('');
+      empty = false;
+    }
+
+    yield empty ? ']\n}' : '\n  ]\n}';
+  }
+
+  /**
+   * Node or edge table with a header row. Column names follow Gephi's
+   * spreadsheet import (id, label, source, target, type).
+   */
+  async *toCSV(parts, table) {
+    const columns = table === 'edges'
+      ? ['id', 'source', 'target', 'type', 'label', ...EDGE_ATTRIBUTES.map(a => a.name)]
+      : ['id', 'label', ...NODE_ATTRIBUTES.map(a => a.name)];
+
+    yield this.csvRows(columns, []);
+
+    for await (const { nodes, edges } of parts) {
+      const rows = table === 'edges'
+        ? edges.map(edge => ({ ...edge, type: 'Directed', label: edge.relationship }))
+        : nodes;
+      if (rows.length > 0) yield this.csvRows(columns, rows, { header: false });
+    }
+  }
+
+  /**
+   * Text cells that a spreadsheet would read as a formula get a leading
+   * apostrophe, so a source title can't run one on import
+   */
+  csvRows(columns, rows, { header = true } = {}) {
+    const cell = (value) => {
+      if (!this.present(value)) return '';
+      const text = typeof value === 'string' && FORMULA_PREFIX.test(value) ? `'${value}` : String(value);
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const lines = rows.map(row => columns.map(c => cell(row[c])).join(','));
+    return [...(header ? [columns.join(',')] : []), ...lines].map(line => `${line}\r\n`).join('');
+  }
+
+  /**
+   * Join lines, each ended by a newline
+   */
+  lines(list) {
+    return list.map(line => `${line}\n`).join('');
+  }
+
+  /**
+   * Escape text for XML content and attributes, dropping characters XML 1.0 forbids
+   */
+  xml(value) {
+    return Array.from(String(value)).filter(isXmlChar).join('')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&apos;');
+  }
+
+  /**
+   * Quote a DOT id or attribute value
+   */
+  dot(value) {
+    const text = String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\r?\n/g, '\\n');
+    return `"${text}"`;
+  }
+
+  present(value) {
+    return value !== undefined && value !== null && value !== '';
+  }
+
+  isoDate(value) {
+    if (!value) return null;
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date.toISOString();
+  }
+
+  truncate(text, length) {
+    const value = String(text || '');
+    return value.length > length ? `${value.substring(0, length - 1)}…` : value;
+  }
+}
+
+// Export singleton instance
+module.exports = new GraphExportService();
+module.exports.GraphExportError = GraphExportError;
+module.exports.FORMATS = FORMATS;
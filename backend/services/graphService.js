@@ -10,7 +10,18 @@ const stringify = require('json-stable-stringify');
 const Fuse = require('fuse.js');
 const logger = require('../utils/logger');
 const openaiService = require('./openaiService');
-const tavilyService = require('./tavilyService');
+const searchService = require('./searchService');
+const stanceService = require('./stanceService');
+const domainReputationService = require('./domainReputationService');
+const { CassetteMissError } = require('./cassetteService');
+const merkle = require('../utils/merkle');
+
+// Graph hash versions: 1 hashes one canonical JSON blob, 2 is the root of
+// a Merkle tree over the claim, nodes and edges (see utils/merkle.js).
+// New graphs use the latest; stored graphs keep the version they were
+// hashed with.
+const HASH_VERSION = 2;
+const HASH_VERSIONS = [1, 2];
 
 class GraphService {
   constructor() {
@@ -26,9 +37,11 @@ class GraphService {
    * Build a source graph from a claim and evidence
    * @param {string} claim - The claim being verified
    * @param {Array} sources - Array of source objects from Tavily
+   * @param {Object} options - Build options
+   * @param {boolean} options.aiEnhance - Run the AI origin/edge analysis (default: true)
    * @returns {Promise<Object>} Source graph with nodes and edges
    */
-  async buildGraph(claim, sources) {
+  async buildGraph(claim, sources, { aiEnhance = true } = {}) {
     logger.info('Building source graph', { claim: claim.substring(0, 100), sourceCount: sources.length });
 
     // Create initial nodes from sources
@@ -37,11 +50,15 @@ class GraphService {
       url: source.url,
       title: source.title,
       snippet: source.snippet,
-      timestamp: source.publishDate || new Date().toISOString(),
+      // Undated sources stay undated; defaulting to now would make a
+      // years-old story look fresh and break origin detection
+      timestamp: source.publishDate || null,
       domainReputation: source.domainReputationScore || 50,
       role: 'unknown', // Will be determined later
       author: source.author || null,
-      domain: this.extractDomain(source.url)
+      domain: this.extractDomain(source.url),
+      // { label, confidence, span, method } from the stance service
+      stance: source.stance || null
     }));
 
     // Detect duplicates and clusters
@@ -55,7 +72,7 @@ class GraphService {
 
     // Use AI to enhance graph analysis if we have enough sources
     let aiAnalysis = null;
-    if (sources.length >= 3) {
+    if (aiEnhance && sources.length >= 3) {
       try {
         aiAnalysis = await openaiService.analyzeSourceGraph(sources);
         
@@ -84,6 +101,7 @@ class GraphService {
           }
         }
       } catch (error) {
+        if (error instanceof CassetteMissError) throw error;
         logger.warn('AI graph analysis failed, using heuristic analysis', { error: error.message });
       }
     }
@@ -104,6 +122,7 @@ class GraphService {
     };
 
     // Calculate and attach hash
+    graph.hashVersion = HASH_VERSION;
     graph.hash = this.hashGraph(graph);
 
     logger.info('Source graph built', {
@@ -149,18 +168,18 @@ class GraphService {
   }
 
   /**
-   * Assign roles to nodes based on timestamps and content
+   * Assign roles to nodes based on timestamps and evidence stance.
+   * Confident stances decide debunker/amplifier; nodes without one fall
+   * back to keyword and fact-check domain lists.
    * @param {Array} nodes - Array of graph nodes (mutated in place)
    */
   assignNodeRoles(nodes) {
     if (nodes.length === 0) return;
 
     // Sort by timestamp
-    const sortedByTime = [...nodes].sort((a, b) => 
-      new Date(a.timestamp) - new Date(b.timestamp)
-    );
+    const sortedByTime = this.sortByTimestamp(nodes);
 
-    // First node is likely origin
+    // Earliest dated node is likely origin
     const originNode = sortedByTime[0];
     originNode.role = 'origin';
 
@@ -169,17 +188,18 @@ class GraphService {
       if (node.role === 'origin') continue;
 
       const content = `${node.title} ${node.snippet}`.toLowerCase();
+      const stance = stanceService.isConfident(node.stance) ? node.stance.label : null;
 
-      // Check for debunker signals
-      if (this.hasDebunkerSignals(content)) {
+      // Sources refuting the claim debunk it
+      if (stance === 'refutes') {
         node.role = 'debunker';
       }
-      // Check for fact-check domain
-      else if (this.isFactCheckDomain(node.domain)) {
+      // Without a stance, check for debunker signals and fact-check domains
+      else if (!stance && (this.hasDebunkerSignals(content) || this.isFactCheckDomain(node.url || node.domain))) {
         node.role = 'debunker';
       }
-      // Check for amplifier signals
-      else if (this.hasAmplifierSignals(content)) {
+      // Sources repeating the claim amplify it
+      else if (stance === 'supports' || this.hasAmplifierSignals(content)) {
         node.role = 'amplifier';
       }
       // Default to modifier (adds new info)
@@ -189,6 +209,23 @@ class GraphService {
     }
   }
 
+  /**
+   * Sort nodes oldest first; undated nodes keep their order at the end
+   * @param {Array} nodes - Array of graph nodes
+   * @returns {Array} Sorted copy
+   */
+  sortByTimestamp(nodes) {
+    const time = (node) => {
+      const parsed = node.timestamp ? Date.parse(node.timestamp) : NaN;
+      return Number.isNaN(parsed) ? Infinity : parsed;
+    };
+
+    return nodes
+      .map((node, index) => ({ node, index, time: time(node) }))
+      .sort((a, b) => (a.time - b.time) || (a.index - b.index))
+      .map(entry => entry.node);
+  }
+
   /**
    * Check if content contains debunker signals
    */
@@ -202,15 +239,11 @@ class GraphService {
   }
 
   /**
-   * Check if domain is a fact-checking organization
+   * Check if a source is a fact-checking organization
+   * @param {string} source - URL or domain
    */
-  isFactCheckDomain(domain) {
-    const factCheckers = [
-      'snopes.com', 'factcheck.org', 'politifact.com',
-      'altnews.in', 'boomlive.in', 'thequint.com',
-      'vishvasnews.com', 'factly.in', 'newschecker.in'
-    ];
-    return factCheckers.some(fc => domain.includes(fc));
+  isFactCheckDomain(source) {
+    return !!source && domainReputationService.isCategory(source, 'fact_checker');
   }
 
   /**
@@ -239,9 +272,7 @@ class GraphService {
     if (!originNode) return edges;
 
     // Connect other nodes to origin or each other based on timestamps
-    const sortedNodes = [...nodes].sort((a, b) => 
-      new Date(a.timestamp) - new Date(b.timestamp)
-    );
+    const sortedNodes = this.sortByTimestamp(nodes);
 
     for (let i = 1; i < sortedNodes.length; i++) {
       const currentNode = sortedNodes[i];
@@ -309,11 +340,32 @@ class GraphService {
   }
 
   /**
-   * Create canonical hash of graph using deterministic JSON serialization
+   * Hash a graph
+   * @param {Object} graph - Graph object with claim, nodes and edges
+   * @param {number} version - Hash version (default: the latest)
+   * @returns {string} SHA-256 hash (hex)
+   */
+  hashGraph(graph, version = HASH_VERSION) {
+    if (!HASH_VERSIONS.includes(version)) {
+      throw new Error(`Unknown graph hash version: ${version}`);
+    }
+
+    const hash = version === 1
+      ? this.hashGraphV1(graph)
+      : merkle.buildLevels(this.graphLeaves(graph).map(merkle.hashLeaf)).pop()[0].toString('hex');
+
+    logger.debug('Graph hashed', { version, hash });
+
+    return hash;
+  }
+
+  /**
+   * Version 1: SHA-256 of one canonical JSON blob. Proving a single source
+   * means revealing the whole graph; kept so older graphs stay verifiable.
    * @param {Object} graph - Graph object to hash
    * @returns {string} SHA-256 hash of canonical JSON
    */
-  hashGraph(graph) {
+  hashGraphV1(graph) {
     // Create a minimal, canonical representation for hashing
     const canonical = {
       claim: graph.claim,
@@ -331,17 +383,72 @@ class GraphService {
     };
 
     // Use json-stable-stringify for deterministic key ordering
-    const canonicalJson = stringify(canonical);
-    
-    // SHA-256 hash
-    const hash = crypto.createHash('sha256').update(canonicalJson).digest('hex');
-    
-    logger.debug('Graph hashed', { 
-      canonicalLength: canonicalJson.length,
-      hash 
-    });
+    return crypto.createHash('sha256').update(stringify(canonical)).digest('hex');
+  }
 
-    return hash;
+  /**
+   * Version 2 Merkle leaves: the claim, then nodes and edges each sorted
+   * by id (code point order, so every platform agrees)
+   * @param {Object} graph - Graph object
+   * @returns {Array<Object>} Flat leaf objects
+   */
+  graphLeaves(graph) {
+    const byId = (a, b) => (a.id < b.id ? -1 : a.id > b.id ? 1 : 0);
+    const text = (value) => (value === undefined || value === null ? null : String(value));
+
+    return [
+      { type: 'claim', claim: text(graph.claim) },
+      ...graph.nodes.map(n => ({
+        type: 'node',
+        id: text(n.id),
+        url: text(n.url),
+        title: text(n.title),
+        role: text(n.role)
+      })).sort(byId),
+      ...graph.edges.map(e => ({
+        type: 'edge',
+        id: text(e.id),
+        from: text(e.from),
+        to: text(e.to),
+        relationship: text(e.relationship)
+      })).sort(byId)
+    ];
+  }
+
+  /**
+   * Inclusion proof for one node or edge of a version 2 graph
+   * @param {Object} graph - Graph object
+   * @param {Object} target - { node } or { edge } id
+   * @returns {Object|null} { leaf, leafHash, index, leafCount, proof, root }, null when not in the graph
+   */
+  inclusionProof(graph, { node, edge }) {
+    const leaves = this.graphLeaves(graph);
+    const index = leaves.findIndex(leaf =>
+      node !== undefined ? leaf.type === 'node' && leaf.id === node : leaf.type === 'edge' && leaf.id === edge
+    );
+    if (index === -1) return null;
+
+    const levels = merkle.buildLevels(leaves.map(merkle.hashLeaf));
+
+    return {
+      leaf: leaves[index],
+      leafHash: levels[0][index].toString('hex'),
+      index,
+      leafCount: leaves.length,
+      proof: merkle.proofFor(levels, index),
+      root: levels[levels.length - 1][0].toString('hex')
+    };
+  }
+
+  /**
+   * Check a graph against a hash made with the given version
+   * @param {Object} graph - Graph object
+   * @param {string} hash - Expected hash
+   * @param {number} version - Hash version the hash was made with (default: 1)
+   * @returns {boolean}
+   */
+  verifyGraphHash(graph, hash, version = 1) {
+    return this.hashGraph(graph, version) === hash;
   }
 
   /**
@@ -404,10 +511,14 @@ class GraphService {
     const roleCount = {};
     const domainCount = {};
     const relationshipCount = {};
+    const stanceCount = {};
 
     for (const node of graph.nodes || []) {
       roleCount[node.role] = (roleCount[node.role] || 0) + 1;
       domainCount[node.domain] = (domainCount[node.domain] || 0) + 1;
+      if (node.stance?.label) {
+        stanceCount[node.stance.label] = (stanceCount[node.stance.label] || 0) + 1;
+      }
     }
 
     for (const edge of graph.edges || []) {
@@ -421,6 +532,7 @@ class GraphService {
       roleDistribution: roleCount,
       domainDistribution: domainCount,
       relationshipDistribution: relationshipCount,
+      stanceDistribution: stanceCount,
       hasOrigin: graph.nodes?.some(n => n.role === 'origin') || false,
       hasDebunkers: graph.nodes?.some(n => n.role === 'debunker') || false
     };
@@ -429,4 +541,6 @@ class GraphService {
 
 // Export singleton instance
 module.exports = new GraphService();
+module.exports.HASH_VERSION = HASH_VERSION;
+module.exports.HASH_VERSIONS = HASH_VERSIONS;
 
@@ -0,0 +1,214 @@
+/**
+ * Ground Truth Service
+ *
+ * Records the verdict a verification should have reached, from an editor
+ * decision or an imported fact-checker rating, and scores the agents that
+ * ran on it and the sources it cited. This is what drives agent and
+ * domain reputation; the consensus updates made during verification are
+ * only a weak signal.
+ *
+ * Editor decisions take precedence: a fact-checker rating never replaces
+ * one. When a label changes, each agent's earlier ground-truth update is
+ * undone before it is scored again, so a verification counts once.
+ */
+
+const logger = require('../utils/logger');
+const AgentReport = require('../models/AgentReport');
+const SourceGraph = require('../models/SourceGraph');
+const reputationSystem = require('../utils/reputationSystem');
+const { BASIS } = require('../utils/reputationSystem');
+const domainReputationService = require('./domainReputationService');
+const sourceNetworkService = require('./sourceNetworkService');
+
+// Fact-checker ratings (lower case) and the verdict they correspond to
+const RATING_VERDICTS = {
+  'true': 'true',
+  'correct': 'true',
+  'accurate': 'true',
+  'mostly true': 'true',
+  'verified': 'true',
+  'false': 'false',
+  'fake': 'false',
+  'hoax': 'false',
+  'fabricated': 'false',
+  'incorrect': 'false',
+  'mostly false': 'false',
+  'pants on fire': 'false',
+  'scam': 'false',
+  'misleading': 'mixed',
+  'partly false': 'mixed',
+  'partly true': 'mixed',
+  'half true': 'mixed',
+  'missing context': 'mixed',
+  'needs context': 'mixed',
+  'mixture': 'mixed',
+  'unverified': 'unknown',
+  'unproven': 'unknown'
+};
+
+const VERDICTS = ['true', 'false', 'mixed', 'unknown'];
+
+class GroundTruthService {
+  /**
+   * Map a fact-checker rating to a verdict
+   * @param {string} rating - Rating text, e.g. "Misleading"
+   * @returns {string|null} Verdict or null if the rating is not recognized
+   */
+  ratingToVerdict(rating) {
+    const normalized = String(rating || '').trim().toLowerCase().replace(/[\s_-]+/g, ' ');
+    if (VERDICTS.includes(normalized)) return normalized;
+    return RATING_VERDICTS[normalized] || null;
+  }
+
+  /**
+   * Set a verification's ground-truth label and score its agents and
+   * sources against it. The document is saved; scoring failures are
+   * logged, not thrown.
+   * @param {Object} doc - SourceGraph document
+   * @param {Object} label - { verdict, source: 'editor'|'fact_check', rating, publisher, url }
+   * @returns {Promise<Object>} { applied, reason?, scored }
+   */
+  async record(doc, { verdict, source, rating, publisher, url }) {
+    if (source === 'fact_check' && doc.groundTruth?.source === 'editor') {
+      return { applied: false, reason: 'An editor decision already sets the ground truth', scored: [] };
+    }
+
+    doc.groundTruth = { verdict, source, rating, publisher, url, recordedAt: new Date() };
+    await doc.save();
+
+    let scored = [];
+    try {
+      scored = await this.scoreAgents(doc);
+    } catch (error) {
+      logger.error('Failed to score agents against ground truth', { hash: doc.hash, error: error.message });
+    }
+
+    await domainReputationService.recordOutcome(doc, { verdict, source: 'ground_truth' });
+    await sourceNetworkService.ingest(doc);
+
+    return { applied: true, scored };
+  }
+
+  /**
+   * Score the agents of a verification against its ground-truth label.
+   * Multi-claim verifications are skipped: the label covers the article
+   * verdict, not the claim each agent report was about.
+   * @param {Object} doc - SourceGraph document with groundTruth set
+   * @returns {Promise<Array>} [{ agent_name, correct, change }]
+   */
+  async scoreAgents(doc) {
+    const { verdict, source } = doc.groundTruth || {};
+    // "unknown" says nothing about which agents were right
+    if (!verdict || verdict === 'unknown') return [];
+
+    if (doc.verification?.mode === 'multi_claim') {
+      logger.info('Ground truth not scored for multi-claim verification', { hash: doc.hash });
+      return [];
+    }
+
+    const reports = await AgentReport.find({ sourceGraphId: doc._id, claimId: null });
+    const scored = [];
+
+    for (const report of reports) {
+      if (report.processing?.error) continue;
+
+      const previous = report.groundTruth;
+      if (previous?.verdict === verdict) continue;
+      if (previous?.verdict) {
+        await reputationSystem.revertGroundTruth(report.agentName, previous);
+      }
+
+      const correct = report.verdict === verdict;
+      const update = await reputationSystem.updateReputation(
+        report.agentName,
+        correct,
+        report.confidence,
+        {
+          groundTruthVerdict: verdict,
+          groundTruthSource: source,
+          agentVerdict: report.verdict,
+          graphHash: doc.hash
+        },
+        BASIS.GROUND_TRUTH
+      );
+
+      report.groundTruth = { verdict, source, correct, change: update.change, scoredAt: new Date() };
+      await report.save();
+
+      scored.push({ agent_name: report.agentName, correct, change: update.change });
+    }
+
+    logger.info('Scored agents against ground truth', { hash: doc.hash, verdict, source, agents: scored.length });
+    return scored;
+  }
+
+  /**
+   * Import fact-checker ratings as ground truth. Each rating is matched to
+   * a verification by graph hash or by its exact claim text.
+   * @param {Array} ratings - [{ hash?, claim?, rating, verdict?, publisher, url }]
+   * @returns {Promise<Array>} Per-rating outcome: { index, hash, status, reason?, scored? }
+   */
+  async importFactChecks(ratings) {
+    const results = [];
+
+    for (const [index, entry] of ratings.entries()) {
+      const verdict = entry.verdict && VERDICTS.includes(entry.verdict)
+        ? entry.verdict
+        : this.ratingToVerdict(entry.rating);
+
+      if (!verdict) {
+        results.push({ index, status: 'skipped', reason: `Unrecognized rating: ${entry.rating}` });
+        continue;
+      }
+
+      const doc = await this.findVerification(entry);
+      if (!doc) {
+        results.push({ index, status: 'skipped', reason: 'No matching verification' });
+        continue;
+      }
+
+      const outcome = await this.record(doc, {
+        verdict,
+        source: 'fact_check',
+        rating: entry.rating,
+        publisher: entry.publisher,
+        url: entry.url
+      });
+
+      if (!outcome.applied) {
+        results.push({ index, hash: doc.hash, status: 'skipped', reason: outcome.reason });
+        continue;
+      }
+
+      doc.auditLog.push({
+        action: 'fact_checked',
+        actor: entry.publisher || 'fact_check',
+        fromVerdict: doc.verification.verdict,
+        toVerdict: verdict,
+        details: { rating: entry.rating, url: entry.url }
+      });
+      await doc.save();
+
+      results.push({ index, hash: doc.hash, status: 'applied', verdict, scored: outcome.scored.length });
+    }
+
+    return results;
+  }
+
+  /**
+   * Find the verification a fact-check is about
+   */
+  async findVerification({ hash, claim }) {
+    if (hash) {
+      return SourceGraph.findByHash(hash);
+    }
+    if (claim) {
+      const text = claim.trim();
+      return SourceGraph.findOne({ $or: [{ claim: text }, { englishClaim: text }] }).sort({ createdAt: -1 });
+    }
+    return null;
+  }
+}
+
+// Export singleton instance
+module.exports = new GroundTruthService();
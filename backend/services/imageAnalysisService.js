@@ -1,16 +1,13 @@
 /**
  * Image Analysis Service
  * 
- * Analyzes image metadata and EXIF data to determine authenticity using GPT-4o.
+ * Analyzes image metadata and EXIF data to determine authenticity using the
+ * LLM gateway's 'vision' call site (gpt-4o on OpenAI by default).
  * Used by Telegram and WhatsApp bots for photo verification.
  */
 
-const OpenAI = require('openai');
 const logger = require('../utils/logger');
-
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
+const llmGateway = require('./llmGateway');
 
 /**
  * Analyzes image metadata and EXIF data to determine authenticity
@@ -31,8 +28,7 @@ const analyzeImageAuthenticity = async (analysisData) => {
     console.log(prompt);
     console.log('-'.repeat(30));
 
-    const response = await openai.chat.completions.create({
-      model: 'gpt-4o',
+    const response = await llmGateway.chat('vision', {
       messages: [
         {
           role: 'system',
@@ -82,14 +78,14 @@ Provide a single-word verdict, a confidence score (0-100), and a concise reasoni
 
     return parsedResult;
   } catch (error) {
-    console.error('[ImageAnalysis] OpenAI analysis error:', error.message);
-    logger.error('OpenAI image analysis error', { error: error.message });
+    console.error('[ImageAnalysis] LLM analysis error:', error.message);
+    logger.error('LLM image analysis error', { error: error.message });
     return fallbackAnalysis(analysisData);
   }
 };
 
 /**
- * Analyzes an image directly using GPT-4o vision capabilities
+ * Analyzes an image directly using a vision-capable model
  * @param {string} imageUrl - URL of the image to analyze
  * @param {string} imageBase64 - Base64 encoded image (alternative to URL)
  * @param {Object} context - Additional context about the image
@@ -106,8 +102,7 @@ const analyzeImageWithVision = async (imageUrl, imageBase64 = null, context = {}
       ? { type: 'image_url', image_url: { url: `data:image/jpeg;base64,${imageBase64}` } }
       : { type: 'image_url', image_url: { url: imageUrl } };
 
-    const response = await openai.chat.completions.create({
-      model: 'gpt-4o',
+    const response = await llmGateway.chat('vision', {
       messages: [
         {
           role: 'system',
@@ -337,7 +332,7 @@ function parseVisionResponse(content) {
 }
 
 /**
- * Fallback analysis when OpenAI is unavailable
+ * Fallback analysis when the LLM is unavailable
  */
 function fallbackAnalysis(data) {
   const { trustFlags } = data;
@@ -0,0 +1,405 @@
+/**
+ * Integrity Audit Service
+ *
+ * Checks that stored verifications still match what was anchored. Anyone
+ * with database access could edit a SourceGraph's claim, nodes or verdict;
+ * the audit catches it by
+ * - recomputing the graph hash (graphService.hashGraph, with the graph's
+ *   hash version) from the stored claim, nodes and edges: `hash_drift`
+ * - reading the anchored record (blockchainService.getVerification) and
+ *   comparing its verdict, claim and nodes: `verdict_mismatch`,
+ *   `claim_mismatch`, `node_mismatch`, or `missing_anchor` when the chain
+ *   has no record. On v2 the first revision must hold the stored AI
+ *   verdict and the latest one the verdict in effect.
+ * - for batch anchors, folding the inclusion proof up to the batch root
+ *   and reading that batch from the chain: `proof_invalid`,
+ *   `root_mismatch`, `missing_anchor`
+ *
+ * Each verification gets an `integrity` status: ok, mismatch (any issue),
+ * unanchored (not on chain yet, or never) or unverifiable (anchored, but
+ * the chain can't be read: dry run, Solana, no contract, RPC down).
+ * Every INTEGRITY_AUDIT_INTERVAL_MS the verifications checked longest ago
+ * are audited again.
+ */
+
+const logger = require('../utils/logger');
+const merkle = require('../utils/merkle');
+const SourceGraph = require('../models/SourceGraph');
+const graphService = require('./graphService');
+const blockchainService = require('./blockchainService');
+const verificationStoreService = require('./verificationStoreService');
+const reviewService = require('./reviewService');
+const { batchLeaves } = require('./anchorBatchService');
+
+// Configuration
+const CONFIG = {
+  INTERVAL_MS: parseInt(process.env.INTEGRITY_AUDIT_INTERVAL_MS, 10) || 6 * 60 * 60 * 1000,
+  BATCH_SIZE: parseInt(process.env.INTEGRITY_AUDIT_BATCH, 10) || 200,
+  // Latest mismatches listed in the report
+  REPORT_MISMATCHES: 20
+};
+
+const STATUSES = ['ok', 'mismatch', 'unanchored', 'unverifiable'];
+const ISSUE_TYPES = ['hash_drift', 'missing_anchor', 'verdict_mismatch', 'claim_mismatch', 'node_mismatch', 'proof_invalid', 'root_mismatch'];
+
+// Fields the checks read
+const AUDIT_FIELDS = 'hash hashVersion claim nodes edges verification.verdict review.decision blockchain revisions createdAt integrity';
+
+class IntegrityAuditError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'IntegrityAuditError';
+    this.status = status;
+  }
+}
+
+class IntegrityAuditService {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+    this.lastRun = null;
+  }
+
+  /**
+   * Start auditing on an interval (INTEGRITY_AUDIT_ENABLED=false turns it off)
+   */
+  start() {
+    if (this.timer || process.env.INTEGRITY_AUDIT_ENABLED === 'false') return;
+
+    // Don't keep the process alive just for the scheduler
+    this.timer = setInterval(() => this.tick(), CONFIG.INTERVAL_MS);
+    this.timer.unref();
+
+    logger.info('Integrity audit scheduler started', {
+      intervalMs: CONFIG.INTERVAL_MS,
+      batchSize: CONFIG.BATCH_SIZE
+    });
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Scheduled run: the BATCH_SIZE verifications checked longest ago
+   */
+  async tick() {
+    if (this.running) return null;
+
+    try {
+      return await this.audit();
+    } catch (error) {
+      logger.error('Integrity audit failed', { error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Audit verifications and store each one's integrity status
+   * @param {Object} options
+   * @param {Array<string>} options.hashes - Graph hashes to audit (default: the ones checked longest ago)
+   * @param {number} options.limit - Verifications to audit without hashes (default: INTEGRITY_AUDIT_BATCH)
+   * @returns {Promise<Object>} Run summary: counts per status and the mismatches found
+   */
+  async audit({ hashes, limit = CONFIG.BATCH_SIZE } = {}) {
+    if (this.running) {
+      throw new IntegrityAuditError('An integrity audit is already running', 409);
+    }
+    this.running = true;
+
+    const startedAt = new Date();
+    try {
+      // Never-checked verifications sort first
+      const docs = await SourceGraph.find(hashes ? { hash: { $in: hashes } } : {})
+        .sort({ 'integrity.checkedAt': 1, createdAt: 1 })
+        .limit(hashes ? hashes.length : limit)
+        .select(AUDIT_FIELDS);
+
+      const chain = await this.chainStatus();
+      const counts = Object.fromEntries(STATUSES.map(status => [status, 0]));
+      const mismatches = [];
+
+      for (const doc of docs) {
+        const integrity = await this.check(doc, chain);
+        // An audit is not an edit; leave updatedAt alone
+        await SourceGraph.updateOne({ _id: doc._id }, { $set: { integrity } }, { timestamps: false });
+
+        counts[integrity.status]++;
+        if (integrity.status === 'mismatch') {
+          mismatches.push({ hash: doc.hash, issues: integrity.issues });
+          logger.warn('Verification failed its integrity audit', {
+            hash: doc.hash,
+            issues: integrity.issues.map(issue => issue.type)
+          });
+        }
+      }
+
+      this.lastRun = {
+        started_at: startedAt.toISOString(),
+        finished_at: new Date().toISOString(),
+        checked: docs.length,
+        counts,
+        chain
+      };
+
+      logger.info('Integrity audit finished', { checked: docs.length, ...counts, chainReadable: chain.readable });
+
+      return { ...this.lastRun, mismatches };
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Audit one verification now
+   * @param {string} hash - Graph hash
+   * @returns {Promise<Object>} Formatted integrity status
+   */
+  async auditOne(hash) {
+    const doc = await SourceGraph.findOne({ hash }).select(AUDIT_FIELDS);
+    if (!doc) {
+      throw new IntegrityAuditError('Verification not found for this hash', 404);
+    }
+
+    const chain = await this.chainStatus();
+    const integrity = await this.check(doc, chain);
+    await SourceGraph.updateOne({ _id: doc._id }, { $set: { integrity } }, { timestamps: false });
+
+    return {
+      hash,
+      ...this.format(integrity),
+      chain
+    };
+  }
+
+  /**
+   * Whether anchored records can be read right now
+   * @returns {Promise<Object>} { readable, reason? }
+   */
+  async chainStatus() {
+    if (blockchainService.dryRun) {
+      return { readable: false, reason: 'Blockchain dry run mode' };
+    }
+    if (!blockchainService.isEVM()) {
+      return { readable: false, reason: `Anchors on ${blockchainService.provider} are not read back` };
+    }
+
+    try {
+      await blockchainService.getBlockNumber();
+      return { readable: true };
+    } catch (error) {
+      // getVerification reports an unreachable node as "not stored"; don't
+      // let that turn into missing anchors
+      return { readable: false, reason: `RPC unreachable: ${error.message}` };
+    }
+  }
+
+  /**
+   * Check one verification
+   * @param {Object} doc - SourceGraph document (AUDIT_FIELDS)
+   * @param {Object} chain - chainStatus() result
+   * @returns {Promise<Object>} Integrity subdocument
+   */
+  async check(doc, chain) {
+    const issues = [];
+
+    const recomputed = graphService.hashGraph(doc.toObject(), doc.hashVersion || 1);
+    if (recomputed !== doc.hash) {
+      issues.push({ type: 'hash_drift', expected: doc.hash, actual: recomputed });
+    }
+
+    const blockchain = doc.blockchain || {};
+    let anchor = 'none';
+    let verified = false;
+    let contractAddress;
+
+    if (blockchain.batch?.root) {
+      anchor = 'batch';
+      contractAddress = blockchain.batch.contractAddress;
+      verified = await this.checkBatch(doc, chain, issues);
+    } else if (blockchain.transactionHash && (!blockchain.status || blockchain.status === 'anchored')) {
+      // No status: sent inline, before the outbox
+      anchor = 'single';
+      const record = chain.readable && blockchainService.contractAddress
+        ? await blockchainService.getVerification(doc.hash)
+        : undefined;
+      if (record !== undefined) {
+        verified = true;
+        contractAddress = record?.contractAddress;
+        await this.checkRecord(doc, record, issues);
+      }
+    }
+
+    let status = 'ok';
+    if (issues.length > 0) status = 'mismatch';
+    else if (anchor === 'none') status = 'unanchored';
+    else if (!verified) status = 'unverifiable';
+
+    return {
+      status,
+      issues,
+      anchor,
+      ...(contractAddress && { contractAddress }),
+      checkedAt: new Date()
+    };
+  }
+
+  /**
+   * Compare a verification with its own on-chain record
+   * @param {Object} doc - SourceGraph document
+   * @param {Object|null} record - blockchainService.getVerification() result
+   * @param {Array} issues - Collects the differences
+   */
+  async checkRecord(doc, record, issues) {
+    if (!record) {
+      issues.push({ type: 'missing_anchor', expected: doc.hash, actual: null });
+      return;
+    }
+
+    const stored = doc.verification?.verdict || 'unknown';
+    const anchored = verificationStoreService.normalizeVerdict(record.verdict);
+    const revisable = blockchainService.contractVersion === 2 && record.contractAddress === blockchainService.contractAddress;
+
+    if (!revisable) {
+      // v1 keeps the verdict the verification was stored with
+      if (anchored !== stored) {
+        issues.push({ type: 'verdict_mismatch', expected: anchored, actual: stored });
+      }
+    } else {
+      // v2 returns the latest revision; the first is the stored verdict
+      const revisions = await blockchainService.getRevisions(doc.hash).catch(() => null);
+      const initial = revisions?.length ? verificationStoreService.normalizeVerdict(revisions[0].verdict) : null;
+      if (initial && initial !== stored) {
+        issues.push({ type: 'verdict_mismatch', expected: initial, actual: stored });
+      }
+
+      // With a single revision both checks compare the same verdict
+      const effective = this.expectedVerdict(doc);
+      if (anchored !== effective && !(revisions?.length === 1 && effective === stored)) {
+        issues.push({ type: 'verdict_mismatch', expected: anchored, actual: effective });
+      }
+    }
+
+    // storeGraph got the claim cut to 500 characters
+    const claim = (doc.claim || '').substring(0, 500);
+    if (record.claim !== claim) {
+      issues.push({ type: 'claim_mismatch', expected: record.claim, actual: claim });
+    }
+
+    // The chain holds the first nodes only; each must still be stored as sent
+    for (const node of record.nodes) {
+      const stored = doc.nodes.find(n => n.id === node.id);
+      if (stored?.url !== node.url) {
+        issues.push({ type: 'node_mismatch', expected: `${node.id} ${node.url}`, actual: stored ? `${stored.id} ${stored.url}` : null });
+      }
+    }
+  }
+
+  /**
+   * Check a batch-anchored verification's proof and batch root
+   * @param {Object} doc - SourceGraph document
+   * @param {Object} chain - chainStatus() result
+   * @param {Array} issues - Collects the differences
+   * @returns {Promise<boolean>} Whether the chain was consulted
+   */
+  async checkBatch(doc, chain, issues) {
+    const batch = doc.blockchain.batch;
+    const proof = (batch.proof || []).map(({ position, hash }) => ({ position, hash }));
+    const root = merkle.rootFromProof(batchLeaves([doc.hash])[0], proof);
+    if (root !== batch.root) {
+      issues.push({ type: 'proof_invalid', expected: batch.root, actual: root });
+    }
+
+    if (!chain.readable || !batch.contractAddress || !batch.id) return false;
+
+    const onChain = await blockchainService.getBatch(batch.id, batch.contractAddress);
+    if (!onChain) {
+      issues.push({ type: 'missing_anchor', expected: batch.root, actual: null });
+    } else if (onChain.root !== batch.root) {
+      issues.push({ type: 'root_mismatch', expected: onChain.root, actual: batch.root });
+    }
+    return true;
+  }
+
+  /**
+   * Verdict the latest v2 revision should hold: the one in effect
+   * (reviewService.verdictFields), unless a recheck changed it after the
+   * editor decided, as both are appended on chain (recheckService,
+   * reviewService)
+   * @param {Object} doc - SourceGraph document
+   * @returns {string}
+   */
+  expectedVerdict(doc) {
+    const { verdict, verdict_source: source } = reviewService.verdictFields(doc);
+    const decidedAt = source === 'editor' ? doc.review.decision.decidedAt : null;
+
+    const recheck = (doc.revisions || [])
+      .filter(revision => revision.diff?.verdictChanged)
+      .filter(revision => !decidedAt || revision.createdAt > decidedAt)
+      .sort((a, b) => a.createdAt - b.createdAt)
+      .pop();
+
+    return recheck ? recheck.verdict : (verdict || 'unknown');
+  }
+
+  /**
+   * Aggregate report: verifications per integrity status and issue type,
+   * the latest mismatches and the last run
+   * @returns {Promise<Object>}
+   */
+  async report() {
+    const [total, statusCounts, issueCounts, mismatches] = await Promise.all([
+      SourceGraph.countDocuments({}),
+      Promise.all(STATUSES.map(status => SourceGraph.countDocuments({ 'integrity.status': status }))),
+      Promise.all(ISSUE_TYPES.map(type => SourceGraph.countDocuments({ 'integrity.issues.type': type }))),
+      SourceGraph.find({ 'integrity.status': 'mismatch' })
+        .sort({ 'integrity.checkedAt': -1 })
+        .limit(CONFIG.REPORT_MISMATCHES)
+        .select('hash claim integrity')
+    ]);
+
+    const counts = Object.fromEntries(STATUSES.map((status, i) => [status, statusCounts[i]]));
+    counts.unchecked = total - statusCounts.reduce((sum, count) => sum + count, 0);
+
+    return {
+      interval_ms: CONFIG.INTERVAL_MS,
+      batch_size: CONFIG.BATCH_SIZE,
+      total,
+      counts,
+      issues: Object.fromEntries(ISSUE_TYPES.map((type, i) => [type, issueCounts[i]])),
+      mismatches: mismatches.map(doc => ({
+        hash: doc.hash,
+        claim: doc.claim.substring(0, 100),
+        ...this.format(doc.integrity)
+      })),
+      // Since this server started
+      last_run: this.lastRun,
+      running: this.running
+    };
+  }
+
+  /**
+   * Integrity subdocument for API responses
+   * @param {Object} integrity - SourceGraph integrity
+   * @returns {Object} { status, anchor, issues, contract_address, checked_at }
+   */
+  format(integrity) {
+    return {
+      status: integrity.status,
+      anchor: integrity.anchor,
+      issues: (integrity.issues || []).map(({ type, expected, actual }) => ({
+        type,
+        expected: expected ?? null,
+        actual: actual ?? null
+      })),
+      contract_address: integrity.contractAddress || null,
+      checked_at: integrity.checkedAt?.toISOString() || null
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new IntegrityAuditService();
+module.exports.IntegrityAuditError = IntegrityAuditError;
+module.exports.CONFIG = CONFIG;
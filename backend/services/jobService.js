@@ -0,0 +1,220 @@
+/**
+ * Job Service
+ *
+ * Runs verifications in the background and keeps their progress events
+ * so clients can poll a job or follow it over Server-Sent Events.
+ * Jobs are held in memory and expire a while after they finish.
+ *
+ * A job belongs to the API key that started it: only requests with that
+ * key can read it, and a job started without a key only by requests
+ * without one.
+ */
+
+const { EventEmitter } = require('events');
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../utils/logger');
+
+// Configuration
+const CONFIG = {
+  JOB_TTL_MS: parseInt(process.env.JOB_TTL_MS, 10) || 60 * 60 * 1000, // Keep finished jobs for 1 hour
+  MAX_EVENTS_PER_JOB: 500,
+  CLEANUP_INTERVAL_MS: 5 * 60 * 1000
+};
+
+const TERMINAL_STATUSES = ['completed', 'failed'];
+
+// Owner of a job as stored: an ApiKey ID as a string, or null without a key
+const ownerId = (owner) => (owner ? String(owner) : null);
+
+class JobService {
+  constructor() {
+    this.jobs = new Map();
+    this.emitter = new EventEmitter();
+    this.emitter.setMaxListeners(0); // One listener per open SSE stream
+
+    // Periodically drop expired jobs (don't keep the process alive for it)
+    this.cleanupTimer = setInterval(() => this.cleanup(), CONFIG.CLEANUP_INTERVAL_MS);
+    this.cleanupTimer.unref();
+  }
+
+  /**
+   * Create a job and start running it on the next tick
+   * @param {Object} input - Job input, echoed back in snapshots
+   * @param {Function} runner - Async function called as runner(emit); its return value becomes the job result
+   * @param {Object} options - { owner: ApiKey ID, or null without a key }
+   * @returns {Object} Job snapshot
+   */
+  createJob(input, runner, { owner = null } = {}) {
+    const now = new Date().toISOString();
+    const job = {
+      id: uuidv4(),
+      owner: ownerId(owner),
+      status: 'queued',
+      input,
+      events: [],
+      result: null,
+      error: null,
+      currentStep: null,
+      createdAt: now,
+      updatedAt: now,
+      finishedAt: null
+    };
+
+    this.jobs.set(job.id, job);
+    this.addEvent(job, 'job_status', { status: 'queued' });
+
+    logger.info('Job created', { jobId: job.id, source: input?.source });
+
+    setImmediate(() => this.run(job, runner));
+
+    return this.getSnapshot(job.id, { owner });
+  }
+
+  /**
+   * Execute a job runner and record its outcome
+   */
+  async run(job, runner) {
+    this.setStatus(job, 'running');
+
+    try {
+      const result = await runner((type, data) => this.addEvent(job, type, data));
+
+      job.result = result;
+      job.finishedAt = new Date().toISOString();
+      this.setStatus(job, 'completed', { result });
+
+      logger.info('Job completed', { jobId: job.id, verdict: result?.verdict });
+    } catch (error) {
+      job.error = {
+        message: process.env.NODE_ENV === 'production'
+          ? 'An error occurred during verification'
+          : error.message
+      };
+      job.finishedAt = new Date().toISOString();
+      this.setStatus(job, 'failed', { error: job.error });
+
+      logger.error('Job failed', { jobId: job.id, error: error.message });
+    }
+  }
+
+  /**
+   * Update job status and record a status event
+   */
+  setStatus(job, status, data = {}) {
+    job.status = status;
+    this.addEvent(job, 'job_status', { status, ...data });
+  }
+
+  /**
+   * Append an event to a job and notify live listeners
+   * @param {Object} job - Job record
+   * @param {string} type - Event type (job_status, step_started, step_finished, agent_report, partial_verdict)
+   * @param {Object} data - Event payload
+   */
+  addEvent(job, type, data = {}) {
+    const event = {
+      id: job.events.length > 0 ? job.events[job.events.length - 1].id + 1 : 1,
+      type,
+      data,
+      timestamp: new Date().toISOString()
+    };
+
+    job.events.push(event);
+    if (job.events.length > CONFIG.MAX_EVENTS_PER_JOB) {
+      job.events = job.events.slice(-CONFIG.MAX_EVENTS_PER_JOB);
+    }
+
+    if (type === 'step_started') {
+      job.currentStep = data.step;
+    }
+    job.updatedAt = event.timestamp;
+
+    this.emitter.emit(job.id, event);
+  }
+
+  /**
+   * Get a job record, if it belongs to the caller
+   * @param {string} jobId - Job ID
+   * @param {Object} [owner] - Caller's ApiKey ID (none without a key)
+   * @returns {Object|null} Job or null if unknown, expired or someone else's
+   */
+  getJob(jobId, owner) {
+    const job = this.jobs.get(jobId);
+    return job && job.owner === ownerId(owner) ? job : null;
+  }
+
+  /**
+   * Get a client-facing view of a job
+   * @param {string} jobId - Job ID
+   * @param {Object} options - Snapshot options
+   * @param {Object} options.owner - Caller's ApiKey ID (none without a key)
+   * @param {boolean} options.includeEvents - Include the event log (default: false)
+   * @returns {Object|null} Job snapshot or null
+   */
+  getSnapshot(jobId, options = {}) {
+    const job = this.getJob(jobId, options.owner);
+    if (!job) return null;
+
+    const finishedSteps = job.events
+      .filter(e => e.type === 'step_finished')
+      .map(e => e.data.step);
+
+    const snapshot = {
+      job_id: job.id,
+      status: job.status,
+      current_step: job.currentStep,
+      completed_steps: finishedSteps,
+      result: job.result,
+      error: job.error,
+      created_at: job.createdAt,
+      updated_at: job.updatedAt,
+      finished_at: job.finishedAt
+    };
+
+    if (options.includeEvents) {
+      snapshot.events = job.events;
+    }
+
+    return snapshot;
+  }
+
+  /**
+   * Subscribe to a job's events
+   * @param {string} jobId - Job ID
+   * @param {Function} listener - Called with each event as it is recorded
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(jobId, listener) {
+    this.emitter.on(jobId, listener);
+    return () => this.emitter.off(jobId, listener);
+  }
+
+  /**
+   * Check whether a job has finished
+   */
+  isFinished(job) {
+    return TERMINAL_STATUSES.includes(job.status);
+  }
+
+  /**
+   * Remove finished jobs older than the TTL
+   */
+  cleanup() {
+    const cutoff = Date.now() - CONFIG.JOB_TTL_MS;
+    let removed = 0;
+
+    for (const [id, job] of this.jobs) {
+      if (this.isFinished(job) && new Date(job.finishedAt).getTime() < cutoff) {
+        this.jobs.delete(id);
+        removed++;
+      }
+    }
+
+    if (removed > 0) {
+      logger.debug('Expired jobs removed', { removed, remaining: this.jobs.size });
+    }
+  }
+}
+
+// Export singleton instance
+module.exports = new JobService();
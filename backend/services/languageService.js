@@ -0,0 +1,183 @@
+/**
+ * Language Service
+ *
+ * Detects the language of claims and evidence and translates between the
+ * user's language and English. Detection is local and script-based:
+ *
+ * - Indic scripts (Devanagari, Bengali, Tamil, ...) map to one language
+ *   each. Marathi and Nepali share Devanagari and are reported as Hindi.
+ * - Latin text is Hinglish (romanized Hindi) when enough common Hindi
+ *   words appear, English otherwise.
+ *
+ * Translation goes through the LLM gateway ('translation' call site).
+ */
+
+const logger = require('../utils/logger');
+const openaiService = require('./openaiService');
+
+const ENGLISH = { code: 'en', name: 'English', script: 'Latin' };
+const HINGLISH = { code: 'hi-Latn', name: 'Hinglish', script: 'Latin' };
+
+// Non-Latin scripts and the language they are reported as
+const SCRIPT_LANGUAGES = [
+  { code: 'hi', name: 'Hindi', script: 'Devanagari', pattern: /\p{Script=Devanagari}/u },
+  { code: 'bn', name: 'Bengali', script: 'Bengali', pattern: /\p{Script=Bengali}/u },
+  { code: 'ta', name: 'Tamil', script: 'Tamil', pattern: /\p{Script=Tamil}/u },
+  { code: 'te', name: 'Telugu', script: 'Telugu', pattern: /\p{Script=Telugu}/u },
+  { code: 'kn', name: 'Kannada', script: 'Kannada', pattern: /\p{Script=Kannada}/u },
+  { code: 'ml', name: 'Malayalam', script: 'Malayalam', pattern: /\p{Script=Malayalam}/u },
+  { code: 'gu', name: 'Gujarati', script: 'Gujarati', pattern: /\p{Script=Gujarati}/u },
+  { code: 'pa', name: 'Punjabi', script: 'Gurmukhi', pattern: /\p{Script=Gurmukhi}/u },
+  { code: 'or', name: 'Odia', script: 'Oriya', pattern: /\p{Script=Oriya}/u },
+  { code: 'ur', name: 'Urdu', script: 'Arabic', pattern: /\p{Script=Arabic}/u }
+];
+
+const LATIN_PATTERN = /\p{Script=Latin}/u;
+
+// Share of script characters a non-Latin script needs to win; forwards
+// often mix in English words, URLs and hashtags
+const MIN_SCRIPT_SHARE = 0.3;
+
+// Common Hindi words as they are typed in Latin script
+const HINGLISH_WORDS = new Set([
+  'hai', 'hain', 'nahi', 'nahin', 'kya', 'kyun', 'kyon', 'aur', 'bhi', 'mein',
+  'ko', 'ki', 'ka', 'ke', 'se', 'par', 'tha', 'thi', 'hoga', 'raha',
+  'rahi', 'rahe', 'gaya', 'gayi', 'kar', 'karo', 'karein', 'diya', 'liya',
+  'yeh', 'ye', 'woh', 'wo', 'sab', 'log', 'logon', 'abhi', 'sirf', 'bahut',
+  'sarkar', 'khabar', 'sach', 'jhooth', 'jhoot', 'bhai', 'dekho', 'jaldi',
+  'apne', 'apna', 'hamare', 'unke', 'iske', 'uske', 'wala', 'wali', 'wale'
+]);
+
+// Words that also occur in English and only count alongside other markers
+const AMBIGUOUS_WORDS = new Set(['par', 'ye', 'wo', 'log', 'sab']);
+
+// Marker share and count Latin text needs to count as Hinglish
+const MIN_HINGLISH_SHARE = 0.2;
+const MIN_HINGLISH_WORDS = 2;
+
+class LanguageService {
+  /**
+   * Detect the language of a text
+   * @param {string} text - Text to inspect
+   * @returns {Object} { code, name, script, confidence }
+   */
+  detect(text) {
+    // Links and handles say nothing about the language of the message
+    const content = String(text || '').replace(/https?:\/\/\S+|[@#]\S+/g, ' ');
+    const chars = [...content];
+    const counts = new Map();
+    let latin = 0;
+
+    for (const char of chars) {
+      if (LATIN_PATTERN.test(char)) {
+        latin++;
+        continue;
+      }
+      const language = SCRIPT_LANGUAGES.find(l => l.pattern.test(char));
+      if (language) counts.set(language, (counts.get(language) || 0) + 1);
+    }
+
+    const total = latin + [...counts.values()].reduce((sum, n) => sum + n, 0);
+    if (total === 0) {
+      return { ...ENGLISH, confidence: 0 };
+    }
+
+    const [top, topCount = 0] = [...counts.entries()].sort((a, b) => b[1] - a[1])[0] || [];
+    if (top && topCount / total >= MIN_SCRIPT_SHARE) {
+      return this.describe(top, topCount / total);
+    }
+
+    const hinglishShare = this.hinglishShare(content);
+    if (hinglishShare !== null) {
+      return { ...HINGLISH, confidence: this.round(Math.min(1, hinglishShare * 2)) };
+    }
+
+    return { ...ENGLISH, confidence: this.round(latin / total) };
+  }
+
+  /**
+   * Share of words that are common romanized Hindi, or null when the
+   * text does not read as Hinglish
+   * @param {string} text - Latin-script text
+   * @returns {number|null}
+   */
+  hinglishShare(text) {
+    const words = String(text || '').toLowerCase().match(/[a-z]+/g) || [];
+    if (words.length === 0) return null;
+
+    const markers = words.filter(w => HINGLISH_WORDS.has(w));
+    const distinct = new Set(markers.filter(w => !AMBIGUOUS_WORDS.has(w)));
+    const share = markers.length / words.length;
+
+    if (distinct.size < MIN_HINGLISH_WORDS || share < MIN_HINGLISH_SHARE) return null;
+    return share;
+  }
+
+  /**
+   * Check whether a detected language is English
+   * @param {Object} language - Result of detect()
+   * @returns {boolean}
+   */
+  isEnglish(language) {
+    return !language || language.code === ENGLISH.code;
+  }
+
+  /**
+   * Translate text into English
+   * Falls back to the original text when translation fails, so a
+   * translation outage only costs the English search.
+   * @param {string} text - Text to translate
+   * @param {Object} language - Detected language of the text
+   * @returns {Promise<string>} English text
+   */
+  async toEnglish(text, language) {
+    if (this.isEnglish(language)) return text;
+    return this.translate(text, language, ENGLISH);
+  }
+
+  /**
+   * Translate English text into a user's language
+   * @param {string} text - English text
+   * @param {Object} language - Target language
+   * @returns {Promise<string>} Translated text, or the original on failure
+   */
+  async fromEnglish(text, language) {
+    if (this.isEnglish(language) || !text) return text;
+    return this.translate(text, ENGLISH, language);
+  }
+
+  /**
+   * Translate text between two languages
+   * @param {string} text - Text to translate
+   * @param {Object} from - Source language ({ code, name })
+   * @param {Object} to - Target language ({ code, name })
+   * @returns {Promise<string>} Translated text, or the original on failure
+   */
+  async translate(text, from, to) {
+    try {
+      const translation = await openaiService.translate(text, from.name, to.name);
+      return translation || text;
+    } catch (error) {
+      logger.warn('Translation failed, using original text', {
+        from: from.code,
+        to: to.code,
+        error: error.message
+      });
+      return text;
+    }
+  }
+
+  /**
+   * Shape a script language entry as a detection result
+   */
+  describe({ code, name, script }, confidence) {
+    return { code, name, script, confidence: this.round(confidence) };
+  }
+
+  round(value) {
+    return Math.round(value * 100) / 100;
+  }
+}
+
+// Export singleton instance
+module.exports = new LanguageService();
@@ -0,0 +1,70 @@
+/**
+ * OpenAI Chat Provider
+ *
+ * Sends chat completions to OpenAI, or to any server exposing the
+ * OpenAI chat completions API (Ollama, vLLM, llama.cpp server, LM Studio)
+ * when created in compatible mode with a base URL.
+ */
+
+const OpenAI = require('openai');
+
+class OpenAIProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.name - Provider name used in logs ('openai' or 'openai-compatible')
+   * @param {string} options.apiKey - API key (local servers usually accept any value)
+   * @param {string} options.baseURL - Base URL of an OpenAI-compatible server (optional)
+   * @param {boolean} options.compatible - Adapt requests/responses for non-OpenAI servers
+   */
+  constructor({ name, apiKey, baseURL, compatible = false }) {
+    this.name = name;
+    this.compatible = compatible;
+
+    this.client = new OpenAI({
+      apiKey,
+      ...(baseURL && { baseURL })
+    });
+  }
+
+  /**
+   * Create a chat completion
+   * @param {Object} params - Chat completion parameters (including model)
+   * @returns {Promise<Object>} OpenAI-shaped chat completion response
+   */
+  async complete(params) {
+    if (!this.compatible) {
+      return this.client.chat.completions.create(params);
+    }
+
+    // Most local servers only understand the older max_tokens parameter
+    const { max_completion_tokens: maxTokens, ...rest } = params;
+    const response = await this.client.chat.completions.create({
+      ...rest,
+      ...(maxTokens && { max_tokens: maxTokens })
+    });
+
+    // Local models often wrap JSON in prose or code fences
+    if (params.response_format?.type === 'json_object') {
+      for (const choice of response.choices || []) {
+        if (choice.message?.content) {
+          choice.message.content = this.extractJson(choice.message.content);
+        }
+      }
+    }
+
+    return response;
+  }
+
+  /**
+   * Pull the outermost JSON object out of a model reply
+   * @param {string} content - Raw reply
+   * @returns {string} JSON text (or the original reply if none is found)
+   */
+  extractJson(content) {
+    const start = content.indexOf('{');
+    const end = content.lastIndexOf('}');
+    return start >= 0 && end > start ? content.substring(start, end + 1) : content;
+  }
+}
+
+module.exports = OpenAIProvider;
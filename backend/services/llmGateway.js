@@ -0,0 +1,234 @@
+/**
+ * LLM Gateway
+ *
+ * Single entry point for chat completions. Every request names its call
+ * site, and each site can be routed to its own provider and model:
+ *
+ * - agent        Per-agent claim verification
+ * - aggregation  Orchestrator verdict aggregation
+ * - graph        Source graph analysis
+ * - claims       Claim extraction
+ * - stance       Evidence stance classification
+ * - vision       Image analysis
+ * - translation  Claim and summary translation
+ *
+ * Providers:
+ * - openai             OpenAI API (OPENAI_API_KEY)
+ * - openai-compatible  Any OpenAI-compatible server at LLM_BASE_URL (Ollama, vLLM, llama.cpp)
+ * - stub               Deterministic rule-based replies for offline runs
+ *
+ * Configuration: LLM_PROVIDER and MODEL_NAME set the defaults;
+ * LLM_<SITE>_PROVIDER and LLM_<SITE>_MODEL override them per call site
+ * (e.g. LLM_VISION_PROVIDER=openai, LLM_AGENT_MODEL=llama3.1:8b).
+ */
+
+const logger = require('../utils/logger');
+const cassetteService = require('./cassetteService');
+const usageService = require('./usageService');
+const OpenAIProvider = require('./llm/openaiProvider');
+const StubProvider = require('./llm/stubProvider');
+
+const CALL_SITES = ['agent', 'aggregation', 'graph', 'claims', 'stance', 'vision', 'translation'];
+
+const PROVIDER_FACTORIES = {
+  openai: () => {
+    if (!process.env.OPENAI_API_KEY) {
+      throw new Error('OPENAI_API_KEY is required for the openai LLM provider');
+    }
+    return new OpenAIProvider({ name: 'openai', apiKey: process.env.OPENAI_API_KEY });
+  },
+  'openai-compatible': () => {
+    if (!process.env.LLM_BASE_URL) {
+      throw new Error('LLM_BASE_URL is required for the openai-compatible LLM provider');
+    }
+    return new OpenAIProvider({
+      name: 'openai-compatible',
+      // Local servers usually ignore the key but the client requires one
+      apiKey: process.env.LLM_API_KEY || process.env.OPENAI_API_KEY || 'not-needed',
+      baseURL: process.env.LLM_BASE_URL,
+      compatible: true
+    });
+  },
+  stub: () => new StubProvider()
+};
+
+// Model used when neither LLM_<SITE>_MODEL nor MODEL_NAME is set
+const DEFAULT_MODELS = {
+  openai: 'gpt-4o',
+  'openai-compatible': null,
+  stub: 'stub'
+};
+
+class LLMGateway {
+  constructor() {
+    this.defaultProvider = (process.env.LLM_PROVIDER || 'openai').toLowerCase();
+
+    if (!PROVIDER_FACTORIES[this.defaultProvider]) {
+      throw new Error(`Unknown LLM_PROVIDER '${this.defaultProvider}'. Supported: ${Object.keys(PROVIDER_FACTORIES).join(', ')}`);
+    }
+
+    // Providers are created on first use so unused ones need no configuration
+    this.providers = {};
+    this.siteConfig = {};
+
+    // Rate limiting
+    this.maxConcurrent = 5;
+    this.currentRequests = 0;
+
+    for (const site of CALL_SITES) {
+      const { provider, model } = this.resolve(site);
+      logger.info(`LLM call site '${site}' -> ${provider}:${model || 'unset'}`);
+    }
+  }
+
+  /**
+   * Resolve the provider and model for a call site
+   * @param {string} site - Call site name
+   * @returns {Object} { provider, model }
+   */
+  resolve(site) {
+    if (this.siteConfig[site]) return this.siteConfig[site];
+
+    const key = site.toUpperCase();
+    const provider = (process.env[`LLM_${key}_PROVIDER`] || this.defaultProvider).toLowerCase();
+
+    if (!PROVIDER_FACTORIES[provider]) {
+      throw new Error(`Unknown LLM provider '${provider}' for call site '${site}'`);
+    }
+
+    // Vision has always used gpt-4o on OpenAI regardless of MODEL_NAME
+    const siteDefault = site === 'vision' && provider === 'openai' ? 'gpt-4o' : null;
+    const model = process.env[`LLM_${key}_MODEL`] ||
+      siteDefault ||
+      process.env.MODEL_NAME ||
+      DEFAULT_MODELS[provider];
+
+    this.siteConfig[site] = { provider, model };
+    return this.siteConfig[site];
+  }
+
+  /**
+   * Get (creating if needed) a provider instance
+   */
+  getProvider(name) {
+    if (!this.providers[name]) {
+      this.providers[name] = PROVIDER_FACTORIES[name]();
+    }
+    return this.providers[name];
+  }
+
+  /**
+   * Create a chat completion (recorded/replayed when a cassette is active)
+   * @param {string} site - Call site (agent, aggregation, graph, claims, vision, ...)
+   * @param {Object} params - Chat completion parameters; params.model overrides the site model
+   * @returns {Promise<Object>} OpenAI-shaped chat completion response
+   */
+  async chat(site, params) {
+    // Keyed without the resolved model so a replay needs no provider configuration
+    return cassetteService.intercept('llm', { site, params }, () => this.send(site, params));
+  }
+
+  /**
+   * Send a chat completion to the site's provider with retry logic and rate limiting
+   * @param {string} site - Call site
+   * @param {Object} params - Chat completion parameters
+   * @returns {Promise<Object>} OpenAI-shaped chat completion response
+   */
+  async send(site, params) {
+    const { provider: providerName, model: siteModel } = this.resolve(site);
+    const model = params.model || siteModel;
+
+    if (!model) {
+      throw new Error(`No model configured for LLM call site '${site}'. Set MODEL_NAME or LLM_${site.toUpperCase()}_MODEL.`);
+    }
+
+    const provider = this.getProvider(providerName);
+    const maxRetries = 3;
+    const baseDelay = 1000;
+
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+      try {
+        // Wait if too many concurrent requests
+        while (this.currentRequests >= this.maxConcurrent) {
+          await new Promise(resolve => setTimeout(resolve, 100));
+        }
+
+        this.currentRequests++;
+
+        logger.info('Making LLM request', {
+          site,
+          provider: providerName,
+          model,
+          attempt,
+          hasResponseFormat: !!params.response_format
+        });
+
+        const response = await provider.complete({ ...params, model }, site);
+
+        this.currentRequests--;
+
+        logger.info('LLM request successful', {
+          site,
+          provider: providerName,
+          model,
+          usage: response.usage
+        });
+
+        // Tokens billed to the metered request, if any (see usageService)
+        usageService.recordLlm({ site, provider: providerName, model, usage: response.usage });
+
+        return response;
+      } catch (error) {
+        this.currentRequests--;
+
+        logger.error('LLM request failed', {
+          site,
+          provider: providerName,
+          model,
+          attempt,
+          status: error.status,
+          message: error.message,
+          code: error.code,
+          type: error.type
+        });
+
+        if (error.status === 429 && attempt < maxRetries) {
+          // Rate limited - exponential backoff
+          const delay = baseDelay * Math.pow(2, attempt);
+          logger.warn(`Rate limited. Retrying in ${delay}ms...`, { attempt });
+          await new Promise(resolve => setTimeout(resolve, delay));
+          continue;
+        }
+
+        if (error.status === 503 && attempt < maxRetries) {
+          // Service unavailable - retry
+          const delay = baseDelay * attempt;
+          logger.warn(`Service unavailable. Retrying in ${delay}ms...`, { attempt });
+          await new Promise(resolve => setTimeout(resolve, delay));
+          continue;
+        }
+
+        // Model not found - provide helpful error
+        if (error.status === 404 || error.code === 'model_not_found') {
+          throw new Error(`Model '${model}' not found on ${providerName} (call site '${site}'). Check MODEL_NAME or LLM_${site.toUpperCase()}_MODEL in .env.`);
+        }
+
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Get provider/model routing for every known call site
+   */
+  getConfig() {
+    const sites = {};
+    for (const site of CALL_SITES) {
+      sites[site] = this.resolve(site);
+    }
+    return { defaultProvider: this.defaultProvider, sites };
+  }
+}
+
+// Export singleton instance
+module.exports = new LLMGateway();
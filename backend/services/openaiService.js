@@ -1,103 +1,14 @@
 /**
- * OpenAI GPT-5 Service
+ * AI Reasoning Service
  * 
- * Handles all AI reasoning and agent responses using GPT-5 (highest tier).
- * IMPORTANT: This service requires GPT-5. No fallback to GPT-4 or other models.
+ * Prompts and response handling for agent verification, aggregation,
+ * graph analysis, claim extraction, evidence stance and translation.
+ * Agent persona prompts come from the agent registry. Requests go through
+ * the LLM gateway, which picks the provider and model for each call site.
  */
 
-const OpenAI = require('openai');
 const logger = require('../utils/logger');
-
-// Agent-specific prompt templates
-const AGENT_PROMPTS = {
-  toi: {
-    name: 'Times of India Agent',
-    biasProfile: 'Mainstream Indian media perspective with focus on national interest and centrist viewpoint',
-    systemPrompt: `You are a fact-checking agent with the perspective of Times of India (TOI), one of India's largest English-language newspapers.
-
-Your editorial voice characteristics:
-- Mainstream centrist perspective
-- Focus on national interest and development stories
-- Generally supportive of establishment narratives but critical of policy failures
-- Strong emphasis on economic and business angles
-- Cautious approach to sensitive political topics
-
-When evaluating claims:
-1. Consider how TOI would report this story
-2. Look for official government sources and mainstream corroboration
-3. Be skeptical of sensationalist claims
-4. Prioritize verified facts over speculation
-5. Consider the business and economic implications
-
-Provide your analysis in JSON format.`
-  },
-
-  indiaTimes: {
-    name: 'India Times Agent',
-    biasProfile: 'Digital-first, younger demographic focus with emphasis on trending and viral content',
-    systemPrompt: `You are a fact-checking agent with the perspective of India Times, a digital-first news platform.
-
-Your editorial voice characteristics:
-- Digital-native audience focus
-- Quick to pick up trending stories and viral content
-- Mix of serious news and entertainment
-- More willing to cover social media controversies
-- Focus on technology and lifestyle angles
-
-When evaluating claims:
-1. Consider viral spread patterns and social media origins
-2. Check for digital manipulation or deepfakes
-3. Verify trending claims against primary sources
-4. Be aware of clickbait and engagement-driven misinformation
-5. Consider the social media ecosystem's amplification effects
-
-Provide your analysis in JSON format.`
-  },
-
-  ndtv: {
-    name: 'NDTV Agent',
-    biasProfile: 'Liberal-leaning perspective with emphasis on investigative journalism and policy analysis',
-    systemPrompt: `You are a fact-checking agent with the perspective of NDTV (New Delhi Television), known for in-depth journalism.
-
-Your editorial voice characteristics:
-- Liberal-leaning editorial stance
-- Strong emphasis on investigative reporting
-- Critical analysis of government policies
-- Focus on social issues and human interest stories
-- International news perspective
-
-When evaluating claims:
-1. Look for investigative angles and hidden context
-2. Question official narratives with healthy skepticism
-3. Consider impact on marginalized communities
-4. Seek expert opinions and academic sources
-5. Evaluate claims through civil liberties lens
-
-Provide your analysis in JSON format.`
-  },
-
-  generic: {
-    name: 'Generic Verification Agent',
-    biasProfile: 'Neutral, evidence-based fact-checking without ideological bias',
-    systemPrompt: `You are a neutral fact-checking agent focused purely on evidence-based verification.
-
-Your approach:
-- No political or ideological bias
-- Strict adherence to verifiable facts
-- Primary source verification
-- Cross-referencing multiple independent sources
-- Scientific method approach to claims
-
-When evaluating claims:
-1. Identify the core factual claim
-2. Find primary sources and official records
-3. Cross-reference with multiple independent sources
-4. Assess the quality of evidence
-5. Consider what would disprove the claim
-
-Provide your analysis in JSON format.`
-  }
-};
+const llmGateway = require('./llmGateway');
 
 // Orchestrator aggregation prompt
 const ORCHESTRATOR_PROMPT = `You are the master orchestrator for a multi-agent news verification system.
@@ -132,126 +43,48 @@ Your tasks:
 Output in JSON format with nodes and edges representing the information flow.`;
 
 class OpenAIService {
-  constructor() {
-    if (!process.env.OPENAI_API_KEY) {
-      throw new Error('OPENAI_API_KEY is required');
-    }
-
-    // Default to gpt-4o if MODEL_NAME not specified
-    this.modelName = process.env.MODEL_NAME || 'gpt-4o';
-    
-    // Validate model name
-    const validModels = ['gpt-4o', 'gpt-4o-mini', 'gpt-4-turbo', 'gpt-4', 'gpt-3.5-turbo', 'o1-preview', 'o1-mini'];
-    if (!validModels.some(m => this.modelName.startsWith(m))) {
-      logger.warn(`MODEL_NAME '${this.modelName}' may not be valid. Supported: ${validModels.join(', ')}`);
-    }
-
-    this.client = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY
-    });
-
-    // Rate limiting
-    this.requestQueue = [];
-    this.maxConcurrent = 5;
-    this.currentRequests = 0;
-
-    logger.info(`OpenAI service initialized with model: ${this.modelName}`);
-  }
-
   /**
-   * Make a GPT request with retry logic and rate limiting
-   * @param {Object} params - OpenAI API parameters
+   * Send a chat completion through the LLM gateway
+   * @param {Object} params - Chat completion parameters
+   * @param {string} site - Call site used to pick provider and model (default: 'default')
    * @returns {Promise<Object>} API response
    */
-  async makeRequest(params) {
-    const maxRetries = 3;
-    const baseDelay = 1000;
-
-    for (let attempt = 1; attempt <= maxRetries; attempt++) {
-      try {
-        // Wait if too many concurrent requests
-        while (this.currentRequests >= this.maxConcurrent) {
-          await new Promise(resolve => setTimeout(resolve, 100));
-        }
-
-        this.currentRequests++;
-
-        logger.info('Making OpenAI request', { 
-          model: this.modelName, 
-          attempt,
-          hasResponseFormat: !!params.response_format
-        });
-
-        const response = await this.client.chat.completions.create({
-          model: this.modelName,
-          ...params
-        });
-
-        this.currentRequests--;
-        
-        logger.info('OpenAI request successful', {
-          model: this.modelName,
-          usage: response.usage
-        });
-        
-        return response;
-      } catch (error) {
-        this.currentRequests--;
-        
-        logger.error('OpenAI request failed', {
-          model: this.modelName,
-          attempt,
-          status: error.status,
-          message: error.message,
-          code: error.code,
-          type: error.type
-        });
-
-        if (error.status === 429 && attempt < maxRetries) {
-          // Rate limited - exponential backoff
-          const delay = baseDelay * Math.pow(2, attempt);
-          logger.warn(`Rate limited. Retrying in ${delay}ms...`, { attempt });
-          await new Promise(resolve => setTimeout(resolve, delay));
-          continue;
-        }
-
-        if (error.status === 503 && attempt < maxRetries) {
-          // Service unavailable - retry
-          const delay = baseDelay * attempt;
-          logger.warn(`Service unavailable. Retrying in ${delay}ms...`, { attempt });
-          await new Promise(resolve => setTimeout(resolve, delay));
-          continue;
-        }
-        
-        // Model not found - provide helpful error
-        if (error.status === 404 || error.code === 'model_not_found') {
-          throw new Error(`Model '${this.modelName}' not found. Please check MODEL_NAME in .env. Valid models: gpt-4o, gpt-4-turbo, gpt-4, gpt-3.5-turbo`);
-        }
-
-        throw error;
-      }
-    }
+  async makeRequest(params, site = 'default') {
+    return llmGateway.chat(site, params);
   }
 
   /**
-   * Get agent verification prompt and analyze claim
-   * @param {string} agentType - Agent type: 'toi', 'indiaTimes', 'ndtv', 'generic'
+   * Analyze a claim with an agent's persona prompt
+   * @param {Object} agentConfig - Agent definition ({ id, name, systemPrompt }) from the agent registry
    * @param {string} claim - The claim to verify
-   * @param {Array} evidence - Array of evidence objects from Tavily search
+   * @param {Array} evidence - Array of evidence objects from search
+   * @param {Object} context - Claim language context (optional)
+   * @param {Object} context.language - Detected claim language ({ code, name })
+   * @param {string} context.englishClaim - English translation of the claim
    * @returns {Promise<Object>} Agent analysis result
    */
-  async agentVerify(agentType, claim, evidence) {
-    const agentConfig = AGENT_PROMPTS[agentType] || AGENT_PROMPTS.generic;
-    
+  async agentVerify(agentConfig, claim, evidence, context = {}) {
+    const { language, englishClaim } = context;
+    const multilingual = language && language.code !== 'en';
+
     logger.info(`Agent verification started`, { agent: agentConfig.name, claim: claim.substring(0, 100) });
 
     const evidenceText = evidence.map((e, i) => 
-      `[${i + 1}] ${e.title}\nURL: ${e.url}\nSnippet: ${e.snippet}\nReputation: ${e.domainReputationScore}/100`
+      `[${i + 1}] ${e.title}\nURL: ${e.url}\nSnippet: ${e.snippet}\nReputation: ${e.domainReputationScore}/100` +
+      (e.stance ? `\nStance: ${e.stance.label} (${e.stance.confidence})${e.stance.span ? ` "${e.stance.span}"` : ''}` : '')
     ).join('\n\n');
 
+    const claimText = multilingual
+      ? `CLAIM: "${claim}"
+LANGUAGE: ${language.name}
+ENGLISH TRANSLATION: "${englishClaim || claim}"
+
+The claim was searched in ${language.name} and English, so evidence may be in either language. Weigh sources equally whatever their language, compare meaning rather than wording, and write your analysis in English.`
+      : `CLAIM: "${claim}"`;
+
     const userPrompt = `Analyze the following claim and evidence:
 
-CLAIM: "${claim}"
+${claimText}
 
 EVIDENCE:
 ${evidenceText}
@@ -278,7 +111,7 @@ Provide your analysis in the following JSON format:
         temperature: 0.3,
         max_completion_tokens: 2000,
         response_format: { type: 'json_object' }
-      });
+      }, 'agent');
 
       const content = response.choices[0].message.content;
       const result = JSON.parse(content);
@@ -291,7 +124,7 @@ Provide your analysis in the following JSON format:
 
       return result;
     } catch (error) {
-      logger.error(`Agent verification failed`, { agent: agentType, error: error.message });
+      logger.error(`Agent verification failed`, { agent: agentConfig.id, error: error.message });
       throw error;
     }
   }
@@ -300,9 +133,14 @@ Provide your analysis in the following JSON format:
    * Orchestrator: Aggregate agent reports into final verdict
    * @param {Array} agentReports - Array of agent report objects
    * @param {Object} reputations - Agent reputation scores
+   * @param {Object} context - Claim context (all optional)
+   * @param {Object} context.language - Language to write the summary in (default English)
+   * @param {Object} context.stanceSummary - Evidence stance counts and strongest spans
+   * @param {Object} context.temporal - Old-news check from the temporal service
    * @returns {Promise<Object>} Final aggregated verdict
    */
-  async orchestratorAggregate(agentReports, reputations = {}) {
+  async orchestratorAggregate(agentReports, reputations = {}, context = {}) {
+    const { language = null, stanceSummary = null, temporal = null } = context;
     logger.info('Orchestrator aggregation started', { reportCount: agentReports.length });
 
     const reportsText = agentReports.map(report => {
@@ -317,9 +155,26 @@ Key Findings: ${report.key_findings?.join(', ') || 'None'}
 Concerns: ${report.concerns?.join(', ') || 'None'}`;
     }).join('\n\n---\n\n');
 
+    const stanceText = stanceSummary
+      ? `\n\nEVIDENCE STANCE: ${Object.entries(stanceSummary.counts).map(([label, n]) => `${n} ${label}`).join(', ')}` +
+        ['supports', 'refutes'].map(label => stanceSummary.strongest[label]
+          .map(s => `\n- ${label} (${s.confidence}) ${s.url}: "${s.span}"`)
+          .join('')).join('')
+      : '';
+
+    // Recycled old news is a finding of its own, separate from the verdict
+    const timelineText = temporal?.status === 'outdated'
+      ? `\n\nTIMELINE: outdated - ${temporal.explanation}\nJudge whether the event itself happened as claimed, and say in the summary that it is old news being shared as current.`
+      : '';
+
+    // The summary is what users read, so it follows their language
+    const languageNote = language && language.code !== 'en'
+      ? `\n\nThe user wrote in ${language.name}. Write the "summary" field in ${language.name}; keep every other field in English.`
+      : '';
+
     const userPrompt = `Aggregate the following agent reports into a final verdict:
 
-${reportsText}
+${reportsText}${stanceText}${timelineText}
 
 Provide your final analysis in JSON format:
 {
@@ -331,7 +186,7 @@ Provide your final analysis in JSON format:
   "agent_consensus": "<description of agent agreement/disagreement>",
   "key_evidence": [<most important evidence points>],
   "remaining_uncertainties": [<unresolved questions>]
-}`;
+}${languageNote}`;
 
     try {
       const response = await this.makeRequest({
@@ -342,7 +197,7 @@ Provide your final analysis in JSON format:
         temperature: 0.2,
         max_completion_tokens: 2000,
         response_format: { type: 'json_object' }
-      });
+      }, 'aggregation');
 
       const result = JSON.parse(response.choices[0].message.content);
       
@@ -396,7 +251,7 @@ Output JSON with:
         temperature: 0.2,
         max_completion_tokens: 3000,
         response_format: { type: 'json_object' }
-      });
+      }, 'graph');
 
       const result = JSON.parse(response.choices[0].message.content);
       
@@ -426,7 +281,7 @@ Output JSON with:
         },
         { 
           role: 'user', 
-          content: `Extract the main verifiable factual claims from this text. Output JSON array:
+          content: `Extract the main verifiable factual claims from this text. Write each claim in the language of the text. Output JSON array:
           
 ${text.substring(0, 5000)}
 
@@ -436,11 +291,95 @@ Format: { "claims": [{ "claim": "<claim text>", "type": "<statistical|event|quot
       temperature: 0.2,
       max_completion_tokens: 1000,
       response_format: { type: 'json_object' }
-    });
+    }, 'claims');
 
     const result = JSON.parse(response.choices[0].message.content);
     return result.claims || [];
   }
+
+  /**
+   * Classify the stance of evidence items towards a claim
+   * @param {string} claim - The claim
+   * @param {Array} evidence - Evidence objects
+   * @param {Object} context - Claim language context: { language, englishClaim } (optional)
+   * @returns {Promise<Array>} [{ id, stance, confidence, span }] with 1-based evidence ids
+   */
+  async classifyStance(claim, evidence, context = {}) {
+    const { language, englishClaim } = context;
+
+    const evidenceText = evidence.map((e, i) =>
+      `[${i + 1}] ${e.title}\nURL: ${e.url}\nSnippet: ${e.snippet?.substring(0, 400) || 'N/A'}`
+    ).join('\n\n');
+
+    const claimText = language && language.code !== 'en' && englishClaim && englishClaim !== claim
+      ? `CLAIM: "${claim}"\nENGLISH TRANSLATION: "${englishClaim}"`
+      : `CLAIM: "${claim}"`;
+
+    const response = await this.makeRequest({
+      messages: [
+        {
+          role: 'system',
+          content: 'You classify whether news evidence supports or refutes a claim. Judge only what each source says, not whether it is right.'
+        },
+        {
+          role: 'user',
+          content: `Classify the stance of each evidence item towards the claim.
+
+${claimText}
+
+EVIDENCE:
+${evidenceText}
+
+Stances:
+- supports: the source asserts or confirms the claim
+- refutes: the source contradicts, debunks or fact-checks the claim as false
+- discusses: the source is about the claim but takes no side
+- unrelated: the source is not about the claim
+
+For each item give a confidence (0-1) and quote the exact span from its title or snippet that justifies the stance (empty for unrelated). Output JSON:
+{ "stances": [{ "id": <evidence number>, "stance": "<supports|refutes|discusses|unrelated>", "confidence": <0-1>, "span": "<exact quote>" }] }`
+        }
+      ],
+      temperature: 0,
+      max_completion_tokens: 2000,
+      response_format: { type: 'json_object' }
+    }, 'stance');
+
+    const result = JSON.parse(response.choices[0].message.content);
+    return result.stances || [];
+  }
+
+  /**
+   * Translate text between languages
+   * @param {string} text - Text to translate
+   * @param {string} from - Source language name
+   * @param {string} to - Target language name
+   * @returns {Promise<string>} Translated text
+   */
+  async translate(text, from, to) {
+    const response = await this.makeRequest({
+      messages: [
+        {
+          role: 'system',
+          content: 'You are a translator for an Indian fact-checking service. Preserve names, numbers, dates and quoted figures exactly.'
+        },
+        {
+          role: 'user',
+          content: `Translate the following text from ${from} to ${to}. Output JSON:
+
+TEXT: "${text.substring(0, 2000)}"
+
+Format: { "translation": "<translated text>" }`
+        }
+      ],
+      temperature: 0,
+      max_completion_tokens: 1000,
+      response_format: { type: 'json_object' }
+    }, 'translation');
+
+    const result = JSON.parse(response.choices[0].message.content);
+    return result.translation;
+  }
 }
 
 // Export singleton instance
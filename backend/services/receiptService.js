@@ -0,0 +1,206 @@
+/**
+ * Receipt Service
+ *
+ * Signed verification receipts: what SatyaTrail concluded about a claim,
+ * when, over which graph, and where that graph is anchored, signed with
+ * the server's Ed25519 key. Anyone holding the receipt and the published
+ * keys (GET /.well-known/satyatrail-keys.json) can check it offline with
+ * shared/receipt.js, without trusting the API.
+ *
+ * The signature covers the receipt's canonical JSON (keys sorted, no
+ * whitespace) without `signature`, base64url encoded. The sources are not
+ * listed; they are committed to by `graph_hash` (see
+ * GET /api/v1/verify/:hash/proof).
+ *
+ * The key comes from RECEIPT_SIGNING_KEY (PKCS#8 PEM), required in
+ * production (server.js). Elsewhere a key is generated at startup, so
+ * receipts stop verifying after a restart.
+ * Keys rotated out stay published through RECEIPT_RETIRED_KEYS.
+ */
+
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+const stringify = require('json-stable-stringify');
+const logger = require('../utils/logger');
+const SourceGraph = require('../models/SourceGraph');
+const reviewService = require('./reviewService');
+
+const RECEIPT_VERSION = 1;
+
+// Same cut as the claim anchored on chain (blockchainService.toStoreGraphArgs)
+const MAX_CLAIM_LENGTH = 500;
+
+const QR_FORMATS = ['svg', 'png'];
+
+/**
+ * Receipt errors carry the HTTP status to answer with
+ */
+class ReceiptError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'ReceiptError';
+    this.status = status;
+  }
+}
+
+/**
+ * Published form of an Ed25519 public key, with its RFC 7638 thumbprint as kid
+ * @param {string} x - Raw public key, base64url
+ * @returns {Object} JWK
+ */
+function publicJwk(x) {
+  const kid = crypto.createHash('sha256')
+    .update(JSON.stringify({ crv: 'Ed25519', kty: 'OKP', x }))
+    .digest('base64url');
+
+  return { kty: 'OKP', crv: 'Ed25519', x, kid, use: 'sig', alg: 'EdDSA' };
+}
+
+/**
+ * Signing key from RECEIPT_SIGNING_KEY, or a new one
+ * @returns {crypto.KeyObject}
+ */
+function loadSigningKey() {
+  const pem = process.env.RECEIPT_SIGNING_KEY;
+
+  if (!pem) {
+    return crypto.generateKeyPairSync('ed25519').privateKey;
+  }
+
+  // Env files often hold the PEM on one line with literal \n
+  const key = crypto.createPrivateKey(pem.replace(/\\n/g, '\n'));
+  if (key.asymmetricKeyType !== 'ed25519') {
+    throw new Error(`RECEIPT_SIGNING_KEY must be an Ed25519 key, got ${key.asymmetricKeyType}`);
+  }
+  return key;
+}
+
+class ReceiptService {
+  constructor() {
+    this.privateKey = loadSigningKey();
+    this.key = publicJwk(crypto.createPublicKey(this.privateKey).export({ format: 'jwk' }).x);
+    this.retiredKeys = (process.env.RECEIPT_RETIRED_KEYS || '')
+      .split(',')
+      .map(x => x.trim())
+      .filter(x => x && x !== this.key.x)
+      .map(publicJwk);
+  }
+
+  /**
+   * Published key set: the current signing key, then retired ones
+   * @returns {{keys: Object[]}}
+   */
+  keys() {
+    return { keys: [this.key, ...this.retiredKeys] };
+  }
+
+  /**
+   * Signed receipt for a stored verification
+   * @param {string} hash - Graph hash
+   * @returns {Promise<Object>} Receipt
+   */
+  async issue(hash) {
+    const doc = await SourceGraph.findByHash(hash);
+    if (!doc) {
+      throw new ReceiptError('Verification not found for this hash', 404);
+    }
+
+    return this.sign(this.build(doc));
+  }
+
+  /**
+   * Unsigned receipt fields for a verification, with the verdict in effect
+   * (the editor's when reviewed)
+   * @param {Object} doc - SourceGraph document
+   * @returns {Object}
+   */
+  build(doc) {
+    const { verdict, accuracy_score: accuracyScore, verdict_source: verdictSource } =
+      reviewService.verdictFields(doc);
+
+    return {
+      version: RECEIPT_VERSION,
+      issuer: process.env.BASE_URL || null,
+      claim: (doc.claim || '').substring(0, MAX_CLAIM_LENGTH),
+      verdict: verdict || null,
+      verdict_source: verdictSource,
+      accuracy_score: accuracyScore ?? null,
+      graph_hash: doc.hash,
+      hash_version: doc.hashVersion || 1,
+      source_count: doc.nodes?.length || 0,
+      verified_at: doc.createdAt.toISOString(),
+      anchor: this.anchorReference(doc.blockchain)
+    };
+  }
+
+  /**
+   * Where the graph hash is anchored: the transaction, and for batch
+   * anchors the batch whose root holds it. Null when it never will be.
+   * @param {Object} [blockchain] - SourceGraph blockchain field
+   * @returns {Object|null}
+   */
+  anchorReference(blockchain = {}) {
+    const status = blockchain.status || (blockchain.transactionHash ? 'anchored' : null);
+    if (!status) return null;
+
+    const batch = blockchain.batch?.root ? blockchain.batch : null;
+
+    return {
+      status,
+      provider: blockchain.provider || null,
+      transaction_hash: blockchain.transactionHash || null,
+      block_number: blockchain.blockNumber ?? null,
+      batch: batch && {
+        id: batch.id ?? null,
+        contract_address: batch.contractAddress || null,
+        root: batch.root,
+        index: batch.index ?? null
+      }
+    };
+  }
+
+  /**
+   * Stamp and sign receipt fields
+   * @param {Object} fields - From build()
+   * @returns {Object} Receipt with issued_at, key_id and signature
+   */
+  sign(fields) {
+    const payload = {
+      ...fields,
+      issued_at: new Date().toISOString(),
+      key_id: this.key.kid
+    };
+    const signature = crypto.sign(null, Buffer.from(stringify(payload)), this.privateKey);
+
+    return { ...payload, signature: signature.toString('base64url') };
+  }
+
+  /**
+   * QR code holding the whole receipt as compact JSON
+   * @param {Object} receipt - Signed receipt
+   * @param {string} [format='svg'] - svg or png
+   * @returns {Promise<string|Buffer>}
+   */
+  async toQrCode(receipt, format = 'svg') {
+    if (!QR_FORMATS.includes(format)) {
+      throw new ReceiptError(`Unsupported QR code format: ${format}`);
+    }
+
+    // Lowest error correction leaves the most room for long claims
+    const options = { errorCorrectionLevel: 'L', margin: 2 };
+    const text = JSON.stringify(receipt);
+
+    try {
+      return format === 'png'
+        ? await QRCode.toBuffer(text, { ...options, width: 640 })
+        : await QRCode.toString(text, { ...options, type: 'svg' });
+    } catch (error) {
+      logger.warn('Receipt does not fit in a QR code', { hash: receipt.graph_hash, bytes: Buffer.byteLength(text) });
+      throw new ReceiptError('Receipt is too large for a QR code; download it as JSON', 422);
+    }
+  }
+}
+
+module.exports = new ReceiptService();
+module.exports.ReceiptError = ReceiptError;
+module.exports.RECEIPT_VERSION = RECEIPT_VERSION;
@@ -0,0 +1,469 @@
+/**
+ * Recheck Service
+ *
+ * Re-verifies stories that were still unsettled when first checked. A
+ * verification whose verdict is in RECHECK_VERDICTS (unknown or mixed by
+ * default) is scheduled when it is saved, and reruns on a backoff
+ * schedule (RECHECK_SCHEDULE, default 1h, 6h, 24h, 7d) until the verdict
+ * settles or the schedule runs out. Any verification can also be
+ * scheduled by hand.
+ *
+ * Each rerun starts from the story's original input (its URL, or the
+ * text that was submitted) and is saved as its own SourceGraph (with its
+ * own graph hash, `revisionOf` pointing at the original) and summarised in
+ * the original's `revisions` with a diff against the previous run. Reruns
+ * are not anchored and don't score agents; a changed verdict revises the
+ * original's on-chain record instead. The scheduler claims due
+ * verifications atomically, so several server instances can run it.
+ */
+
+const logger = require('../utils/logger');
+const SourceGraph = require('../models/SourceGraph');
+const orchestrator = require('../routes/agents/orchestrator');
+const watchService = require('./watchService');
+const sourceNetworkService = require('./sourceNetworkService');
+const blockchainService = require('./blockchainService');
+
+const UNIT_MS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+/**
+ * Parse a schedule like "1h,6h,24h,7d" into delays in ms
+ */
+const parseSchedule = (value) => value
+  .split(',')
+  .map(part => part.trim().match(/^(\d+)([mhd])$/))
+  .filter(Boolean)
+  .map(([, amount, unit]) => parseInt(amount, 10) * UNIT_MS[unit]);
+
+// Configuration
+const CONFIG = {
+  SCHEDULE_MS: parseSchedule(process.env.RECHECK_SCHEDULE || '1h,6h,24h,7d'),
+  VERDICTS: (process.env.RECHECK_VERDICTS || 'unknown,mixed').split(',').map(v => v.trim()),
+  POLL_INTERVAL_MS: parseInt(process.env.RECHECK_POLL_MS, 10) || 60 * 1000,
+  BATCH_SIZE: parseInt(process.env.RECHECK_BATCH_SIZE, 10) || 3,
+  // A run that has not finished after this long is assumed dead and retried
+  STALE_RUN_MS: 30 * 60 * 1000
+};
+
+class RecheckError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'RecheckError';
+    this.status = status;
+  }
+}
+
+class RecheckService {
+  constructor() {
+    this.timer = null;
+    this.ticking = false;
+  }
+
+  /**
+   * Start polling for due rechecks (no-op with RECHECK_ENABLED=false)
+   */
+  start() {
+    if (this.timer || process.env.RECHECK_ENABLED === 'false' || CONFIG.SCHEDULE_MS.length === 0) return;
+
+    // Don't keep the process alive just for the scheduler
+    this.timer = setInterval(() => this.tick(), CONFIG.POLL_INTERVAL_MS);
+    this.timer.unref();
+
+    logger.info('Recheck scheduler started', {
+      schedule: process.env.RECHECK_SCHEDULE || '1h,6h,24h,7d',
+      verdicts: CONFIG.VERDICTS
+    });
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Initial recheck state for a new verification
+   * @param {Object} result - Orchestrator verification result
+   * @returns {Object} { recheck } to spread into the SourceGraph, or {}
+   */
+  initialSchedule(result) {
+    const verdict = String(result.verdict || 'unknown').toLowerCase();
+    if (!CONFIG.VERDICTS.includes(verdict) || CONFIG.SCHEDULE_MS.length === 0) return {};
+
+    return {
+      recheck: {
+        status: 'scheduled',
+        attempt: 0,
+        nextRunAt: new Date(Date.now() + CONFIG.SCHEDULE_MS[0])
+      }
+    };
+  }
+
+  /**
+   * Schedule a verification for rechecking, starting the backoff over
+   * @param {string} hash - Graph hash (of the original or any revision)
+   * @param {Object} [options]
+   * @param {string[]} [options.agents] - Agents the reruns use (default: the default agents)
+   * @returns {Promise<Object>} Recheck state
+   */
+  async schedule(hash, { agents } = {}) {
+    if (CONFIG.SCHEDULE_MS.length === 0) {
+      throw new RecheckError('RECHECK_SCHEDULE has no valid delays', 503);
+    }
+
+    const doc = await this.loadRoot(hash);
+    if (doc.recheck?.status === 'running') {
+      throw new RecheckError('A recheck is already running for this verification', 409);
+    }
+
+    doc.recheck = {
+      status: 'scheduled',
+      attempt: 0,
+      nextRunAt: new Date(Date.now() + CONFIG.SCHEDULE_MS[0]),
+      lastRunAt: doc.recheck?.lastRunAt,
+      agents: agents?.length ? agents : undefined
+    };
+    await doc.save();
+
+    logger.info('Recheck scheduled', { hash: doc.hash, nextRunAt: doc.recheck.nextRunAt });
+    return this.formatRecheck(doc.recheck);
+  }
+
+  /**
+   * Stop rechecking a verification
+   * @param {string} hash - Graph hash (of the original or any revision)
+   * @returns {Promise<Object>} Recheck state
+   */
+  async cancel(hash) {
+    const doc = await this.loadRoot(hash);
+    if (doc.recheck?.status === 'scheduled') {
+      doc.recheck.status = 'cancelled';
+      doc.recheck.nextRunAt = undefined;
+      await doc.save();
+      logger.info('Recheck cancelled', { hash: doc.hash });
+    }
+    return this.formatRecheck(doc.recheck);
+  }
+
+  /**
+   * Run every due recheck, up to BATCH_SIZE per tick
+   * @returns {Promise<number>} Rechecks run
+   */
+  async tick() {
+    if (this.ticking) return 0;
+    this.ticking = true;
+
+    let count = 0;
+    try {
+      while (count < CONFIG.BATCH_SIZE) {
+        const doc = await this.claimDue();
+        if (!doc) break;
+
+        await this.run(doc);
+        count++;
+      }
+    } catch (error) {
+      logger.error('Recheck tick failed', { error: error.message });
+    } finally {
+      this.ticking = false;
+    }
+    return count;
+  }
+
+  /**
+   * Atomically mark the next due verification as running
+   * @returns {Promise<Object|null>} Claimed SourceGraph document
+   */
+  async claimDue() {
+    const now = new Date();
+    return SourceGraph.findOneAndUpdate(
+      {
+        $or: [
+          { 'recheck.status': 'scheduled', 'recheck.nextRunAt': { $lte: now } },
+          { 'recheck.status': 'running', 'recheck.startedAt': { $lte: new Date(now - CONFIG.STALE_RUN_MS) } }
+        ]
+      },
+      { $set: { 'recheck.status': 'running', 'recheck.startedAt': now } },
+      { sort: { 'recheck.nextRunAt': 1 }, new: true }
+    );
+  }
+
+  /**
+   * Re-verify one story and record the revision
+   * @param {Object} doc - Original SourceGraph document (claimed)
+   * @returns {Promise<Object|null>} The new revision, or null if the run failed
+   */
+  async run(doc) {
+    const attempt = (doc.recheck.attempt || 0) + 1;
+    const startTime = Date.now();
+
+    try {
+      const result = await orchestrator.verify({
+        ...this.originalInput(doc),
+        source: 'recheck',
+        agents: doc.recheck.agents?.length ? [...doc.recheck.agents] : undefined,
+        multiClaim: doc.verification?.mode === 'multi_claim',
+        rerun: true
+      });
+
+      const revisionNumber = (doc.revisions?.length || 0) + 1;
+      const previous = await this.latest(doc);
+      const hash = await this.saveRevision(result, doc, revisionNumber, Date.now() - startTime);
+
+      const revision = {
+        revision: revisionNumber,
+        hash,
+        verdict: String(result.verdict || 'unknown').toLowerCase(),
+        accuracyScore: result.accuracy_score,
+        confidence: result.confidence,
+        diff: this.diff(previous, result),
+        createdAt: new Date()
+      };
+      doc.revisions.push(revision);
+
+      doc.recheck.attempt = attempt;
+      doc.recheck.lastRunAt = new Date();
+      doc.recheck.lastError = undefined;
+      this.scheduleNext(doc, revision.verdict);
+      await doc.save();
+
+      if (revision.diff.verdictChanged) {
+        // Move the story's sources to its new verdict in the source network
+        await sourceNetworkService.ingest(doc);
+        watchService.onVerdictChange(doc, {
+          from: revision.diff.fromVerdict,
+          to: revision.verdict,
+          via: 'recheck'
+        });
+        this.anchorRevision(doc, revision);
+      }
+
+      logger.info('Recheck completed', {
+        hash: doc.hash,
+        revision: revisionNumber,
+        verdict: revision.verdict,
+        verdictChanged: revision.diff.verdictChanged,
+        newEvidence: revision.diff.newEvidence.length,
+        status: doc.recheck.status
+      });
+
+      return revision;
+    } catch (error) {
+      // A failed run uses up its slot in the schedule
+      doc.recheck.attempt = attempt;
+      doc.recheck.lastRunAt = new Date();
+      doc.recheck.lastError = error.message;
+      this.scheduleNext(doc, null);
+      await doc.save();
+
+      logger.error('Recheck failed', { hash: doc.hash, attempt, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * What a story was verified from: its URL, or the text submitted
+   * (stories saved before the text was kept fall back to their claim)
+   * @param {Object} doc - Original SourceGraph document
+   * @returns {Object} { url } or { text }
+   */
+  originalInput(doc) {
+    const { originalUrl, originalText } = doc.request || {};
+    return originalUrl ? { url: originalUrl } : { text: originalText || doc.claim };
+  }
+
+  /**
+   * Append a changed verdict to the original graph's on-chain history
+   * (SatyaTrailV2) and keep the transaction on the revision. Runs in the
+   * background; a failure is only logged.
+   */
+  anchorRevision(doc, revision) {
+    blockchainService.reviseVerdict({
+      graphHash: doc.hash,
+      verdict: revision.verdict,
+      accuracyScore: revision.accuracyScore,
+      reason: revision.diff.newEvidence.length > 0 ? 'new_evidence' : 'recheck'
+    }).then(tx => tx?.transactionHash && SourceGraph.updateOne(
+      { _id: doc._id, 'revisions.revision': revision.revision },
+      { $set: { 'revisions.$.blockchainHash': tx.transactionHash } }
+    )).catch(error => {
+      logger.warn('Failed to anchor verdict revision', { hash: doc.hash, error: error.message });
+    });
+  }
+
+  /**
+   * Save a rerun as its own SourceGraph; an unchanged graph keeps its
+   * existing hash instead
+   * @returns {Promise<string>} Graph hash of the revision
+   */
+  async saveRevision(result, root, revision, processingTimeMs) {
+    const hash = result.source_graph.hash;
+    if (await SourceGraph.exists({ hash })) return hash;
+
+    // Required here: the store requires this service
+    const verificationStoreService = require('./verificationStoreService');
+    await verificationStoreService.save(result, {
+      source: 'recheck',
+      ...this.originalInput(root),
+      processingTimeMs,
+      revisionOf: root.hash,
+      revision
+    });
+
+    return hash;
+  }
+
+  /**
+   * Set the next run from the schedule, or finish
+   * @param {Object} doc - Original SourceGraph document
+   * @param {string|null} verdict - Verdict of this run (null if it failed)
+   */
+  scheduleNext(doc, verdict) {
+    if (verdict && !CONFIG.VERDICTS.includes(verdict)) {
+      doc.recheck.status = 'settled';
+      doc.recheck.nextRunAt = undefined;
+    } else if (doc.recheck.attempt >= CONFIG.SCHEDULE_MS.length) {
+      doc.recheck.status = 'exhausted';
+      doc.recheck.nextRunAt = undefined;
+    } else {
+      doc.recheck.status = 'scheduled';
+      doc.recheck.nextRunAt = new Date(Date.now() + CONFIG.SCHEDULE_MS[doc.recheck.attempt]);
+    }
+    doc.recheck.startedAt = undefined;
+  }
+
+  /**
+   * Changes between the previous run and a new result
+   * @param {Object} previous - { verdict, accuracyScore, confidence, nodes }
+   * @param {Object} result - Orchestrator verification result
+   * @returns {Object} Revision diff
+   */
+  diff(previous, result) {
+    const toVerdict = String(result.verdict || 'unknown').toLowerCase();
+    const previousUrls = new Set((previous.nodes || []).map(n => n.url));
+    const currentNodes = result.source_graph?.nodes || [];
+    const currentUrls = new Set(currentNodes.map(n => n.url));
+
+    return {
+      verdictChanged: previous.verdict !== toVerdict,
+      fromVerdict: previous.verdict,
+      toVerdict,
+      accuracyDelta: Math.round((result.accuracy_score || 0) - (previous.accuracyScore || 0)),
+      confidenceDelta: Math.round(((result.confidence || 0) - (previous.confidence || 0)) * 100) / 100,
+      newEvidence: currentNodes
+        .filter(n => !previousUrls.has(n.url))
+        .map(n => ({ url: n.url, title: n.title, role: n.role, timestamp: n.timestamp || undefined })),
+      removedEvidenceCount: [...previousUrls].filter(url => !currentUrls.has(url)).length
+    };
+  }
+
+  /**
+   * The latest run of a story (the original if it has no revisions)
+   * @param {Object} doc - Original SourceGraph document
+   * @returns {Promise<Object>} { verdict, accuracyScore, confidence, nodes }
+   */
+  async latest(doc) {
+    const last = doc.revisions?.[doc.revisions.length - 1];
+    if (!last) {
+      return {
+        verdict: doc.verification?.verdict,
+        accuracyScore: doc.verification?.accuracyScore,
+        confidence: doc.verification?.confidence,
+        nodes: doc.nodes
+      };
+    }
+
+    const previous = await SourceGraph.findByHash(last.hash).select('nodes');
+    return {
+      verdict: last.verdict,
+      accuracyScore: last.accuracyScore,
+      confidence: last.confidence,
+      nodes: previous?.nodes || []
+    };
+  }
+
+  /**
+   * Verdict history of a story, oldest first, with the current verdict
+   * @param {string} hash - Graph hash (of the original or any revision)
+   * @returns {Promise<Object>}
+   */
+  async history(hash) {
+    const doc = await this.loadRoot(hash);
+    const original = {
+      revision: 0,
+      hash: doc.hash,
+      verdict: doc.verification?.verdict,
+      accuracy_score: doc.verification?.accuracyScore,
+      confidence: doc.verification?.confidence,
+      blockchain_hash: doc.blockchain?.transactionHash,
+      diff: null,
+      created_at: doc.createdAt?.toISOString()
+    };
+    const revisions = [original, ...(doc.revisions || []).map(r => this.formatRevision(r))];
+
+    return {
+      hash: doc.hash,
+      claim: doc.claim,
+      current: revisions[revisions.length - 1],
+      revisions,
+      recheck: this.formatRecheck(doc.recheck)
+    };
+  }
+
+  formatRevision(revision) {
+    const diff = revision.diff || {};
+    return {
+      revision: revision.revision,
+      hash: revision.hash,
+      verdict: revision.verdict,
+      accuracy_score: revision.accuracyScore,
+      confidence: revision.confidence,
+      blockchain_hash: revision.blockchainHash,
+      diff: {
+        verdict_changed: diff.verdictChanged,
+        from_verdict: diff.fromVerdict,
+        to_verdict: diff.toVerdict,
+        accuracy_delta: diff.accuracyDelta,
+        confidence_delta: diff.confidenceDelta,
+        new_evidence: (diff.newEvidence || []).map(e => ({
+          url: e.url,
+          title: e.title,
+          role: e.role,
+          timestamp: e.timestamp?.toISOString() || null
+        })),
+        removed_evidence_count: diff.removedEvidenceCount
+      },
+      created_at: revision.createdAt?.toISOString()
+    };
+  }
+
+  formatRecheck(recheck) {
+    if (!recheck?.status) return { status: 'none' };
+    return {
+      status: recheck.status,
+      attempt: recheck.attempt || 0,
+      max_attempts: CONFIG.SCHEDULE_MS.length,
+      next_run_at: recheck.nextRunAt?.toISOString() || null,
+      last_run_at: recheck.lastRunAt?.toISOString() || null,
+      ...(recheck.lastError && { last_error: recheck.lastError })
+    };
+  }
+
+  /**
+   * Load the original verification for a hash, following `revisionOf`
+   */
+  async loadRoot(hash) {
+    let doc = await SourceGraph.findByHash(hash);
+    if (doc?.revisionOf) {
+      doc = await SourceGraph.findByHash(doc.revisionOf);
+    }
+    if (!doc) {
+      throw new RecheckError('Verification not found for this hash', 404);
+    }
+    return doc;
+  }
+}
+
+// Export singleton instance
+module.exports = new RecheckService();
+module.exports.RecheckError = RecheckError;
+module.exports.CONFIG = CONFIG;
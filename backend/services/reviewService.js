@@ -0,0 +1,402 @@
+/**
+ * Review Service
+ *
+ * Editor review of AI verdicts. Verifications enter the review queue when
+ * they are saved (low confidence, agents or aggregators disagreeing, a
+ * claim that is spreading widely) or when a user flags them. Editors pick
+ * items up, then approve the AI verdict or override it with a rationale.
+ *
+ * The AI verdict in `verification` is never changed; the editor decision
+ * lives in `review.decision`, and every action is appended to `auditLog`.
+ */
+
+const logger = require('../utils/logger');
+const SourceGraph = require('../models/SourceGraph');
+const groundTruthService = require('./groundTruthService');
+const watchService = require('./watchService');
+const blockchainService = require('./blockchainService');
+
+const VERDICTS = ['true', 'false', 'mixed', 'unknown'];
+
+// Confidence below which a verdict is queued for review
+const CONFIDENCE_THRESHOLD = parseFloat(process.env.REVIEW_CONFIDENCE_THRESHOLD) || 0.5;
+
+// Amplifying sources at which a claim counts as high reach
+const REACH_THRESHOLD = parseInt(process.env.REVIEW_REACH_THRESHOLD, 10) || 5;
+
+// Queue priority added by each reason; user flags add up per flag
+const REASON_PRIORITY = {
+  user_flag: 4,
+  high_reach: 3,
+  aggregator_disagreement: 2,
+  agent_disagreement: 2,
+  low_confidence: 1
+};
+
+// A verification's user flags stop raising its priority after this many
+const MAX_COUNTED_FLAGS = 5;
+
+// Flags kept per verification; later ones (and repeats) change nothing
+const MAX_STORED_FLAGS = 20;
+
+class ReviewError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'ReviewError';
+    this.status = status;
+  }
+}
+
+class ReviewService {
+  /**
+   * Decide whether a new verification needs editor review
+   * @param {Object} result - Orchestrator verification result
+   * @returns {Object} Initial review state and audit entries: { review, auditLog }
+   */
+  triage(result) {
+    const reasons = [];
+
+    if (typeof result.confidence === 'number' && result.confidence < CONFIDENCE_THRESHOLD) {
+      reasons.push('low_confidence');
+    }
+
+    // Agents only disagree about the same claim
+    const reportGroups = result.claims?.length
+      ? result.claims.map(c => c.agent_reports || [])
+      : [result.agent_reports || []];
+    const disagree = reportGroups.some(reports => new Set(
+      reports
+        .map(r => String(r.verdict || 'unknown').toLowerCase())
+        .filter(v => v !== 'unknown')
+    ).size > 1);
+    if (disagree) {
+      reasons.push('agent_disagreement');
+    }
+
+    if (result.metadata?.aggregation?.disagreement?.flagged
+      || result.metadata?.aggregation?.disagreement_claim_ids?.length > 0) {
+      reasons.push('aggregator_disagreement');
+    }
+
+    const amplifiers = (result.source_graph?.nodes || []).filter(n => n.role === 'amplifier').length;
+    if (amplifiers >= REACH_THRESHOLD) {
+      reasons.push('high_reach');
+    }
+
+    if (reasons.length === 0) {
+      return { review: { status: 'none', reasons: [], priority: 0 }, auditLog: [] };
+    }
+
+    return {
+      review: {
+        status: 'queued',
+        reasons,
+        priority: this.priority(reasons, 0),
+        queuedAt: new Date()
+      },
+      auditLog: [{ action: 'queued', actor: 'system', details: { reasons } }]
+    };
+  }
+
+  /**
+   * List verifications in the review queue, highest priority first
+   * @param {Object} filters - { status, reason, assignee, page, limit }
+   * @returns {Promise<Object>} { items, total, page, limit }
+   */
+  async listQueue({ status, reason, assignee, page = 1, limit = 20 } = {}) {
+    const filter = { 'review.status': status || { $in: ['queued', 'in_review'] } };
+    if (reason) filter['review.reasons'] = reason;
+    if (assignee) filter['review.assignee'] = assignee;
+
+    const [items, total] = await Promise.all([
+      SourceGraph.find(filter)
+        .sort({ 'review.priority': -1, 'review.queuedAt': 1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .select('hash claim language verification.verdict verification.accuracyScore verification.confidence review groundTruth createdAt'),
+      SourceGraph.countDocuments(filter)
+    ]);
+
+    return { items: items.map(doc => this.format(doc, { withAudit: false })), total, page, limit };
+  }
+
+  /**
+   * Get a verification's review with its audit trail
+   * @param {string} hash - Graph hash
+   * @returns {Promise<Object>} Formatted review
+   */
+  async get(hash) {
+    return this.format(await this.load(hash));
+  }
+
+  /**
+   * Record a user flag and queue the verification (reopening a reviewed one).
+   * Flagging is public, so a repeat of a stored flag, or any flag past
+   * MAX_STORED_FLAGS, is acknowledged without being recorded.
+   * @param {string} hash - Graph hash
+   * @param {Object} flag - { reason, note, source }
+   * @returns {Promise<Object>} { hash, review: { status } }
+   */
+  async flag(hash, { reason, note, source }) {
+    const doc = await this.load(hash);
+    const review = doc.review;
+
+    const repeated = review.flags.some(f => f.reason === reason && (f.note || null) === (note || null));
+    if (repeated || review.flags.length >= MAX_STORED_FLAGS) {
+      return this.formatFlagged(doc);
+    }
+
+    review.flags.push({ reason, note, source });
+    if (!review.reasons.includes('user_flag')) review.reasons.push('user_flag');
+    review.priority = this.priority(review.reasons, review.flags.length);
+    doc.auditLog.push({ action: 'flagged', actor: 'user', details: { reason, note, source } });
+
+    if (review.status === 'none' || review.status === 'reviewed') {
+      doc.auditLog.push({
+        action: review.status === 'reviewed' ? 'reopened' : 'queued',
+        actor: 'system',
+        details: { reasons: ['user_flag'] }
+      });
+      review.status = 'queued';
+      review.queuedAt = new Date();
+    }
+
+    await doc.save();
+    logger.info('Verification flagged for review', { hash, reason, flags: review.flags.length });
+    return this.formatFlagged(doc);
+  }
+
+  /**
+   * What a (public) flagger gets back: not the editors' view
+   */
+  formatFlagged(doc) {
+    return {
+      hash: doc.hash,
+      review: { status: doc.review?.status || 'none' }
+    };
+  }
+
+  /**
+   * Assign a verification to a reviewer
+   * @param {string} hash - Graph hash
+   * @param {Object} params - { reviewer, assignee } (assignee defaults to the reviewer)
+   * @returns {Promise<Object>} Formatted review
+   */
+  async assign(hash, { reviewer, assignee }) {
+    const doc = await this.load(hash);
+    const review = doc.review;
+    const to = assignee || reviewer;
+
+    if (review.status === 'reviewed') {
+      doc.auditLog.push({ action: 'reopened', actor: reviewer });
+    }
+    review.queuedAt = review.queuedAt || new Date();
+
+    doc.auditLog.push({
+      action: 'assigned',
+      actor: reviewer,
+      details: { from: review.assignee || null, to }
+    });
+    review.status = 'in_review';
+    review.assignee = to;
+    review.assignedAt = new Date();
+
+    await doc.save();
+    logger.info('Review assigned', { hash, reviewer, assignee: to });
+    return this.format(doc);
+  }
+
+  /**
+   * Sign off on the AI verdict
+   * @param {string} hash - Graph hash
+   * @param {Object} params - { reviewer, rationale }
+   * @returns {Promise<Object>} Formatted review
+   */
+  async approve(hash, { reviewer, rationale }) {
+    const doc = await this.load(hash);
+
+    return this.decide(doc, {
+      action: 'approved',
+      reviewer,
+      verdict: doc.verification.verdict,
+      accuracyScore: doc.verification.accuracyScore,
+      rationale
+    });
+  }
+
+  /**
+   * Replace the AI verdict with an editor verdict
+   * @param {string} hash - Graph hash
+   * @param {Object} params - { reviewer, verdict, accuracyScore, rationale }
+   * @returns {Promise<Object>} Formatted review
+   */
+  async override(hash, { reviewer, verdict, accuracyScore, rationale }) {
+    if (!VERDICTS.includes(verdict)) {
+      throw new ReviewError(`verdict must be one of: ${VERDICTS.join(', ')}`);
+    }
+
+    const doc = await this.load(hash);
+
+    return this.decide(doc, {
+      action: 'overridden',
+      reviewer,
+      verdict,
+      accuracyScore: accuracyScore ?? doc.verification.accuracyScore,
+      rationale
+    });
+  }
+
+  /**
+   * Record an editor decision and close the review. The decision becomes
+   * the verification's ground truth and rescores its agents; a changed
+   * verdict alerts the verification's watchers.
+   */
+  async decide(doc, { action, reviewer, verdict, accuracyScore, rationale }) {
+    const previous = doc.review.decision?.verdict || doc.verification.verdict;
+
+    doc.review.status = 'reviewed';
+    doc.review.decision = {
+      action,
+      verdict,
+      accuracyScore,
+      rationale,
+      reviewer,
+      decidedAt: new Date()
+    };
+    doc.auditLog.push({
+      action,
+      actor: reviewer,
+      fromVerdict: previous,
+      toVerdict: verdict,
+      rationale
+    });
+
+    const { scored } = await groundTruthService.record(doc, { verdict, source: 'editor' });
+    logger.info('Review decision recorded', { hash: doc.hash, action, reviewer, verdict, agentsScored: scored.length });
+
+    if (verdict !== previous) {
+      watchService.onVerdictChange(doc, { from: previous, to: verdict, via: 'editor' });
+
+      // Append the editor verdict to the graph's on-chain history (SatyaTrailV2)
+      blockchainService.reviseVerdict({
+        graphHash: doc.hash,
+        verdict,
+        accuracyScore,
+        reason: 'editor_override'
+      }).catch(error => {
+        logger.warn('Failed to anchor editor verdict', { hash: doc.hash, error: error.message });
+      });
+    }
+    return this.format(doc);
+  }
+
+  /**
+   * Verdict fields for API responses: the AI verdict, the editor verdict
+   * (when reviewed) and which of the two is in effect
+   * @param {Object} doc - SourceGraph document
+   * @returns {Object} { verdict, accuracy_score, verdict_source, ai_verdict, editor_verdict }
+   */
+  verdictFields(doc) {
+    const ai = {
+      verdict: doc.verification?.verdict,
+      accuracy_score: doc.verification?.accuracyScore,
+      confidence: doc.verification?.confidence
+    };
+    const decision = doc.review?.decision;
+    const editor = decision?.verdict
+      ? {
+          verdict: decision.verdict,
+          accuracy_score: decision.accuracyScore,
+          action: decision.action,
+          rationale: decision.rationale,
+          reviewer: decision.reviewer,
+          decided_at: decision.decidedAt?.toISOString()
+        }
+      : null;
+
+    return {
+      verdict: editor ? editor.verdict : ai.verdict,
+      accuracy_score: editor ? editor.accuracy_score : ai.accuracy_score,
+      verdict_source: editor ? 'editor' : 'ai',
+      ai_verdict: ai,
+      editor_verdict: editor
+    };
+  }
+
+  /**
+   * Shape a verification's review for API responses
+   * @param {Object} doc - SourceGraph document
+   * @param {Object} options - { withAudit } (default: true)
+   * @returns {Object}
+   */
+  format(doc, { withAudit = true } = {}) {
+    const review = doc.review || {};
+
+    return {
+      hash: doc.hash,
+      claim: doc.claim,
+      language: doc.language,
+      ...this.verdictFields(doc),
+      review: {
+        status: review.status || 'none',
+        reasons: review.reasons || [],
+        priority: review.priority || 0,
+        queued_at: review.queuedAt?.toISOString() || null,
+        assignee: review.assignee || null,
+        assigned_at: review.assignedAt?.toISOString() || null,
+        flags: (review.flags || []).map(f => ({
+          reason: f.reason,
+          note: f.note,
+          source: f.source,
+          created_at: f.createdAt?.toISOString()
+        }))
+      },
+      ground_truth: doc.groundTruth?.verdict
+        ? {
+            verdict: doc.groundTruth.verdict,
+            source: doc.groundTruth.source,
+            ...(doc.groundTruth.rating && { rating: doc.groundTruth.rating }),
+            ...(doc.groundTruth.publisher && { publisher: doc.groundTruth.publisher }),
+            ...(doc.groundTruth.url && { url: doc.groundTruth.url }),
+            recorded_at: doc.groundTruth.recordedAt?.toISOString()
+          }
+        : null,
+      ...(withAudit && {
+        audit_log: (doc.auditLog || []).map(entry => ({
+          action: entry.action,
+          actor: entry.actor,
+          at: entry.at?.toISOString(),
+          ...(entry.fromVerdict && { from_verdict: entry.fromVerdict }),
+          ...(entry.toVerdict && { to_verdict: entry.toVerdict }),
+          ...(entry.rationale && { rationale: entry.rationale }),
+          ...(entry.details && { details: entry.details })
+        }))
+      }),
+      created_at: doc.createdAt?.toISOString()
+    };
+  }
+
+  /**
+   * Queue priority for a set of reasons
+   */
+  priority(reasons, flagCount) {
+    return reasons.reduce((sum, reason) => {
+      if (reason === 'user_flag') {
+        return sum + REASON_PRIORITY.user_flag * Math.min(Math.max(flagCount, 1), MAX_COUNTED_FLAGS);
+      }
+      return sum + (REASON_PRIORITY[reason] || 0);
+    }, 0);
+  }
+
+  async load(hash) {
+    const doc = await SourceGraph.findByHash(hash);
+    if (!doc) {
+      throw new ReviewError('Verification not found for this hash', 404);
+    }
+    return doc;
+  }
+}
+
+// Export singleton instance
+module.exports = new ReviewService();
+module.exports.ReviewError = ReviewError;
@@ -0,0 +1,181 @@
+/**
+ * Fixture Search Provider
+ *
+ * Offline provider that searches a local directory of saved articles.
+ * Each .json file in the directory holds one article, an array of
+ * articles, or { "articles": [...] }. An article looks like:
+ *
+ *   { "url", "title", "content", "publishDate", "author" }
+ *
+ * Useful for development without API keys, demos and reproducible tests.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('../../utils/logger');
+const SearchProvider = require('./searchProvider');
+
+const DEFAULT_FIXTURE_DIR = path.join(__dirname, '../../fixtures/search');
+
+// Words too common to count as a match
+const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'are', 'was', 'were', 'has', 'have', 'had', 'with',
+  'that', 'this', 'from', 'into', 'about', 'not', 'but', 'its', 'his', 'her',
+  'their', 'they', 'will', 'been', 'fact', 'check'
+]);
+
+class FixtureProvider extends SearchProvider {
+  constructor() {
+    super('fixture');
+    this.directory = path.resolve(process.env.SEARCH_FIXTURE_DIR || DEFAULT_FIXTURE_DIR);
+    this.articles = null;
+  }
+
+  /**
+   * Load (and cache) all articles from the fixture directory
+   * @returns {Array} Articles with precomputed search text
+   */
+  loadCorpus() {
+    if (this.articles) return this.articles;
+
+    this.articles = [];
+
+    if (!fs.existsSync(this.directory)) {
+      logger.warn('Search fixture directory not found', { directory: this.directory });
+      return this.articles;
+    }
+
+    const files = fs.readdirSync(this.directory).filter(f => f.endsWith('.json')).sort();
+
+    for (const file of files) {
+      try {
+        const data = JSON.parse(fs.readFileSync(path.join(this.directory, file), 'utf8'));
+        const entries = Array.isArray(data) ? data : (data.articles || [data]);
+
+        for (const article of entries) {
+          if (!article.url || !(article.title || article.content)) continue;
+          this.articles.push({
+            ...article,
+            searchText: `${article.title || ''} ${article.content || ''}`.toLowerCase()
+          });
+        }
+      } catch (error) {
+        logger.warn('Failed to load search fixture', { file, error: error.message });
+      }
+    }
+
+    logger.info('Search fixtures loaded', { directory: this.directory, articles: this.articles.length });
+
+    return this.articles;
+  }
+
+  /**
+   * Split text into lowercase search terms
+   */
+  tokenize(text) {
+    return [...new Set(
+      String(text || '')
+        .toLowerCase()
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter(t => t.length >= 3 && !STOP_WORDS.has(t))
+    )];
+  }
+
+  /**
+   * Search the local corpus by term overlap (title matches count double)
+   * @param {string} query - Search query
+   * @param {Object} options - Search options
+   * @param {number} options.maxResults - Maximum number of results (default: 10)
+   * @param {string[]} options.includeDomains - Domains to include
+   * @param {string[]} options.excludeDomains - Domains to exclude
+   * @returns {Promise<Object>} Search results with metadata
+   */
+  async search(query, options = {}) {
+    const {
+      maxResults = 10,
+      includeDomains = [],
+      excludeDomains = []
+    } = options;
+
+    const terms = this.tokenize(query);
+    const startTime = Date.now();
+
+    const results = this.loadCorpus()
+      .filter(article => this.matchesDomains(article.url, includeDomains, excludeDomains))
+      .map(article => {
+        const title = (article.title || '').toLowerCase();
+        const hits = terms.filter(t => article.searchText.includes(t));
+        const titleHits = hits.filter(t => title.includes(t));
+        const score = terms.length > 0
+          ? (hits.length + titleHits.length) / (terms.length * 2)
+          : 0;
+        return { article, score, firstHit: hits[0] };
+      })
+      .filter(r => r.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, maxResults)
+      .map(({ article, score, firstHit }) => ({
+        url: article.url,
+        title: article.title,
+        snippet: this.excerpt(article.content || article.title, firstHit),
+        publishDate: article.publishDate || null,
+        score: Math.round(score * 100) / 100,
+        domainReputationScore: this.calculateDomainReputation(article.url),
+        rawContent: article.content || null
+      }));
+
+    logger.info('Fixture search completed', { query, resultCount: results.length });
+
+    return {
+      query,
+      answer: null,
+      results,
+      responseTime: (Date.now() - startTime) / 1000,
+      totalResults: results.length
+    };
+  }
+
+  /**
+   * Return a saved article by URL
+   * @param {string} url - Article URL
+   * @returns {Promise<Object>} Article content and metadata
+   */
+  async fetch(url) {
+    const normalize = (u) => String(u).replace(/\/+$/, '').replace(/^https?:\/\/(www\.)?/, '');
+    const article = this.loadCorpus().find(a => normalize(a.url) === normalize(url));
+
+    if (!article) {
+      logger.warn('Fixture fetch missed', { url });
+      throw new Error(`Failed to fetch article content: ${url} is not in the fixture corpus`);
+    }
+
+    const content = article.content || '';
+
+    return {
+      url: article.url,
+      title: article.title || this.extractTitleFromUrl(article.url),
+      content,
+      publishDate: article.publishDate || null,
+      author: article.author || null,
+      domainReputationScore: this.calculateDomainReputation(article.url),
+      metadata: {
+        wordCount: content ? content.split(/\s+/).length : 0,
+        domain: new URL(article.url).hostname,
+        fetchedAt: new Date().toISOString(),
+        fixture: true
+      }
+    };
+  }
+
+  /**
+   * Take a snippet of text around the first matching term
+   */
+  excerpt(text, term, length = 300) {
+    const content = String(text || '');
+    const index = term ? content.toLowerCase().indexOf(term) : -1;
+    const start = Math.max(0, index - 100);
+    return content.substring(start, start + length).trim();
+  }
+}
+
+module.exports = FixtureProvider;
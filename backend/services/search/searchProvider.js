@@ -0,0 +1,254 @@
+/**
+ * Search Provider Base Class
+ *
+ * Shared behaviour for all search providers. Providers implement
+ * search(query, options) and fetch(url) and return results in the shapes
+ * documented below; searchClaim and domain scoring are shared.
+ *
+ * search()  -> { query, answer, results: [{ url, title, snippet, publishDate,
+ *                score, domainReputationScore, rawContent }], responseTime, totalResults }
+ * fetch()   -> { url, title, content, publishDate, author, domainReputationScore,
+ *                metadata: { wordCount, domain, fetchedAt } }
+ */
+
+const dns = require('dns');
+const net = require('net');
+const axios = require('axios');
+const domainReputationService = require('../domainReputationService');
+
+// Redirects followed by fetchPage, each checked like the first URL
+const MAX_REDIRECTS = 5;
+
+// Addresses a fetched page may not be on: this host, private networks,
+// carrier-grade NAT, link-local (cloud metadata at 169.254.169.254),
+// unique-local, multicast and reserved ranges. BlockList checks an
+// IPv4-mapped IPv6 address against the IPv4 ranges.
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+  ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} Whether the address is on the public internet
+ */
+const isPublicAddress = (address) => {
+  const version = net.isIP(address);
+  return version !== 0 && !BLOCKED_ADDRESSES.check(address, version === 6 ? 'ipv6' : 'ipv4');
+};
+
+/**
+ * DNS lookup for page fetches that fails when the host resolves to a
+ * non-public address. Runs when the connection is made, so a name can't
+ * pass a check and then resolve elsewhere.
+ */
+const lookupPublic = async (hostname, options = {}) => {
+  const addresses = await dns.promises.lookup(hostname, { family: options.family, all: true });
+  const blocked = addresses.find(({ address }) => !isPublicAddress(address));
+  if (blocked) {
+    throw new Error(`${hostname} resolves to a non-public address`);
+  }
+  return addresses;
+};
+
+/**
+ * Refuse a URL that isn't http(s) or names a non-public IP address
+ * (IP hosts are connected to without a lookup)
+ * @param {string} url
+ * @returns {URL}
+ */
+const checkFetchUrl = (url) => {
+  const parsed = new URL(url);
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    throw new Error(`Refusing to fetch ${parsed.protocol} URLs`);
+  }
+  const host = parsed.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host) && !isPublicAddress(host)) {
+    throw new Error(`Refusing to fetch non-public address ${host}`);
+  }
+  return parsed;
+};
+
+class SearchProvider {
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Search for relevant content
+   * @param {string} query - Search query
+   * @param {Object} options - Search options (maxResults, includeDomains, excludeDomains, topic, ...)
+   * @returns {Promise<Object>} Search results with metadata
+   */
+  async search(query, options = {}) {
+    throw new Error(`${this.name} provider does not implement search()`);
+  }
+
+  /**
+   * Fetch full article content from a URL
+   * @param {string} url - Article URL to fetch
+   * @returns {Promise<Object>} Article content and metadata
+   */
+  async fetch(url) {
+    throw new Error(`${this.name} provider does not implement fetch()`);
+  }
+
+  /**
+   * Search for news about a specific claim
+   * @param {string} claim - The claim to verify
+   * @param {Object} options - Search options
+   * @returns {Promise<Object>} Search results
+   */
+  async searchClaim(claim, options = {}) {
+    // Search for the claim directly
+    const directResults = await this.search(claim, {
+      ...options,
+      topic: 'news',
+      maxResults: options.maxResults || 5
+    });
+
+    // Search the fact-checking sites for fact-checks about the claim
+    const factCheckResults = await this.search(`fact check ${claim}`, {
+      ...options,
+      topic: 'news',
+      maxResults: 3,
+      includeDomains: domainReputationService.domainsIn('fact_checker')
+    });
+
+    return {
+      directResults: directResults.results,
+      factCheckResults: factCheckResults.results,
+      answer: directResults.answer,
+      totalResults: directResults.results.length + factCheckResults.results.length
+    };
+  }
+
+  /**
+   * Calculate domain reputation score
+   * @param {string} url - URL to evaluate
+   * @returns {number} Reputation score 0-100
+   */
+  calculateDomainReputation(url) {
+    return domainReputationService.score(url);
+  }
+
+  /**
+   * Check a URL against include/exclude domain filters
+   * Entries may include a path prefix (e.g. 'thequint.com/news/webqoof').
+   * @param {string} url - Result URL
+   * @param {string[]} includeDomains - Only allow these domains (empty = all)
+   * @param {string[]} excludeDomains - Never allow these domains
+   * @returns {boolean} Whether the URL passes the filters
+   */
+  matchesDomains(url, includeDomains = [], excludeDomains = []) {
+    let target;
+    try {
+      const parsed = new URL(url);
+      target = `${parsed.hostname.replace(/^www\./, '')}${parsed.pathname}`.toLowerCase();
+    } catch {
+      return false;
+    }
+
+    const matches = (entry) => {
+      const domain = entry.toLowerCase();
+      return target.startsWith(domain) || target.includes(`.${domain}`);
+    };
+
+    if (excludeDomains.some(matches)) return false;
+    return includeDomains.length === 0 || includeDomains.some(matches);
+  }
+
+  /**
+   * Fetch a page directly over HTTP and reduce it to plain text
+   * Used by providers without an extraction API. The URL comes from users
+   * and search results, so only public addresses are fetched, and every
+   * redirect is checked again before it is followed.
+   * @param {string} url - Page URL
+   * @returns {Promise<Object>} Article content and metadata
+   */
+  async fetchPage(url) {
+    let target = checkFetchUrl(url);
+    let response;
+
+    for (let redirects = 0; ; redirects++) {
+      response = await axios.get(target.href, {
+        timeout: 20000,
+        maxContentLength: 5 * 1024 * 1024,
+        responseType: 'text',
+        maxRedirects: 0,
+        validateStatus: status => status >= 200 && status < 400,
+        lookup: lookupPublic,
+        headers: { 'User-Agent': 'SatyaTrailBot/1.0 (+https://satyatrail.onrender.com)' }
+      });
+
+      if (response.status < 300) break;
+      if (!response.headers.location) {
+        throw new Error(`Redirect (${response.status}) without a location`);
+      }
+      if (redirects >= MAX_REDIRECTS) {
+        throw new Error(`More than ${MAX_REDIRECTS} redirects`);
+      }
+      target = checkFetchUrl(new URL(response.headers.location, target).href);
+    }
+
+    const html = String(response.data || '');
+    const meta = (pattern) => html.match(pattern)?.[1]?.trim() || null;
+    const content = this.htmlToText(html);
+
+    return {
+      url,
+      title: meta(/<title[^>]*>([\s\S]*?)<\/title>/i) || this.extractTitleFromUrl(url),
+      content,
+      publishDate: meta(/<meta[^>]+property=["']article:published_time["'][^>]+content=["']([^"']+)["']/i),
+      author: meta(/<meta[^>]+name=["']author["'][^>]+content=["']([^"']+)["']/i),
+      domainReputationScore: this.calculateDomainReputation(url),
+      metadata: {
+        wordCount: content ? content.split(/\s+/).length : 0,
+        domain: new URL(url).hostname,
+        fetchedAt: new Date().toISOString()
+      }
+    };
+  }
+
+  /**
+   * Strip markup from an HTML document
+   * @param {string} html - Raw HTML
+   * @returns {string} Plain text
+   */
+  htmlToText(html) {
+    return html
+      .replace(/<(script|style|noscript|svg)[^>]*>[\s\S]*?<\/\1>/gi, ' ')
+      .replace(/<[^>]+>/g, ' ')
+      .replace(/&nbsp;/g, ' ')
+      .replace(/&quot;/g, '"')
+      .replace(/&#39;|&apos;/g, "'")
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&amp;/g, '&')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Extract title from URL as fallback
+   * @param {string} url - URL to extract title from
+   * @returns {string} Extracted title
+   */
+  extractTitleFromUrl(url) {
+    try {
+      const pathname = new URL(url).pathname;
+      const slug = pathname.split('/').filter(Boolean).pop() || '';
+      return slug.replace(/[-_]/g, ' ').replace(/\.(html|htm|php|asp)$/i, '');
+    } catch {
+      return 'Unknown Title';
+    }
+  }
+}
+
+module.exports = SearchProvider;
+module.exports.isPublicAddress = isPublicAddress;
@@ -0,0 +1,125 @@
+/**
+ * SearxNG Search Provider
+ *
+ * Searches a self-hosted SearxNG instance (or any endpoint speaking its
+ * JSON format) and fetches articles directly over HTTP.
+ */
+
+const axios = require('axios');
+const logger = require('../../utils/logger');
+const SearchProvider = require('./searchProvider');
+
+class SearxngProvider extends SearchProvider {
+  constructor() {
+    super('searxng');
+    this.baseUrl = process.env.SEARXNG_URL;
+
+    if (!this.baseUrl) {
+      throw new Error('SEARXNG_URL is required when SEARCH_PROVIDER is searxng.');
+    }
+
+    this.client = axios.create({
+      baseURL: this.baseUrl.replace(/\/+$/, ''),
+      timeout: 30000,
+      headers: {
+        'Accept': 'application/json'
+      }
+    });
+  }
+
+  /**
+   * Search the SearxNG instance
+   * @param {string} query - Search query
+   * @param {Object} options - Search options
+   * @param {number} options.maxResults - Maximum number of results (default: 10)
+   * @param {string[]} options.includeDomains - Domains to include
+   * @param {string[]} options.excludeDomains - Domains to exclude
+   * @param {string} options.topic - Topic filter: 'general' or 'news' (default: 'news')
+   * @param {string} options.language - Search language code (optional)
+   * @returns {Promise<Object>} Search results with metadata
+   */
+  async search(query, options = {}) {
+    const {
+      maxResults = 10,
+      includeDomains = [],
+      excludeDomains = [],
+      topic = 'news',
+      language
+    } = options;
+
+    logger.info('SearxNG search initiated', { query, options });
+
+    // SearxNG has no domain filter parameter; narrow the query with site:
+    // operators and filter the results afterwards
+    const siteFilter = includeDomains.length > 0
+      ? ` (${includeDomains.map(d => `site:${d.split('/')[0]}`).join(' OR ')})`
+      : '';
+
+    const startTime = Date.now();
+
+    try {
+      const response = await this.client.get('/search', {
+        params: {
+          q: `${query}${siteFilter}`,
+          format: 'json',
+          categories: topic === 'news' ? 'news' : 'general',
+          language: language || undefined
+        }
+      });
+
+      const data = response.data || {};
+      const results = (data.results || [])
+        .filter(r => r.url && this.matchesDomains(r.url, includeDomains, excludeDomains))
+        .slice(0, maxResults)
+        .map((result, index, all) => ({
+          url: result.url,
+          title: result.title,
+          snippet: result.content,
+          publishDate: result.publishedDate || null,
+          // SearxNG scores are unbounded; fall back to rank order
+          score: typeof result.score === 'number'
+            ? Math.min(result.score / 10, 1)
+            : 1 - index / Math.max(all.length, 1),
+          domainReputationScore: this.calculateDomainReputation(result.url),
+          rawContent: null
+        }));
+
+      logger.info('SearxNG search completed', { query, resultCount: results.length });
+
+      return {
+        query,
+        answer: data.answers?.[0] || null,
+        results,
+        responseTime: (Date.now() - startTime) / 1000,
+        totalResults: results.length
+      };
+    } catch (error) {
+      logger.error('SearxNG search failed', {
+        query,
+        error: error.message,
+        response: error.response?.data
+      });
+      throw new Error(`SearxNG search failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Fetch full article content directly from the URL
+   * @param {string} url - Article URL to fetch
+   * @returns {Promise<Object>} Article content and metadata
+   */
+  async fetch(url) {
+    logger.info('SearxNG fetch initiated', { url });
+
+    try {
+      const article = await this.fetchPage(url);
+      logger.info('SearxNG fetch completed', { url, wordCount: article.metadata.wordCount });
+      return article;
+    } catch (error) {
+      logger.error('SearxNG fetch failed', { url, error: error.message });
+      throw new Error(`Failed to fetch article content: ${error.message}`);
+    }
+  }
+}
+
+module.exports = SearxngProvider;
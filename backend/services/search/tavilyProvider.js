@@ -1,21 +1,22 @@
 /**
- * Tavily Search Service
+ * Tavily Search Provider
  * 
- * Handles all web search and browsing operations using Tavily API.
- * This is the ONLY search provider - no fallback to other search engines.
+ * Handles web search and browsing operations using Tavily API.
  */
 
 const axios = require('axios');
-const logger = require('../utils/logger');
+const logger = require('../../utils/logger');
+const SearchProvider = require('./searchProvider');
 
 const TAVILY_API_BASE = 'https://api.tavily.com';
 
-class TavilyService {
+class TavilyProvider extends SearchProvider {
   constructor() {
+    super('tavily');
     this.apiKey = process.env.TAVILY_API_KEY;
     
     if (!this.apiKey) {
-      throw new Error('TAVILY_API_KEY is required. Tavily is the mandatory search provider.');
+      throw new Error('TAVILY_API_KEY is required when SEARCH_PROVIDER is tavily.');
     }
 
     this.client = axios.create({
@@ -116,61 +117,6 @@ class TavilyService {
     };
   }
 
-  /**
-   * Calculate domain reputation score based on heuristics
-   * @param {string} url - URL to evaluate
-   * @returns {number} Reputation score 0-100
-   */
-  calculateDomainReputation(url) {
-    try {
-      const domain = new URL(url).hostname.toLowerCase();
-
-      // High reputation news sources
-      const highReputation = [
-        'reuters.com', 'apnews.com', 'bbc.com', 'bbc.co.uk',
-        'theguardian.com', 'nytimes.com', 'washingtonpost.com',
-        'thehindu.com', 'indianexpress.com', 'ndtv.com',
-        'timesofindia.indiatimes.com', 'hindustantimes.com',
-        'economictimes.indiatimes.com', 'livemint.com',
-        'pib.gov.in', 'gov.in', 'who.int', 'un.org'
-      ];
-
-      // Medium reputation sources
-      const mediumReputation = [
-        'indiatoday.in', 'news18.com', 'firstpost.com',
-        'thequint.com', 'scroll.in', 'theprint.in',
-        'moneycontrol.com', 'businesstoday.in'
-      ];
-
-      // Low reputation / social media
-      const lowReputation = [
-        'twitter.com', 'x.com', 'facebook.com', 'instagram.com',
-        'tiktok.com', 'reddit.com', 'youtube.com'
-      ];
-
-      // Check domain against reputation lists
-      for (const d of highReputation) {
-        if (domain.includes(d)) return 90;
-      }
-      for (const d of mediumReputation) {
-        if (domain.includes(d)) return 70;
-      }
-      for (const d of lowReputation) {
-        if (domain.includes(d)) return 30;
-      }
-
-      // Government and educational domains
-      if (domain.endsWith('.gov') || domain.endsWith('.gov.in')) return 95;
-      if (domain.endsWith('.edu') || domain.endsWith('.ac.in')) return 85;
-      if (domain.endsWith('.org')) return 75;
-
-      // Default score for unknown domains
-      return 50;
-    } catch {
-      return 50;
-    }
-  }
-
   /**
    * Fetch full article content from a URL
    * @param {string} url - Article URL to fetch
@@ -242,56 +188,6 @@ class TavilyService {
       throw new Error(`Failed to fetch article content: ${error.message}`);
     }
   }
-
-  /**
-   * Search for news about a specific claim
-   * @param {string} claim - The claim to verify
-   * @param {Object} options - Search options
-   * @returns {Promise<Object>} Search results
-   */
-  async searchClaim(claim, options = {}) {
-    // Search for the claim directly
-    const directResults = await this.search(claim, {
-      ...options,
-      topic: 'news',
-      maxResults: options.maxResults || 5
-    });
-
-    // Search for fact-checks about the claim
-    const factCheckResults = await this.search(`fact check ${claim}`, {
-      ...options,
-      topic: 'news',
-      maxResults: 3,
-      includeDomains: [
-        'snopes.com', 'factcheck.org', 'politifact.com',
-        'altnews.in', 'boomlive.in', 'thequint.com/news/webqoof'
-      ]
-    });
-
-    return {
-      directResults: directResults.results,
-      factCheckResults: factCheckResults.results,
-      answer: directResults.answer,
-      totalResults: directResults.results.length + factCheckResults.results.length
-    };
-  }
-
-  /**
-   * Extract title from URL as fallback
-   * @param {string} url - URL to extract title from
-   * @returns {string} Extracted title
-   */
-  extractTitleFromUrl(url) {
-    try {
-      const pathname = new URL(url).pathname;
-      const slug = pathname.split('/').filter(Boolean).pop() || '';
-      return slug.replace(/[-_]/g, ' ').replace(/\.(html|htm|php|asp)$/i, '');
-    } catch {
-      return 'Unknown Title';
-    }
-  }
 }
 
-// Export singleton instance
-module.exports = new TavilyService();
-
+module.exports = TavilyProvider;
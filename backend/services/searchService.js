@@ -0,0 +1,92 @@
+/**
+ * Search Service
+ *
+ * Single entry point for web search and article fetching. Delegates to
+ * the provider selected by SEARCH_PROVIDER:
+ *
+ * - tavily  (default) Tavily search + extract API, needs TAVILY_API_KEY
+ * - searxng Self-hosted SearxNG JSON endpoint, needs SEARXNG_URL
+ * - fixture Local directory of saved articles (SEARCH_FIXTURE_DIR), works offline
+ *
+ * Searches and fetches go through the cassette service, so they are
+ * recorded or replayed when CASSETTE_MODE is set.
+ */
+
+const logger = require('../utils/logger');
+const cassetteService = require('./cassetteService');
+const TavilyProvider = require('./search/tavilyProvider');
+const SearxngProvider = require('./search/searxngProvider');
+const FixtureProvider = require('./search/fixtureProvider');
+
+const PROVIDERS = {
+  tavily: TavilyProvider,
+  searxng: SearxngProvider,
+  fixture: FixtureProvider
+};
+
+class SearchService {
+  constructor() {
+    this.providerName = (process.env.SEARCH_PROVIDER || 'tavily').toLowerCase();
+
+    const Provider = PROVIDERS[this.providerName];
+    if (!Provider) {
+      throw new Error(`Unknown SEARCH_PROVIDER '${this.providerName}'. Supported: ${Object.keys(PROVIDERS).join(', ')}`);
+    }
+
+    this.provider = new Provider();
+
+    logger.info(`Search service initialized with provider: ${this.providerName}`);
+  }
+
+  /**
+   * Search for relevant content
+   * @param {string} query - Search query
+   * @param {Object} options - Search options (see provider implementations)
+   * @returns {Promise<Object>} Search results with metadata
+   */
+  async search(query, options = {}) {
+    return cassetteService.intercept('search', { query, options }, () =>
+      this.provider.search(query, options)
+    );
+  }
+
+  /**
+   * Fetch full article content from a URL
+   * @param {string} url - Article URL to fetch
+   * @returns {Promise<Object>} Article content and metadata
+   */
+  async fetch(url) {
+    return cassetteService.intercept('fetch', { url }, () => this.provider.fetch(url));
+  }
+
+  /**
+   * Search for news and fact-checks about a specific claim
+   * @param {string} claim - The claim to verify
+   * @param {Object} options - Search options
+   * @returns {Promise<Object>} { directResults, factCheckResults, answer, totalResults }
+   */
+  async searchClaim(claim, options = {}) {
+    return cassetteService.intercept('search_claim', { claim, options }, () =>
+      this.provider.searchClaim(claim, options)
+    );
+  }
+
+  /**
+   * Calculate domain reputation score
+   * @param {string} url - URL to evaluate
+   * @returns {number} Reputation score 0-100
+   */
+  calculateDomainReputation(url) {
+    return this.provider.calculateDomainReputation(url);
+  }
+
+  /**
+   * Get the active provider name
+   */
+  getProviderName() {
+    return this.providerName;
+  }
+}
+
+// Export singleton instance
+module.exports = new SearchService();
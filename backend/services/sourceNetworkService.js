@@ -0,0 +1,450 @@
+/**
+ * Source Network Service
+ *
+ * Joins the per-verification source graphs into one global network of
+ * domains, so we can ask which domains keep originating false claims and
+ * who amplifies whom.
+ *
+ * Every saved verification (not its reruns) is added once: each domain in
+ * it counts the roles it took, and each amplifies/quotes/cites or
+ * contradicts edge between two different domains counts one link. Counts
+ * are kept per verdict, using the story's current verdict: the
+ * ground-truth label if there is one, else the latest re-verification,
+ * else the original verdict. When that verdict changes the story's
+ * contribution is moved, so "later judged false" stays accurate.
+ *
+ * Edges keep the direction of the source graphs: `to` amplified (or
+ * contradicted) what `from` published before it.
+ */
+
+const logger = require('../utils/logger');
+const SourceGraph = require('../models/SourceGraph');
+const SourceNetworkNode = require('../models/SourceNetworkNode');
+const SourceNetworkEdge = require('../models/SourceNetworkEdge');
+const domainReputationService = require('./domainReputationService');
+
+// Configuration
+const CONFIG = {
+  // Most-linked edges loaded for centrality
+  MAX_CENTRALITY_EDGES: parseInt(process.env.NETWORK_MAX_CENTRALITY_EDGES) || 20000,
+  PAGERANK_DAMPING: 0.85,
+  PAGERANK_MAX_ITERATIONS: 100,
+  PAGERANK_TOLERANCE: 1e-6
+};
+
+const VERDICTS = ['true', 'false', 'mixed', 'unknown'];
+const ROLES = ['origin', 'amplifier', 'modifier', 'debunker', 'unknown'];
+
+// Source graph relationships and the network link they count as
+const LINK_TYPES = {
+  amplifies: 'amplifies',
+  quotes: 'amplifies',
+  cites: 'amplifies',
+  contradicts: 'contradicts'
+};
+
+class SourceNetworkError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'SourceNetworkError';
+    this.status = status;
+  }
+}
+
+class SourceNetworkService {
+  /**
+   * The verdict a story's sources are counted under
+   * @param {Object} doc - SourceGraph document
+   * @returns {string}
+   */
+  currentVerdict(doc) {
+    const verdict = doc.groundTruth?.verdict ||
+      doc.revisions?.[doc.revisions.length - 1]?.verdict ||
+      doc.verification?.verdict;
+    return VERDICTS.includes(verdict) ? verdict : 'unknown';
+  }
+
+  /**
+   * Add a verification to the network, or move its counts to its new
+   * verdict. Reruns are skipped. Never throws.
+   * @param {Object} doc - SourceGraph document
+   * @returns {Promise<boolean>} Whether the network changed
+   */
+  async ingest(doc) {
+    try {
+      if (doc.revisionOf) return false;
+
+      const verdict = this.currentVerdict(doc);
+      const previous = doc.sourceNetwork?.verdict;
+      if (previous === verdict) return false;
+
+      const contribution = this.contribution(doc);
+      if (previous) {
+        await this.apply(contribution, previous, -1);
+      }
+      await this.apply(contribution, verdict, 1, doc.createdAt || new Date());
+
+      doc.sourceNetwork = { verdict, ingestedAt: new Date() };
+      await doc.save();
+
+      logger.debug('Source network updated', {
+        hash: doc.hash,
+        verdict,
+        previous,
+        domains: contribution.domains.size,
+        links: contribution.links.size
+      });
+      return true;
+    } catch (error) {
+      logger.error('Failed to update source network', { hash: doc.hash, error: error.message });
+      return false;
+    }
+  }
+
+  /**
+   * What a verification adds to the network
+   * @param {Object} doc - SourceGraph document
+   * @returns {Object} { domains: Map<domain, Set<role>>, links: Map<key, { from, to, type }> }
+   */
+  contribution(doc) {
+    const domains = new Map();
+    const domainOf = new Map();
+
+    for (const node of doc.nodes || []) {
+      const domain = this.hostOf(node.url || node.domain);
+      if (!domain) continue;
+
+      domainOf.set(node.id, domain);
+      if (!domains.has(domain)) domains.set(domain, new Set());
+      domains.get(domain).add(ROLES.includes(node.role) ? node.role : 'unknown');
+    }
+
+    const links = new Map();
+    for (const edge of doc.edges || []) {
+      const type = LINK_TYPES[edge.relationship];
+      const from = domainOf.get(edge.from);
+      const to = domainOf.get(edge.to);
+      if (!type || !from || !to || from === to) continue;
+
+      links.set(`${from} ${to} ${type}`, { from, to, type });
+    }
+
+    return { domains, links };
+  }
+
+  /**
+   * Host of a URL or domain, without "www."
+   */
+  hostOf(value) {
+    const host = domainReputationService.normalizeKey(value).split('/')[0];
+    return host && host !== 'unknown' ? host : null;
+  }
+
+  /**
+   * Add (sign 1) or remove (sign -1) a contribution under a verdict
+   */
+  async apply({ domains, links }, verdict, sign, seenAt) {
+    const seen = (update) => sign > 0
+      ? { ...update, $min: { firstSeenAt: seenAt }, $max: { lastSeenAt: seenAt } }
+      : update;
+
+    const nodeOps = [...domains].map(([domain, roles]) => {
+      const inc = { verifications: sign };
+      for (const role of roles) inc[`roles.${role}`] = sign;
+      if (roles.has('origin')) inc[`originVerdicts.${verdict}`] = sign;
+      if (roles.has('amplifier')) inc[`amplifierVerdicts.${verdict}`] = sign;
+
+      return {
+        updateOne: {
+          filter: { domain },
+          update: seen({ $inc: inc }),
+          upsert: sign > 0
+        }
+      };
+    });
+
+    const edgeOps = [...links.values()].map(({ from, to, type }) => ({
+      updateOne: {
+        filter: { from, to, type },
+        update: seen({ $inc: { count: sign, [`verdicts.${verdict}`]: sign } }),
+        upsert: sign > 0
+      }
+    }));
+
+    if (nodeOps.length > 0) await SourceNetworkNode.bulkWrite(nodeOps, { ordered: false });
+    if (edgeOps.length > 0) await SourceNetworkEdge.bulkWrite(edgeOps, { ordered: false });
+  }
+
+  /**
+   * Domains that spread the most stories, optionally only stories with a
+   * given verdict. Spreads count verifications where the domain was the
+   * origin or an amplifier; reach counts the domains that amplified it.
+   * @param {Object} options - { verdict, limit, min }
+   * @returns {Promise<Array>}
+   */
+  async superSpreaders({ verdict, limit = 20, min = 1 } = {}) {
+    const fields = verdict
+      ? [`$originVerdicts.${verdict}`, `$amplifierVerdicts.${verdict}`]
+      : ['$roles.origin', '$roles.amplifier'];
+    const spreads = { $add: fields.map(field => ({ $ifNull: [field, 0] })) };
+
+    const nodes = await SourceNetworkNode.aggregate([
+      { $addFields: { spreads } },
+      { $match: { spreads: { $gte: Math.max(1, min) } } },
+      { $sort: { spreads: -1, verifications: -1, domain: 1 } },
+      { $limit: limit }
+    ]);
+
+    const reach = await this.reach(nodes.map(n => n.domain));
+
+    return nodes.map(node => ({
+      ...this.formatDomain(node.domain),
+      spreads: node.spreads,
+      originated: (verdict ? node.originVerdicts?.[verdict] : node.roles?.origin) || 0,
+      amplified: (verdict ? node.amplifierVerdicts?.[verdict] : node.roles?.amplifier) || 0,
+      verifications: node.verifications,
+      reach: reach.get(node.domain) || { domains: 0, amplifications: 0 }
+    }));
+  }
+
+  /**
+   * Domains amplifying each of the given domains
+   * @returns {Promise<Map<string, Object>>} domain -> { domains, amplifications }
+   */
+  async reach(domains) {
+    const rows = await SourceNetworkEdge.aggregate([
+      { $match: { type: 'amplifies', from: { $in: domains }, count: { $gt: 0 } } },
+      { $group: { _id: '$from', domains: { $sum: 1 }, amplifications: { $sum: '$count' } } }
+    ]);
+    return new Map(rows.map(row => [row._id, { domains: row.domains, amplifications: row.amplifications }]));
+  }
+
+  /**
+   * How often domains originate stories, by verdict
+   * @param {Object} options - { verdict (sort by this verdict's count), limit, min }
+   * @returns {Promise<Array>}
+   */
+  async origins({ verdict, limit = 20, min = 1 } = {}) {
+    const sortField = verdict ? `originVerdicts.${verdict}` : 'roles.origin';
+
+    const nodes = await SourceNetworkNode.find({
+      'roles.origin': { $gte: Math.max(1, min) },
+      ...(verdict && { [sortField]: { $gt: 0 } })
+    })
+      .sort({ [sortField]: -1, 'roles.origin': -1, domain: 1 })
+      .limit(limit)
+      .lean();
+
+    return nodes.map(node => ({
+      ...this.formatDomain(node.domain),
+      originated: node.roles.origin,
+      verdicts: this.verdictCounts(node.originVerdicts),
+      ...(verdict && { share: this.share(node.originVerdicts?.[verdict], node.roles.origin) })
+    }));
+  }
+
+  /**
+   * Domains that most often amplify stories later judged with a verdict
+   * (false by default)
+   * @param {Object} options - { verdict, limit, min (amplifications of any verdict) }
+   * @returns {Promise<Array>}
+   */
+  async amplifiers({ verdict = 'false', limit = 20, min = 1 } = {}) {
+    const field = `amplifierVerdicts.${verdict}`;
+
+    const nodes = await SourceNetworkNode.find({
+      'roles.amplifier': { $gte: Math.max(1, min) },
+      [field]: { $gt: 0 }
+    })
+      .sort({ [field]: -1, 'roles.amplifier': 1, domain: 1 })
+      .limit(limit)
+      .lean();
+
+    return nodes.map(node => ({
+      ...this.formatDomain(node.domain),
+      amplified: node.roles.amplifier,
+      matching: node.amplifierVerdicts[verdict],
+      share: this.share(node.amplifierVerdicts[verdict], node.roles.amplifier),
+      verdicts: this.verdictCounts(node.amplifierVerdicts)
+    }));
+  }
+
+  /**
+   * Rank domains by centrality in the amplification (or contradiction)
+   * network. Links point from the amplifying domain to its source, so a
+   * high PageRank means many (well-amplified) domains pick up its stories.
+   * @param {Object} options - { metric: 'pagerank'|'degree', type, limit }
+   * @returns {Promise<Object>} { metric, type, domains, links, truncated, items }
+   */
+  async centrality({ metric = 'pagerank', type = 'amplifies', limit = 20 } = {}) {
+    const edges = await SourceNetworkEdge.find({ type, count: { $gt: 0 } })
+      .sort({ count: -1 })
+      .limit(CONFIG.MAX_CENTRALITY_EDGES + 1)
+      .select('from to count')
+      .lean();
+
+    const truncated = edges.length > CONFIG.MAX_CENTRALITY_EDGES;
+    if (truncated) edges.pop();
+
+    // inDegree: times others linked to the domain; outDegree: times it linked to others
+    const degree = new Map();
+    const entry = (domain) => {
+      if (!degree.has(domain)) degree.set(domain, { inDegree: 0, outDegree: 0 });
+      return degree.get(domain);
+    };
+    for (const edge of edges) {
+      entry(edge.from).inDegree += edge.count;
+      entry(edge.to).outDegree += edge.count;
+    }
+
+    const ranks = metric === 'pagerank' ? this.pageRank(degree, edges) : null;
+    const score = (domain) => ranks
+      ? ranks.get(domain)
+      : degree.get(domain).inDegree + degree.get(domain).outDegree;
+
+    const items = [...degree.keys()]
+      .sort((a, b) => (score(b) - score(a)) || a.localeCompare(b))
+      .slice(0, limit)
+      .map(domain => ({
+        ...this.formatDomain(domain),
+        score: ranks ? Math.round(ranks.get(domain) * 1e6) / 1e6 : score(domain),
+        in_degree: degree.get(domain).inDegree,
+        out_degree: degree.get(domain).outDegree
+      }));
+
+    return { metric, type, domains: degree.size, links: edges.length, truncated, items };
+  }
+
+  /**
+   * Weighted PageRank over links from `to` (amplifier) to `from` (source)
+   * @param {Map<string, Object>} degree - Domains with { outDegree }
+   * @param {Array} edges - [{ from, to, count }]
+   * @returns {Map<string, number>} Rank per domain, summing to 1
+   */
+  pageRank(degree, edges) {
+    const domains = [...degree.keys()];
+    const n = domains.length;
+    const d = CONFIG.PAGERANK_DAMPING;
+    let ranks = new Map(domains.map(domain => [domain, 1 / n]));
+
+    for (let i = 0; i < CONFIG.PAGERANK_MAX_ITERATIONS; i++) {
+      // Domains that link nowhere spread their rank evenly
+      const dangling = domains
+        .filter(domain => degree.get(domain).outDegree === 0)
+        .reduce((sum, domain) => sum + ranks.get(domain), 0);
+
+      const next = new Map(domains.map(domain => [domain, (1 - d) / n + d * dangling / n]));
+      for (const edge of edges) {
+        const share = ranks.get(edge.to) * edge.count / degree.get(edge.to).outDegree;
+        next.set(edge.from, next.get(edge.from) + d * share);
+      }
+
+      const delta = domains.reduce((sum, domain) => sum + Math.abs(next.get(domain) - ranks.get(domain)), 0);
+      ranks = next;
+      if (delta < CONFIG.PAGERANK_TOLERANCE) break;
+    }
+
+    return ranks;
+  }
+
+  /**
+   * A domain's network profile with its strongest links
+   * @param {string} domain - Host
+   * @param {Object} options - { limit } links per direction
+   * @returns {Promise<Object>}
+   */
+  async getDomain(domain, { limit = 10 } = {}) {
+    const host = this.hostOf(domain);
+    const node = host && await SourceNetworkNode.findOne({ domain: host }).lean();
+    if (!node) {
+      throw new SourceNetworkError(`'${host || domain}' has not appeared in any verification`, 404);
+    }
+
+    const links = (filter) => SourceNetworkEdge.find({ ...filter, count: { $gt: 0 } })
+      .sort({ count: -1 })
+      .limit(limit)
+      .lean();
+
+    const [amplifiedBy, amplifies, contradictedBy, contradicts] = await Promise.all([
+      links({ from: host, type: 'amplifies' }),
+      links({ to: host, type: 'amplifies' }),
+      links({ from: host, type: 'contradicts' }),
+      links({ to: host, type: 'contradicts' })
+    ]);
+
+    const formatLink = (edge, other) => ({
+      domain: edge[other],
+      count: edge.count,
+      verdicts: this.verdictCounts(edge.verdicts)
+    });
+
+    return {
+      ...this.formatDomain(host),
+      verifications: node.verifications,
+      roles: ROLES.reduce((roles, role) => ({ ...roles, [role]: node.roles?.[role] || 0 }), {}),
+      origin_verdicts: this.verdictCounts(node.originVerdicts),
+      amplifier_verdicts: this.verdictCounts(node.amplifierVerdicts),
+      amplified_by: amplifiedBy.map(edge => formatLink(edge, 'to')),
+      amplifies: amplifies.map(edge => formatLink(edge, 'from')),
+      contradicted_by: contradictedBy.map(edge => formatLink(edge, 'to')),
+      contradicts: contradicts.map(edge => formatLink(edge, 'from')),
+      first_seen_at: node.firstSeenAt?.toISOString() || null,
+      last_seen_at: node.lastSeenAt?.toISOString() || null
+    };
+  }
+
+  /**
+   * Add every saved verification that isn't in the network yet (or whose
+   * verdict changed). With reset, the network is rebuilt from scratch.
+   * @param {Object} options - { reset, onProgress }
+   * @returns {Promise<Object>} { scanned, updated }
+   */
+  async rebuild({ reset = false, onProgress } = {}) {
+    if (reset) {
+      await SourceNetworkNode.deleteMany({});
+      await SourceNetworkEdge.deleteMany({});
+      await SourceGraph.updateMany({ sourceNetwork: { $exists: true } }, { $unset: { sourceNetwork: 1 } });
+    }
+
+    let scanned = 0;
+    let updated = 0;
+    const cursor = SourceGraph.find({ revisionOf: { $exists: false } })
+      .select('hash nodes edges verification.verdict groundTruth.verdict revisions.verdict sourceNetwork createdAt')
+      .cursor();
+
+    for await (const doc of cursor) {
+      scanned++;
+      if (await this.ingest(doc)) updated++;
+      onProgress?.({ scanned, updated });
+    }
+
+    logger.info('Source network rebuilt', { reset, scanned, updated });
+    return { scanned, updated };
+  }
+
+  /**
+   * Domain fields shared by every analytics item
+   */
+  formatDomain(domain) {
+    const reputation = domainReputationService.resolve(domain);
+    return {
+      domain,
+      category: reputation.category,
+      network: reputation.network,
+      reputation: reputation.score
+    };
+  }
+
+  verdictCounts(counts) {
+    return VERDICTS.reduce((result, verdict) => ({ ...result, [verdict]: counts?.[verdict] || 0 }), {});
+  }
+
+  share(part, total) {
+    return total > 0 ? Math.round(((part || 0) / total) * 1000) / 1000 : 0;
+  }
+}
+
+// Export singleton instance
+module.exports = new SourceNetworkService();
+module.exports.SourceNetworkError = SourceNetworkError;
+module.exports.VERDICTS = VERDICTS;
@@ -0,0 +1,176 @@
+/**
+ * Stance Service
+ *
+ * Labels every evidence item with its stance towards the claim:
+ *
+ * - supports   The source asserts or confirms the claim
+ * - refutes    The source contradicts or debunks the claim
+ * - discusses  The source is about the claim without taking a side
+ * - unrelated  The source is not about the claim
+ *
+ * Each stance carries a confidence and the quoted span from the title or
+ * snippet that justifies it. Classification runs through the LLM gateway
+ * ('stance' call site); when that fails a keyword heuristic takes over
+ * with low confidence, so downstream code can tell the two apart.
+ */
+
+const logger = require('../utils/logger');
+const openaiService = require('./openaiService');
+
+const STANCES = ['supports', 'refutes', 'discusses', 'unrelated'];
+
+// Stances below this confidence don't drive graph roles or agent rules
+const MIN_CONFIDENCE = 0.5;
+
+// Longest span kept on a stance
+const MAX_SPAN_LENGTH = 300;
+
+// Debunking language used by the heuristic fallback
+const REFUTING_SIGNALS = [
+  'fact check', 'false claim', 'misleading', 'debunk',
+  'not true', 'misinformation', 'fake news', 'hoax',
+  'no evidence', 'unverified', 'conspiracy', 'baseless'
+];
+
+class StanceService {
+  /**
+   * Classify the stance of each evidence item towards a claim
+   * @param {string} claim - The claim
+   * @param {Array} evidence - Evidence objects ({ url, title, snippet, ... })
+   * @param {Object} context - Claim language context: { language, englishClaim } (optional)
+   * @returns {Promise<Array>} Evidence with a stance: { label, confidence, span, method }
+   */
+  async classify(claim, evidence, context = {}) {
+    if (evidence.length === 0) return [];
+
+    let classified;
+    try {
+      classified = await openaiService.classifyStance(claim, evidence, context);
+    } catch (error) {
+      logger.warn('Stance classification failed, using keyword heuristic', {
+        error: error.message,
+        evidenceCount: evidence.length
+      });
+      classified = [];
+    }
+
+    const byId = new Map(classified.map(s => [Number(s.id), s]));
+
+    return evidence.map((e, i) => {
+      const stance = this.normalize(byId.get(i + 1), e) || this.heuristic(claim, e, context);
+      return { ...e, stance };
+    });
+  }
+
+  /**
+   * Validate an LLM stance; the span must be quoted from the evidence
+   * @param {Object} raw - { stance, confidence, span } from the LLM (optional)
+   * @param {Object} evidence - The evidence item
+   * @returns {Object|null} Stance, or null when the label is invalid
+   */
+  normalize(raw, evidence) {
+    const label = String(raw?.stance || '').toLowerCase();
+    if (!STANCES.includes(label)) return null;
+
+    const confidence = Math.max(0, Math.min(1, Number(raw.confidence) || 0));
+
+    return {
+      label,
+      confidence: Math.round(confidence * 100) / 100,
+      span: this.findSpan(raw.span, evidence),
+      method: 'llm'
+    };
+  }
+
+  /**
+   * Return the span when it appears in the evidence text, null otherwise
+   */
+  findSpan(span, evidence) {
+    const normalize = (text) => String(text || '').replace(/\s+/g, ' ').trim();
+    const quoted = normalize(span).replace(/^["'“]|["'”]$/g, '');
+    if (!quoted) return null;
+
+    const text = normalize(`${evidence.title || ''} ${evidence.snippet || ''}`).toLowerCase();
+    if (!text.includes(quoted.toLowerCase())) return null;
+
+    return quoted.substring(0, MAX_SPAN_LENGTH);
+  }
+
+  /**
+   * Keyword fallback: debunking language refutes, anything else that
+   * shares terms with the claim discusses it
+   * @param {string} claim - The claim
+   * @param {Object} evidence - The evidence item
+   * @param {Object} context - { englishClaim } (optional)
+   * @returns {Object} Stance with method 'heuristic'
+   */
+  heuristic(claim, evidence, context = {}) {
+    const text = `${evidence.title || ''} ${evidence.snippet || ''}`;
+    const lower = text.toLowerCase();
+
+    const signal = REFUTING_SIGNALS.find(s => lower.includes(s));
+    if (signal) {
+      const index = lower.indexOf(signal);
+      return {
+        label: 'refutes',
+        confidence: MIN_CONFIDENCE,
+        span: text.substring(index, index + signal.length),
+        method: 'heuristic'
+      };
+    }
+
+    // Vowel signs and viramas (\p{M}) are part of Indic words
+    const terms = `${claim} ${context.englishClaim || ''}`
+      .toLowerCase()
+      .split(/[^\p{L}\p{M}\p{N}]+/u)
+      .filter(t => t.length >= 4);
+    const related = terms.some(t => lower.includes(t));
+
+    return {
+      label: related ? 'discusses' : 'unrelated',
+      confidence: 0.3,
+      span: null,
+      method: 'heuristic'
+    };
+  }
+
+  /**
+   * Check whether a stance is confident enough to act on
+   * @param {Object} stance - Evidence stance (optional)
+   * @returns {boolean}
+   */
+  isConfident(stance) {
+    return !!stance && stance.confidence >= MIN_CONFIDENCE;
+  }
+
+  /**
+   * Count stances and pick the strongest supporting and refuting spans
+   * @param {Array} evidence - Evidence with stances
+   * @param {number} perSide - Spans kept per side (default: 3)
+   * @returns {Object} { counts, strongest: { supports: [], refutes: [] } }
+   */
+  summarize(evidence, perSide = 3) {
+    const counts = Object.fromEntries(STANCES.map(s => [s, 0]));
+    for (const e of evidence) {
+      if (e.stance) counts[e.stance.label]++;
+    }
+
+    const strongest = (label) => evidence
+      .filter(e => e.stance?.label === label && e.stance.span && this.isConfident(e.stance))
+      .sort((a, b) => b.stance.confidence - a.stance.confidence)
+      .slice(0, perSide)
+      .map(e => ({ url: e.url, span: e.stance.span, confidence: e.stance.confidence }));
+
+    return {
+      counts,
+      strongest: {
+        supports: strongest('supports'),
+        refutes: strongest('refutes')
+      }
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new StanceService();
+module.exports.STANCES = STANCES;
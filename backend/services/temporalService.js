@@ -0,0 +1,229 @@
+/**
+ * Temporal Service
+ *
+ * Catches old news being shared as current. It compares the time a claim
+ * implies with the earliest date its evidence was published:
+ *
+ * - explicit  The claim names a date ("on 5 July 2024", "in March 2023")
+ * - recent    The claim presents itself as current ("today", "breaking")
+ * - undated   Neither
+ *
+ * A claim is outdated when it is presented as current (or dated later)
+ * but the event was already reported long before, or when fact-checks in
+ * the evidence say the content is old and recirculating. The check is
+ * local and deterministic; "now" comes from the cassette service so
+ * replays reach the same finding.
+ */
+
+const cassetteService = require('./cassetteService');
+const stanceService = require('./stanceService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Evidence older than this (relative to the claimed time) makes a claim stale
+const STALE_DAYS = parseInt(process.env.TEMPORAL_STALE_DAYS, 10) || 180;
+
+const MONTHS = [
+  'january', 'february', 'march', 'april', 'may', 'june',
+  'july', 'august', 'september', 'october', 'november', 'december'
+];
+const MONTH_NAMES = `(${MONTHS.map(m => `${m.substring(0, 3)}(?:${m.substring(3)})?`).join('|')})\\.?`;
+
+// Claimed dates, most precise first
+const DATE_PATTERNS = [
+  {
+    precision: 'day',
+    pattern: /\b(\d{4})-(\d{2})-(\d{2})\b/,
+    parse: (m) => [m[1], m[2], m[3]]
+  },
+  {
+    precision: 'day',
+    pattern: new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:of\\s+)?${MONTH_NAMES},?\\s+(\\d{4})\\b`, 'i'),
+    parse: (m) => [m[3], monthNumber(m[2]), m[1]]
+  },
+  {
+    precision: 'day',
+    pattern: new RegExp(`\\b${MONTH_NAMES}\\s+(\\d{1,2})(?:st|nd|rd|th)?,?\\s+(\\d{4})\\b`, 'i'),
+    parse: (m) => [m[3], monthNumber(m[1]), m[2]]
+  },
+  {
+    // Indian order: DD/MM/YYYY
+    precision: 'day',
+    pattern: /\b(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})\b/,
+    parse: (m) => [m[3], m[2], m[1]]
+  },
+  {
+    precision: 'month',
+    pattern: new RegExp(`\\b${MONTH_NAMES},?\\s+(\\d{4})\\b`, 'i'),
+    parse: (m) => [m[2], monthNumber(m[1]), 1]
+  },
+  {
+    // A bare number is only a year with a preposition in front of it
+    precision: 'year',
+    pattern: /\b(?:in|since|during|of|year|from)\s+((?:19|20)\d{2})\b/i,
+    parse: (m) => [m[1], 1, 1]
+  }
+];
+
+// Wording that presents a claim as happening now
+const RECENCY_PATTERN = /\b(today|tonight|yesterday|this (?:morning|evening|week)|just now|right now|breaking|moments ago|hours ago|abhi|aaj|kal raat)\b|आज|अभी|कल रात/i;
+
+// Evidence language saying content is old and being shared again
+const RECIRCULATION_PATTERN = /\b(old (?:video|photo|image|picture|clip|news|story|report)|recirculat\w*|resurfac\w*|shared as (?:recent|new|current)|(?:is|was) from (?:\w+ ){0,2}(?:19|20)\d{2}|circulated (?:for years|before|since))\b/i;
+
+// Stances that place a source on the claim's own story
+const RELEVANT_STANCES = ['supports', 'discusses'];
+
+const monthNumber = (name) => MONTHS.findIndex(m => m.startsWith(name.toLowerCase().substring(0, 3))) + 1;
+
+class TemporalService {
+  /**
+   * Check whether a claim is old news presented as current
+   * @param {string} claim - The claim
+   * @param {Array} evidence - Evidence with publishDate and stance
+   * @param {Object} context - Claim language context: { englishClaim } (optional)
+   * @returns {Object} { status, claim_time, earliest_evidence, age_days, recirculation, explanation }
+   */
+  analyze(claim, evidence, context = {}) {
+    const now = cassetteService.now();
+    const claimTime = this.parseClaimTime(`${claim} ${context.englishClaim || ''}`, now);
+    const recirculation = this.findRecirculation(evidence);
+    let earliest = this.findEarliestEvidence(evidence, now);
+
+    // A fact-check saying the content is old shows it was around by then
+    if (recirculation?.date && (!earliest || recirculation.date < earliest.date)) {
+      earliest = { url: recirculation.url, date: recirculation.date };
+    }
+
+    const reference = claimTime.date ? Date.parse(claimTime.date) : now;
+    const ageDays = earliest ? Math.max(0, Math.floor((reference - Date.parse(earliest.date)) / DAY_MS)) : null;
+
+    let status = 'unknown';
+    let explanation = 'None of the evidence is dated, so the claim\'s timing could not be checked.';
+
+    if (recirculation && claimTime.type !== 'explicit') {
+      status = 'outdated';
+      explanation = `${this.domain(recirculation.url)} reports that this content has circulated before: "${recirculation.span}"`;
+    } else if (earliest && ageDays > STALE_DAYS && claimTime.type !== 'undated') {
+      status = 'outdated';
+      explanation = claimTime.type === 'recent'
+        ? `The claim presents this as current ("${claimTime.text}"), but it was first reported on ${this.day(earliest.date)} by ${this.domain(earliest.url)}, ${this.describeAge(ageDays)} earlier.`
+        : `The claim dates this to ${claimTime.date}, but it was already reported on ${this.day(earliest.date)} by ${this.domain(earliest.url)}, ${this.describeAge(ageDays)} earlier.`;
+    } else if (earliest) {
+      status = 'consistent';
+      explanation = claimTime.type === 'undated'
+        ? `The claim gives no date; the earliest coverage found is from ${this.day(earliest.date)}.`
+        : `The earliest coverage found (${this.day(earliest.date)}) fits the time the claim implies.`;
+    }
+
+    return {
+      status,
+      claim_time: claimTime,
+      earliest_evidence: earliest,
+      age_days: ageDays,
+      recirculation,
+      explanation
+    };
+  }
+
+  /**
+   * Find the time a claim implies
+   * @param {string} text - Claim text (original and English)
+   * @param {number} now - Current time in ms
+   * @returns {Object} { type, date, precision, text }
+   */
+  parseClaimTime(text, now) {
+    for (const { precision, pattern, parse } of DATE_PATTERNS) {
+      const match = text.match(pattern);
+      if (!match) continue;
+
+      const [year, month, day] = parse(match).map(Number);
+      const date = new Date(Date.UTC(year, month - 1, day));
+      if (month < 1 || month > 12 || date.getUTCDate() !== day || date.getTime() > now) continue;
+
+      return { type: 'explicit', date: date.toISOString().substring(0, 10), precision, text: match[0] };
+    }
+
+    const recent = text.match(RECENCY_PATTERN);
+    if (recent) {
+      return { type: 'recent', date: null, precision: null, text: recent[0] };
+    }
+
+    return { type: 'undated', date: null, precision: null, text: null };
+  }
+
+  /**
+   * Earliest publish date among evidence about the claim's own story;
+   * refuting and unrelated sources don't date the event
+   * @param {Array} evidence - Evidence with publishDate and stance
+   * @param {number} now - Current time in ms
+   * @returns {Object|null} { url, date }
+   */
+  findEarliestEvidence(evidence, now) {
+    let earliest = null;
+
+    for (const e of evidence) {
+      if (e.stance && !RELEVANT_STANCES.includes(e.stance.label)) continue;
+
+      const published = e.publishDate ? Date.parse(e.publishDate) : NaN;
+      // Future dates are parsing or feed errors
+      if (Number.isNaN(published) || published > now) continue;
+
+      if (!earliest || published < earliest.time) {
+        earliest = { url: e.url, time: published };
+      }
+    }
+
+    return earliest && { url: earliest.url, date: new Date(earliest.time).toISOString() };
+  }
+
+  /**
+   * First confident, non-supporting source saying the content is old
+   * @param {Array} evidence - Evidence with stance
+   * @returns {Object|null} { url, span, date }
+   */
+  findRecirculation(evidence) {
+    for (const e of evidence) {
+      if (!stanceService.isConfident(e.stance)) continue;
+      if (!['refutes', 'discusses'].includes(e.stance.label)) continue;
+
+      const text = `${e.title || ''}. ${e.snippet || ''}`;
+      const match = text.match(RECIRCULATION_PATTERN);
+      if (!match) continue;
+
+      // Quote the sentence the signal appears in
+      const sentence = text.split(/(?<=[.!?।])\s+/).find(s => s.includes(match[0])) || match[0];
+      const published = e.publishDate ? Date.parse(e.publishDate) : NaN;
+      return {
+        url: e.url,
+        span: sentence.trim(),
+        date: Number.isNaN(published) ? null : new Date(published).toISOString()
+      };
+    }
+    return null;
+  }
+
+  /**
+   * Human-readable age: days, months or years
+   */
+  describeAge(days) {
+    if (days >= 730) return `${Math.floor(days / 365)} years`;
+    if (days >= 60) return `${Math.floor(days / 30)} months`;
+    return `${days} days`;
+  }
+
+  day(iso) {
+    return iso.substring(0, 10);
+  }
+
+  domain(url) {
+    try {
+      return new URL(url).hostname.replace('www.', '');
+    } catch {
+      return 'a source';
+    }
+  }
+}
+
+// Export singleton instance
+module.exports = new TemporalService();
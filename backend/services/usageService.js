@@ -0,0 +1,259 @@
+/**
+ * Usage Service
+ *
+ * Meters verification requests: each one becomes a UsageRecord naming its
+ * API key, operation and outcome, with the LLM tokens it used and their
+ * cost. LLM calls find their request through AsyncLocalStorage, the way
+ * cassettes do (services/cassetteService.js), so no call site needs to
+ * pass it along. Calls replayed from a cassette cost nothing and are not
+ * counted.
+ *
+ * Prices are USD per million tokens by model, from config/llmPricing.json
+ * (or LLM_PRICING_FILE); the longest model name prefix wins, so dated
+ * snapshots (gpt-4o-2024-08-06) use their family's price.
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const logger = require('../utils/logger');
+const UsageRecord = require('../models/UsageRecord');
+const apiKeyService = require('./apiKeyService');
+
+const DEFAULT_PRICING_FILE = path.join(__dirname, '..', 'config', 'llmPricing.json');
+
+const DEFAULT_REPORT_DAYS = 30;
+
+// Costs are kept to a millionth of a dollar
+const roundUsd = (value) => Math.round(value * 1e6) / 1e6;
+
+class UsageService {
+  constructor() {
+    const file = process.env.LLM_PRICING_FILE || DEFAULT_PRICING_FILE;
+    this.pricing = JSON.parse(fs.readFileSync(file, 'utf8'));
+    this.unpriced = new Set();
+    this.storage = new AsyncLocalStorage();
+  }
+
+  /**
+   * Start metering a request
+   * @param {Object} params - { apiKey?, operation, agents?, deepMode?, quotaCounted? }
+   * @returns {Object} Usage accumulator, for run() and finish()
+   */
+  start({ apiKey, operation, agents, deepMode, quotaCounted }) {
+    return {
+      apiKey: apiKey || null,
+      operation,
+      quotaCounted: !!quotaCounted,
+      agents,
+      deepMode: !!deepMode,
+      startedAt: Date.now(),
+      fields: {},
+      sites: new Map(),
+      deferred: false,
+      finished: false
+    };
+  }
+
+  /**
+   * Run a function with LLM calls counted against a usage accumulator
+   * @param {Object} usage - From start()
+   * @param {Function} fn
+   * @returns {*} fn's result
+   */
+  run(usage, fn) {
+    return this.storage.run(usage, fn);
+  }
+
+  /**
+   * Usage accumulator of the current request, if metered
+   * @returns {Object|undefined}
+   */
+  current() {
+    return this.storage.getStore();
+  }
+
+  /**
+   * Count an LLM call against the current request. Called by the LLM
+   * gateway for every completion a provider returns.
+   * @param {Object} params - { site, provider, model, usage } (OpenAI-shaped usage)
+   */
+  recordLlm({ site, provider, model, usage }) {
+    const current = this.current();
+    if (!current) return;
+
+    const key = `${site}:${model}`;
+    const entry = current.sites.get(key) ||
+      { site, provider, model, calls: 0, promptTokens: 0, completionTokens: 0 };
+
+    entry.calls += 1;
+    entry.promptTokens += usage?.prompt_tokens || 0;
+    entry.completionTokens += usage?.completion_tokens || 0;
+    current.sites.set(key, entry);
+  }
+
+  /**
+   * Attach fields to the current request's record (e.g. its graph hash)
+   * @param {Object} fields - UsageRecord fields
+   */
+  annotate(fields) {
+    const current = this.current();
+    if (current) Object.assign(current.fields, fields);
+  }
+
+  /**
+   * Take over finishing the current request's record, for work that
+   * outlives the HTTP response (verification jobs)
+   * @returns {Object|undefined} Usage accumulator
+   */
+  defer() {
+    const current = this.current();
+    if (current) current.deferred = true;
+    return current;
+  }
+
+  /**
+   * Cost of tokens on a model
+   * @param {string} model
+   * @param {number} promptTokens
+   * @param {number} completionTokens
+   * @returns {number} USD
+   */
+  cost(model, promptTokens, completionTokens) {
+    const match = Object.keys(this.pricing)
+      .filter(name => model === name || model?.startsWith(`${name}-`))
+      .sort((a, b) => b.length - a.length)[0];
+
+    if (!match) {
+      if (!this.unpriced.has(model)) {
+        this.unpriced.add(model);
+        logger.warn('No price for LLM model; its usage is recorded at no cost', { model });
+      }
+      return 0;
+    }
+
+    const { input, output } = this.pricing[match];
+    return (promptTokens * input + completionTokens * output) / 1e6;
+  }
+
+  /**
+   * Save a request's usage record. A failed verification gives its quota
+   * back. Never throws; runs once per accumulator.
+   * @param {Object} usage - From start()
+   * @param {string} status - succeeded or failed
+   * @returns {Promise<Object|null>} Saved UsageRecord
+   */
+  async finish(usage, status) {
+    if (!usage || usage.finished) return null;
+    usage.finished = true;
+
+    if (status === 'failed' && usage.apiKey && usage.quotaCounted) {
+      await apiKeyService.refundQuota(usage.apiKey);
+    }
+
+    const sites = [...usage.sites.values()].map(entry => ({
+      ...entry,
+      costUsd: roundUsd(this.cost(entry.model, entry.promptTokens, entry.completionTokens))
+    }));
+    const sum = (field) => sites.reduce((total, entry) => total + entry[field], 0);
+
+    try {
+      return await UsageRecord.create({
+        apiKey: usage.apiKey?._id,
+        keyPrefix: usage.apiKey?.prefix,
+        operation: usage.operation,
+        status,
+        agents: usage.agents,
+        deepMode: usage.deepMode,
+        durationMs: Date.now() - usage.startedAt,
+        ...usage.fields,
+        llm: {
+          calls: sum('calls'),
+          promptTokens: sum('promptTokens'),
+          completionTokens: sum('completionTokens'),
+          costUsd: roundUsd(sum('costUsd')),
+          sites
+        }
+      });
+    } catch (error) {
+      logger.error('Failed to save usage record', {
+        operation: usage.operation,
+        prefix: usage.apiKey?.prefix,
+        error: error.message
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Usage summary over a period: totals, per day and per operation
+   * @param {Object} params - { apiKey? (all keys when omitted), from?, to? }
+   * @returns {Promise<Object>}
+   */
+  async report({ apiKey, from, to } = {}) {
+    const end = to ? new Date(to) : new Date();
+    const start = from ? new Date(from) : new Date(end.getTime() - DEFAULT_REPORT_DAYS * 24 * 60 * 60 * 1000);
+
+    const match = { createdAt: { $gte: start, $lte: end } };
+    if (apiKey) match.apiKey = new mongoose.Types.ObjectId(String(apiKey._id || apiKey));
+
+    const totals = {
+      requests: { $sum: 1 },
+      succeeded: { $sum: { $cond: [{ $eq: ['$status', 'succeeded'] }, 1, 0] } },
+      failed: { $sum: { $cond: [{ $eq: ['$status', 'failed'] }, 1, 0] } },
+      llmCalls: { $sum: '$llm.calls' },
+      promptTokens: { $sum: '$llm.promptTokens' },
+      completionTokens: { $sum: '$llm.completionTokens' },
+      costUsd: { $sum: '$llm.costUsd' }
+    };
+
+    const [result] = await UsageRecord.aggregate([
+      { $match: match },
+      {
+        $facet: {
+          total: [{ $group: { _id: null, ...totals } }],
+          byDay: [
+            { $group: { _id: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } }, ...totals } },
+            { $sort: { _id: 1 } }
+          ],
+          byOperation: [
+            { $group: { _id: '$operation', ...totals } },
+            { $sort: { _id: 1 } }
+          ]
+        }
+      }
+    ]);
+
+    return {
+      from: start.toISOString(),
+      to: end.toISOString(),
+      total: this.formatTotals(result?.total[0]),
+      by_day: (result?.byDay || []).map(row => ({ day: row._id, ...this.formatTotals(row) })),
+      by_operation: (result?.byOperation || []).map(row => ({ operation: row._id, ...this.formatTotals(row) }))
+    };
+  }
+
+  /**
+   * Shape aggregated usage for API responses
+   * @param {Object} [row] - $group output
+   * @returns {Object}
+   */
+  formatTotals(row = {}) {
+    const promptTokens = row.promptTokens || 0;
+    const completionTokens = row.completionTokens || 0;
+
+    return {
+      requests: row.requests || 0,
+      succeeded: row.succeeded || 0,
+      failed: row.failed || 0,
+      llm_calls: row.llmCalls || 0,
+      prompt_tokens: promptTokens,
+      completion_tokens: completionTokens,
+      total_tokens: promptTokens + completionTokens,
+      cost_usd: roundUsd(row.costUsd || 0)
+    };
+  }
+}
+
+module.exports = new UsageService();
@@ -0,0 +1,365 @@
+/**
+ * Verification Store Service
+ *
+ * The one place verification results are written to the database, for
+ * every channel: the web app and API, verification jobs, the extension,
+ * the Telegram, WhatsApp and Twitter bots, and scheduled rechecks. Each
+ * record keeps its channel (`request.source`), an anonymized requester and
+ * the message context, so bot traffic shows up in /recent, /stats and the
+ * feed next to web requests.
+ *
+ * Requesters (chat user ids, phone numbers, IP addresses) are never stored
+ * as given, only as an HMAC keyed with REQUESTER_HASH_SECRET. The same
+ * requester on the same channel always maps to the same value, but it
+ * can't be reversed without the secret.
+ */
+
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const SourceGraph = require('../models/SourceGraph');
+const AgentReport = require('../models/AgentReport');
+const agentRegistry = require('./agentRegistry');
+const graphService = require('./graphService');
+const reviewService = require('./reviewService');
+const recheckService = require('./recheckService');
+const watchService = require('./watchService');
+const domainReputationService = require('./domainReputationService');
+const sourceNetworkService = require('./sourceNetworkService');
+const blockchainService = require('./blockchainService');
+
+const VERDICTS = ['true', 'false', 'mixed', 'unknown'];
+
+// Verdicts of the extension page analysis (/extension/analyze)
+const ANALYSIS_VERDICTS = {
+  'true': 'true',
+  'false': 'false',
+  'misleading': 'mixed',
+  'partially true': 'mixed',
+  'unverifiable': 'unknown'
+};
+
+// Required in production (server.js). Elsewhere, requesters still can't
+// be reversed without it, but their hashes change on every restart.
+const REQUESTER_SECRET = process.env.REQUESTER_HASH_SECRET || crypto.randomBytes(32).toString('hex');
+
+class VerificationStoreService {
+  /**
+   * Persist a verification result (source graph + agent reports).
+   * Failures are logged and swallowed so the caller can still return the result.
+   * @param {Object} result - Orchestrator verification result
+   * @param {Object} context - Request context
+   * @param {string} context.source - Channel: frontend, extension, telegram, whatsapp, twitter or recheck
+   * @param {string} context.url - Original URL (optional)
+   * @param {string} context.text - Text submitted instead of a URL (optional)
+   * @param {number} context.processingTimeMs - Total processing time
+   * @param {string} context.requester - User id, phone number or IP; stored anonymized (optional)
+   * @param {Object} context.message - { kind, chatType, messageId, inReplyTo, pageTitle } (optional)
+   * @param {boolean} context.testMode - Test runs are not stored
+   * @param {string} context.revisionOf - Original graph hash when saving a recheck (optional)
+   * @param {number} context.revision - Revision number when saving a recheck (optional)
+   * @returns {Promise<Object|null>} Saved (or already stored) SourceGraph document, or null
+   */
+  async save(result, { source, url, text, processingTimeMs, requester, message, testMode, revisionOf, revision }) {
+    if (testMode || result.metadata?.test_mode) return null;
+
+    try {
+      const sourceGraph = new SourceGraph({
+        hash: result.source_graph.hash,
+        hashVersion: result.source_graph.hash_version || 1,
+        claim: result.metadata?.claim || url,
+        language: result.language,
+        englishClaim: result.metadata?.english_claim,
+        nodes: result.source_graph.nodes || [],
+        edges: result.source_graph.edges || [],
+        clusters: [],
+        claims: (result.claims || []).map(claim => ({
+          claimId: claim.id,
+          text: claim.claim,
+          englishText: claim.english_claim,
+          type: claim.type,
+          verifiability: claim.verifiability,
+          verdict: this.normalizeVerdict(claim.verdict),
+          accuracyScore: claim.accuracy_score,
+          confidence: claim.confidence,
+          summary: claim.summary,
+          evidenceLinks: claim.evidence_links,
+          influence: claim.influence,
+          droveVerdict: claim.drove_verdict,
+          temporal: this.toTemporalDoc(claim.temporal),
+          aggregation: this.toAggregationDoc(claim.aggregation)
+        })),
+        metadata: {
+          sourceCount: result.metadata?.evidence_count,
+          nodeCount: result.source_graph.nodes?.length || 0,
+          edgeCount: result.source_graph.edges?.length || 0,
+          aiEnhanced: result.source_graph.metadata?.aiEnhanced ?? true
+        },
+        blockchain: {
+          provider: blockchainService.provider,
+          transactionHash: result.blockchain_hash,
+          ...(result.blockchain_status && { status: result.blockchain_status })
+        },
+        verification: {
+          verdict: this.normalizeVerdict(result.verdict),
+          accuracyScore: result.accuracy_score,
+          confidence: result.confidence,
+          mode: result.claims?.length ? 'multi_claim' : 'single_claim',
+          rollupSummary: result.metadata?.claim_rollup?.summary,
+          temporal: this.toTemporalDoc(result.metadata?.temporal),
+          aggregation: this.toAggregationDoc(result.metadata?.aggregation)
+        },
+        request: {
+          source,
+          originalUrl: url,
+          originalText: url ? undefined : text,
+          processingTimeMs,
+          cassetteId: result.metadata?.cassette?.mode === 'record' ? result.metadata.cassette.id : undefined,
+          requester: this.anonymize(source, requester),
+          context: message
+        },
+        // Reruns are reviewed and rescheduled through their original
+        ...(revisionOf
+          ? { revisionOf, revision }
+          : {
+              // Queue for editor review when the verdict needs a second look
+              ...reviewService.triage(result),
+              // Recheck unsettled verdicts as the story develops
+              ...recheckService.initialSchedule(result)
+            })
+      });
+
+      await sourceGraph.save();
+
+      // Save agent reports (per claim in multi-claim mode)
+      const reportIds = [];
+      if (result.claims?.length) {
+        for (const [index, claim] of result.claims.entries()) {
+          for (const report of claim.agent_reports || []) {
+            const saved = await this.saveAgentReport(sourceGraph._id, report, claim.verdict, claim.id);
+            sourceGraph.claims[index].agentReports.push(saved._id);
+            reportIds.push(saved._id);
+          }
+        }
+      } else {
+        for (const report of result.agent_reports || []) {
+          const saved = await this.saveAgentReport(sourceGraph._id, report, result.verdict);
+          reportIds.push(saved._id);
+        }
+      }
+
+      sourceGraph.verification.agentReports = reportIds;
+      await sourceGraph.save();
+
+      // Score the sources against the verdict and add them to the source
+      // network (reruns would count them twice)
+      if (!revisionOf) {
+        await domainReputationService.recordOutcome(sourceGraph, { verdict: sourceGraph.verification.verdict, source: 'consensus' });
+        await sourceNetworkService.ingest(sourceGraph);
+      }
+
+      // Alert topic watchers in the background (reruns alert through their original)
+      if (!revisionOf) {
+        watchService.onVerification(sourceGraph);
+      }
+
+      return sourceGraph;
+    } catch (dbError) {
+      // The same story with the same evidence hashes to an existing graph
+      if (dbError.code === 11000) {
+        logger.info('Verification already stored', { hash: result.source_graph?.hash, source });
+        return SourceGraph.findByHash(result.source_graph.hash).catch(() => null);
+      }
+
+      logger.warn('Database save failed (non-blocking)', { error: dbError.message, source });
+      return null;
+    }
+  }
+
+  /**
+   * Source graph of an extension page analysis, built from the gathered
+   * evidence without the AI pass; the graph saveAnalysis() stores
+   * @param {Object} context - url, title, pageSummary and evidence, as for saveAnalysis()
+   * @returns {Promise<Object>} Graph with its hash
+   */
+  analysisGraph({ url, title, pageSummary, evidence = [] }) {
+    return graphService.buildGraph(title || url || pageSummary, this.analysisSources(evidence), { aiEnhance: false });
+  }
+
+  /**
+   * Distinct sources across a page analysis's claims; the same source
+   * often answers several claims
+   * @param {Array} evidence - [{ claim, evidence: [source] }]
+   * @returns {Array} Sources with a URL, first occurrence of each
+   */
+  analysisSources(evidence) {
+    const sources = [];
+    const seen = new Set();
+    for (const source of evidence.flatMap(item => item.evidence || [])) {
+      if (!source.url || seen.has(source.url)) continue;
+      seen.add(source.url);
+      sources.push(source);
+    }
+    return sources;
+  }
+
+  /**
+   * Persist an extension page analysis, which runs its own GPT and search
+   * pipeline instead of the orchestrator. The source graph is rebuilt from
+   * the gathered evidence without the AI pass, so storing costs no extra
+   * model calls.
+   * @param {Object} analysis - Final verdict from the page analysis
+   * @param {Object} context - Request context
+   * @param {string} context.url - Page URL (optional)
+   * @param {string} context.title - Page title (optional)
+   * @param {string} context.pageSummary - Summary of the page
+   * @param {Array} context.evidence - [{ claim, evidence: [source] }] per verified claim
+   * @param {Object} context.graph - Graph from analysisGraph(), when already built (optional)
+   * @param {number} context.processingTimeMs - Total processing time
+   * @param {string} context.requester - IP address; stored anonymized (optional)
+   * @returns {Promise<Object|null>} Saved SourceGraph document, or null
+   */
+  async saveAnalysis(analysis, { url, title, pageSummary, evidence = [], graph, processingTimeMs, requester }) {
+    try {
+      const claim = title || url || pageSummary;
+      const sources = this.analysisSources(evidence);
+
+      if (!graph) {
+        graph = await graphService.buildGraph(claim, sources, { aiEnhance: false });
+      }
+
+      return this.save({
+        verdict: this.normalizeAnalysisVerdict(analysis.overall_verdict),
+        confidence: this.toConfidence(analysis.confidence_score),
+        summary: analysis.summary,
+        claims: (analysis.claim_verdicts || []).filter(verdict => verdict.claim).map((verdict, index) => ({
+          id: `claim_${index + 1}`,
+          claim: verdict.claim,
+          verdict: this.normalizeAnalysisVerdict(verdict.verdict),
+          confidence: this.toConfidence(verdict.confidence),
+          summary: verdict.evidence_summary,
+          evidence_links: verdict.sources
+        })),
+        source_graph: {
+          hash: graph.hash,
+          hash_version: graph.hashVersion,
+          nodes: graph.nodes,
+          edges: graph.edges,
+          metadata: graph.metadata
+        },
+        metadata: {
+          claim,
+          evidence_count: sources.length
+        }
+      }, {
+        source: 'extension',
+        url,
+        processingTimeMs,
+        requester,
+        message: { kind: 'page', pageTitle: title }
+      });
+    } catch (error) {
+      logger.warn('Page analysis save failed (non-blocking)', { error: error.message, url });
+      return null;
+    }
+  }
+
+  /**
+   * Map a page analysis verdict (True, Misleading, ...) onto a stored verdict
+   */
+  normalizeAnalysisVerdict(verdict) {
+    return ANALYSIS_VERDICTS[String(verdict || '').toLowerCase()] || 'unknown';
+  }
+
+  /**
+   * Convert a 0-100 confidence score to 0-1
+   */
+  toConfidence(score) {
+    return typeof score === 'number' ? Math.min(Math.max(score / 100, 0), 1) : undefined;
+  }
+
+  /**
+   * Keyed hash of a requester, scoped to its channel
+   * @param {string} source - Channel
+   * @param {string|number} requester - User id, phone number or IP (optional)
+   * @returns {string|undefined}
+   */
+  anonymize(source, requester) {
+    if (requester === undefined || requester === null || requester === '') return undefined;
+
+    return crypto.createHmac('sha256', REQUESTER_SECRET)
+      .update(`${source}:${requester}`)
+      .digest('hex')
+      .substring(0, 32);
+  }
+
+  /**
+   * Save a single agent report linked to a source graph
+   * @param {ObjectId} sourceGraphId - Parent SourceGraph ID
+   * @param {Object} report - Formatted agent report
+   * @param {string} finalVerdict - Verdict the report is compared against
+   * @param {string} claimId - Claim ID in multi-claim mode (optional)
+   * @returns {Promise<Object>} Saved AgentReport document
+   */
+  async saveAgentReport(sourceGraphId, report, finalVerdict, claimId = null) {
+    const agentReport = new AgentReport({
+      sourceGraphId,
+      claimId,
+      agentName: report.agent_name,
+      agentType: agentRegistry.resolveType(report.agent_name),
+      credibilityScore: report.credibility_score,
+      confidence: report.confidence || 0.5,
+      verdict: this.normalizeVerdict(report.verdict),
+      summary: report.summary,
+      detailedReasoning: report.reasoning,
+      evidenceLinks: report.evidence_links,
+      agreedWithFinal: report.verdict === finalVerdict
+    });
+    return agentReport.save();
+  }
+
+  /**
+   * Map a temporal check onto the stored TemporalSchema shape
+   * @param {Object} temporal - temporalService.analyze() result (optional)
+   * @returns {Object|undefined} Stored temporal finding
+   */
+  toTemporalDoc(temporal) {
+    if (!temporal) return undefined;
+    return {
+      status: temporal.status,
+      explanation: temporal.explanation,
+      claimDate: temporal.claim_time?.date || undefined,
+      earliestEvidenceDate: temporal.earliest_evidence?.date,
+      earliestEvidenceUrl: temporal.earliest_evidence?.url
+    };
+  }
+
+  /**
+   * Map an aggregation audit onto the stored AggregationSchema shape
+   * @param {Object} aggregation - Aggregation block from the orchestrator (optional)
+   * @returns {Object|undefined} Stored aggregation audit
+   */
+  toAggregationDoc(aggregation) {
+    if (!aggregation?.method) return undefined;
+    return {
+      method: aggregation.method,
+      deterministicVerdict: this.normalizeVerdict(aggregation.deterministic?.verdict),
+      deterministicAccuracy: aggregation.deterministic?.accuracy_score,
+      disagreement: !!aggregation.disagreement?.flagged,
+      disagreementReasons: aggregation.disagreement?.reasons || []
+    };
+  }
+
+  /**
+   * Normalize verdict string
+   */
+  normalizeVerdict(verdict) {
+    const normalized = verdict?.toLowerCase();
+    if (VERDICTS.includes(normalized)) {
+      return normalized;
+    }
+    return 'unknown';
+  }
+}
+
+// Export singleton instance
+module.exports = new VerificationStoreService();
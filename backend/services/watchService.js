@@ -0,0 +1,689 @@
+/**
+ * Watch Service
+ *
+ * Topic and claim watchlists with push alerts. A topic watch ("election",
+ * "vaccine", a politician's name) fires when a new verification mentions
+ * the topic, or when the verdict of a matching verification changes. A
+ * claim watch fires when that verification's verdict changes, either on a
+ * recheck (services/recheckService.js) or by an editor decision
+ * (services/reviewService.js).
+ *
+ * Alerts go out over the Telegram, WhatsApp and Twitter bots, or by email
+ * through an HTTP email API (EMAIL_API_URL). A recipient with several
+ * matching watches gets one alert per event. Watches are managed with the
+ * /watch, /unwatch and /watches bot commands (see handleCommand) and the
+ * /api/v1/watches API.
+ *
+ * Only confirmed watches are alerted. A bot user confirms a watch by
+ * asking for it; a watch created through the API belongs to the caller's
+ * API key and waits until its recipient opens the confirmation link sent
+ * to them, so the API can't be used to message people who didn't ask.
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const logger = require('../utils/logger');
+const Watch = require('../models/Watch');
+const SourceGraph = require('../models/SourceGraph');
+const languageService = require('./languageService');
+const { getMessages, formatVerdict } = require('../utils/botMessages');
+
+// Configuration
+const CONFIG = {
+  MAX_PER_RECIPIENT: parseInt(process.env.WATCH_MAX_PER_RECIPIENT, 10) || 25,
+  // Unconfirmed API watches per recipient, each of which sent a message
+  MAX_PENDING_PER_RECIPIENT: 3,
+  CONFIRMATION_TTL_MS: 7 * 24 * 60 * 60 * 1000,
+  // A watch is deactivated after this many failed deliveries in a row
+  MAX_FAILURES: 5,
+  MIN_TOPIC_LENGTH: 3,
+  MAX_TOPIC_LENGTH: 100,
+  EMAIL_TIMEOUT_MS: 10000
+};
+
+const CHANNELS = ['telegram', 'whatsapp', 'twitter', 'email'];
+
+const GRAPH_HASH_PATTERN = /^[a-f0-9]{64}$/i;
+const COMMAND_PATTERN = /^\/(watch|unwatch|watches)(?:@\w+)?(?:\s+([\s\S]*))?$/i;
+
+class WatchError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'WatchError';
+    this.status = status;
+  }
+}
+
+/**
+ * Digest under which a confirmation token is stored
+ * @param {string} token
+ * @returns {string} Hex SHA-256
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+class WatchService {
+  /**
+   * Lower-case a topic or text and reduce it to words separated by single
+   * spaces, so topics match on whole words in any script
+   * @param {string} text
+   * @returns {string}
+   */
+  normalize(text) {
+    return String(text || '')
+      .normalize('NFKC')
+      .toLowerCase()
+      .replace(/[^\p{L}\p{M}\p{N}]+/gu, ' ')
+      .trim();
+  }
+
+  /**
+   * Create a watch, or return the existing one (reactivated) for the same
+   * recipient and topic or claim. With an owner (API watches) the
+   * recipient is sent a confirmation link; without one (bot watches) the
+   * recipient is the one asking, so the watch is confirmed.
+   * @param {Object} params - { channel, recipient, topic?, claimHash?, language?, owner? }
+   * @returns {Promise<Object>} { watch, created }
+   */
+  async create({ channel, recipient, topic, claimHash, language, owner }) {
+    if (!CHANNELS.includes(channel)) {
+      throw new WatchError(`channel must be one of: ${CHANNELS.join(', ')}`);
+    }
+    if (!recipient) {
+      throw new WatchError('recipient is required');
+    }
+    if (!topic === !claimHash) {
+      throw new WatchError('Provide either a topic or a claim hash');
+    }
+
+    const fields = { channel, recipient: this.normalizeRecipient(channel, recipient) };
+
+    if (topic) {
+      const normalizedTopic = this.normalize(topic);
+      if (normalizedTopic.length < CONFIG.MIN_TOPIC_LENGTH || normalizedTopic.length > CONFIG.MAX_TOPIC_LENGTH) {
+        throw new WatchError(`Topic must be between ${CONFIG.MIN_TOPIC_LENGTH} and ${CONFIG.MAX_TOPIC_LENGTH} characters`);
+      }
+      Object.assign(fields, { type: 'topic', topic: topic.trim(), normalizedTopic, claimHash: null });
+    } else {
+      // Watching a rerun watches the story it belongs to
+      const doc = await this.loadVerification(claimHash);
+      Object.assign(fields, { type: 'claim', claimHash: doc.hash, claim: doc.claim, normalizedTopic: null });
+    }
+
+    const existing = await Watch.findOne({
+      channel: fields.channel,
+      recipient: fields.recipient,
+      type: fields.type,
+      normalizedTopic: fields.normalizedTopic,
+      claimHash: fields.claimHash
+    });
+    if (owner && existing && !existing.owner?.equals(owner)) {
+      throw new WatchError('This recipient already has this watch', 409);
+    }
+
+    if (existing?.active) {
+      if (!owner && !existing.confirmed) {
+        this.markConfirmed(existing);
+        await existing.save();
+      } else if (owner && !existing.confirmed && this.confirmationExpired(existing)) {
+        await this.checkPending(fields);
+        Object.assign(existing, await this.sendConfirmation(existing));
+        await existing.save();
+      }
+      return { watch: existing, created: false };
+    }
+
+    const count = await Watch.countDocuments({ channel: fields.channel, recipient: fields.recipient, active: true });
+    if (count >= CONFIG.MAX_PER_RECIPIENT) {
+      throw new WatchError(`A recipient can have at most ${CONFIG.MAX_PER_RECIPIENT} watches`, 409);
+    }
+
+    if (existing) {
+      Object.assign(existing, { active: true, consecutiveFailures: 0, lastError: undefined });
+      if (language) existing.language = language;
+      if (!owner) {
+        this.markConfirmed(existing);
+      } else if (!existing.confirmed) {
+        await this.checkPending(fields);
+        Object.assign(existing, await this.sendConfirmation(existing));
+      }
+      await existing.save();
+      logger.info('Watch reactivated', { id: existing.id, channel, type: existing.type });
+      return { watch: existing, created: false };
+    }
+
+    const pending = { ...fields, language: language || 'en' };
+    if (owner) {
+      await this.checkPending(fields);
+      Object.assign(pending, { owner, confirmed: false }, await this.sendConfirmation(pending));
+    } else {
+      this.markConfirmed(pending);
+    }
+
+    const watch = await Watch.create(pending);
+    logger.info('Watch created', { id: watch.id, channel, type: watch.type, confirmed: watch.confirmed });
+    return { watch, created: true };
+  }
+
+  /**
+   * Confirm a watch from the link sent to its recipient
+   * @param {string} token - Confirmation token from the link
+   * @returns {Promise<Object>} Watch document
+   */
+  async confirm(token) {
+    const watch = await Watch.findOne({ confirmationHash: hashToken(token), active: true });
+    if (!watch || this.confirmationExpired(watch)) {
+      throw new WatchError('This confirmation link is invalid or has expired', 404);
+    }
+
+    this.markConfirmed(watch);
+    await watch.save();
+    logger.info('Watch confirmed', { id: watch.id, channel: watch.channel, type: watch.type });
+    return watch;
+  }
+
+  /**
+   * Set a watch's confirmation fields (not saved)
+   * @param {Object} watch - Watch document or fields
+   */
+  markConfirmed(watch) {
+    Object.assign(watch, { confirmed: true, confirmedAt: new Date(), confirmationHash: undefined });
+  }
+
+  /**
+   * Whether an unconfirmed watch's link is no longer valid
+   * @param {Object} watch - Watch document
+   * @returns {boolean}
+   */
+  confirmationExpired(watch) {
+    return !watch.confirmationSentAt || Date.now() - watch.confirmationSentAt > CONFIG.CONFIRMATION_TTL_MS;
+  }
+
+  /**
+   * Throw when a recipient already has too many watches waiting for
+   * confirmation, each of which sent them a message
+   * @param {Object} fields - { channel, recipient }
+   */
+  async checkPending({ channel, recipient }) {
+    const pending = await Watch.countDocuments({
+      channel,
+      recipient,
+      active: true,
+      confirmed: false,
+      confirmationSentAt: { $gt: new Date(Date.now() - CONFIG.CONFIRMATION_TTL_MS) }
+    });
+    if (pending >= CONFIG.MAX_PENDING_PER_RECIPIENT) {
+      throw new WatchError('This recipient has not confirmed earlier watches yet', 429);
+    }
+  }
+
+  /**
+   * Send a watch's recipient the link that confirms it
+   * @param {Object} watch - Watch document or fields
+   * @returns {Promise<Object>} { confirmationHash, confirmationSentAt } to store
+   */
+  async sendConfirmation(watch) {
+    if (!this.isAvailable(watch.channel)) {
+      throw new WatchError(`Alerts over ${watch.channel} are not configured`, 503);
+    }
+
+    const token = crypto.randomBytes(24).toString('base64url');
+    try {
+      await this.deliver(watch.channel, watch.recipient, this.confirmationAlert(watch, token));
+    } catch (error) {
+      logger.error('Watch confirmation delivery failed', { channel: watch.channel, error: error.message });
+      throw new WatchError('The confirmation message could not be delivered to the recipient', 502);
+    }
+
+    return { confirmationHash: hashToken(token), confirmationSentAt: new Date() };
+  }
+
+  /**
+   * List an API key's watches
+   * @param {Object} filters - { owner, channel, recipient, type, active, page, limit }
+   * @returns {Promise<Object>} { items, total, page, limit }
+   */
+  async list({ owner, channel, recipient, type, active, page = 1, limit = 20 }) {
+    const filter = { owner };
+    if (channel) filter.channel = channel;
+    if (channel && recipient) filter.recipient = this.normalizeRecipient(channel, recipient);
+    else if (recipient) filter.recipient = recipient;
+    if (type) filter.type = type;
+    if (active !== undefined) filter.active = active;
+
+    const [items, total] = await Promise.all([
+      Watch.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Watch.countDocuments(filter)
+    ]);
+
+    return { items: items.map(watch => this.format(watch)), total, page, limit };
+  }
+
+  /**
+   * Get one of an API key's watches by ID
+   * @param {string} id
+   * @param {Object} owner - ApiKey ID
+   * @returns {Promise<Object>} Watch document
+   */
+  async get(id, owner) {
+    const watch = await Watch.findById(id).catch(() => null);
+    if (!watch || !watch.owner?.equals(owner)) {
+      throw new WatchError('Watch not found', 404);
+    }
+    return watch;
+  }
+
+  /**
+   * Delete one of an API key's watches by ID
+   * @param {string} id
+   * @param {Object} owner - ApiKey ID
+   * @returns {Promise<Object>} The deleted watch
+   */
+  async remove(id, owner) {
+    const watch = await this.get(id, owner);
+    await watch.deleteOne();
+    logger.info('Watch removed', { id, channel: watch.channel, type: watch.type });
+    return watch;
+  }
+
+  /**
+   * Alert watchers of a newly saved verification whose claim mentions
+   * their topic. Never throws; delivery failures are logged.
+   * @param {Object} doc - Saved SourceGraph document
+   * @returns {Promise<number>} Alerts sent
+   */
+  async onVerification(doc) {
+    try {
+      const watches = await this.matchTopics(doc);
+      if (watches.length === 0) return 0;
+
+      return await this.notify(watches, (group) => this.newVerificationAlert(doc, group));
+    } catch (error) {
+      logger.error('Watch matching failed', { hash: doc.hash, error: error.message });
+      return 0;
+    }
+  }
+
+  /**
+   * Alert watchers of a verification whose verdict changed: watchers of
+   * the claim itself and of topics it mentions. Never throws.
+   * @param {Object} doc - Original SourceGraph document
+   * @param {Object} change - { from, to, via: 'recheck'|'editor' }
+   * @returns {Promise<number>} Alerts sent
+   */
+  async onVerdictChange(doc, change) {
+    try {
+      const [claimWatches, topicWatches] = await Promise.all([
+        Watch.find({ type: 'claim', claimHash: doc.hash, active: true, confirmed: true }),
+        this.matchTopics(doc)
+      ]);
+      const watches = [...claimWatches, ...topicWatches];
+      if (watches.length === 0) return 0;
+
+      return await this.notify(watches, (group) => this.verdictChangeAlert(doc, change, group));
+    } catch (error) {
+      logger.error('Watch matching failed', { hash: doc.hash, error: error.message });
+      return 0;
+    }
+  }
+
+  /**
+   * Active, confirmed topic watches whose topic appears as whole words in the claim
+   * (original or English) or in any of its sub-claims
+   * @param {Object} doc - SourceGraph document
+   * @returns {Promise<Array>} Matching watch documents
+   */
+  async matchTopics(doc) {
+    const texts = [
+      doc.claim,
+      doc.englishClaim,
+      ...(doc.claims || []).flatMap(c => [c.text, c.englishText])
+    ]
+      .filter(Boolean)
+      .map(text => ` ${this.normalize(text)} `);
+
+    if (texts.length === 0) return [];
+
+    const watches = await Watch.find({ type: 'topic', active: true, confirmed: true });
+    return watches.filter(watch => texts.some(text => text.includes(` ${watch.normalizedTopic} `)));
+  }
+
+  /**
+   * Send one alert per recipient and record the outcome on each watch
+   * @param {Array} watches - Matching watch documents
+   * @param {Function} buildAlert - (watches of one recipient) => { subject, text }
+   * @returns {Promise<number>} Alerts sent
+   */
+  async notify(watches, buildAlert) {
+    const groups = new Map();
+    for (const watch of watches) {
+      const key = `${watch.channel}:${watch.recipient}`;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(watch);
+    }
+
+    let sent = 0;
+    for (const group of groups.values()) {
+      const { channel, recipient } = group[0];
+      const ids = group.map(watch => watch._id);
+
+      if (!this.isAvailable(channel)) {
+        logger.warn('Watch alert skipped: channel not configured', { channel, watches: ids.length });
+        continue;
+      }
+
+      try {
+        await this.deliver(channel, recipient, buildAlert(group));
+        await Watch.updateMany(
+          { _id: { $in: ids } },
+          { $set: { lastNotifiedAt: new Date(), consecutiveFailures: 0 }, $unset: { lastError: 1 }, $inc: { notificationCount: 1 } }
+        );
+        sent++;
+      } catch (error) {
+        logger.error('Watch alert delivery failed', { channel, watches: ids.length, error: error.message });
+        await Watch.updateMany(
+          { _id: { $in: ids } },
+          { $set: { lastError: error.message }, $inc: { consecutiveFailures: 1 } }
+        );
+        // Stop alerting recipients we can't reach (blocked bot, bad address)
+        await Watch.updateMany(
+          { _id: { $in: ids }, consecutiveFailures: { $gte: CONFIG.MAX_FAILURES } },
+          { $set: { active: false } }
+        );
+      }
+    }
+
+    logger.info('Watch alerts sent', { watches: watches.length, recipients: groups.size, sent });
+    return sent;
+  }
+
+  /**
+   * Alert for a new verification matching one or more topics
+   */
+  newVerificationAlert(doc, watches) {
+    const language = watches[0].language;
+    const messages = getMessages(language);
+    const topics = watches.map(watch => `"${watch.topic}"`).join(', ');
+    const { verdict, accuracyScore } = doc.verification || {};
+
+    return {
+      subject: `SatyaTrail: new verification matching ${topics}`,
+      text: [
+        `🔔 New verification matching ${topics}`,
+        '',
+        `"${this.truncate(doc.claim, 200)}"`,
+        '',
+        `${messages.verdict}: ${formatVerdict(verdict || 'unknown', language)}`,
+        `${messages.accuracy}: ${accuracyScore ?? '-'}/100`,
+        '',
+        `🔗 ${this.detailUrl(doc.hash)}`,
+        ...this.manageHint(watches[0].channel)
+      ].join('\n')
+    };
+  }
+
+  /**
+   * Alert for a verdict change on a watched claim or topic
+   */
+  verdictChangeAlert(doc, { from, to, via }, watches) {
+    const language = watches[0].language;
+    const messages = getMessages(language);
+    const reason = via === 'editor' ? 'after editor review' : 'on re-verification';
+
+    return {
+      subject: `SatyaTrail: verdict changed to ${String(to).toUpperCase()}`,
+      text: [
+        `🔔 Verdict changed ${reason}`,
+        '',
+        `"${this.truncate(doc.claim, 200)}"`,
+        '',
+        `${messages.verdict}: ${formatVerdict(from || 'unknown', language)} → ${formatVerdict(to || 'unknown', language)}`,
+        '',
+        `🔗 ${this.detailUrl(doc.hash)}`,
+        ...this.manageHint(watches[0].channel)
+      ].join('\n')
+    };
+  }
+
+  /**
+   * Message asking a recipient to confirm a watch created through the API
+   */
+  confirmationAlert(watch, token) {
+    const subject = watch.type === 'topic'
+      ? `new verifications mentioning "${watch.topic}"`
+      : `verdict changes of the claim "${this.truncate(watch.claim, 120)}"`;
+
+    return {
+      subject: 'SatyaTrail: confirm your alerts',
+      text: [
+        `🔔 SatyaTrail alerts about ${subject} were requested for you.`,
+        '',
+        `Open this link to start receiving them: ${process.env.BASE_URL || ''}/api/v1/watches/confirm/${token}`,
+        '',
+        'If you did not ask for them, ignore this message and no alerts will be sent.'
+      ].join('\n')
+    };
+  }
+
+  manageHint(channel) {
+    return channel === 'email' ? [] : ['', 'Send /watches to manage your alerts.'];
+  }
+
+  detailUrl(hash) {
+    return `${process.env.BASE_URL || ''}/api/v1/verify/${hash}`;
+  }
+
+  truncate(text, length) {
+    const value = String(text || '');
+    return value.length > length ? `${value.substring(0, length - 3)}...` : value;
+  }
+
+  /**
+   * Whether alerts can currently be sent over a channel
+   * @param {string} channel
+   * @returns {boolean}
+   */
+  isAvailable(channel) {
+    switch (channel) {
+      case 'telegram':
+        return !!process.env.TELEGRAM_BOT_TOKEN && !!require('../telegram/bot').bot;
+      case 'whatsapp':
+        return !!process.env.TWILIO_ACCOUNT_SID && !!process.env.TWILIO_AUTH_TOKEN && !!process.env.TWILIO_WHATSAPP_NUMBER;
+      case 'twitter':
+        return !!process.env.TWITTER_BEARER_TOKEN && require('../twitter/bot').isOperational();
+      case 'email':
+        return !!process.env.EMAIL_API_URL && !!process.env.EMAIL_FROM;
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Send an alert over a channel. The bots are required here because
+   * their handlers require this service.
+   * @param {string} channel
+   * @param {string} recipient
+   * @param {Object} alert - { subject, text }
+   */
+  async deliver(channel, recipient, { subject, text }) {
+    switch (channel) {
+      case 'telegram':
+        // Plain text: claims can contain Markdown control characters
+        return require('../telegram/bot').sendMessage(recipient, text, { parse_mode: undefined });
+      case 'whatsapp':
+        return require('../whatsapp/bot').sendMessage(recipient, text);
+      case 'twitter':
+        return require('../twitter/bot').sendDM(recipient, text);
+      case 'email':
+        return this.sendEmail(recipient, subject, text);
+      default:
+        throw new WatchError(`Unknown channel: ${channel}`);
+    }
+  }
+
+  /**
+   * Send an email through an HTTP email API that accepts
+   * { from, to, subject, text } as JSON with a bearer token (e.g. Resend)
+   */
+  async sendEmail(to, subject, text) {
+    await axios.post(process.env.EMAIL_API_URL, {
+      from: process.env.EMAIL_FROM,
+      to: [to],
+      subject,
+      text
+    }, {
+      headers: process.env.EMAIL_API_KEY ? { Authorization: `Bearer ${process.env.EMAIL_API_KEY}` } : {},
+      timeout: CONFIG.EMAIL_TIMEOUT_MS
+    });
+    logger.info('Alert email sent', { subject });
+  }
+
+  /**
+   * Handle a /watch, /unwatch or /watches bot command
+   * @param {Object} params - { channel, recipient, text }
+   * @returns {Promise<string|null>} Reply text, or null if the text is not a watch command
+   */
+  async handleCommand({ channel, recipient, text }) {
+    const match = String(text || '').trim().match(COMMAND_PATTERN);
+    if (!match) return null;
+
+    const command = match[1].toLowerCase();
+    const argument = (match[2] || '').trim();
+
+    logger.bot(channel, 'Watch command', { command, hasArgument: !!argument });
+
+    try {
+      if (command === 'watches') {
+        return await this.describeWatches(channel, recipient);
+      }
+      if (!argument) {
+        return command === 'watch'
+          ? 'Send /watch followed by a topic or a verification hash.\n\nExample: /watch election'
+          : 'Send /unwatch followed by a topic, a verification hash or a number from /watches.';
+      }
+      return command === 'watch'
+        ? await this.watchFromBot(channel, recipient, argument)
+        : await this.unwatchFromBot(channel, recipient, argument);
+    } catch (error) {
+      if (error instanceof WatchError) {
+        return `⚠️ ${error.message}`;
+      }
+      logger.error('Watch command failed', { channel, command, error: error.message });
+      return '❌ Sorry, something went wrong. Please try again later.';
+    }
+  }
+
+  async watchFromBot(channel, recipient, argument) {
+    if (GRAPH_HASH_PATTERN.test(argument)) {
+      const { watch, created } = await this.create({ channel, recipient, claimHash: argument.toLowerCase() });
+      return created
+        ? `👀 Watching this claim:\n"${this.truncate(watch.claim, 200)}"\n\nI'll message you if its verdict changes.`
+        : `You're already watching this claim.`;
+    }
+
+    const { watch, created } = await this.create({
+      channel,
+      recipient,
+      topic: argument,
+      language: languageService.detect(argument).code
+    });
+    return created
+      ? `👀 Watching "${watch.topic}". I'll message you when new verifications mention it or their verdict changes.`
+      : `You're already watching "${watch.topic}".`;
+  }
+
+  async unwatchFromBot(channel, recipient, argument) {
+    const watches = await this.activeWatches(channel, recipient);
+    const index = /^\d+$/.test(argument) ? parseInt(argument, 10) - 1 : -1;
+    const normalized = this.normalize(argument);
+
+    const watch = watches[index] || watches.find(w =>
+      (w.type === 'claim' && w.claimHash === argument.toLowerCase())
+      || (w.type === 'topic' && w.normalizedTopic === normalized)
+    );
+
+    if (!watch) {
+      return `You're not watching "${argument}". Send /watches to see your list.`;
+    }
+
+    await watch.deleteOne();
+    logger.info('Watch removed', { id: watch.id, channel, type: watch.type });
+    return `✅ Stopped watching ${this.describe(watch)}.`;
+  }
+
+  async describeWatches(channel, recipient) {
+    const watches = await this.activeWatches(channel, recipient);
+    if (watches.length === 0) {
+      return 'You have no watches. Send /watch followed by a topic (e.g. /watch election) to add one.';
+    }
+
+    const lines = watches.map((watch, i) => `${i + 1}. ${this.describe(watch)}`);
+    return `👀 Your watches:\n\n${lines.join('\n')}\n\nSend /unwatch <number> to stop one.`;
+  }
+
+  activeWatches(channel, recipient) {
+    return Watch.find({ channel, recipient: this.normalizeRecipient(channel, recipient), active: true })
+      .sort({ createdAt: 1 });
+  }
+
+  describe(watch) {
+    return watch.type === 'topic'
+      ? `"${watch.topic}"`
+      : `claim "${this.truncate(watch.claim, 60)}"`;
+  }
+
+  /**
+   * Store WhatsApp numbers without Twilio's "whatsapp:" prefix and email
+   * addresses in lower case
+   */
+  normalizeRecipient(channel, recipient) {
+    const value = String(recipient).trim();
+    if (channel === 'whatsapp') return value.replace(/^whatsapp:/i, '');
+    if (channel === 'email') return value.toLowerCase();
+    return value;
+  }
+
+  /**
+   * Shape a watch for API responses
+   * @param {Object} watch - Watch document
+   * @returns {Object}
+   */
+  format(watch) {
+    return {
+      id: watch.id,
+      channel: watch.channel,
+      recipient: watch.recipient,
+      type: watch.type,
+      ...(watch.type === 'topic'
+        ? { topic: watch.topic }
+        : { claim_hash: watch.claimHash, claim: watch.claim }),
+      language: watch.language,
+      active: watch.active,
+      confirmed: !!watch.confirmed,
+      notification_count: watch.notificationCount || 0,
+      last_notified_at: watch.lastNotifiedAt?.toISOString() || null,
+      ...(watch.lastError && { last_error: watch.lastError }),
+      created_at: watch.createdAt?.toISOString()
+    };
+  }
+
+  /**
+   * Load the original verification for a hash, following `revisionOf`
+   */
+  async loadVerification(hash) {
+    let doc = await SourceGraph.findByHash(hash);
+    if (doc?.revisionOf) {
+      doc = await SourceGraph.findByHash(doc.revisionOf);
+    }
+    if (!doc) {
+      throw new WatchError('Verification not found for this hash', 404);
+    }
+    return doc;
+  }
+}
+
+// Export singleton instance
+module.exports = new WatchService();
+module.exports.WatchError = WatchError;
@@ -12,6 +12,7 @@
 const { Telegraf } = require('telegraf');
 const logger = require('../utils/logger');
 const handlers = require('./handlers');
+const { getMessages, formatVerdict, formatOutdated } = require('../utils/botMessages');
 
 class TelegramBot {
   constructor() {
@@ -190,6 +191,7 @@ class TelegramBot {
     this.bot.help(handlers.handleHelp);
     this.bot.command('verify', handlers.handleVerify);
     this.bot.command('status', handlers.handleStatus);
+    this.bot.command(['watch', 'unwatch', 'watches'], handlers.handleWatchCommand);
 
     // Handle mentions in groups - use hears with regex to catch @bot mentions
     if (this.botInfo?.username) {
@@ -311,18 +313,20 @@ class TelegramBot {
 
     const emoji = verdictEmoji[result.verdict] || '❓';
     const accuracyBar = this.createProgressBar(result.accuracy_score);
+    const messages = getMessages(result.language);
+    const outdated = formatOutdated(result, result.language);
 
     const message = `
-${emoji} *Verification Result*
+${emoji} *${messages.resultTitle}*
 
-*Verdict:* ${result.verdict.toUpperCase()}
-*Accuracy:* ${accuracyBar} ${result.accuracy_score}/100
+*${messages.verdict}:* ${formatVerdict(result.verdict, result.language)}
+*${messages.accuracy}:* ${accuracyBar} ${result.accuracy_score}/100
 
-📝 *Summary:*
-${result.agent_reports?.[0]?.summary?.substring(0, 400) || 'Analysis complete.'}
-
-🔗 *Blockchain Proof:*
-${result.blockchain_hash ? `https://sepolia.etherscan.io/tx/${result.blockchain_hash}` : 'Pending'}
+📝 *${messages.summary}:*
+${result.summary?.substring(0, 400) || result.agent_reports?.[0]?.summary?.substring(0, 400) || messages.analysisComplete}
+${outdated ? `\n${outdated}\n` : ''}
+🔗 *${messages.blockchainProof}:*
+${result.blockchain_hash ? `https://sepolia.etherscan.io/tx/${result.blockchain_hash}` : messages.pending}
     `.trim();
 
     try {
@@ -7,6 +7,10 @@
 const logger = require('../utils/logger');
 const orchestrator = require('../routes/agents/orchestrator');
 const { analyzeImageWithVision } = require('../services/imageAnalysisService');
+const languageService = require('../services/languageService');
+const watchService = require('../services/watchService');
+const verificationStoreService = require('../services/verificationStoreService');
+const { getMessages, formatVerdict, formatOutdated } = require('../utils/botMessages');
 
 // Rate limiting map (userId -> last request timestamp)
 const rateLimitMap = new Map();
@@ -64,6 +68,7 @@ You: Reply → "@veritttyBot is this true?"
 
 *Commands:*
 /verify <url or text> - Verify directly
+/watch <topic> - Get alerts about a topic
 /help - Show help
 
 Let's fight misinformation together! 💪
@@ -84,6 +89,9 @@ Reply to a message and mention me with "is this true?"
 
 *Commands:*
 /verify <url or text> - Verify content
+/watch <topic or hash> - Get alerts about a topic or claim
+/unwatch <topic or number> - Stop alerts
+/watches - List your alerts
 /status - Check bot status
 /help - Show this help message
 
@@ -155,6 +163,11 @@ Simply send me:
 📝 Detailed analysis
 🔗 Blockchain proof
 
+*Alerts:*
+• /watch election - alerts when new verifications mention a topic
+• /watch <verification hash> - alerts when a verdict changes
+• /watches and /unwatch <number> to manage them
+
 *Rate Limit:*
 One verification every 30 seconds.
 
@@ -205,6 +218,22 @@ _Last checked: ${new Date().toISOString()}_
   `, { parse_mode: 'Markdown' });
 };
 
+/**
+ * Handle /watch, /unwatch and /watches commands.
+ * Watches belong to the chat, so a group can share a newsroom watchlist.
+ */
+const handleWatchCommand = async (ctx) => {
+  const reply = await watchService.handleCommand({
+    channel: 'telegram',
+    recipient: String(ctx.chat?.id),
+    text: ctx.message?.text
+  });
+  
+  if (reply) {
+    await ctx.reply(reply);
+  }
+};
+
 /**
  * Check if bot is mentioned in message
  */
@@ -526,8 +555,11 @@ const processVerification = async (ctx, input, originalMessageId = null) => {
   const chatId = ctx.chat?.id;
   const isGroup = ctx.chat?.type === 'group' || ctx.chat?.type === 'supergroup';
   
+  // Reply in the language the user wrote in
+  const inputLanguage = languageService.detect(input).code;
+  
   // Send processing message
-  const processingMsg = await ctx.reply('🔄 Verifying... This may take a moment.', {
+  const processingMsg = await ctx.reply(getMessages(inputLanguage).processing, {
     reply_to_message_id: originalMessageId || ctx.message?.message_id
   });
   
@@ -536,12 +568,29 @@ const processVerification = async (ctx, input, originalMessageId = null) => {
     const isUrl = input.startsWith('http');
     
     // Run verification
+    const startTime = Date.now();
     const result = await orchestrator.verify({
       url: isUrl ? input : undefined,
       text: isUrl ? undefined : input,
       source: 'telegram'
     });
     
+    // Store in the background; the reply doesn't wait for the database
+    const isReply = !!originalMessageId && originalMessageId !== ctx.message?.message_id;
+    verificationStoreService.save(result, {
+      source: 'telegram',
+      url: isUrl ? input : undefined,
+      text: isUrl ? undefined : input,
+      processingTimeMs: Date.now() - startTime,
+      requester: userId,
+      message: {
+        kind: isReply ? 'reply' : isGroup ? 'mention' : 'message',
+        chatType: ctx.chat?.type,
+        messageId: ctx.message?.message_id?.toString(),
+        inReplyTo: isReply ? originalMessageId.toString() : undefined
+      }
+    });
+    
     // Delete processing message
     try {
       await ctx.telegram.deleteMessage(chatId, processingMsg.message_id);
@@ -559,21 +608,29 @@ const processVerification = async (ctx, input, originalMessageId = null) => {
     
     const emoji = verdictEmoji[result.verdict] || '❓';
     const accuracyBar = createProgressBar(result.accuracy_score);
+    const language = result.language || inputLanguage;
+    const messages = getMessages(language);
     
     // Build result message
     let resultMessage = `
-${emoji} *Verification Result*
+${emoji} *${messages.resultTitle}*
 
-*Verdict:* ${result.verdict.toUpperCase()}
-*Confidence:* ${accuracyBar} ${result.accuracy_score}%
+*${messages.verdict}:* ${formatVerdict(result.verdict, language)}
+*${messages.confidence}:* ${accuracyBar} ${result.accuracy_score}%
 
-📝 *Summary:*
-${result.agent_reports?.[0]?.summary?.substring(0, 400) || result.summary?.substring(0, 400) || 'Analysis complete.'}
+📝 *${messages.summary}:*
+${result.summary?.substring(0, 400) || result.agent_reports?.[0]?.summary?.substring(0, 400) || messages.analysisComplete}
     `.trim();
+
+    // Flag old news shared as current
+    const outdated = formatOutdated(result, language);
+    if (outdated) {
+      resultMessage += `\n\n${outdated}`;
+    }
     
     // Add claim details if available
     if (result.claim_verdicts && result.claim_verdicts.length > 0) {
-      resultMessage += `\n\n*Claims Analyzed:* ${result.claim_verdicts.length}`;
+      resultMessage += `\n\n*${messages.claimsAnalyzed}:* ${result.claim_verdicts.length}`;
       result.claim_verdicts.slice(0, 2).forEach((claim, idx) => {
         const claimEmoji = {
           True: '✅',
@@ -589,7 +646,7 @@ ${result.agent_reports?.[0]?.summary?.substring(0, 400) || result.summary?.subst
     // Add blockchain proof if available
     if (result.blockchain_hash) {
       const txUrl = `https://sepolia.etherscan.io/tx/${result.blockchain_hash}`;
-      resultMessage += `\n\n🔗 *Blockchain Proof:*\n${txUrl}`;
+      resultMessage += `\n\n🔗 *${messages.blockchainProof}:*\n${txUrl}`;
     }
     
     // Reply options
@@ -629,7 +686,12 @@ ${result.agent_reports?.[0]?.summary?.substring(0, 400) || result.summary?.subst
       reply_to_message_id: originalMessageId || ctx.message?.message_id
     };
     
-    await ctx.reply('❌ Sorry, verification failed. Please try again later or check if the claim is clear enough.', errorReply);
+    // Keep the extra hint for English users
+    const failedMessage = inputLanguage === 'en'
+      ? '❌ Sorry, verification failed. Please try again later or check if the claim is clear enough.'
+      : getMessages(inputLanguage).failed;
+    
+    await ctx.reply(failedMessage, errorReply);
   }
 };
 
@@ -796,6 +858,7 @@ module.exports = {
   handleHelp,
   handleVerify,
   handleStatus,
+  handleWatchCommand,
   handleText,
   handleMention,
   handleInlineQuery,
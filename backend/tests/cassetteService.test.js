@@ -0,0 +1,74 @@
+/**
+ * Cassette Service tests: live state a verification reads (domain
+ * reputations, agent definitions) is recorded and replayed with it
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const cassetteService = require('../services/cassetteService');
+const { CassetteMissError } = require('../services/cassetteService');
+const domainReputationService = require('../services/domainReputationService');
+const agentRegistry = require('../services/agentRegistry');
+
+const PARAMS = { text: 'Flyover collapses in Kolkata' };
+
+describe('cassetteService lookups', () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'cassettes-'));
+    cassetteService.directory = directory;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  const recordScore = async (url) => {
+    await cassetteService.record(PARAMS, async () => ({
+      verdict: 'true',
+      score: domainReputationService.score(url)
+    }));
+    return cassetteService.load(cassetteService.findCassetteId(PARAMS));
+  };
+
+  test('replays domain scores from the recording after they change', async () => {
+    const cassette = await recordScore('https://www.ndtv.com/india/story');
+    const recorded = domainReputationService.score('ndtv.com');
+
+    jest.spyOn(domainReputationService, 'resolveEntries').mockReturnValue({ score: 5 });
+
+    const result = await cassetteService.replay(cassette, async () => ({
+      score: domainReputationService.score('https://www.ndtv.com/india/story')
+    }));
+    expect(result.score).toBe(recorded);
+    expect(domainReputationService.score('ndtv.com')).toBe(5);
+  });
+
+  test('refuses a replay that looks up a domain the recording did not', async () => {
+    const cassette = await recordScore('https://www.ndtv.com/india/story');
+
+    await expect(cassetteService.replay(cassette, async () => ({
+      score: domainReputationService.score('https://example.com/other')
+    }))).rejects.toBeInstanceOf(CassetteMissError);
+  });
+
+  test('replays agent definitions from the recording', async () => {
+    await cassetteService.record(PARAMS, async () => ({
+      verdict: 'true',
+      agents: agentRegistry.getDefaultAgentIds().map(id => agentRegistry.getAgent(id).name)
+    }));
+    const cassette = cassetteService.load(cassetteService.findCassetteId(PARAMS));
+
+    const [key, lookup] = Object.entries(cassette.lookups).find(([, entry]) => entry.kind === 'agent');
+    cassette.lookups[key] = { ...lookup, response: { ...lookup.response, name: 'Recorded Agent' } };
+
+    const result = await cassetteService.replay(cassette, async () => ({
+      agents: agentRegistry.getDefaultAgentIds().map(id => agentRegistry.getAgent(id).name)
+    }));
+    expect(result.agents).toContain('Recorded Agent');
+    expect(agentRegistry.getAgent(lookup.request.id).name).toBe(lookup.response.name);
+  });
+});
@@ -0,0 +1,102 @@
+/**
+ * Language Service tests: script detection, Hinglish and mixed-language
+ * messages, and translation falling back to the original text
+ */
+
+jest.mock('../services/openaiService', () => ({
+  translate: jest.fn()
+}));
+
+const openaiService = require('../services/openaiService');
+const logger = require('../utils/logger');
+const languageService = require('../services/languageService');
+
+describe('languageService.detect', () => {
+  test('detects Indic scripts', () => {
+    expect(languageService.detect('भारत ने चंद्रयान-3 को सफलतापूर्वक उतारा')).toMatchObject({ code: 'hi', script: 'Devanagari', confidence: 1 });
+    expect(languageService.detect('சந்திரயான் நிலவில் தரையிறங்கியது')).toMatchObject({ code: 'ta', script: 'Tamil' });
+    expect(languageService.detect('চন্দ্রযান চাঁদে নামল')).toMatchObject({ code: 'bn', script: 'Bengali' });
+    expect(languageService.detect('چندریان چاند پر اترا')).toMatchObject({ code: 'ur', script: 'Arabic' });
+  });
+
+  test('detects Hindi in a forward mixing Devanagari with English words', () => {
+    const result = languageService.detect('Breaking news: सरकार ने पेट्रोल सस्ता किया');
+
+    expect(result.code).toBe('hi');
+    expect(result.confidence).toBeGreaterThanOrEqual(0.3);
+    expect(result.confidence).toBeLessThan(1);
+  });
+
+  test('keeps English when only a few Devanagari characters appear', () => {
+    const result = languageService.detect('The Prime Minister spoke at the summit in New Delhi about trade, saying जय हो');
+
+    expect(result.code).toBe('en');
+  });
+
+  test('ignores links, mentions and hashtags', () => {
+    const result = languageService.detect('https://example.com/breaking-news-story @newsdesk #IndiaNews आज बारिश होगी');
+
+    expect(result).toMatchObject({ code: 'hi', confidence: 1 });
+  });
+
+  test('reads romanized Hindi as Hinglish', () => {
+    const result = languageService.detect('Yeh khabar sach hai kya? Sarkar ne petrol sasta kar diya');
+
+    expect(result).toMatchObject({ code: 'hi-Latn', name: 'Hinglish', script: 'Latin' });
+    expect(result.confidence).toBeGreaterThan(0);
+  });
+
+  test('does not read English with words shared with Hindi as Hinglish', () => {
+    expect(languageService.detect('Par for the course, log in to see the sab committee report').code).toBe('en');
+    expect(languageService.detect('The minister said the bill will pass').code).toBe('en');
+  });
+
+  test('returns English with no confidence for text without letters', () => {
+    expect(languageService.detect('')).toEqual({ code: 'en', name: 'English', script: 'Latin', confidence: 0 });
+    expect(languageService.detect('12345 !!! https://example.com')).toMatchObject({ code: 'en', confidence: 0 });
+  });
+});
+
+describe('languageService translation', () => {
+  const hindi = { code: 'hi', name: 'Hindi' };
+  const english = { code: 'en', name: 'English' };
+
+  beforeEach(() => {
+    openaiService.translate.mockReset();
+    jest.spyOn(logger, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('does not translate English', async () => {
+    await expect(languageService.toEnglish('Petrol got cheaper', english)).resolves.toBe('Petrol got cheaper');
+    await expect(languageService.fromEnglish('Petrol got cheaper', english)).resolves.toBe('Petrol got cheaper');
+    expect(openaiService.translate).not.toHaveBeenCalled();
+  });
+
+  test('translates between the user language and English', async () => {
+    openaiService.translate.mockResolvedValueOnce('Petrol got cheaper').mockResolvedValueOnce('दावा गलत है');
+
+    await expect(languageService.toEnglish('पेट्रोल सस्ता हुआ', hindi)).resolves.toBe('Petrol got cheaper');
+    await expect(languageService.fromEnglish('The claim is false', hindi)).resolves.toBe('दावा गलत है');
+    expect(openaiService.translate.mock.calls).toEqual([
+      ['पेट्रोल सस्ता हुआ', 'Hindi', 'English'],
+      ['The claim is false', 'English', 'Hindi']
+    ]);
+  });
+
+  test('keeps the original text when translation fails or comes back empty', async () => {
+    openaiService.translate.mockRejectedValueOnce(new Error('rate limited')).mockResolvedValueOnce('');
+
+    await expect(languageService.toEnglish('पेट्रोल सस्ता हुआ', hindi)).resolves.toBe('पेट्रोल सस्ता हुआ');
+    await expect(languageService.toEnglish('पेट्रोल सस्ता हुआ', hindi)).resolves.toBe('पेट्रोल सस्ता हुआ');
+    expect(logger.warn).toHaveBeenCalledTimes(1);
+  });
+
+  test('does not translate empty text into the user language', async () => {
+    await expect(languageService.fromEnglish('', hindi)).resolves.toBe('');
+    expect(openaiService.translate).not.toHaveBeenCalled();
+  });
+});
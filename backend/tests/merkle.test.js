@@ -0,0 +1,146 @@
+/**
+ * Merkle tests: trees with odd leaf counts, proofs, and the browser
+ * verifier (src/lib/merkle.js) agreeing with the backend
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const merkle = require('../utils/merkle');
+
+const ROOT_DIR = path.join(__dirname, '..', '..');
+
+/**
+ * Load the web app's ES module: its exports become plain functions
+ */
+const loadWebVerifier = () => {
+  const source = fs.readFileSync(path.join(ROOT_DIR, 'src/lib/merkle.js'), 'utf8');
+  const names = [...source.matchAll(/^export (?:async )?function (\w+)/gm)].map(m => m[1]);
+  return new Function(`${source.replace(/^export /gm, '')}\nreturn { ${names.join(', ')} };`)();
+};
+
+const sha256 = (...parts) => crypto.createHash('sha256').update(Buffer.concat(parts)).digest();
+
+const leavesOf = (count) => Array.from({ length: count }, (_, i) => ({
+  type: 'node',
+  id: `n${i}`,
+  url: `https://example.com/${i}`,
+  title: i % 2 ? `Source ${i}` : null
+}));
+
+const treeOf = (leaves) => merkle.buildLevels(leaves.map(merkle.hashLeaf));
+const rootOf = (levels) => levels[levels.length - 1][0].toString('hex');
+
+describe('merkle trees', () => {
+  test('hashes leaves and inner nodes with distinct prefixes', () => {
+    const leaf = { id: 'n0', url: 'https://example.com' };
+    const bytes = Buffer.from('{"id":"n0","url":"https://example.com"}');
+
+    expect(merkle.hashLeaf(leaf)).toEqual(sha256(Buffer.from([0]), bytes));
+    expect(merkle.hashLeaf(leaf)).not.toEqual(sha256(bytes));
+  });
+
+  test('serializes leaves with sorted keys', () => {
+    expect(merkle.canonicalLeaf({ url: 'u', id: 'i', title: null })).toBe('{"id":"i","title":null,"url":"u"}');
+    expect(merkle.hashLeaf({ b: '2', a: '1' })).toEqual(merkle.hashLeaf({ a: '1', b: '2' }));
+  });
+
+  test('uses the leaf hash as the root of a single leaf', () => {
+    const [leaf] = leavesOf(1);
+    const levels = treeOf([leaf]);
+
+    expect(rootOf(levels)).toBe(merkle.hashLeaf(leaf).toString('hex'));
+    expect(merkle.proofFor(levels, 0)).toEqual([]);
+    expect(merkle.verifyProof(leaf, [], rootOf(levels))).toBe(true);
+  });
+
+  test('carries the last hash of an odd level up unchanged', () => {
+    const [a, b, c] = leavesOf(3).map(merkle.hashLeaf);
+    const pair = (left, right) => sha256(Buffer.from([1]), left, right);
+    const levels = merkle.buildLevels([a, b, c]);
+
+    expect(levels.map(level => level.length)).toEqual([3, 2, 1]);
+    expect(levels[1][1]).toEqual(c);
+    expect(rootOf(levels)).toBe(pair(pair(a, b), c).toString('hex'));
+    // The carried leaf's proof skips the level it had no sibling on
+    expect(merkle.proofFor(levels, 2)).toEqual([{ position: 'left', hash: pair(a, b).toString('hex') }]);
+  });
+
+  test.each([2, 3, 5, 6, 7, 8, 13])('proves every leaf of a %i-leaf tree', (count) => {
+    const leaves = leavesOf(count);
+    const levels = treeOf(leaves);
+    const root = rootOf(levels);
+
+    leaves.forEach((leaf, index) => {
+      const proof = merkle.proofFor(levels, index);
+      expect(merkle.verifyProof(leaf, proof, root)).toBe(true);
+      expect(merkle.verifyProof(leaf, proof, root.toUpperCase())).toBe(true);
+    });
+  });
+
+  test('rejects a changed leaf, sibling or side', () => {
+    const leaves = leavesOf(5);
+    const levels = treeOf(leaves);
+    const root = rootOf(levels);
+    const proof = merkle.proofFor(levels, 1);
+
+    expect(merkle.verifyProof({ ...leaves[1], url: 'https://evil.example' }, proof, root)).toBe(false);
+    expect(merkle.verifyProof(leaves[1], [{ ...proof[0], hash: '00'.repeat(32) }, ...proof.slice(1)], root)).toBe(false);
+    expect(merkle.verifyProof(leaves[1], [{ ...proof[0], position: 'right' }, ...proof.slice(1)], root)).toBe(false);
+    expect(merkle.verifyProof(leaves[1], proof.slice(1), root)).toBe(false);
+    expect(merkle.verifyProof(leaves[1], proof, merkle.proofFor(levels, 0)[0].hash)).toBe(false);
+  });
+
+  test('does not accept an inner node as a leaf', () => {
+    const levels = treeOf(leavesOf(4));
+    const inner = levels[1][0];
+    const proof = merkle.proofFor(levels.slice(1), 0);
+
+    expect(merkle.rootFromProof(inner, proof)).toBe(rootOf(levels));
+    expect(merkle.rootFromProof(merkle.hashLeafBytes(inner), proof)).not.toBe(rootOf(levels));
+  });
+
+  test('refuses to build a tree with no leaves', () => {
+    expect(() => merkle.buildLevels([])).toThrow('A Merkle tree needs at least one leaf');
+  });
+});
+
+describe('browser verifier', () => {
+  const verifier = loadWebVerifier();
+
+  test('serializes leaves like the backend', () => {
+    const leaf = { url: 'https://example.com/ü', id: 'n1', title: 'दावा "quoted"', role: null };
+
+    expect(verifier.canonicalLeaf(leaf)).toBe(merkle.canonicalLeaf(leaf));
+  });
+
+  test('hashes leaves like the backend', async () => {
+    const [leaf] = leavesOf(2).slice(1);
+
+    await expect(verifier.hashLeaf(leaf)).resolves.toBe(merkle.hashLeaf(leaf).toString('hex'));
+  });
+
+  test.each([1, 3, 6, 7])('accepts backend proofs of a %i-leaf tree', async (count) => {
+    const leaves = leavesOf(count);
+    const levels = treeOf(leaves);
+
+    for (const [index, leaf] of leaves.entries()) {
+      await expect(verifier.verifyInclusionProof({
+        leaf,
+        proof: merkle.proofFor(levels, index),
+        root: rootOf(levels)
+      })).resolves.toBe(true);
+    }
+  });
+
+  test('rejects a proof for a changed leaf', async () => {
+    const leaves = leavesOf(5);
+    const levels = treeOf(leaves);
+
+    await expect(verifier.verifyInclusionProof({
+      leaf: { ...leaves[4], title: 'Changed' },
+      proof: merkle.proofFor(levels, 4),
+      root: rootOf(levels)
+    })).resolves.toBe(false);
+  });
+});
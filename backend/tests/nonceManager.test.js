@@ -0,0 +1,131 @@
+/**
+ * Nonce Manager tests: concurrent sends, resync after a failed send and
+ * picking up after a restart
+ */
+
+const NonceManager = require('../utils/nonceManager');
+
+/**
+ * A node's view of one account: the pending count grows with every
+ * transaction it accepts
+ */
+const fakeNode = (pending = 0) => {
+  const node = {
+    pending,
+    accepted: [],
+    fetchPendingCount: jest.fn(async () => node.pending),
+    send: async (nonce) => {
+      if (nonce !== node.pending) throw new Error(`nonce ${nonce} expected ${node.pending}`);
+      node.pending += 1;
+      node.accepted.push(nonce);
+      return { nonce };
+    }
+  };
+  return node;
+};
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+describe('NonceManager', () => {
+  test('gives concurrent sends consecutive nonces, reading the node once', async () => {
+    const node = fakeNode(7);
+    const manager = new NonceManager(node.fetchPendingCount);
+
+    const results = await Promise.all([1, 2, 3, 4].map(() => manager.run(node.send)));
+
+    expect(results.map(r => r.nonce)).toEqual([7, 8, 9, 10]);
+    expect(node.accepted).toEqual([7, 8, 9, 10]);
+    expect(node.fetchPendingCount).toHaveBeenCalledTimes(1);
+  });
+
+  test('runs sends one at a time, in the order they were asked for', async () => {
+    const manager = new NonceManager(async () => 0);
+    const order = [];
+    let release;
+    const slow = (nonce) => new Promise(resolve => {
+      order.push(`start ${nonce}`);
+      release = () => {
+        order.push(`end ${nonce}`);
+        resolve(nonce);
+      };
+    });
+
+    const first = manager.run(slow);
+    const second = manager.run(async (nonce) => {
+      order.push(`start ${nonce}`);
+      return nonce;
+    });
+
+    await tick();
+    expect(order).toEqual(['start 0']);
+
+    release();
+    await expect(Promise.all([first, second])).resolves.toEqual([0, 1]);
+    expect(order).toEqual(['start 0', 'end 0', 'start 1']);
+  });
+
+  test('hands a failed send\'s nonce to the next send after asking the node again', async () => {
+    const node = fakeNode(3);
+    const manager = new NonceManager(node.fetchPendingCount);
+    const failing = async () => {
+      throw new Error('gas estimation reverted');
+    };
+
+    const results = await Promise.allSettled([
+      manager.run(node.send),
+      manager.run(failing),
+      manager.run(node.send)
+    ]);
+
+    expect(results.map(r => r.status)).toEqual(['fulfilled', 'rejected', 'fulfilled']);
+    expect(results[1].reason.message).toBe('gas estimation reverted');
+    expect(node.accepted).toEqual([3, 4]);
+    expect(node.fetchPendingCount).toHaveBeenCalledTimes(2);
+  });
+
+  test('skips a nonce the node took from a send that failed after broadcasting', async () => {
+    const node = fakeNode(0);
+    const manager = new NonceManager(node.fetchPendingCount);
+
+    // Broadcast, then the RPC call errored before returning
+    await expect(manager.run(async (nonce) => {
+      await node.send(nonce);
+      throw new Error('socket hang up');
+    })).rejects.toThrow('socket hang up');
+
+    await expect(manager.run(node.send)).resolves.toEqual({ nonce: 1 });
+  });
+
+  test('retries the pending count when reading it fails', async () => {
+    const node = fakeNode(5);
+    node.fetchPendingCount.mockRejectedValueOnce(new Error('RPC unreachable'));
+    const manager = new NonceManager(node.fetchPendingCount);
+
+    await expect(manager.run(node.send)).rejects.toThrow('RPC unreachable');
+    await expect(manager.run(node.send)).resolves.toEqual({ nonce: 5 });
+  });
+
+  test('continues from the node\'s pending count after a restart', async () => {
+    const node = fakeNode(0);
+    const before = new NonceManager(node.fetchPendingCount);
+    await before.run(node.send);
+    await before.run(node.send);
+
+    // A new process knows nothing of the nonces handed out before
+    const after = new NonceManager(node.fetchPendingCount);
+    await expect(after.run(node.send)).resolves.toEqual({ nonce: 2 });
+    expect(node.accepted).toEqual([0, 1, 2]);
+  });
+
+  test('reads the node again after reset', async () => {
+    const node = fakeNode(0);
+    const manager = new NonceManager(node.fetchPendingCount);
+    await manager.run(node.send);
+
+    // Another sender used the account meanwhile
+    node.pending = 10;
+    manager.reset();
+
+    await expect(manager.run(node.send)).resolves.toEqual({ nonce: 10 });
+  });
+});
@@ -0,0 +1,102 @@
+/**
+ * Article verdicts rolled up from claim verdicts (Orchestrator.rollUpClaims)
+ */
+
+// Load the orchestrator without search or LLM credentials
+process.env.SEARCH_PROVIDER = 'fixture';
+process.env.LLM_PROVIDER = 'stub';
+
+// p-limit is ESM only, which jest's CommonJS runtime can't load; the
+// roll-up runs nothing concurrently
+jest.mock('p-limit', () => () => (fn, ...args) => fn(...args));
+
+const orchestrator = require('../routes/agents/orchestrator');
+
+const claim = (id, verdict, fields = {}) => ({
+  id,
+  verdict,
+  verifiability: 'high',
+  confidence: 0.8,
+  accuracy_score: 50,
+  ...fields
+});
+
+describe('orchestrator.rollUpClaims', () => {
+  test('is true only when every verifiable claim is true', () => {
+    const result = orchestrator.rollUpClaims([
+      claim('c1', 'true', { accuracy_score: 90 }),
+      claim('c2', 'true', { accuracy_score: 70 })
+    ]);
+
+    expect(result).toMatchObject({
+      verdict: 'true',
+      accuracy_score: 80,
+      confidence: 0.8,
+      driver_claim_ids: ['c1', 'c2'],
+      summary: 'All 2 verifiable claims are supported'
+    });
+  });
+
+  test('is mixed when claims disagree, driven by the false and mixed claims', () => {
+    const result = orchestrator.rollUpClaims([
+      claim('c1', 'true', { accuracy_score: 90 }),
+      claim('c2', 'false', { verifiability: 'medium', confidence: 0.5, accuracy_score: 20 }),
+      claim('c3', 'unknown', { verifiability: 'low', confidence: 1, accuracy_score: 0 })
+    ]);
+
+    expect(result.verdict).toBe('mixed');
+    expect(result.verdict_counts).toEqual({ true: 1, false: 1, mixed: 0, unknown: 1 });
+    // Weights: 1 x 0.8, 0.7 x 0.5 and 0.4 x 1 out of 1.55
+    expect(result.claims.map(c => c.influence)).toEqual([0.52, 0.23, 0.26]);
+    expect(result.claims.map(c => c.drove_verdict)).toEqual([false, true, false]);
+    expect(result.driver_claim_ids).toEqual(['c2']);
+    expect(result.summary).toBe('1 of 3 claims are false or disputed');
+    // The unverified claim doesn't dilute the scores
+    expect(result.accuracy_score).toBe(69);
+    expect(result.confidence).toBe(0.71);
+  });
+
+  test('ignores unknown claims when the rest agree', () => {
+    const result = orchestrator.rollUpClaims([
+      claim('c1', 'false', { accuracy_score: 10 }),
+      claim('c2', 'unknown', { accuracy_score: 0 })
+    ]);
+
+    expect(result.verdict).toBe('false');
+    expect(result.accuracy_score).toBe(10);
+    expect(result.summary).toBe('All 1 verifiable claims are false');
+  });
+
+  test('is unknown when no claim could be verified, scoring over all claims', () => {
+    const result = orchestrator.rollUpClaims([
+      claim('c1', 'unknown', { accuracy_score: 40 }),
+      claim('c2', 'unknown', { accuracy_score: 20 })
+    ]);
+
+    expect(result).toMatchObject({
+      verdict: 'unknown',
+      accuracy_score: 30,
+      driver_claim_ids: ['c1', 'c2'],
+      summary: 'None of the 2 claims could be verified'
+    });
+  });
+
+  test('weights a claim with no confidence or verifiability as medium at 0.5', () => {
+    const result = orchestrator.rollUpClaims([
+      claim('c1', 'mixed', { verifiability: undefined, confidence: undefined }),
+      claim('c2', 'mixed', { verifiability: 'high', confidence: 0.35 })
+    ]);
+
+    expect(result.claims.map(c => c.influence)).toEqual([0.5, 0.5]);
+    expect(result.verdict).toBe('mixed');
+  });
+
+  test('rolls up no claims as unknown', () => {
+    expect(orchestrator.rollUpClaims([])).toMatchObject({
+      verdict: 'unknown',
+      accuracy_score: 0,
+      confidence: 0,
+      claims: []
+    });
+  });
+});
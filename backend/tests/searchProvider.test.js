@@ -0,0 +1,39 @@
+/**
+ * Search Provider tests: direct page fetches only reach public addresses
+ */
+
+const SearchProvider = require('../services/search/searchProvider');
+
+const { isPublicAddress } = SearchProvider;
+
+describe('isPublicAddress', () => {
+  test.each([
+    '127.0.0.1', '10.1.2.3', '172.16.0.1', '172.31.255.255', '192.168.1.1', '100.64.0.1',
+    '169.254.169.254', '0.0.0.0', '::', '::1', 'fd00::1', 'fc12::1', 'fe80::1',
+    '::ffff:127.0.0.1', '::ffff:a9fe:a9fe'
+  ])('refuses %s', (address) => {
+    expect(isPublicAddress(address)).toBe(false);
+  });
+
+  test.each(['8.8.8.8', '172.32.0.1', '2606:4700::1111'])('allows %s', (address) => {
+    expect(isPublicAddress(address)).toBe(true);
+  });
+
+  test('refuses anything that is not an address', () => {
+    expect(isPublicAddress('localhost')).toBe(false);
+  });
+});
+
+describe('SearchProvider.fetchPage', () => {
+  const provider = new SearchProvider('test');
+
+  test.each([
+    ['http://169.254.169.254/latest/meta-data/', 'non-public address 169.254.169.254'],
+    ['http://[::1]:3001/health', 'non-public address ::1'],
+    ['http://[fd00::1]/', 'non-public address fd00::1'],
+    ['http://localhost:3001/health', 'localhost resolves to a non-public address'],
+    ['file:///etc/passwd', 'Refusing to fetch file: URLs']
+  ])('refuses %s', async (url, message) => {
+    await expect(provider.fetchPage(url)).rejects.toThrow(message);
+  });
+});
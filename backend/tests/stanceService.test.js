@@ -0,0 +1,137 @@
+/**
+ * Stance Service tests: LLM stances are validated against the evidence,
+ * and the keyword heuristic takes over when the LLM fails
+ */
+
+jest.mock('../services/openaiService', () => ({
+  classifyStance: jest.fn()
+}));
+
+const openaiService = require('../services/openaiService');
+const logger = require('../utils/logger');
+const stanceService = require('../services/stanceService');
+
+const CLAIM = 'The government banned 500 rupee notes from Monday';
+
+const evidence = [
+  {
+    url: 'https://www.thehindu.com/news/notes',
+    title: 'RBI says 500 rupee notes remain legal tender',
+    snippet: 'The central bank denied reports of a ban on 500 rupee notes.'
+  },
+  {
+    url: 'https://www.boomlive.in/fact-check/notes',
+    title: 'Fact check: viral message on note ban is false',
+    snippet: 'A forwarded message claims a ban from Monday.'
+  },
+  {
+    url: 'https://example.com/cricket',
+    title: 'India win the series',
+    snippet: 'A century in the final match.'
+  }
+];
+
+describe('stanceService.classify', () => {
+  beforeEach(() => {
+    openaiService.classifyStance.mockReset();
+    jest.spyOn(logger, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('returns no stances for empty evidence without calling the LLM', async () => {
+    await expect(stanceService.classify(CLAIM, [])).resolves.toEqual([]);
+    expect(openaiService.classifyStance).not.toHaveBeenCalled();
+  });
+
+  test('keeps LLM stances, clamps confidence and drops spans not quoted from the evidence', async () => {
+    openaiService.classifyStance.mockResolvedValue([
+      { id: 1, stance: 'Refutes', confidence: 1.7, span: '"denied reports of a ban"' },
+      { id: 2, stance: 'refutes', confidence: 0.8, span: 'the ban was confirmed' },
+      { id: 3, stance: 'unrelated', confidence: -2, span: '' }
+    ]);
+
+    const [first, second, third] = await stanceService.classify(CLAIM, evidence);
+
+    expect(first.stance).toEqual({ label: 'refutes', confidence: 1, span: 'denied reports of a ban', method: 'llm' });
+    expect(second.stance).toEqual({ label: 'refutes', confidence: 0.8, span: null, method: 'llm' });
+    expect(third.stance).toEqual({ label: 'unrelated', confidence: 0, span: null, method: 'llm' });
+    expect(first.url).toBe(evidence[0].url);
+  });
+
+  test('falls back to the heuristic for evidence the LLM labelled invalidly or skipped', async () => {
+    openaiService.classifyStance.mockResolvedValue([
+      { id: 1, stance: 'agrees', confidence: 0.9, span: 'legal tender' }
+    ]);
+
+    const stances = (await stanceService.classify(CLAIM, evidence)).map(e => e.stance);
+
+    expect(stances.map(s => s.method)).toEqual(['heuristic', 'heuristic', 'heuristic']);
+  });
+
+  test('uses the keyword heuristic when the LLM call fails', async () => {
+    openaiService.classifyStance.mockRejectedValue(new Error('timeout'));
+
+    const stances = (await stanceService.classify(CLAIM, evidence)).map(e => e.stance);
+
+    expect(stances).toEqual([
+      { label: 'discusses', confidence: 0.3, span: null, method: 'heuristic' },
+      { label: 'refutes', confidence: 0.5, span: 'Fact check', method: 'heuristic' },
+      { label: 'unrelated', confidence: 0.3, span: null, method: 'heuristic' }
+    ]);
+    expect(logger.warn).toHaveBeenCalled();
+  });
+});
+
+describe('stanceService.heuristic', () => {
+  test('matches English evidence against the English translation of a Hindi claim', () => {
+    const item = { title: 'Petrol prices cut by five rupees', snippet: 'Fuel becomes cheaper across states.' };
+
+    expect(stanceService.heuristic('पेट्रोल सस्ता हुआ', item).label).toBe('unrelated');
+    expect(stanceService.heuristic('पेट्रोल सस्ता हुआ', item, { englishClaim: 'Petrol became cheaper' }).label).toBe('discusses');
+  });
+
+  test('matches Devanagari terms shared by the claim and the evidence', () => {
+    const item = { title: 'पेट्रोल की कीमतों में कटौती', snippet: '' };
+
+    expect(stanceService.heuristic('पेट्रोल सस्ता हुआ', item).label).toBe('discusses');
+  });
+});
+
+describe('stanceService.summarize', () => {
+  const stanced = (url, label, confidence, span = 'quoted') => ({ url, stance: { label, confidence, span } });
+
+  test('counts every stance and keeps only confident spans, strongest first', () => {
+    const summary = stanceService.summarize([
+      stanced('a', 'supports', 0.6),
+      stanced('b', 'supports', 0.9),
+      stanced('c', 'supports', 0.4),
+      stanced('d', 'refutes', 0.7, null),
+      stanced('e', 'discusses', 0.8),
+      { url: 'f' }
+    ]);
+
+    expect(summary.counts).toEqual({ supports: 3, refutes: 1, discusses: 1, unrelated: 0 });
+    expect(summary.strongest.supports.map(s => s.url)).toEqual(['b', 'a']);
+    expect(summary.strongest.refutes).toEqual([]);
+  });
+
+  test('keeps evidence order between equally confident spans and caps each side', () => {
+    const summary = stanceService.summarize([
+      stanced('a', 'refutes', 0.7),
+      stanced('b', 'refutes', 0.7),
+      stanced('c', 'refutes', 0.7)
+    ], 2);
+
+    expect(summary.strongest.refutes.map(s => s.url)).toEqual(['a', 'b']);
+  });
+
+  test('summarizes empty evidence as zero counts', () => {
+    expect(stanceService.summarize([])).toEqual({
+      counts: { supports: 0, refutes: 0, discusses: 0, unrelated: 0 },
+      strongest: { supports: [], refutes: [] }
+    });
+  });
+});
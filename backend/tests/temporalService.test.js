@@ -0,0 +1,156 @@
+/**
+ * Temporal Service tests: claimed times, stale evidence and recirculated
+ * content, with "now" pinned through the cassette service
+ */
+
+const cassetteService = require('../services/cassetteService');
+const temporalService = require('../services/temporalService');
+
+const NOW = Date.parse('2025-06-01T00:00:00Z');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const discusses = { label: 'discusses', confidence: 0.8 };
+const refutes = { label: 'refutes', confidence: 0.8 };
+
+const daysBefore = (days) => new Date(NOW - days * DAY_MS).toISOString();
+
+describe('temporalService.analyze', () => {
+  beforeEach(() => {
+    jest.spyOn(cassetteService, 'now').mockReturnValue(NOW);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('flags a claim presented as current when its story was reported years earlier', () => {
+    const result = temporalService.analyze('Breaking: flyover collapses in Kolkata today', [
+      { url: 'https://www.ndtv.com/kolkata/flyover', publishDate: '2023-01-10T00:00:00Z', stance: discusses },
+      { url: 'https://example.com/later', publishDate: '2025-05-30T00:00:00Z', stance: discusses }
+    ]);
+
+    expect(result.status).toBe('outdated');
+    expect(result.claim_time).toEqual({ type: 'recent', date: null, precision: null, text: 'Breaking' });
+    expect(result.earliest_evidence).toEqual({ url: 'https://www.ndtv.com/kolkata/flyover', date: '2023-01-10T00:00:00.000Z' });
+    expect(result.age_days).toBe(873);
+    expect(result.explanation).toContain('ndtv.com, 2 years earlier');
+  });
+
+  test('treats evidence as stale only beyond TEMPORAL_STALE_DAYS', () => {
+    const claim = 'Heavy rain floods Mumbai today';
+    const at = (days) => temporalService.analyze(claim, [
+      { url: 'https://example.com/rain', publishDate: daysBefore(days), stance: discusses }
+    ]);
+
+    expect(at(180)).toMatchObject({ status: 'consistent', age_days: 180 });
+    expect(at(181)).toMatchObject({ status: 'outdated', age_days: 181 });
+  });
+
+  test('measures an explicitly dated claim from its date, not from now', () => {
+    const result = temporalService.analyze('The bridge opened on 5 July 2024', [
+      { url: 'https://example.com/bridge', publishDate: '2023-01-01T00:00:00Z', stance: discusses }
+    ]);
+
+    expect(result.claim_time).toEqual({ type: 'explicit', date: '2024-07-05', precision: 'day', text: '5 July 2024' });
+    expect(result).toMatchObject({ status: 'outdated', age_days: 551 });
+  });
+
+  test('does not flag an undated claim however old its evidence', () => {
+    const result = temporalService.analyze('The bridge over the Ganga is the longest in India', [
+      { url: 'https://example.com/bridge', publishDate: '2015-01-01T00:00:00Z', stance: discusses }
+    ]);
+
+    expect(result.status).toBe('consistent');
+    expect(result.claim_time.type).toBe('undated');
+  });
+
+  test('is unknown when no evidence is dated', () => {
+    const result = temporalService.analyze('Flooding in Assam today', [
+      { url: 'https://example.com/a', stance: discusses },
+      { url: 'https://example.com/b', publishDate: 'not a date', stance: discusses }
+    ]);
+
+    expect(result).toMatchObject({ status: 'unknown', earliest_evidence: null, age_days: null });
+  });
+
+  test('is unknown for empty evidence', () => {
+    expect(temporalService.analyze('Flooding in Assam today', [])).toMatchObject({
+      status: 'unknown',
+      earliest_evidence: null,
+      recirculation: null
+    });
+  });
+
+  test('ignores refuting sources and future publish dates when dating the story', () => {
+    const result = temporalService.analyze('Flooding in Assam today', [
+      { url: 'https://factcheck.example/assam', publishDate: '2019-01-01T00:00:00Z', stance: refutes },
+      { url: 'https://feed.example/assam', publishDate: '2026-01-01T00:00:00Z', stance: discusses },
+      { url: 'https://news.example/assam', publishDate: daysBefore(2), stance: discusses }
+    ]);
+
+    expect(result.status).toBe('consistent');
+    expect(result.earliest_evidence.url).toBe('https://news.example/assam');
+  });
+
+  test('flags content a fact-check says is old, even without dates', () => {
+    const result = temporalService.analyze('Video shows a tiger on the highway today', [
+      {
+        url: 'https://www.boomlive.in/fact-check/tiger',
+        title: 'Fact check',
+        snippet: 'This is an old video from Maharashtra. It is being shared as recent.',
+        stance: refutes
+      }
+    ]);
+
+    expect(result.status).toBe('outdated');
+    expect(result.recirculation).toEqual({
+      url: 'https://www.boomlive.in/fact-check/tiger',
+      span: 'This is an old video from Maharashtra.',
+      date: null
+    });
+    expect(result.explanation).toContain('boomlive.in reports that this content has circulated before');
+  });
+
+  test('does not let a low-confidence or supporting source report recirculation', () => {
+    const snippet = 'An old video is being shared again.';
+    const result = temporalService.analyze('Video shows a tiger on the highway today', [
+      { url: 'https://a.example', snippet, stance: { label: 'refutes', confidence: 0.3 } },
+      { url: 'https://b.example', snippet, stance: { label: 'supports', confidence: 0.9 } }
+    ]);
+
+    expect(result.recirculation).toBeNull();
+  });
+});
+
+describe('temporalService.parseClaimTime', () => {
+  const parse = (text) => temporalService.parseClaimTime(text, NOW);
+
+  test('reads dates in ISO, day-month, month-day and Indian order', () => {
+    expect(parse('Announced 2024-03-12 in Delhi').date).toBe('2024-03-12');
+    expect(parse('Announced on 12th of March, 2024').date).toBe('2024-03-12');
+    expect(parse('Announced on Mar. 12, 2024').date).toBe('2024-03-12');
+    expect(parse('Announced on 12/03/2024').date).toBe('2024-03-12');
+  });
+
+  test('reads month and year precision', () => {
+    expect(parse('The scheme ended in March 2023')).toMatchObject({ date: '2023-03-01', precision: 'month' });
+    expect(parse('The scheme ended in 2019')).toMatchObject({ date: '2019-01-01', precision: 'year' });
+    expect(parse('Scored 2019 runs').type).toBe('undated');
+  });
+
+  test('falls back to the month for an impossible day and skips future dates', () => {
+    expect(parse('Announced on 31 February 2024')).toMatchObject({ date: '2024-02-01', precision: 'month' });
+    expect(parse('Announced on 5 July 2026').type).toBe('undated');
+  });
+
+  test('reads recency in Hindi and Hinglish', () => {
+    expect(parse('दिल्ली में आज भारी बारिश')).toMatchObject({ type: 'recent', text: 'आज' });
+    expect(parse('Delhi mein aaj baarish hui')).toMatchObject({ type: 'recent', text: 'aaj' });
+  });
+
+  test('prefers a date in the English translation over recency in the original', () => {
+    const result = temporalService.analyze('आज पुल खुला', [], { englishClaim: 'The bridge opened on 5 July 2024' });
+
+    expect(result.claim_time).toMatchObject({ type: 'explicit', date: '2024-07-05' });
+  });
+});
@@ -0,0 +1,153 @@
+/**
+ * Verdict Aggregator tests: agent weights, ties, empty evidence and the
+ * comparison with the LLM verdict
+ */
+
+const verdictAggregator = require('../utils/verdictAggregator');
+
+const report = (agentName, verdict, fields = {}) => ({
+  agent_name: agentName,
+  verdict,
+  confidence: 0.8,
+  credibility_score: 50,
+  evidence_links: [],
+  ...fields
+});
+
+const evidence = [
+  { url: 'https://www.thehindu.com/a', domainReputationScore: 90, stance: { label: 'supports', confidence: 0.9 } },
+  { url: 'https://example.com/b', domainReputationScore: 60, stance: { label: 'refutes', confidence: 0.8 } }
+];
+
+describe('verdictAggregator.aggregate', () => {
+  test('weighs agents by reputation, confidence and the evidence they cite', () => {
+    const result = verdictAggregator.aggregate(
+      [
+        report('ndtv', 'True', { confidence: 0.9, credibility_score: 90, evidence_links: ['https://www.thehindu.com/a'] }),
+        report('generic', 'false', { confidence: 0.6, credibility_score: 30, evidence_links: ['https://example.com/b'] })
+      ],
+      { ndtv: 80, generic: 50 },
+      { evidence }
+    );
+
+    const [ndtv, generic] = result.breakdown.agents;
+    expect(ndtv).toMatchObject({ verdict: 'true', evidence_quality: 0.9, cited_evidence: 1, penalties: [], weight: 0.648 });
+    expect(generic).toMatchObject({ verdict: 'false', evidence_quality: 0.6, weight: 0.18 });
+
+    expect(result.verdict).toBe('true');
+    expect(result.breakdown.votes).toEqual({ true: 0.78, false: 0.22, mixed: 0 });
+    expect(result.breakdown.base_score).toBe(76.96);
+    expect(result.breakdown.adjustments).toEqual([]);
+    expect(result.accuracy_score).toBe(77);
+    expect(result.confidence).toBe(0.7);
+    expect(result.agent_consensus).toBe('1 of 2 agents returned true');
+  });
+
+  test('breaks an even two-way tie in favour of true', () => {
+    const result = verdictAggregator.aggregate(
+      [
+        report('a', 'false', { credibility_score: 20 }),
+        report('b', 'true', { credibility_score: 80 })
+      ],
+      { a: 50, b: 50 },
+      { evidence: [] }
+    );
+
+    expect(result.breakdown.votes).toEqual({ true: 0.5, false: 0.5, mixed: 0 });
+    expect(result.verdict).toBe('true');
+    expect(result.confidence).toBe(0.4);
+  });
+
+  test('returns mixed when no verdict reaches the majority share', () => {
+    const result = verdictAggregator.aggregate(
+      [
+        report('a', 'true', { confidence: 0.6 }),
+        report('b', 'false', { confidence: 0.6 }),
+        report('c', 'mixed', { confidence: 0.6 })
+      ],
+      {},
+      { evidence: [] }
+    );
+
+    expect(result.verdict).toBe('mixed');
+    expect(result.confidence).toBe(0.2);
+  });
+
+  test('takes twenty points off when there is no evidence', () => {
+    const result = verdictAggregator.aggregate([report('a', 'true', { credibility_score: 70 })], {}, { evidence: [] });
+
+    expect(result.breakdown.agents[0]).toMatchObject({ evidence_quality: 0.5, penalties: [] });
+    expect(result.breakdown.adjustments).toEqual([{ reason: 'no_evidence', points: -20 }]);
+    expect(result.accuracy_score).toBe(50);
+  });
+
+  test('penalizes agents that cite none of the evidence or are unsure', () => {
+    const result = verdictAggregator.aggregate(
+      [report('a', 'true', { confidence: 0.2, evidence_links: ['https://elsewhere.example'] })],
+      {},
+      { evidence }
+    );
+
+    expect(result.breakdown.agents[0].penalties).toEqual([
+      { reason: 'no_cited_evidence', factor: 0.8 },
+      { reason: 'low_confidence', factor: 0.5 }
+    ]);
+    // 0.5 reputation x 0.2 confidence x 0.75 mean evidence quality x 0.4 penalties
+    expect(result.breakdown.agents[0].weight).toBe(0.03);
+  });
+
+  test('returns unknown with no confidence when every agent failed', () => {
+    const result = verdictAggregator.aggregate(
+      [report('a', 'true', { error: 'timeout' }), report('b', 'false', { error: 'timeout' })],
+      {},
+      { evidence: [] }
+    );
+
+    expect(result).toMatchObject({ verdict: 'unknown', accuracy_score: 0, confidence: 0 });
+    expect(result.agent_consensus).toBe('0 of 2 agents returned unknown (2 carried no weight)');
+  });
+
+  test('returns unknown for no agent reports', () => {
+    expect(verdictAggregator.aggregate([], {}, {})).toMatchObject({ verdict: 'unknown', accuracy_score: 0, confidence: 0 });
+  });
+
+  test('flags low-quality evidence and a verdict against the evidence stance', () => {
+    const weak = [
+      { url: 'https://a.example', domainReputationScore: 20, stance: { label: 'refutes', confidence: 0.9 } },
+      { url: 'https://b.example', domainReputationScore: 30, stance: { label: 'refutes', confidence: 0.7 } },
+      { url: 'https://c.example', domainReputationScore: 40, stance: { label: 'supports', confidence: 0.4 } }
+    ];
+    const result = verdictAggregator.aggregate([report('a', 'true', { evidence_links: ['https://a.example'] })], {}, { evidence: weak });
+
+    expect(result.breakdown.adjustments).toEqual([
+      { reason: 'low_quality_evidence', points: -10 },
+      { reason: 'stance_conflict', points: -10 }
+    ]);
+    expect(result.accuracy_score).toBe(30);
+  });
+});
+
+describe('verdictAggregator.compare', () => {
+  const audit = { verdict: 'true', accuracy_score: 70, confidence: 0.6 };
+
+  test('does not flag an LLM verdict within tolerance', () => {
+    expect(verdictAggregator.compare({ verdict: 'True', accuracy_score: 85, confidence: 0.8 }, audit)).toEqual({
+      flagged: false,
+      reasons: [],
+      verdict: { llm: 'true', deterministic: 'true' },
+      accuracy_delta: 15,
+      confidence_delta: 0.2
+    });
+  });
+
+  test('flags a different verdict and scores beyond tolerance', () => {
+    const comparison = verdictAggregator.compare({ verdict: 'false', accuracy_score: 20, confidence: 0.95 }, audit);
+
+    expect(comparison.flagged).toBe(true);
+    expect(comparison.reasons).toEqual([
+      'LLM verdict false differs from deterministic verdict true',
+      'Accuracy differs by -50 points',
+      'Confidence differs by 0.35'
+    ]);
+  });
+});
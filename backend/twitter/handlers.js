@@ -6,6 +6,10 @@
 
 const logger = require('../utils/logger');
 const orchestrator = require('../routes/agents/orchestrator');
+const languageService = require('../services/languageService');
+const watchService = require('../services/watchService');
+const verificationStoreService = require('../services/verificationStoreService');
+const { getMessages, formatVerdict, formatOutdated } = require('../utils/botMessages');
 
 // Rate limiting map
 const rateLimitMap = new Map();
@@ -99,12 +103,28 @@ const handleMention = async (bot, tweet) => {
     }
     
     // Run verification
+    const startTime = Date.now();
     const result = await orchestrator.verifyQuick({
       url: urls[0],
       text: urls.length === 0 ? claim : undefined,
       source: 'twitter'
     });
     
+    // Store in the background; the reply doesn't wait for the database
+    verificationStoreService.save(result, {
+      source: 'twitter',
+      url: urls[0],
+      text: urls.length === 0 ? claim : undefined,
+      processingTimeMs: Date.now() - startTime,
+      requester: userId,
+      message: {
+        kind: 'mention',
+        chatType: 'public',
+        messageId: tweetId?.toString(),
+        inReplyTo: tweet.referenced_tweets?.find(ref => ref.type === 'replied_to')?.id || tweet.in_reply_to_status_id_str
+      }
+    });
+    
     // Format response (must fit in 280 chars)
     const verdictEmoji = {
       true: '✅',
@@ -115,7 +135,8 @@ const handleMention = async (bot, tweet) => {
     
     const verdict = result.verdict;
     const accuracy = result.accuracy_score;
-    const summary = result.summary?.substring(0, 100) || '';
+    // Old news is the more useful warning when a tweet has room for one line
+    const summary = (formatOutdated(result) || result.summary)?.substring(0, 100) || '';
     
     const response = `${verdictEmoji[verdict]} Verdict: ${verdict.toUpperCase()}\n📊 Accuracy: ${accuracy}/100\n\n${summary}${summary.length >= 100 ? '...' : ''}\n\n🔗 Full report: ${result.detail_url || 'satyatrail.com'}`;
     
@@ -158,6 +179,18 @@ const handleDirectMessage = async (bot, dm) => {
   // Don't respond to own messages
   if (senderId === bot.botUserId) return;
   
+  // Watchlist commands (/watch, /unwatch, /watches)
+  try {
+    const watchReply = await watchService.handleCommand({ channel: 'twitter', recipient: senderId, text });
+    if (watchReply) {
+      await bot.sendDM(senderId, watchReply);
+      return;
+    }
+  } catch (error) {
+    logger.error('Twitter watch command failed', { senderId, error: error.message });
+    return;
+  }
+  
   // Check rate limit
   if (checkRateLimit(senderId).limited) {
     await bot.sendDM(senderId, 
@@ -177,6 +210,8 @@ const handleDirectMessage = async (bot, dm) => {
         '• A news article URL\n' +
         '• A claim to verify\n\n' +
         'I\'ll analyze it and give you a verdict with my confidence score.\n\n' +
+        'To get alerts on a topic, send /watch <topic> (e.g. /watch election). ' +
+        'Send /watches to see your alerts.\n\n' +
         'Visit satyatrail.com for more info!'
       );
       return;
@@ -196,16 +231,34 @@ const handleDirectMessage = async (bot, dm) => {
       return;
     }
     
+    // Reply in the language the user wrote in
+    const inputLanguage = languageService.detect(claim).code;
+    
     // Send processing message
-    await bot.sendDM(senderId, '🔄 Verifying... This may take a moment.');
+    await bot.sendDM(senderId, getMessages(inputLanguage).processing);
     
     // Run verification
+    const startTime = Date.now();
     const result = await orchestrator.verify({
       url: urls[0],
       text: urls.length === 0 ? claim : undefined,
       source: 'twitter'
     });
     
+    // Store in the background; the reply doesn't wait for the database
+    verificationStoreService.save(result, {
+      source: 'twitter',
+      url: urls[0],
+      text: urls.length === 0 ? claim : undefined,
+      processingTimeMs: Date.now() - startTime,
+      requester: senderId,
+      message: {
+        kind: 'message',
+        chatType: 'private',
+        messageId: dm.id?.toString()
+      }
+    });
+    
     // Format response
     const verdictEmoji = {
       true: '✅',
@@ -214,12 +267,18 @@ const handleDirectMessage = async (bot, dm) => {
       unknown: '❓'
     };
     
+    const language = result.language || inputLanguage;
+    const messages = getMessages(language);
+    const summary = result.summary || result.agent_reports?.[0]?.summary;
+    const outdated = formatOutdated(result, language);
+    
     const response = 
-      `${verdictEmoji[result.verdict]} Verification Complete\n\n` +
-      `Verdict: ${result.verdict.toUpperCase()}\n` +
-      `Accuracy: ${result.accuracy_score}/100\n\n` +
-      `Summary: ${result.agent_reports?.[0]?.summary?.substring(0, 300) || 'Analysis complete.'}\n\n` +
-      `🔗 Blockchain proof: ${result.blockchain_hash?.substring(0, 20)}...`;
+      `${verdictEmoji[result.verdict]} ${messages.resultTitle}\n\n` +
+      `${messages.verdict}: ${formatVerdict(result.verdict, language)}\n` +
+      `${messages.accuracy}: ${result.accuracy_score}/100\n\n` +
+      `${messages.summary}: ${summary?.substring(0, 300) || messages.analysisComplete}\n\n` +
+      (outdated ? `${outdated}\n\n` : '') +
+      `🔗 ${messages.blockchainProof}: ${result.blockchain_hash?.substring(0, 20)}...`;
     
     await bot.sendDM(senderId, response);
     
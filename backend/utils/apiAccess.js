@@ -0,0 +1,243 @@
+/**
+ * API Access Utility
+ *
+ * API key middleware: who is calling (X-Api-Key), how fast they may call,
+ * and metering of the verifications they run against their plan (see
+ * services/apiKeyService.js and services/usageService.js).
+ */
+
+const rateLimit = require('express-rate-limit');
+const logger = require('./logger');
+const { rateLimitConfig } = require('./validators');
+const apiKeyService = require('../services/apiKeyService');
+const { ApiKeyError } = require('../services/apiKeyService');
+const usageService = require('../services/usageService');
+const agentRegistry = require('../services/agentRegistry');
+const SourceGraph = require('../models/SourceGraph');
+
+const ERROR_TITLES = {
+  400: 'Validation Error',
+  401: 'Unauthorized',
+  403: 'Forbidden',
+  429: 'Quota Exceeded'
+};
+
+/**
+ * What each metered operation runs, for the plan checks: where its agents
+ * come from ('request': the `agents` asked for, else the defaults;
+ * 'default': the defaults the plan allows; 'none') and whether it is deep
+ * (multi-claim) mode. The resolved agents are left in req.body.agents.
+ */
+const OPERATIONS = {
+  verify: { agents: 'request', deepMode: async (req) => !!req.body.multiClaim },
+  verify_job: { agents: 'request', deepMode: async (req) => !!req.body.multiClaim },
+  // Reruns the stored verification with the default agents, in its mode
+  // (stored with the recheck: see recheckService.schedule)
+  recheck: {
+    agents: 'default',
+    deepMode: async (req) => {
+      const doc = await SourceGraph.findOne({ hash: req.params.hash }).select('verification.mode');
+      return doc?.verification?.mode === 'multi_claim';
+    }
+  },
+  // Checks up to five claims found on the page with its own LLM prompts
+  extension_analyze: { agents: 'none', deepMode: async () => true },
+  // One LLM call on a snippet
+  extension_quick: { agents: 'none', deepMode: async () => false }
+};
+
+// The one agent of a quick verification, unless the plan leaves it out
+const QUICK_AGENT = 'generic';
+
+const errorBody = (error, message) => ({
+  error,
+  message,
+  timestamp: new Date().toISOString()
+});
+
+/**
+ * Send an API key error with its status, anything else as a 503
+ */
+const sendError = (res, error, message) => {
+  if (error instanceof ApiKeyError) {
+    return res.status(error.status).json(errorBody(ERROR_TITLES[error.status] || 'Error', error.message));
+  }
+
+  logger.error(message, { error: error.message });
+  res.status(503).json(errorBody('Service Unavailable', message));
+};
+
+/**
+ * Agents a verification runs with under a key's limits
+ * @param {string[]|null} allowed - Agents the plan allows (null = all)
+ * @param {string[]} [requested] - Agents asked for
+ * @returns {string[]|undefined} Agents to run; undefined for the defaults
+ */
+const resolveAgents = (allowed, requested) => {
+  if (requested?.length) {
+    const unknown = requested.filter(id => !agentRegistry.getAgent(id));
+    if (unknown.length) {
+      throw new ApiKeyError(`Unknown or disabled agents: ${unknown.join(', ')}`);
+    }
+  }
+
+  if (!allowed) {
+    return requested?.length ? requested : undefined;
+  }
+
+  if (requested?.length) {
+    const denied = requested.filter(id => !allowed.includes(id));
+    if (denied.length) {
+      throw new ApiKeyError(`Your plan does not include these agents: ${denied.join(', ')}`, 403);
+    }
+    return requested;
+  }
+
+  // The default agents the plan allows, or else every agent it allows
+  const defaults = agentRegistry.getDefaultAgentIds().filter(id => allowed.includes(id));
+  return defaults.length ? defaults : allowed.filter(id => agentRegistry.getAgent(id));
+};
+
+/**
+ * Agents a quick verification runs with under a key's plan: the generic
+ * agent, or else the first agent the plan allows
+ * @param {Object} [apiKey] - req.apiKey
+ * @returns {string[]}
+ */
+const quickAgents = (apiKey) => {
+  const allowed = apiKey ? apiKeyService.limitsFor(apiKey).agents : null;
+  if (!allowed || allowed.includes(QUICK_AGENT)) return [QUICK_AGENT];
+  return resolveAgents(allowed, undefined).slice(0, 1);
+};
+
+/**
+ * Identify the caller from the X-Api-Key header (req.apiKey). Requests
+ * without the header pass through anonymous; a bad or revoked key is
+ * refused.
+ */
+const authenticateApiKey = async (req, res, next) => {
+  const key = req.get('X-Api-Key')?.trim();
+  if (!key) return next();
+
+  try {
+    req.apiKey = await apiKeyService.authenticate(key);
+    next();
+  } catch (error) {
+    sendError(res, error, 'API keys cannot be checked right now');
+  }
+};
+
+/**
+ * Require an API key
+ */
+const requireApiKey = (req, res, next) => {
+  if (req.apiKey) return next();
+
+  res.status(401).json(errorBody('Unauthorized', 'An API key is required (X-Api-Key header)'));
+};
+
+/**
+ * Whether a request comes from the first-party web app (its Origin is in
+ * WEB_APP_ORIGINS), which calls without a key
+ */
+const fromWebApp = (req) => apiKeyService.webAppOrigins.includes(req.get('Origin'));
+
+/**
+ * Rate limiting for an endpoint type: keyed requests get their plan's
+ * requests per minute, anonymous ones the per-IP limit in
+ * rateLimitConfig (or a 401 when API_KEYS_REQUIRED=true, except from the
+ * web app)
+ * @param {string} name - rateLimitConfig entry
+ * @returns {Function[]} Express middleware
+ */
+const rateLimiter = (name) => {
+  const config = rateLimitConfig[name];
+
+  const ipLimiter = rateLimit({
+    windowMs: config.windowMs,
+    max: config.max,
+    skip: (req) => !!req.apiKey,
+    message: () => errorBody('Rate Limit Exceeded', config.message),
+    standardHeaders: true,
+    legacyHeaders: false
+  });
+
+  const keyLimiter = rateLimit({
+    windowMs: 60 * 1000,
+    max: (req) => apiKeyService.limitsFor(req.apiKey).requestsPerMinute,
+    keyGenerator: (req) => req.apiKey.id,
+    skip: (req) => !req.apiKey,
+    message: (req) => errorBody(
+      'Rate Limit Exceeded',
+      `This API key allows ${apiKeyService.limitsFor(req.apiKey).requestsPerMinute} requests per minute`
+    ),
+    standardHeaders: true,
+    legacyHeaders: false
+  });
+
+  const keyCheck = (req, res, next) => (
+    apiKeyService.required && !fromWebApp(req) ? requireApiKey(req, res, next) : next()
+  );
+
+  return [keyCheck, ipLimiter, keyLimiter];
+};
+
+/**
+ * Meter a verification: check what the operation runs against the key's
+ * plan (OPERATIONS: agents, deep mode), count it against the daily quota and record its usage when
+ * the response ends. Goes after request validation, so invalid requests
+ * cost nothing.
+ * @param {string} operation - UsageRecord operation
+ * @returns {Function} Express middleware
+ */
+const meterVerification = (operation) => async (req, res, next) => {
+  const { apiKey } = req;
+  const runs = OPERATIONS[operation];
+  let deepMode = false;
+  let agents;
+
+  try {
+    const limits = apiKey ? apiKeyService.limitsFor(apiKey) : null;
+
+    deepMode = await runs.deepMode(req);
+    if (deepMode && limits && !limits.deepMode) {
+      throw new ApiKeyError('Deep (multi-claim) mode is not included in your plan', 403);
+    }
+
+    if (runs.agents === 'request') {
+      agents = resolveAgents(limits?.agents || null, req.body.agents);
+    } else if (runs.agents === 'default') {
+      agents = resolveAgents(limits?.agents || null, undefined);
+    }
+
+    if (apiKey) {
+      const quota = await apiKeyService.consumeQuota(apiKey);
+      if (quota.limit !== null) {
+        res.set({ 'X-Quota-Limit': quota.limit, 'X-Quota-Remaining': quota.remaining });
+      }
+    }
+  } catch (error) {
+    return sendError(res, error, 'API key quota cannot be checked right now');
+  }
+
+  if (agents) req.body.agents = agents;
+
+  const usage = usageService.start({ apiKey, operation, agents, deepMode, quotaCounted: !!apiKey });
+
+  // Jobs finish their own record (usageService.defer) unless refused here
+  res.on('close', () => {
+    const succeeded = res.writableFinished && res.statusCode < 400;
+    if (usage.deferred && succeeded) return;
+    usageService.finish(usage, succeeded ? 'succeeded' : 'failed');
+  });
+
+  usageService.run(usage, next);
+};
+
+module.exports = {
+  authenticateApiKey,
+  requireApiKey,
+  rateLimiter,
+  meterVerification,
+  quickAgents
+};
@@ -0,0 +1,91 @@
+/**
+ * Auth Utility
+ *
+ * Bearer-token guards for routes that must not be public.
+ */
+
+const crypto = require('crypto');
+
+// Compare digests so the comparison is constant-time for any length
+const digest = (value) => crypto.createHash('sha256').update(value).digest();
+
+/**
+ * Middleware requiring the bearer token in an environment variable.
+ * Routes are closed (503) while the variable is unset.
+ * @param {string} envVar - Name of the variable holding the token
+ * @param {string} label - Token name for the 401 message, e.g. 'editor'
+ * @returns {Function} Express middleware
+ */
+const requireToken = (envVar, label) => (req, res, next) => {
+  const token = process.env[envVar];
+  if (!token) {
+    return res.status(503).json({
+      error: 'Service Unavailable',
+      message: `The ${label} token (${envVar}) is not configured`,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  const provided = (req.get('Authorization') || '').replace(/^Bearer\s+/i, '');
+
+  if (!provided || !crypto.timingSafeEqual(digest(provided), digest(token))) {
+    return res.status(401).json({
+      error: 'Unauthorized',
+      message: `A valid ${label} token is required`,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  next();
+};
+
+/**
+ * Middleware requiring one of several named bearer tokens, listed in an
+ * environment variable as name:token pairs ("asha:s3cret,ravi:t0ken").
+ * The name of the matching token is set as req.principal, so actions can
+ * be recorded under who took them. Routes are closed (503) while the
+ * variable holds no tokens.
+ * @param {string} envVar - Name of the variable holding the tokens
+ * @param {string} label - Token name for the 401 message, e.g. 'editor'
+ * @returns {Function} Express middleware
+ */
+const requireNamedToken = (envVar, label) => (req, res, next) => {
+  const tokens = (process.env[envVar] || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(entry => /^[^:\s]+:.+$/.test(entry))
+    .map(entry => {
+      const separator = entry.indexOf(':');
+      return { name: entry.substring(0, separator), token: entry.substring(separator + 1) };
+    });
+
+  if (tokens.length === 0) {
+    return res.status(503).json({
+      error: 'Service Unavailable',
+      message: `No ${label} tokens (${envVar}) are configured`,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  const provided = (req.get('Authorization') || '').replace(/^Bearer\s+/i, '');
+  // Compare against every token so timing doesn't reveal which one matched
+  const match = provided
+    ? tokens.reduce((found, entry) => (crypto.timingSafeEqual(digest(provided), digest(entry.token)) ? entry : found), null)
+    : null;
+
+  if (!match) {
+    return res.status(401).json({
+      error: 'Unauthorized',
+      message: `A valid ${label} token is required`,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  req.principal = match.name;
+  next();
+};
+
+module.exports = {
+  requireToken,
+  requireNamedToken
+};
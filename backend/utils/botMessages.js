@@ -0,0 +1,143 @@
+/**
+ * Bot Messages Utility
+ *
+ * Reply labels for the Telegram, WhatsApp and Twitter bots in the
+ * languages our users write in. Languages without a table here get the
+ * English labels; the verification summary itself is still written in
+ * their language by the orchestrator.
+ */
+
+const MESSAGES = {
+  en: {
+    processing: '🔄 Verifying... This may take a moment.',
+    failed: '❌ Sorry, verification failed. Please try again later.',
+    resultTitle: 'Verification Result',
+    verdict: 'Verdict',
+    accuracy: 'Accuracy',
+    confidence: 'Confidence',
+    summary: 'Summary',
+    claimsAnalyzed: 'Claims Analyzed',
+    blockchainProof: 'Blockchain Proof',
+    pending: 'Pending',
+    analysisComplete: 'Analysis complete.',
+    processedIn: (ms) => `Processed in ${ms}ms.`,
+    outdated: (date) => date
+      ? `🕰️ Old news: first reported on ${date}, but being shared as if it were current.`
+      : '🕰️ Old news: this has circulated before and is being shared as if it were current.',
+    verdicts: { true: 'TRUE', false: 'FALSE', mixed: 'MIXED', unknown: 'UNKNOWN' }
+  },
+
+  hi: {
+    processing: '🔄 जाँच की जा रही है... इसमें थोड़ा समय लग सकता है।',
+    failed: '❌ क्षमा करें, जाँच विफल रही। कृपया बाद में पुनः प्रयास करें।',
+    resultTitle: 'जाँच का परिणाम',
+    verdict: 'निष्कर्ष',
+    accuracy: 'सटीकता',
+    confidence: 'विश्वसनीयता',
+    summary: 'सारांश',
+    claimsAnalyzed: 'जाँचे गए दावे',
+    blockchainProof: 'ब्लॉकचेन प्रमाण',
+    pending: 'लंबित',
+    analysisComplete: 'विश्लेषण पूरा हुआ।',
+    processedIn: (ms) => `${ms}ms में पूरा हुआ।`,
+    outdated: (date) => date
+      ? `🕰️ पुरानी खबर: यह पहली बार ${date} को रिपोर्ट हुई थी, लेकिन इसे ताज़ा खबर की तरह शेयर किया जा रहा है।`
+      : '🕰️ पुरानी खबर: यह पहले भी फैल चुकी है और इसे ताज़ा खबर की तरह शेयर किया जा रहा है।',
+    verdicts: { true: 'सही', false: 'गलत', mixed: 'आंशिक रूप से सही', unknown: 'अपुष्ट' }
+  },
+
+  'hi-Latn': {
+    processing: '🔄 Check kar rahe hain... thoda time lag sakta hai.',
+    failed: '❌ Sorry, verification nahi ho paya. Thodi der baad try karein.',
+    resultTitle: 'Verification Result',
+    verdict: 'Faisla',
+    accuracy: 'Accuracy',
+    confidence: 'Confidence',
+    summary: 'Summary',
+    claimsAnalyzed: 'Claims check kiye',
+    blockchainProof: 'Blockchain Proof',
+    pending: 'Pending',
+    analysisComplete: 'Analysis pura hua.',
+    processedIn: (ms) => `${ms}ms mein pura hua.`,
+    outdated: (date) => date
+      ? `🕰️ Purani khabar: yeh pehli baar ${date} ko report hui thi, par ise nayi khabar ki tarah share kiya ja raha hai.`
+      : '🕰️ Purani khabar: yeh pehle bhi viral ho chuki hai aur ise nayi khabar ki tarah share kiya ja raha hai.',
+    verdicts: { true: 'SACH', false: 'JHOOTH', mixed: 'AADHA SACH', unknown: 'PATA NAHI' }
+  },
+
+  ta: {
+    processing: '🔄 சரிபார்க்கப்படுகிறது... சிறிது நேரம் ஆகலாம்.',
+    failed: '❌ மன்னிக்கவும், சரிபார்ப்பு தோல்வியடைந்தது. பின்னர் மீண்டும் முயற்சிக்கவும்.',
+    resultTitle: 'சரிபார்ப்பு முடிவு',
+    verdict: 'தீர்ப்பு',
+    accuracy: 'துல்லியம்',
+    confidence: 'நம்பகத்தன்மை',
+    summary: 'சுருக்கம்',
+    claimsAnalyzed: 'ஆய்வு செய்யப்பட்ட கூற்றுகள்',
+    blockchainProof: 'பிளாக்செயின் சான்று',
+    pending: 'நிலுவையில்',
+    analysisComplete: 'பகுப்பாய்வு முடிந்தது.',
+    processedIn: (ms) => `${ms}ms இல் முடிந்தது.`,
+    outdated: (date) => date
+      ? `🕰️ பழைய செய்தி: இது முதலில் ${date} அன்று வெளியானது, ஆனால் புதிய செய்தியாகப் பகிரப்படுகிறது.`
+      : '🕰️ பழைய செய்தி: இது முன்பே பரவியது, ஆனால் புதிய செய்தியாகப் பகிரப்படுகிறது.',
+    verdicts: { true: 'உண்மை', false: 'பொய்', mixed: 'பகுதி உண்மை', unknown: 'உறுதிப்படுத்தப்படவில்லை' }
+  },
+
+  bn: {
+    processing: '🔄 যাচাই করা হচ্ছে... একটু সময় লাগতে পারে।',
+    failed: '❌ দুঃখিত, যাচাই ব্যর্থ হয়েছে। পরে আবার চেষ্টা করুন।',
+    resultTitle: 'যাচাইয়ের ফলাফল',
+    verdict: 'রায়',
+    accuracy: 'নির্ভুলতা',
+    confidence: 'আস্থা',
+    summary: 'সারাংশ',
+    claimsAnalyzed: 'যাচাই করা দাবি',
+    blockchainProof: 'ব্লকচেইন প্রমাণ',
+    pending: 'অপেক্ষমাণ',
+    analysisComplete: 'বিশ্লেষণ সম্পন্ন হয়েছে।',
+    processedIn: (ms) => `${ms}ms-এ সম্পন্ন হয়েছে।`,
+    outdated: (date) => date
+      ? `🕰️ পুরনো খবর: এটি প্রথম ${date} তারিখে প্রকাশিত হয়েছিল, কিন্তু নতুন খবর হিসেবে শেয়ার করা হচ্ছে।`
+      : '🕰️ পুরনো খবর: এটি আগেও ছড়িয়েছে এবং নতুন খবর হিসেবে শেয়ার করা হচ্ছে।',
+    verdicts: { true: 'সত্য', false: 'মিথ্যা', mixed: 'আংশিক সত্য', unknown: 'অনিশ্চিত' }
+  }
+};
+
+/**
+ * Get the reply labels for a language
+ * @param {string} language - Language code from the language service
+ * @returns {Object} Labels, English when the language has no table
+ */
+const getMessages = (language) => MESSAGES[language] || MESSAGES.en;
+
+/**
+ * Get the display label for a verdict
+ * @param {string} verdict - true, false, mixed or unknown
+ * @param {string} language - Language code
+ * @returns {string} Verdict label
+ */
+const formatVerdict = (verdict, language) => {
+  const messages = getMessages(language);
+  return messages.verdicts[verdict] || String(verdict || 'unknown').toUpperCase();
+};
+
+/**
+ * Get the old-news warning for a verification result
+ * @param {Object} result - Verification result
+ * @param {string} language - Language code
+ * @returns {string|null} Warning line, or null when the claim is not outdated
+ */
+const formatOutdated = (result, language) => {
+  const temporal = result?.metadata?.temporal;
+  if (temporal?.status !== 'outdated') return null;
+
+  const date = temporal.earliest_evidence?.date?.substring(0, 10) || null;
+  return getMessages(language).outdated(date);
+};
+
+module.exports = {
+  getMessages,
+  formatVerdict,
+  formatOutdated
+};
@@ -106,5 +106,9 @@ const corsOptions = {
 // Create CORS middleware
 const corsMiddleware = cors(corsOptions);
 
+// Public read-only resources (the receipt signing keys): any origin, no credentials
+const publicCors = cors({ origin: '*', methods: ['GET'] });
+
 module.exports = corsMiddleware;
+module.exports.publicCors = publicCors;
 
@@ -0,0 +1,131 @@
+/**
+ * Merkle Utility
+ *
+ * Merkle trees over graph leaves (the claim, each node, each edge) so a
+ * single source can be proven part of a verified graph without revealing
+ * the rest, and over graph hashes so one transaction anchors a batch of
+ * verifications. The scheme must match the browser verifier in
+ * src/lib/merkle.js and the contract's verifyInclusion:
+ *
+ * - leaf hash:  SHA-256(0x00 || leaf bytes), where a graph leaf's bytes are
+ *               its canonical JSON and a batch leaf's are the graph hash
+ * - inner hash: SHA-256(0x01 || left || right)
+ * - a level with an odd count carries its last hash up unchanged
+ *
+ * Canonical JSON is JSON.stringify with keys in sorted order. Leaves are
+ * flat objects of strings and nulls, so it needs no further rules. The
+ * 0x00/0x01 prefixes keep a leaf from being passed off as an inner node.
+ */
+
+const crypto = require('crypto');
+
+const LEAF_PREFIX = Buffer.from([0x00]);
+const NODE_PREFIX = Buffer.from([0x01]);
+
+/**
+ * Serialize a leaf with sorted keys
+ * @param {Object} leaf - Flat object of strings and nulls
+ * @returns {string}
+ */
+const canonicalLeaf = (leaf) => JSON.stringify(leaf, Object.keys(leaf).sort());
+
+/**
+ * Hash raw leaf bytes
+ * @param {Buffer} bytes
+ * @returns {Buffer} 32-byte digest
+ */
+const hashLeafBytes = (bytes) => crypto.createHash('sha256')
+  .update(LEAF_PREFIX)
+  .update(bytes)
+  .digest();
+
+/**
+ * Hash a graph leaf
+ * @param {Object} leaf - Flat object of strings and nulls
+ * @returns {Buffer} 32-byte digest
+ */
+const hashLeaf = (leaf) => hashLeafBytes(Buffer.from(canonicalLeaf(leaf), 'utf8'));
+
+const hashPair = (left, right) => crypto.createHash('sha256')
+  .update(NODE_PREFIX)
+  .update(left)
+  .update(right)
+  .digest();
+
+/**
+ * Build every level of a tree, leaves first and the root last
+ * @param {Array<Buffer>} leafHashes - At least one leaf hash
+ * @returns {Array<Array<Buffer>>}
+ */
+const buildLevels = (leafHashes) => {
+  if (leafHashes.length === 0) {
+    throw new Error('A Merkle tree needs at least one leaf');
+  }
+
+  const levels = [leafHashes];
+  while (levels[levels.length - 1].length > 1) {
+    const level = levels[levels.length - 1];
+    const next = [];
+    for (let i = 0; i < level.length; i += 2) {
+      next.push(i + 1 < level.length ? hashPair(level[i], level[i + 1]) : level[i]);
+    }
+    levels.push(next);
+  }
+  return levels;
+};
+
+/**
+ * Sibling hashes from a leaf up to the root. `position` is the side the
+ * sibling sits on; levels where the leaf's branch was carried up add nothing.
+ * @param {Array<Array<Buffer>>} levels - From buildLevels
+ * @param {number} index - Leaf index
+ * @returns {Array<{position: string, hash: string}>}
+ */
+const proofFor = (levels, index) => {
+  const proof = [];
+  let position = index;
+
+  for (const level of levels.slice(0, -1)) {
+    const sibling = position % 2 === 0 ? position + 1 : position - 1;
+    if (sibling < level.length) {
+      proof.push({
+        position: sibling < position ? 'left' : 'right',
+        hash: level[sibling].toString('hex')
+      });
+    }
+    position = Math.floor(position / 2);
+  }
+  return proof;
+};
+
+/**
+ * Fold a proof up from a leaf hash
+ * @param {Buffer} leafHash - From hashLeaf or hashLeafBytes
+ * @param {Array} proof - From proofFor
+ * @returns {string} Hex root
+ */
+const rootFromProof = (leafHash, proof) => proof
+  .reduce((hash, step) => {
+    const sibling = Buffer.from(step.hash, 'hex');
+    return step.position === 'left' ? hashPair(sibling, hash) : hashPair(hash, sibling);
+  }, leafHash)
+  .toString('hex');
+
+/**
+ * Check a leaf's inclusion proof against a root
+ * @param {Object} leaf - The leaf object
+ * @param {Array} proof - From proofFor
+ * @param {string} root - Hex root
+ * @returns {boolean}
+ */
+const verifyProof = (leaf, proof, root) => rootFromProof(hashLeaf(leaf), proof) === String(root).toLowerCase();
+
+module.exports = {
+  canonicalLeaf,
+  hashLeafBytes,
+  hashLeaf,
+  buildLevels,
+  proofFor,
+  rootFromProof,
+  verifyProof
+};
@@ -0,0 +1,62 @@
+/**
+ * Nonce Manager
+ *
+ * Hands out consecutive nonces for one EVM account so several
+ * transactions can be sent without waiting for each other to be mined.
+ * Asking the node for the pending count per transaction instead gives two
+ * concurrent sends the same nonce, and one of them fails.
+ *
+ * Sends run one at a time, so transactions reach the node in nonce order
+ * and a send that fails (gas estimate reverted, RPC error) hands its nonce
+ * to the next one instead of leaving a gap. The first nonce, and the next
+ * one after a failure, comes from the node's pending transaction count.
+ */
+
+class NonceManager {
+  /**
+   * @param {Function} fetchPendingCount - async () => number, the account's
+   *   transaction count including pending transactions
+   */
+  constructor(fetchPendingCount) {
+    this.fetchPendingCount = fetchPendingCount;
+    this.nextNonce = null;
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Run a send with the next unused nonce, after earlier sends finish
+   * @param {Function} send - async (nonce) => result; resolves once the
+   *   transaction is broadcast, not mined
+   * @returns {Promise<*>} send's result
+   */
+  run(send) {
+    const result = this.queue.then(async () => {
+      if (this.nextNonce === null) {
+        this.nextNonce = await this.fetchPendingCount();
+      }
+
+      const nonce = this.nextNonce;
+      try {
+        const sent = await send(nonce);
+        this.nextNonce = nonce + 1;
+        return sent;
+      } catch (error) {
+        // The nonce may or may not have been used; ask the node next time
+        this.reset();
+        throw error;
+      }
+    });
+
+    this.queue = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Forget the local count; the next nonce is read from the node
+   */
+  reset() {
+    this.nextNonce = null;
+  }
+}
+
+module.exports = NonceManager;
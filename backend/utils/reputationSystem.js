@@ -2,15 +2,19 @@
  * Reputation System
  * 
  * Manages agent reputation scores using an ELO-inspired algorithm.
- * Reputation decays over time and grows based on agreement with ground evidence.
+ * Reputation decays over time and grows based on being right: agents are
+ * scored against ground truth (editor-reviewed verdicts, fact-checker
+ * ratings) when it exists. Agreement with the other agents' consensus
+ * still counts, but only at a fraction of the weight.
  * 
  * REPUTATION FORMULA:
  * 
- * new_score = old_score + K * (actual - expected) * confidence_weight
+ * new_score = old_score + K * basis_weight * (actual - expected) * confidence_weight
  * 
  * Where:
  * - K = 32 (base adjustment factor)
- * - actual = 1 if agreed with final verdict, 0 if disagreed
+ * - basis_weight = 1 for ground truth, 0.25 for consensus
+ * - actual = 1 if the agent matched the ground truth (or consensus), 0 if not
  * - expected = old_score / 100 (probability agent is correct)
  * - confidence_weight = agent's confidence (0-1)
  * 
@@ -21,10 +25,13 @@
 
 const logger = require('./logger');
 const Reputation = require('../models/Reputation');
+const agentRegistry = require('../services/agentRegistry');
 
 // Configuration
 const CONFIG = {
   K_FACTOR: 32, // Base adjustment factor
+  GROUND_TRUTH_WEIGHT: 1, // Share of K for updates against ground truth
+  CONSENSUS_WEIGHT: 0.25, // Share of K for updates against consensus only
   MIN_SCORE: 0,
   MAX_SCORE: 100,
   NEUTRAL_SCORE: 50,
@@ -41,6 +48,12 @@ const CONFIG = {
   LOW_CONFIDENCE_THRESHOLD: 0.3
 };
 
+// What an agent's verdict is scored against
+const BASIS = {
+  CONSENSUS: 'consensus',
+  GROUND_TRUTH: 'ground_truth'
+};
+
 class ReputationSystem {
   constructor() {
     this.cache = new Map(); // In-memory cache for performance
@@ -90,8 +103,7 @@ class ReputationSystem {
    * @returns {Promise<Object>} New reputation record
    */
   async initializeAgent(agentName) {
-    // Determine agent type from name
-    const agentType = this.inferAgentType(agentName);
+    const agentType = agentRegistry.resolveType(agentName);
 
     const reputation = new Reputation({
       agentName,
@@ -109,26 +121,16 @@ class ReputationSystem {
     return reputation;
   }
 
-  /**
-   * Infer agent type from name
-   */
-  inferAgentType(agentName) {
-    const nameLower = agentName.toLowerCase();
-    if (nameLower.includes('toi') || nameLower.includes('times of india')) return 'toi';
-    if (nameLower.includes('indiatimes') || nameLower.includes('india times')) return 'indiaTimes';
-    if (nameLower.includes('ndtv')) return 'ndtv';
-    return 'generic';
-  }
-
   /**
    * Update agent reputation after a verification
    * @param {string} agentName - Name of the agent
-   * @param {boolean} agreed - Did agent agree with final verdict
+   * @param {boolean} agreed - Did agent match the verdict it is scored against
    * @param {number} confidence - Agent's confidence (0-1)
    * @param {Object} metadata - Additional metadata
+   * @param {string} basis - BASIS.CONSENSUS (default) or BASIS.GROUND_TRUTH
    * @returns {Promise<Object>} Updated reputation
    */
-  async updateReputation(agentName, agreed, confidence = 0.5, metadata = {}) {
+  async updateReputation(agentName, agreed, confidence = 0.5, metadata = {}, basis = BASIS.CONSENSUS) {
     try {
       let reputation = await Reputation.findOne({ agentName });
       
@@ -144,8 +146,10 @@ class ReputationSystem {
       // Actual outcome (1 for correct, 0 for wrong)
       const actual = agreed ? 1 : 0;
       
-      // Calculate base adjustment
-      let adjustment = CONFIG.K_FACTOR * (actual - expected);
+      // Calculate base adjustment; consensus alone only moves a fraction of K
+      const groundTruth = basis === BASIS.GROUND_TRUTH;
+      const basisWeight = groundTruth ? CONFIG.GROUND_TRUTH_WEIGHT : CONFIG.CONSENSUS_WEIGHT;
+      let adjustment = CONFIG.K_FACTOR * basisWeight * (actual - expected);
       
       // Apply confidence weight
       let confidenceWeight = confidence;
@@ -169,10 +173,15 @@ class ReputationSystem {
       );
       
       // Update reputation record
+      const reasons = groundTruth
+        ? ['Matched ground truth', 'Missed ground truth']
+        : ['Agreed with final verdict', 'Disagreed with final verdict'];
+
       await reputation.updateScore(
         newScore - oldScore,
-        agreed ? 'Agreed with final verdict' : 'Disagreed with final verdict',
+        agreed ? reasons[0] : reasons[1],
         {
+          basis,
           agreed,
           confidence,
           adjustment,
@@ -180,7 +189,11 @@ class ReputationSystem {
         }
       );
 
-      reputation.recordVerification(agreed, confidence);
+      if (groundTruth) {
+        reputation.recordGroundTruth(agreed);
+      } else {
+        reputation.recordVerification(agreed, confidence);
+      }
       await reputation.save();
       
       // Clear cache
@@ -188,6 +201,7 @@ class ReputationSystem {
       
       logger.info('Updated agent reputation', {
         agentName,
+        basis,
         oldScore,
         newScore,
         adjustment,
@@ -208,6 +222,41 @@ class ReputationSystem {
     }
   }
 
+  /**
+   * Undo an earlier ground-truth update, before scoring against a changed label
+   * @param {string} agentName - Name of the agent
+   * @param {Object} previous - Earlier outcome: { correct, change, verdict }
+   * @returns {Promise<Object|null>} Reverted reputation or null if the agent is unknown
+   */
+  async revertGroundTruth(agentName, previous) {
+    try {
+      const reputation = await Reputation.findOne({ agentName });
+      if (!reputation) return null;
+
+      await reputation.updateScore(
+        -(previous.change || 0),
+        'Ground truth label changed',
+        { basis: BASIS.GROUND_TRUTH, revertedVerdict: previous.verdict }
+      );
+
+      reputation.recordGroundTruth(previous.correct, -1);
+      await reputation.save();
+
+      this.cache.delete(agentName);
+
+      logger.info('Reverted ground-truth reputation update', {
+        agentName,
+        change: -(previous.change || 0),
+        revertedVerdict: previous.verdict
+      });
+
+      return reputation;
+    } catch (error) {
+      logger.error('Failed to revert reputation update', { agentName, error: error.message });
+      throw error;
+    }
+  }
+
   /**
    * Get all agent reputations
    * @returns {Promise<Object>} Map of agent names to scores
@@ -279,7 +328,9 @@ class ReputationSystem {
         exists: true,
         currentScore: reputation.currentScore,
         stats: reputation.stats,
+        // Against ground truth; agreementRate is against the other agents
         accuracyRate: reputation.getAccuracyRate(),
+        agreementRate: reputation.getAgreementRate(),
         peakScore: reputation.metadata.peakScore,
         lowestScore: reputation.metadata.lowestScore,
         recentHistory: reputation.history.slice(-10)
@@ -293,4 +344,5 @@ class ReputationSystem {
 
 // Export singleton instance
 module.exports = new ReputationSystem();
+module.exports.BASIS = BASIS;
 
@@ -5,6 +5,7 @@
  */
 
 const { body, query, param, validationResult } = require('express-validator');
+const { CATEGORIES: DOMAIN_CATEGORIES } = require('../models/Domain');
 
 /**
  * Validate verification request body
@@ -25,8 +26,30 @@ const verifyRequestValidation = [
   
   body('source')
     .optional()
-    .isIn(['frontend', 'telegram', 'twitter', 'extension'])
-    .withMessage('Invalid source. Must be: frontend, telegram, twitter, or extension'),
+    .isIn(['frontend', 'telegram', 'whatsapp', 'twitter', 'extension'])
+    .withMessage('Invalid source. Must be: frontend, telegram, whatsapp, twitter, or extension'),
+
+  body('multiClaim')
+    .optional()
+    .isBoolean()
+    .withMessage('multiClaim must be a boolean')
+    .toBoolean(),
+
+  body('maxClaims')
+    .optional()
+    .isInt({ min: 1, max: 10 })
+    .withMessage('maxClaims must be between 1 and 10')
+    .toInt(),
+
+  // Agents are checked against the registry and the API key's plan (utils/apiAccess.js)
+  body('agents')
+    .optional()
+    .isArray({ min: 1, max: 10 })
+    .withMessage('agents must be an array of 1 to 10 agent ids'),
+
+  body('agents.*')
+    .matches(/^[A-Za-z][A-Za-z0-9_-]{1,39}$/)
+    .withMessage('agents must hold agent ids'),
 
   // Custom validation: at least one of url or text must be provided
   body()
@@ -84,6 +107,575 @@ const graphHashValidation = [
     .withMessage('Hash parameter is required')
 ];
 
+/**
+ * Validate verification job ID parameter
+ */
+const jobIdValidation = [
+  param('jobId')
+    .isUUID(4)
+    .withMessage('Invalid job ID')
+];
+
+/**
+ * Validate agent id parameter
+ */
+const agentIdValidation = [
+  param('id')
+    .matches(/^[A-Za-z][A-Za-z0-9_-]{1,39}$/)
+    .withMessage('Invalid agent id')
+];
+
+/**
+ * Validate agent definition body (rules are checked by the agent registry)
+ */
+const agentDefinitionValidation = [
+  body('name')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('name is required'),
+
+  body('systemPrompt')
+    .isString()
+    .isLength({ min: 20, max: 10000 })
+    .withMessage('systemPrompt must be between 20 and 10000 characters'),
+
+  body('enabled')
+    .optional()
+    .isBoolean()
+    .withMessage('enabled must be a boolean'),
+
+  body('default')
+    .optional()
+    .isBoolean()
+    .withMessage('default must be a boolean')
+];
+
+/**
+ * Validate review queue filters
+ */
+const reviewQueueValidation = [
+  query('status')
+    .optional()
+    .isIn(['queued', 'in_review', 'reviewed'])
+    .withMessage('status must be queued, in_review or reviewed'),
+
+  query('reason')
+    .optional()
+    .isIn(['low_confidence', 'agent_disagreement', 'aggregator_disagreement', 'high_reach', 'user_flag'])
+    .withMessage('Invalid review reason'),
+
+  query('assignee')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('assignee must be between 1 and 100 characters')
+];
+
+/**
+ * Validate a user flag on a verification
+ */
+const reviewFlagValidation = [
+  body('reason')
+    .isIn(['wrong_verdict', 'outdated', 'missing_context', 'offensive', 'other'])
+    .withMessage('reason must be wrong_verdict, outdated, missing_context, offensive or other'),
+
+  body('note')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('note must be at most 1000 characters'),
+
+  body('source')
+    .optional()
+    .isIn(['frontend', 'extension', 'telegram', 'whatsapp', 'twitter', 'api'])
+    .withMessage('Invalid source')
+];
+
+/**
+ * Validate an editor action (the reviewer is the authenticated editor)
+ */
+const reviewActionValidation = [
+  body('assignee')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('assignee must be between 1 and 100 characters'),
+
+  body('rationale')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage('rationale must be at most 2000 characters')
+];
+
+/**
+ * Validate a verdict override
+ */
+const reviewOverrideValidation = [
+  body('verdict')
+    .isIn(['true', 'false', 'mixed', 'unknown'])
+    .withMessage('verdict must be true, false, mixed or unknown'),
+
+  body('accuracy_score')
+    .optional()
+    .isInt({ min: 0, max: 100 })
+    .withMessage('accuracy_score must be between 0 and 100')
+    .toInt(),
+
+  body('rationale')
+    .isString()
+    .trim()
+    .isLength({ min: 10, max: 2000 })
+    .withMessage('rationale must be between 10 and 2000 characters')
+];
+
+/**
+ * Validate watch creation body
+ */
+const watchCreateValidation = [
+  body('channel')
+    .isIn(['telegram', 'whatsapp', 'twitter', 'email'])
+    .withMessage('channel must be telegram, whatsapp, twitter or email'),
+
+  body('recipient')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('recipient must be between 1 and 200 characters')
+    .custom((value, { req }) => req.body.channel !== 'email' || /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value))
+    .withMessage('recipient must be an email address for the email channel'),
+
+  body('topic')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 3, max: 100 })
+    .withMessage('topic must be between 3 and 100 characters'),
+
+  body('claim_hash')
+    .optional()
+    .matches(/^[a-f0-9]{64}$/i)
+    .withMessage('claim_hash must be a 64-character hex graph hash'),
+
+  body()
+    .custom(value => !value.topic !== !value.claim_hash)
+    .withMessage('Provide either topic or claim_hash'),
+
+  body('language')
+    .optional()
+    .isString()
+    .isLength({ min: 2, max: 10 })
+    .withMessage('language must be a language code')
+];
+
+/**
+ * Validate watch list filters
+ */
+const watchListValidation = [
+  query('channel')
+    .optional()
+    .isIn(['telegram', 'whatsapp', 'twitter', 'email'])
+    .withMessage('channel must be telegram, whatsapp, twitter or email'),
+
+  query('recipient')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('recipient must be between 1 and 200 characters'),
+
+  query('type')
+    .optional()
+    .isIn(['topic', 'claim'])
+    .withMessage('type must be topic or claim'),
+
+  query('active')
+    .optional()
+    .isBoolean()
+    .withMessage('active must be true or false')
+    .toBoolean()
+];
+
+/**
+ * Validate watch id parameter
+ */
+const watchIdValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid watch ID')
+];
+
+/**
+ * Validate watch confirmation token parameter
+ */
+const watchConfirmValidation = [
+  param('token')
+    .matches(/^[A-Za-z0-9_-]{32}$/)
+    .withMessage('Invalid confirmation token')
+];
+
+/**
+ * Validate domain parameter (a host, optionally with a URL-encoded path)
+ */
+const domainParamValidation = [
+  param('domain')
+    .trim()
+    .toLowerCase()
+    .matches(/^(www\.)?[a-z0-9-]+(\.[a-z0-9-]+)*(\/[^\s?#]*)?$/)
+    .withMessage('Invalid domain')
+];
+
+/**
+ * Validate domain list filters
+ */
+const domainListValidation = [
+  query('category')
+    .optional()
+    .isIn(DOMAIN_CATEGORIES)
+    .withMessage(`category must be one of: ${DOMAIN_CATEGORIES.join(', ')}`),
+
+  query('source')
+    .optional()
+    .isIn(['builtin', 'admin', 'import', 'outcomes'])
+    .withMessage('source must be builtin, admin, import or outcomes'),
+
+  query(['network', 'q'])
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('must be between 1 and 100 characters')
+];
+
+/**
+ * Validate domain lookup query
+ */
+const domainLookupValidation = [
+  query('url')
+    .exists({ values: 'falsy' })
+    .withMessage('url is required')
+    .bail()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 2048 })
+    .withMessage('url must be a URL or domain')
+];
+
+/**
+ * Validate domain update body (fields are checked again by the domain service)
+ */
+const domainUpdateValidation = [
+  body('score')
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('score must be between 0 and 100')
+    .toFloat(),
+
+  body('category')
+    .optional()
+    .isIn(DOMAIN_CATEGORIES)
+    .withMessage(`category must be one of: ${DOMAIN_CATEGORIES.join(', ')}`),
+
+  body(['network', 'name'])
+    .optional({ values: 'null' })
+    .isString()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('must be at most 100 characters'),
+
+  body()
+    .custom(value => ['score', 'category', 'network', 'name'].some(field => value[field] !== undefined))
+    .withMessage('Provide at least one of score, category, network or name'),
+
+  body(['note', 'by'])
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('must be at most 500 characters')
+];
+
+/**
+ * Validate source network analytics queries
+ */
+const networkQueryValidation = [
+  query('verdict')
+    .optional()
+    .isIn(['true', 'false', 'mixed', 'unknown'])
+    .withMessage('verdict must be true, false, mixed or unknown'),
+
+  query('metric')
+    .optional()
+    .isIn(['pagerank', 'degree'])
+    .withMessage('metric must be pagerank or degree'),
+
+  query('type')
+    .optional()
+    .isIn(['amplifies', 'contradicts'])
+    .withMessage('type must be amplifies or contradicts'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+    .toInt(),
+
+  query('min')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('min must be a positive integer')
+    .toInt()
+];
+
+/**
+ * Validate inclusion proof query (node or edge id)
+ */
+const inclusionProofValidation = [
+  query('node')
+    .optional()
+    .isString()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('node must be a node id'),
+
+  query('edge')
+    .optional()
+    .isString()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('edge must be an edge id')
+];
+
+/**
+ * Validate graph export query (single graph or date-range bulk export)
+ */
+const graphExportValidation = [
+  query('format')
+    .optional()
+    .isIn(['graphml', 'gexf', 'dot', 'jsonld', 'csv'])
+    .withMessage('format must be graphml, gexf, dot, jsonld or csv'),
+
+  query('table')
+    .optional()
+    .isIn(['nodes', 'edges'])
+    .withMessage('table must be nodes or edges'),
+
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('from must be an ISO 8601 date')
+    .toDate(),
+
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('to must be an ISO 8601 date')
+    .toDate(),
+
+  query('include_revisions')
+    .optional()
+    .isBoolean()
+    .withMessage('include_revisions must be true or false')
+    .toBoolean()
+];
+
+/**
+ * Validate receipt format query params
+ */
+const receiptValidation = [
+  query('format')
+    .optional()
+    .isIn(['json', 'svg', 'png'])
+    .withMessage('format must be json, svg or png'),
+
+  query('download')
+    .optional()
+    .isBoolean()
+    .withMessage('download must be true or false')
+    .toBoolean()
+];
+
+/**
+ * Validate an outbox re-anchor request (default: every failed entry)
+ */
+const outboxRetryValidation = [
+  body('graph_hashes')
+    .optional()
+    .isArray({ min: 1, max: 1000 })
+    .withMessage('graph_hashes must be an array of 1 to 1000 graph hashes'),
+
+  body('graph_hashes.*')
+    .matches(/^[a-f0-9]{64}$/i)
+    .withMessage('graph_hashes must hold 64-character hex graph hashes')
+];
+
+/**
+ * Validate an integrity audit request (default: the verifications checked
+ * longest ago)
+ */
+const integrityAuditValidation = [
+  body('graph_hashes')
+    .optional()
+    .isArray({ min: 1, max: 1000 })
+    .withMessage('graph_hashes must be an array of 1 to 1000 graph hashes'),
+
+  body('graph_hashes.*')
+    .matches(/^[a-f0-9]{64}$/i)
+    .withMessage('graph_hashes must hold 64-character hex graph hashes'),
+
+  body('limit')
+    .optional()
+    .isInt({ min: 1, max: 5000 })
+    .withMessage('limit must be between 1 and 5000')
+    .toInt()
+];
+
+/**
+ * Validate API key limit overrides (null falls back to the plan's limit)
+ */
+const apiKeyLimitsValidation = [
+  body('limits')
+    .optional()
+    .isObject()
+    .withMessage('limits must be an object'),
+
+  body('limits.verificationsPerDay')
+    .optional({ values: 'null' })
+    .isInt({ min: 0 })
+    .withMessage('limits.verificationsPerDay must be a non-negative integer')
+    .toInt(),
+
+  body('limits.requestsPerMinute')
+    .optional({ values: 'null' })
+    .isInt({ min: 1, max: 10000 })
+    .withMessage('limits.requestsPerMinute must be between 1 and 10000')
+    .toInt(),
+
+  body('limits.agents')
+    .optional({ values: 'null' })
+    .isArray({ min: 1 })
+    .withMessage('limits.agents must be a non-empty array of agent ids'),
+
+  body('limits.agents.*')
+    .matches(/^[A-Za-z][A-Za-z0-9_-]{1,39}$/)
+    .withMessage('limits.agents must hold agent ids'),
+
+  body('limits.deepMode')
+    .optional({ values: 'null' })
+    .isBoolean({ strict: true })
+    .withMessage('limits.deepMode must be a boolean')
+];
+
+/**
+ * Validate API key issuance (plans are checked by the API key service)
+ */
+const apiKeyCreateValidation = [
+  body('name')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('name must be between 1 and 100 characters'),
+
+  body('owner')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('owner must be at most 200 characters'),
+
+  body('plan')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('plan is required'),
+
+  ...apiKeyLimitsValidation
+];
+
+/**
+ * Validate API key changes
+ */
+const apiKeyUpdateValidation = [
+  body('name')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('name must be between 1 and 100 characters'),
+
+  body('owner')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('owner must be at most 200 characters'),
+
+  body('plan')
+    .optional()
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('plan must not be empty'),
+
+  ...apiKeyLimitsValidation
+];
+
+/**
+ * Validate API key list filters
+ */
+const apiKeyListValidation = [
+  query('status')
+    .optional()
+    .isIn(['active', 'revoked'])
+    .withMessage('status must be active or revoked'),
+
+  query('plan')
+    .optional()
+    .isString()
+    .trim()
+];
+
+/**
+ * Validate API key id parameter
+ */
+const apiKeyIdValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid API key ID')
+];
+
+/**
+ * Validate API key revocation
+ */
+const apiKeyRevokeValidation = [
+  body('reason')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('reason must be at most 500 characters')
+];
+
+/**
+ * Validate a usage report period (default: the last 30 days)
+ */
+const usageQueryValidation = [
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('from must be an ISO 8601 date')
+    .toDate(),
+
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('to must be an ISO 8601 date')
+    .toDate()
+];
+
 /**
  * Validate pagination parameters
  */
@@ -198,6 +790,36 @@ const rateLimitConfig = {
     windowMs: 1 * 60 * 1000, // 1 minute
     max: 100, // 100 webhook calls per minute
     message: 'Webhook rate limit exceeded'
+  },
+  reputation: {
+    windowMs: 1 * 60 * 1000, // 1 minute
+    max: 60, // 60 requests per minute
+    message: 'Too many reputation requests, please try again later'
+  },
+  watches: {
+    windowMs: 1 * 60 * 1000, // 1 minute
+    max: 30, // 30 requests per minute
+    message: 'Too many watch requests, please try again later'
+  },
+  integrity: {
+    windowMs: 1 * 60 * 1000, // 1 minute
+    max: 10, // 10 audits per minute; each one reads the chain
+    message: 'Too many integrity audits, please try again later'
+  },
+  reviews: {
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 10, // 10 flags per 15 minutes
+    message: 'Too many flags, please try again later'
+  },
+  export: {
+    windowMs: 1 * 60 * 1000, // 1 minute
+    max: 20, // 20 exports per minute; a bulk export reads up to GRAPH_EXPORT_MAX_GRAPHS verifications
+    message: 'Too many graph exports, please try again later'
+  },
+  receipts: {
+    windowMs: 1 * 60 * 1000, // 1 minute
+    max: 30, // 30 receipts per minute; each one is signed and may be rendered as a QR code
+    message: 'Too many receipt requests, please try again later'
   }
 };
 
@@ -206,6 +828,33 @@ module.exports = {
   extensionRequestValidation,
   webhookValidation,
   graphHashValidation,
+  jobIdValidation,
+  agentIdValidation,
+  agentDefinitionValidation,
+  reviewQueueValidation,
+  reviewFlagValidation,
+  reviewActionValidation,
+  reviewOverrideValidation,
+  watchCreateValidation,
+  watchListValidation,
+  watchIdValidation,
+  watchConfirmValidation,
+  domainParamValidation,
+  domainListValidation,
+  domainLookupValidation,
+  domainUpdateValidation,
+  networkQueryValidation,
+  graphExportValidation,
+  inclusionProofValidation,
+  receiptValidation,
+  outboxRetryValidation,
+  integrityAuditValidation,
+  apiKeyCreateValidation,
+  apiKeyUpdateValidation,
+  apiKeyListValidation,
+  apiKeyIdValidation,
+  apiKeyRevokeValidation,
+  usageQueryValidation,
   paginationValidation,
   validateRequest,
   sanitizeContent,
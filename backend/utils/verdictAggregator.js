@@ -0,0 +1,277 @@
+/**
+ * Verdict Aggregator
+ *
+ * Deterministic aggregation of agent reports. It runs next to the LLM
+ * aggregator: as the fallback when the LLM call fails, and as an audit
+ * of the LLM verdict otherwise. Every number it produces can be traced
+ * back through its breakdown.
+ *
+ * AGGREGATION FORMULA:
+ *
+ * weight_i = (reputation_i / 100) * confidence_i * evidence_quality_i * penalties_i
+ *
+ * Where:
+ * - reputation_i = agent reputation from the reputation system (default 50)
+ * - confidence_i = agent's confidence (0-1)
+ * - evidence_quality_i = mean domain reputation (0-1) of the evidence the
+ *   agent cited, or of all evidence when it cited none it was given
+ * - penalties_i = product of penalty factors (low confidence, no cited evidence)
+ *
+ * verdict = verdict with the largest weight share; "mixed" when no verdict
+ *           reaches MAJORITY_SHARE, "unknown" when no weighted agent reached one
+ * accuracy_score = sum(weight_i * credibility_i) / sum(weight_i) + adjustments
+ * confidence = winning share * weighted mean confidence of agreeing agents
+ *
+ * Adjustments are whole points for evidence-level problems (no evidence,
+ * low-quality evidence, verdict against the evidence stance).
+ */
+
+const stanceService = require('../services/stanceService');
+
+// Configuration
+const CONFIG = {
+  NEUTRAL_REPUTATION: 50,
+  DEFAULT_CONFIDENCE: 0.5,
+  NEUTRAL_EVIDENCE_QUALITY: 0.5,
+  MAJORITY_SHARE: 0.5, // Winning verdict needs at least this share of weight
+
+  // Penalty factors on an agent's weight
+  LOW_CONFIDENCE_THRESHOLD: 0.3,
+  LOW_CONFIDENCE_FACTOR: 0.5,
+  NO_CITED_EVIDENCE_FACTOR: 0.8,
+
+  // Adjustments to the accuracy score (points)
+  NO_EVIDENCE_POINTS: -20,
+  LOW_QUALITY_EVIDENCE_THRESHOLD: 40, // Mean domain reputation (0-100)
+  LOW_QUALITY_EVIDENCE_POINTS: -10,
+  STANCE_CONFLICT_POINTS: -10,
+
+  // Differences from the LLM verdict that are flagged
+  SCORE_TOLERANCE: 20, // accuracy_score points
+  CONFIDENCE_TOLERANCE: 0.3
+};
+
+const VOTING_VERDICTS = ['true', 'false', 'mixed'];
+
+class VerdictAggregator {
+  /**
+   * Aggregate agent reports into a verdict with a full score breakdown
+   * @param {Array} agentReports - Agent reports
+   * @param {Object} reputations - Agent reputation scores by agent name
+   * @param {Object} context - Evidence context (optional)
+   * @param {Array} context.evidence - Evidence with domainReputationScore and stance
+   * @returns {Object} { verdict, accuracy_score, confidence, summary, agent_consensus, breakdown }
+   */
+  aggregate(agentReports, reputations = {}, context = {}) {
+    const { evidence = [] } = context;
+    const qualityByUrl = new Map(evidence.map(e => [e.url, this.domainQuality(e)]));
+
+    const agents = agentReports.map(report => this.weighAgent(report, reputations, evidence, qualityByUrl));
+    const totalWeight = agents.reduce((sum, a) => sum + a.weight, 0);
+
+    // Verdict vote over the agents that reached one
+    const votes = Object.fromEntries(VOTING_VERDICTS.map(v => [v, 0]));
+    for (const agent of agents) {
+      if (VOTING_VERDICTS.includes(agent.verdict)) votes[agent.verdict] += agent.weight;
+    }
+    const votingWeight = Object.values(votes).reduce((sum, w) => sum + w, 0);
+    const shares = Object.fromEntries(
+      VOTING_VERDICTS.map(v => [v, votingWeight > 0 ? this.round(votes[v] / votingWeight) : 0])
+    );
+
+    // Ties break in VOTING_VERDICTS order for determinism
+    const [top, topWeight] = Object.entries(votes).sort((a, b) => b[1] - a[1])[0];
+    const topShare = votingWeight > 0 ? topWeight / votingWeight : 0;
+
+    let verdict = 'unknown';
+    if (votingWeight > 0) {
+      verdict = topShare >= CONFIG.MAJORITY_SHARE ? top : 'mixed';
+    }
+
+    // Accuracy: weighted credibility, then evidence-level adjustments
+    for (const agent of agents) {
+      agent.share = totalWeight > 0 ? this.round(agent.weight / totalWeight) : 0;
+      agent.contribution = totalWeight > 0
+        ? this.round((agent.weight * agent.credibility_score) / totalWeight)
+        : 0;
+    }
+    const baseScore = totalWeight > 0
+      ? agents.reduce((sum, a) => sum + a.weight * a.credibility_score, 0) / totalWeight
+      : 0;
+    const adjustments = this.adjustments(verdict, evidence);
+    const adjustmentPoints = adjustments.reduce((sum, a) => sum + a.points, 0);
+    const accuracyScore = Math.round(Math.max(0, Math.min(100, baseScore + adjustmentPoints)));
+
+    // Confidence: how decisive the vote was x how sure the majority was.
+    // A split vote has no majority, so every weighted agent counts.
+    const weighted = agents.filter(a => a.weight > 0);
+    const matching = weighted.filter(a => a.verdict === verdict);
+    const agreeing = matching.length > 0 ? matching : weighted;
+    const agreeingWeight = agreeing.reduce((sum, a) => sum + a.weight, 0);
+    const agreeingConfidence = agreeingWeight > 0
+      ? agreeing.reduce((sum, a) => sum + a.confidence * a.weight, 0) / agreeingWeight
+      : 0;
+    const confidence = this.round(topShare * agreeingConfidence);
+
+    const consensus = `${matching.length} of ${agents.length} agents returned ${verdict}` +
+      (weighted.length < agents.length ? ` (${agents.length - weighted.length} carried no weight)` : '');
+
+    return {
+      verdict,
+      accuracy_score: accuracyScore,
+      confidence,
+      summary: this.describe(verdict, accuracyScore, agents, adjustments),
+      agent_consensus: consensus,
+      breakdown: {
+        agents,
+        votes: shares,
+        base_score: this.round(baseScore),
+        adjustments
+      }
+    };
+  }
+
+  /**
+   * Compute one agent's weight and the penalties behind it
+   * @returns {Object} Agent breakdown entry
+   */
+  weighAgent(report, reputations, evidence, qualityByUrl) {
+    const reputation = reputations[report.agent_name] ?? CONFIG.NEUTRAL_REPUTATION;
+    const confidence = Number.isFinite(report.confidence) ? report.confidence : CONFIG.DEFAULT_CONFIDENCE;
+    const penalties = [];
+
+    const cited = (report.evidence_links || []).filter(url => qualityByUrl.has(url));
+    let evidenceQuality;
+    if (cited.length > 0) {
+      evidenceQuality = this.mean(cited.map(url => qualityByUrl.get(url)));
+    } else {
+      evidenceQuality = evidence.length > 0
+        ? this.mean(evidence.map(e => this.domainQuality(e)))
+        : CONFIG.NEUTRAL_EVIDENCE_QUALITY;
+      if (evidence.length > 0) {
+        penalties.push({ reason: 'no_cited_evidence', factor: CONFIG.NO_CITED_EVIDENCE_FACTOR });
+      }
+    }
+
+    if (report.error) {
+      penalties.push({ reason: 'agent_failed', factor: 0 });
+    } else if (confidence < CONFIG.LOW_CONFIDENCE_THRESHOLD) {
+      penalties.push({ reason: 'low_confidence', factor: CONFIG.LOW_CONFIDENCE_FACTOR });
+    }
+
+    const penaltyFactor = penalties.reduce((product, p) => product * p.factor, 1);
+    const weight = (reputation / 100) * confidence * evidenceQuality * penaltyFactor;
+
+    return {
+      agent_name: report.agent_name,
+      verdict: String(report.verdict || 'unknown').toLowerCase(),
+      confidence,
+      credibility_score: Number(report.credibility_score) || 0,
+      reputation,
+      evidence_quality: this.round(evidenceQuality),
+      cited_evidence: cited.length,
+      penalties,
+      weight: this.round(weight, 4)
+    };
+  }
+
+  /**
+   * Evidence-level adjustments to the accuracy score
+   * @param {string} verdict - Aggregated verdict
+   * @param {Array} evidence - Evidence with domainReputationScore and stance
+   * @returns {Array} [{ reason, points }]
+   */
+  adjustments(verdict, evidence) {
+    if (evidence.length === 0) {
+      return [{ reason: 'no_evidence', points: CONFIG.NO_EVIDENCE_POINTS }];
+    }
+
+    const adjustments = [];
+
+    const meanReputation = this.mean(evidence.map(e => this.domainQuality(e))) * 100;
+    if (meanReputation < CONFIG.LOW_QUALITY_EVIDENCE_THRESHOLD) {
+      adjustments.push({ reason: 'low_quality_evidence', points: CONFIG.LOW_QUALITY_EVIDENCE_POINTS });
+    }
+
+    // A verdict against the confident stance majority needs a second look
+    const confident = evidence.filter(e => stanceService.isConfident(e.stance));
+    const supports = confident.filter(e => e.stance.label === 'supports').length;
+    const refutes = confident.filter(e => e.stance.label === 'refutes').length;
+    if ((verdict === 'true' && refutes > supports) || (verdict === 'false' && supports > refutes)) {
+      adjustments.push({ reason: 'stance_conflict', points: CONFIG.STANCE_CONFLICT_POINTS });
+    }
+
+    return adjustments;
+  }
+
+  /**
+   * Compare the LLM verdict with the deterministic one
+   * @param {Object} llmResult - LLM aggregation result
+   * @param {Object} audit - Result of aggregate()
+   * @returns {Object} { flagged, reasons, verdict, accuracy_delta, confidence_delta }
+   */
+  compare(llmResult, audit) {
+    const llmVerdict = String(llmResult.verdict || 'unknown').toLowerCase();
+    const accuracyDelta = Math.round((Number(llmResult.accuracy_score) || 0) - audit.accuracy_score);
+    const confidenceDelta = this.round((Number(llmResult.confidence) || 0) - audit.confidence);
+
+    const reasons = [];
+    if (llmVerdict !== audit.verdict) {
+      reasons.push(`LLM verdict ${llmVerdict} differs from deterministic verdict ${audit.verdict}`);
+    }
+    if (Math.abs(accuracyDelta) > CONFIG.SCORE_TOLERANCE) {
+      reasons.push(`Accuracy differs by ${accuracyDelta} points`);
+    }
+    if (Math.abs(confidenceDelta) > CONFIG.CONFIDENCE_TOLERANCE) {
+      reasons.push(`Confidence differs by ${confidenceDelta}`);
+    }
+
+    return {
+      flagged: reasons.length > 0,
+      reasons,
+      verdict: { llm: llmVerdict, deterministic: audit.verdict },
+      accuracy_delta: accuracyDelta,
+      confidence_delta: confidenceDelta
+    };
+  }
+
+  /**
+   * One-line explanation of the deterministic result
+   */
+  describe(verdict, accuracyScore, agents, adjustments) {
+    const leading = [...agents]
+      .filter(a => a.weight > 0)
+      .sort((a, b) => b.weight - a.weight)[0];
+    const parts = [`Deterministic aggregation of ${agents.length} agent reports: ${verdict} at ${accuracyScore}/100.`];
+
+    if (leading) {
+      parts.push(`${leading.agent_name} carried the most weight (${Math.round(leading.share * 100)}%).`);
+    }
+    if (adjustments.length > 0) {
+      parts.push(`Adjusted for ${adjustments.map(a => `${a.reason.replace(/_/g, ' ')} (${a.points})`).join(', ')}.`);
+    }
+
+    return parts.join(' ');
+  }
+
+  /**
+   * Domain reputation of an evidence item on a 0-1 scale
+   */
+  domainQuality(evidence) {
+    const score = Number(evidence.domainReputationScore);
+    return Number.isFinite(score) ? Math.max(0, Math.min(100, score)) / 100 : CONFIG.NEUTRAL_EVIDENCE_QUALITY;
+  }
+
+  mean(values) {
+    return values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : 0;
+  }
+
+  round(value, digits = 2) {
+    const factor = 10 ** digits;
+    return Math.round(value * factor) / factor;
+  }
+}
+
+// Export singleton instance
+module.exports = new VerdictAggregator();
+module.exports.CONFIG = CONFIG;
@@ -119,6 +119,36 @@ class WhatsAppBot {
       }
     }
   }
+
+  /**
+   * Send a WhatsApp message outside a webhook reply (e.g. watch alerts).
+   * WhatsApp only delivers free-form messages within 24 hours of the
+   * user's last message; later ones need an approved template.
+   * @param {string} to - Phone number, with or without the 'whatsapp:' prefix
+   * @param {string} body - Message text
+   */
+  async sendMessage(to, body) {
+    if (!this.client || !this.whatsappNumber) {
+      logger.warn('Cannot send WhatsApp message: Twilio client or number not configured');
+      return null;
+    }
+
+    const withPrefix = (number) => number.startsWith('whatsapp:') ? number : `whatsapp:${number}`;
+
+    try {
+      const message = await this.client.messages.create({
+        to: withPrefix(to),
+        from: withPrefix(this.whatsappNumber),
+        body,
+      });
+
+      logger.bot('whatsapp', 'Message sent via Twilio REST API', { sid: message.sid });
+      return message;
+    } catch (error) {
+      logger.error('Failed to send WhatsApp message', { error: error.message });
+      throw error;
+    }
+  }
 }
 
 // Export singleton instance
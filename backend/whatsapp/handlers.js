@@ -8,6 +8,10 @@
 const logger = require('../utils/logger');
 const orchestrator = require('../routes/agents/orchestrator');
 const { analyzeImageWithVision } = require('../services/imageAnalysisService');
+const languageService = require('../services/languageService');
+const watchService = require('../services/watchService');
+const verificationStoreService = require('../services/verificationStoreService');
+const { getMessages, formatVerdict, formatOutdated } = require('../utils/botMessages');
 
 console.log('[WhatsApp] Handlers module loaded');
 
@@ -70,6 +74,12 @@ const handleIncomingMessage = async (params) => {
     return 'Please send a news URL, a claim to verify, or an image to analyze for authenticity.';
   }
 
+  // Watchlist commands (/watch, /unwatch, /watches)
+  const watchReply = await watchService.handleCommand({ channel: 'whatsapp', recipient: from, text: body });
+  if (watchReply) {
+    return watchReply;
+  }
+
   // Rate limit per sender
   const rateLimit = checkRateLimit(from);
   if (rateLimit.limited) {
@@ -100,6 +110,20 @@ const handleIncomingMessage = async (params) => {
 
     const duration = Date.now() - start;
 
+    // Store in the background; the reply doesn't wait for the database
+    verificationStoreService.save(result, {
+      source: 'whatsapp',
+      url: isUrl ? body : undefined,
+      text: isUrl ? undefined : body,
+      processingTimeMs: duration,
+      requester: from,
+      message: {
+        kind: 'message',
+        chatType: 'private',
+        messageId: params.MessageSid,
+      },
+    });
+
     const verdictEmoji = {
       true: '✅',
       false: '❌',
@@ -108,20 +132,27 @@ const handleIncomingMessage = async (params) => {
     };
 
     const emoji = verdictEmoji[result.verdict] || '❓';
+    const language = result.language || languageService.detect(body).code;
+    const messages = getMessages(language);
 
-    let reply = `${emoji} Verification Result\n\n`;
-    reply += `Verdict: ${result.verdict.toUpperCase()}\n`;
-    reply += `Accuracy: ${result.accuracy_score}/100\n\n`;
+    let reply = `${emoji} ${messages.resultTitle}\n\n`;
+    reply += `${messages.verdict}: ${formatVerdict(result.verdict, language)}\n`;
+    reply += `${messages.accuracy}: ${result.accuracy_score}/100\n\n`;
 
-    if (result.agent_reports?.[0]?.summary || result.summary) {
-      reply += `Summary:\n${
-        result.agent_reports?.[0]?.summary ||
-        result.summary
+    if (result.summary || result.agent_reports?.[0]?.summary) {
+      reply += `${messages.summary}:\n${
+        result.summary ||
+        result.agent_reports?.[0]?.summary
       }\n\n`;
     }
 
+    const outdated = formatOutdated(result, language);
+    if (outdated) {
+      reply += `${outdated}\n\n`;
+    }
+
     if (result.claim_verdicts && result.claim_verdicts.length > 0) {
-      reply += `Claims Analyzed: ${result.claim_verdicts.length}\n`;
+      reply += `${messages.claimsAnalyzed}: ${result.claim_verdicts.length}\n`;
       result.claim_verdicts.slice(0, 2).forEach((claim) => {
         reply += `• ${claim.verdict}: ${claim.claim.substring(0, 80)}...\n`;
       });
@@ -130,10 +161,10 @@ const handleIncomingMessage = async (params) => {
 
     if (result.blockchain_hash) {
       const txUrl = `https://sepolia.etherscan.io/tx/${result.blockchain_hash}`;
-      reply += `Blockchain Proof:\n${txUrl}\n\n`;
+      reply += `${messages.blockchainProof}:\n${txUrl}\n\n`;
     }
 
-    reply += `Processed in ${duration}ms.`;
+    reply += messages.processedIn(duration);
 
     logger.bot('whatsapp', 'Verification sent', {
       from,
@@ -155,7 +186,7 @@ const handleIncomingMessage = async (params) => {
       error: error.message,
     });
 
-    return '❌ Sorry, verification failed. Please try again later.';
+    return getMessages(languageService.detect(body).code).failed;
   }
 };
 
@@ -20,10 +20,24 @@ contract SatyaTrail {
         address submitter;
     }
 
+    // Merkle root over many graph hashes, anchored in one transaction
+    struct Batch {
+        bytes32 root;
+        uint256 size;
+        uint256 timestamp;
+        address submitter;
+    }
+
     mapping(string => GraphData) public graphs;
     string[] public graphHashes;
 
+    // Batch ids start at 1
+    mapping(uint256 => Batch) public batches;
+    mapping(bytes32 => uint256) public batchIdByRoot;
+    uint256 public batchCount;
+
     event GraphStored(string indexed hash, string claim, string verdict, uint256 timestamp);
+    event BatchAnchored(uint256 indexed batchId, bytes32 indexed root, uint256 size, uint256 timestamp);
 
     function storeGraph(
         string memory _hash,
@@ -50,6 +64,52 @@ contract SatyaTrail {
         emit GraphStored(_hash, _claim, _verdict, block.timestamp);
     }
 
+    function anchorBatch(bytes32 _root, uint256 _size) public returns (uint256 batchId) {
+        require(_root != bytes32(0), "Empty root");
+        require(_size > 0, "Empty batch");
+        require(batchIdByRoot[_root] == 0, "Batch already anchored");
+
+        batchId = ++batchCount;
+        batches[batchId] = Batch(_root, _size, block.timestamp, msg.sender);
+        batchIdByRoot[_root] = batchId;
+
+        emit BatchAnchored(batchId, _root, _size, block.timestamp);
+    }
+
+    function getBatch(uint256 _batchId) public view returns (
+        bytes32 root,
+        uint256 size,
+        uint256 timestamp,
+        address submitter
+    ) {
+        Batch storage b = batches[_batchId];
+        return (b.root, b.size, b.timestamp, b.submitter);
+    }
+
+    // Leaf = sha256(0x00 || graphHash), parent = sha256(0x01 || left || right);
+    // _siblingOnLeft[i] says which side _proof[i] sits on
+    function verifyInclusion(
+        uint256 _batchId,
+        bytes32 _graphHash,
+        bytes32[] calldata _proof,
+        bool[] calldata _siblingOnLeft
+    ) public view returns (bool) {
+        require(_proof.length == _siblingOnLeft.length, "Proof length mismatch");
+
+        bytes32 root = batches[_batchId].root;
+        if (root == bytes32(0)) {
+            return false;
+        }
+
+        bytes32 computed = sha256(abi.encodePacked(bytes1(0x00), _graphHash));
+        for (uint i = 0; i < _proof.length; i++) {
+            computed = _siblingOnLeft[i]
+                ? sha256(abi.encodePacked(bytes1(0x01), _proof[i], computed))
+                : sha256(abi.encodePacked(bytes1(0x01), computed, _proof[i]));
+        }
+        return computed == root;
+    }
+
     function getGraph(string memory _hash) public view returns (
         string memory claim,
         string memory verdict,
@@ -0,0 +1,307 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+import {AccessControl} from "@openzeppelin/contracts/access/AccessControl.sol";
+
+// v2 of SatyaTrail: only SUBMITTER_ROLE accounts write, verdicts are
+// corrected by appending revisions instead of reverting, and graphs can be
+// listed page by page or by submitter. storeGraph and getGraph keep the v1
+// signatures. Until the admin closes the migration, graphs from a v1
+// contract can be imported with their original timestamp and submitter.
+contract SatyaTrailV2 is AccessControl {
+    bytes32 public constant SUBMITTER_ROLE = keccak256("SUBMITTER_ROLE");
+    uint256 public constant MAX_PAGE_SIZE = 100;
+
+    // Initial: the verdict the graph was stored with; Migrated: imported from v1
+    enum RevisionReason {
+        Initial,
+        Recheck,
+        EditorOverride,
+        NewEvidence,
+        Correction,
+        Migrated
+    }
+
+    struct Node {
+        string id;
+        string url;
+        string role;
+        uint256 domainReputation;
+        uint256 timestamp;
+        string title;
+    }
+
+    struct Revision {
+        string verdict;
+        uint256 accuracyScore;
+        RevisionReason reason;
+        uint256 timestamp;
+        address submitter;
+    }
+
+    struct GraphData {
+        string claim;
+        Node[] nodes;
+        uint256 timestamp;
+        address submitter;
+        Revision[] revisions;
+    }
+
+    // One row of getGraphs / getGraphsBySubmitter, with the current verdict
+    struct GraphSummary {
+        string hash;
+        string claim;
+        string verdict;
+        uint256 accuracyScore;
+        uint256 timestamp;
+        address submitter;
+        uint256 revisionCount;
+    }
+
+    // Merkle root over many graph hashes, anchored in one transaction
+    struct Batch {
+        bytes32 root;
+        uint256 size;
+        uint256 timestamp;
+        address submitter;
+    }
+
+    mapping(string => GraphData) private graphs;
+    string[] public graphHashes;
+    mapping(address => string[]) private submitterHashes;
+
+    // Batch ids start at 1
+    mapping(uint256 => Batch) public batches;
+    mapping(bytes32 => uint256) public batchIdByRoot;
+    uint256 public batchCount;
+
+    bool public migrationClosed;
+
+    event GraphStored(string indexed hash, string claim, string verdict, uint256 timestamp);
+    event VerdictRevised(
+        string indexed hash,
+        uint256 revision,
+        string verdict,
+        uint256 accuracyScore,
+        RevisionReason reason,
+        address indexed submitter,
+        uint256 timestamp
+    );
+    event GraphImported(string indexed hash, address indexed submitter, uint256 timestamp);
+    event MigrationClosed(uint256 timestamp);
+    event BatchAnchored(uint256 indexed batchId, bytes32 indexed root, uint256 size, uint256 timestamp);
+
+    constructor() {
+        _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
+        _grantRole(SUBMITTER_ROLE, msg.sender);
+    }
+
+    function storeGraph(
+        string memory _hash,
+        string memory _claim,
+        string memory _verdict,
+        uint256 _accuracyScore,
+        Node[] memory _nodes
+    ) public onlyRole(SUBMITTER_ROLE) {
+        _store(_hash, _claim, _verdict, _accuracyScore, _nodes, RevisionReason.Initial, block.timestamp, msg.sender);
+
+        emit GraphStored(_hash, _claim, _verdict, block.timestamp);
+    }
+
+    function reviseVerdict(
+        string memory _hash,
+        string memory _verdict,
+        uint256 _accuracyScore,
+        RevisionReason _reason
+    ) public onlyRole(SUBMITTER_ROLE) returns (uint256 revision) {
+        GraphData storage g = graphs[_hash];
+        require(g.revisions.length > 0, "Graph not found");
+        require(
+            _reason != RevisionReason.Initial && _reason != RevisionReason.Migrated,
+            "Invalid reason"
+        );
+
+        g.revisions.push(Revision(_verdict, _accuracyScore, _reason, block.timestamp, msg.sender));
+        revision = g.revisions.length - 1;
+
+        emit VerdictRevised(_hash, revision, _verdict, _accuracyScore, _reason, msg.sender, block.timestamp);
+    }
+
+    function importGraph(
+        string memory _hash,
+        string memory _claim,
+        string memory _verdict,
+        uint256 _accuracyScore,
+        Node[] memory _nodes,
+        uint256 _timestamp,
+        address _submitter
+    ) public onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(!migrationClosed, "Migration closed");
+
+        _store(_hash, _claim, _verdict, _accuracyScore, _nodes, RevisionReason.Migrated, _timestamp, _submitter);
+
+        emit GraphImported(_hash, _submitter, _timestamp);
+    }
+
+    // After this, history can only grow through storeGraph and reviseVerdict
+    function closeMigration() public onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(!migrationClosed, "Migration closed");
+        migrationClosed = true;
+
+        emit MigrationClosed(block.timestamp);
+    }
+
+    function anchorBatch(bytes32 _root, uint256 _size) public onlyRole(SUBMITTER_ROLE) returns (uint256 batchId) {
+        require(_root != bytes32(0), "Empty root");
+        require(_size > 0, "Empty batch");
+        require(batchIdByRoot[_root] == 0, "Batch already anchored");
+
+        batchId = ++batchCount;
+        batches[batchId] = Batch(_root, _size, block.timestamp, msg.sender);
+        batchIdByRoot[_root] = batchId;
+
+        emit BatchAnchored(batchId, _root, _size, block.timestamp);
+    }
+
+    function getBatch(uint256 _batchId) public view returns (
+        bytes32 root,
+        uint256 size,
+        uint256 timestamp,
+        address submitter
+    ) {
+        Batch storage b = batches[_batchId];
+        return (b.root, b.size, b.timestamp, b.submitter);
+    }
+
+    // Leaf = sha256(0x00 || graphHash), parent = sha256(0x01 || left || right);
+    // _siblingOnLeft[i] says which side _proof[i] sits on
+    function verifyInclusion(
+        uint256 _batchId,
+        bytes32 _graphHash,
+        bytes32[] calldata _proof,
+        bool[] calldata _siblingOnLeft
+    ) public view returns (bool) {
+        require(_proof.length == _siblingOnLeft.length, "Proof length mismatch");
+
+        bytes32 root = batches[_batchId].root;
+        if (root == bytes32(0)) {
+            return false;
+        }
+
+        bytes32 computed = sha256(abi.encodePacked(bytes1(0x00), _graphHash));
+        for (uint i = 0; i < _proof.length; i++) {
+            computed = _siblingOnLeft[i]
+                ? sha256(abi.encodePacked(bytes1(0x01), _proof[i], computed))
+                : sha256(abi.encodePacked(bytes1(0x01), computed, _proof[i]));
+        }
+        return computed == root;
+    }
+
+    // Same shape as v1; verdict and accuracyScore are the latest revision's,
+    // timestamp and submitter the original storage's
+    function getGraph(string memory _hash) public view returns (
+        string memory claim,
+        string memory verdict,
+        uint256 accuracyScore,
+        uint256 timestamp,
+        address submitter,
+        Node[] memory nodes
+    ) {
+        GraphData storage g = graphs[_hash];
+        if (g.revisions.length == 0) {
+            return (g.claim, "", 0, 0, address(0), g.nodes);
+        }
+
+        Revision storage latest = g.revisions[g.revisions.length - 1];
+        return (g.claim, latest.verdict, latest.accuracyScore, g.timestamp, g.submitter, g.nodes);
+    }
+
+    function getRevisionCount(string memory _hash) public view returns (uint256) {
+        return graphs[_hash].revisions.length;
+    }
+
+    function getRevision(string memory _hash, uint256 _index) public view returns (Revision memory) {
+        Revision[] storage revisions = graphs[_hash].revisions;
+        require(_index < revisions.length, "Revision not found");
+        return revisions[_index];
+    }
+
+    function getRevisions(string memory _hash) public view returns (Revision[] memory) {
+        return graphs[_hash].revisions;
+    }
+
+    function getGraphCount() public view returns (uint256) {
+        return graphHashes.length;
+    }
+
+    function getGraphs(uint256 _offset, uint256 _limit) public view returns (GraphSummary[] memory) {
+        return _page(graphHashes, _offset, _limit);
+    }
+
+    function getSubmitterGraphCount(address _submitter) public view returns (uint256) {
+        return submitterHashes[_submitter].length;
+    }
+
+    function getGraphsBySubmitter(
+        address _submitter,
+        uint256 _offset,
+        uint256 _limit
+    ) public view returns (GraphSummary[] memory) {
+        return _page(submitterHashes[_submitter], _offset, _limit);
+    }
+
+    function _store(
+        string memory _hash,
+        string memory _claim,
+        string memory _verdict,
+        uint256 _accuracyScore,
+        Node[] memory _nodes,
+        RevisionReason _reason,
+        uint256 _timestamp,
+        address _submitter
+    ) private {
+        GraphData storage g = graphs[_hash];
+        require(g.revisions.length == 0, "Graph already exists");
+
+        g.claim = _claim;
+        g.timestamp = _timestamp;
+        g.submitter = _submitter;
+        for (uint i = 0; i < _nodes.length; i++) {
+            g.nodes.push(_nodes[i]);
+        }
+        g.revisions.push(Revision(_verdict, _accuracyScore, _reason, _timestamp, _submitter));
+
+        graphHashes.push(_hash);
+        submitterHashes[_submitter].push(_hash);
+    }
+
+    // Oldest first; an offset past the end gives an empty page
+    function _page(
+        string[] storage _hashes,
+        uint256 _offset,
+        uint256 _limit
+    ) private view returns (GraphSummary[] memory page) {
+        require(_limit <= MAX_PAGE_SIZE, "Limit too large");
+
+        if (_offset >= _hashes.length) {
+            return new GraphSummary[](0);
+        }
+
+        uint256 end = _offset + _limit > _hashes.length ? _hashes.length : _offset + _limit;
+        page = new GraphSummary[](end - _offset);
+
+        for (uint i = _offset; i < end; i++) {
+            GraphData storage g = graphs[_hashes[i]];
+            Revision storage latest = g.revisions[g.revisions.length - 1];
+            page[i - _offset] = GraphSummary(
+                _hashes[i],
+                g.claim,
+                latest.verdict,
+                latest.accuracyScore,
+                g.timestamp,
+                g.submitter,
+                g.revisions.length
+            );
+        }
+    }
+}
@@ -1,14 +1,28 @@
 const hre = require("hardhat");
 
+// CONTRACT=SatyaTrail deploys v1; SUBMITTERS is a comma-separated list of
+// addresses (e.g. the backend wallet) given SUBMITTER_ROLE on v2
+const CONTRACT = process.env.CONTRACT || "SatyaTrailV2";
+
 async function main() {
-  console.log("Deploying SatyaTrail contract...");
-  
-  const SatyaTrail = await hre.ethers.getContractFactory("SatyaTrail");
+  console.log(`Deploying ${CONTRACT} contract...`);
+
+  const SatyaTrail = await hre.ethers.getContractFactory(CONTRACT);
   const satyaTrail = await SatyaTrail.deploy();
 
   await satyaTrail.waitForDeployment();
 
-  console.log("SatyaTrail deployed to:", await satyaTrail.getAddress());
+  console.log(`${CONTRACT} deployed to:`, await satyaTrail.getAddress());
+
+  if (CONTRACT === "SatyaTrailV2") {
+    const role = await satyaTrail.SUBMITTER_ROLE();
+    const submitters = (process.env.SUBMITTERS || "").split(",").map((a) => a.trim()).filter(Boolean);
+
+    for (const submitter of submitters) {
+      await (await satyaTrail.grantRole(role, submitter)).wait();
+      console.log("Granted SUBMITTER_ROLE to:", submitter);
+    }
+  }
 }
 
 main()
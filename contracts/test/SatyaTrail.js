@@ -5,6 +5,37 @@ const {
 const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
 const { expect } = require("chai");
 
+// Batch Merkle tree as built by the backend (backend/utils/merkle.js):
+// leaf = sha256(0x00 || graphHash), parent = sha256(0x01 || left || right),
+// an odd hash at the end of a level moves up unchanged
+function buildBatch(graphHashes) {
+  const levels = [graphHashes.map((h) => ethers.sha256(ethers.concat(["0x00", h])))];
+  while (levels[levels.length - 1].length > 1) {
+    const level = levels[levels.length - 1];
+    const next = [];
+    for (let i = 0; i < level.length; i += 2) {
+      next.push(i + 1 < level.length ? ethers.sha256(ethers.concat(["0x01", level[i], level[i + 1]])) : level[i]);
+    }
+    levels.push(next);
+  }
+
+  const proofFor = (index) => {
+    const proof = [];
+    const siblingOnLeft = [];
+    for (const level of levels.slice(0, -1)) {
+      const sibling = index % 2 === 0 ? index + 1 : index - 1;
+      if (sibling < level.length) {
+        proof.push(level[sibling]);
+        siblingOnLeft.push(sibling < index);
+      }
+      index = Math.floor(index / 2);
+    }
+    return { proof, siblingOnLeft };
+  };
+
+  return { root: levels[levels.length - 1][0], proofFor };
+}
+
 describe("SatyaTrail", function () {
   // We define a fixture to reuse the same setup in every test.
   // We use loadFixture to run this setup once, snapshot that state,
@@ -99,4 +130,74 @@ describe("SatyaTrail", function () {
       ).to.be.revertedWith("Graph already exists");
     });
   });
+
+  describe("Batch Anchoring", function () {
+    const graphHashes = ["a", "b", "c", "d", "e"].map((c) => "0x" + c.repeat(64));
+
+    it("Should anchor a batch root and emit BatchAnchored", async function () {
+      const { satyaTrail, owner } = await loadFixture(deploySatyaTrailFixture);
+      const { root } = buildBatch(graphHashes);
+
+      await expect(satyaTrail.anchorBatch(root, graphHashes.length))
+        .to.emit(satyaTrail, "BatchAnchored")
+        .withArgs(1, root, graphHashes.length, anyValue);
+
+      const batch = await satyaTrail.getBatch(1);
+      expect(batch.root).to.equal(root);
+      expect(batch.size).to.equal(graphHashes.length);
+      expect(batch.submitter).to.equal(owner.address);
+      expect(await satyaTrail.batchIdByRoot(root)).to.equal(1);
+      expect(await satyaTrail.batchCount()).to.equal(1);
+    });
+
+    it("Should number batches sequentially", async function () {
+      const { satyaTrail } = await loadFixture(deploySatyaTrailFixture);
+
+      await satyaTrail.anchorBatch(buildBatch(graphHashes).root, 5);
+      await expect(satyaTrail.anchorBatch(buildBatch(graphHashes.slice(0, 2)).root, 2))
+        .to.emit(satyaTrail, "BatchAnchored")
+        .withArgs(2, anyValue, 2, anyValue);
+    });
+
+    it("Should fail if the root is already anchored, empty or zero", async function () {
+      const { satyaTrail } = await loadFixture(deploySatyaTrailFixture);
+      const { root } = buildBatch(graphHashes);
+
+      await satyaTrail.anchorBatch(root, graphHashes.length);
+
+      await expect(satyaTrail.anchorBatch(root, graphHashes.length))
+        .to.be.revertedWith("Batch already anchored");
+      await expect(satyaTrail.anchorBatch(ethers.ZeroHash, 1))
+        .to.be.revertedWith("Empty root");
+      await expect(satyaTrail.anchorBatch(graphHashes[0], 0))
+        .to.be.revertedWith("Empty batch");
+    });
+
+    it("Should verify inclusion proofs for every graph in a batch", async function () {
+      const { satyaTrail } = await loadFixture(deploySatyaTrailFixture);
+      const { root, proofFor } = buildBatch(graphHashes);
+
+      await satyaTrail.anchorBatch(root, graphHashes.length);
+
+      for (let i = 0; i < graphHashes.length; i++) {
+        const { proof, siblingOnLeft } = proofFor(i);
+        expect(await satyaTrail.verifyInclusion(1, graphHashes[i], proof, siblingOnLeft)).to.equal(true);
+      }
+    });
+
+    it("Should reject a graph that is not in the batch", async function () {
+      const { satyaTrail } = await loadFixture(deploySatyaTrailFixture);
+      const { root, proofFor } = buildBatch(graphHashes);
+
+      await satyaTrail.anchorBatch(root, graphHashes.length);
+
+      const { proof, siblingOnLeft } = proofFor(0);
+      const other = "0x" + "f".repeat(64);
+      expect(await satyaTrail.verifyInclusion(1, other, proof, siblingOnLeft)).to.equal(false);
+      expect(await satyaTrail.verifyInclusion(1, graphHashes[0], proof, siblingOnLeft.map((left) => !left))).to.equal(false);
+      expect(await satyaTrail.verifyInclusion(2, graphHashes[0], proof, siblingOnLeft)).to.equal(false);
+      await expect(satyaTrail.verifyInclusion(1, graphHashes[0], proof, []))
+        .to.be.revertedWith("Proof length mismatch");
+    });
+  });
 });
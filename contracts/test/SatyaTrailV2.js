@@ -0,0 +1,280 @@
+const {
+  loadFixture,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const { expect } = require("chai");
+
+// Matches the RevisionReason enum
+const Reason = {
+  Initial: 0,
+  Recheck: 1,
+  EditorOverride: 2,
+  NewEvidence: 3,
+  Correction: 4,
+  Migrated: 5,
+};
+
+const nodes = [
+  {
+    id: "node1",
+    url: "http://example.com",
+    role: "source",
+    domainReputation: 80,
+    timestamp: 1234567890,
+    title: "Example Source"
+  }
+];
+
+describe("SatyaTrailV2", function () {
+  async function deploySatyaTrailV2Fixture() {
+    const [owner, submitter, otherAccount] = await ethers.getSigners();
+
+    const SatyaTrailV2 = await ethers.getContractFactory("SatyaTrailV2");
+    const satyaTrail = await SatyaTrailV2.deploy();
+
+    const SUBMITTER_ROLE = await satyaTrail.SUBMITTER_ROLE();
+    await satyaTrail.grantRole(SUBMITTER_ROLE, submitter.address);
+
+    return { satyaTrail, owner, submitter, otherAccount, SUBMITTER_ROLE };
+  }
+
+  // Stores `count` graphs, alternating between the owner and the submitter
+  async function storeGraphs(satyaTrail, signers, count) {
+    for (let i = 0; i < count; i++) {
+      await satyaTrail
+        .connect(signers[i % signers.length])
+        .storeGraph(`hash${i}`, `claim ${i}`, "true", 90, []);
+    }
+  }
+
+  describe("Deployment", function () {
+    it("Should give the deployer the admin and submitter roles", async function () {
+      const { satyaTrail, owner, SUBMITTER_ROLE } = await loadFixture(deploySatyaTrailV2Fixture);
+
+      expect(await satyaTrail.hasRole(await satyaTrail.DEFAULT_ADMIN_ROLE(), owner.address)).to.equal(true);
+      expect(await satyaTrail.hasRole(SUBMITTER_ROLE, owner.address)).to.equal(true);
+      expect(await satyaTrail.getGraphCount()).to.equal(0);
+      expect(await satyaTrail.migrationClosed()).to.equal(false);
+    });
+  });
+
+  describe("Access Control", function () {
+    it("Should only let submitters store graphs, revise verdicts and anchor batches", async function () {
+      const { satyaTrail, otherAccount, SUBMITTER_ROLE } = await loadFixture(deploySatyaTrailV2Fixture);
+      await satyaTrail.storeGraph("QmHash123", "claim", "true", 95, nodes);
+
+      const asOther = satyaTrail.connect(otherAccount);
+      await expect(asOther.storeGraph("QmOther", "claim", "true", 95, nodes))
+        .to.be.revertedWithCustomError(satyaTrail, "AccessControlUnauthorizedAccount")
+        .withArgs(otherAccount.address, SUBMITTER_ROLE);
+      await expect(asOther.reviseVerdict("QmHash123", "false", 10, Reason.Correction))
+        .to.be.revertedWithCustomError(satyaTrail, "AccessControlUnauthorizedAccount");
+      await expect(asOther.anchorBatch("0x" + "a".repeat(64), 1))
+        .to.be.revertedWithCustomError(satyaTrail, "AccessControlUnauthorizedAccount");
+    });
+
+    it("Should stop a submitter once the role is revoked", async function () {
+      const { satyaTrail, submitter, SUBMITTER_ROLE } = await loadFixture(deploySatyaTrailV2Fixture);
+
+      await satyaTrail.connect(submitter).storeGraph("QmHash1", "claim", "true", 95, nodes);
+      await satyaTrail.revokeRole(SUBMITTER_ROLE, submitter.address);
+
+      await expect(satyaTrail.connect(submitter).storeGraph("QmHash2", "claim", "true", 95, nodes))
+        .to.be.revertedWithCustomError(satyaTrail, "AccessControlUnauthorizedAccount");
+    });
+
+    it("Should not let submitters manage roles or import graphs", async function () {
+      const { satyaTrail, submitter, otherAccount, SUBMITTER_ROLE } = await loadFixture(deploySatyaTrailV2Fixture);
+      const asSubmitter = satyaTrail.connect(submitter);
+
+      await expect(asSubmitter.grantRole(SUBMITTER_ROLE, otherAccount.address))
+        .to.be.revertedWithCustomError(satyaTrail, "AccessControlUnauthorizedAccount");
+      await expect(asSubmitter.importGraph("QmOld", "claim", "true", 95, nodes, 1700000000, otherAccount.address))
+        .to.be.revertedWithCustomError(satyaTrail, "AccessControlUnauthorizedAccount");
+      await expect(asSubmitter.closeMigration())
+        .to.be.revertedWithCustomError(satyaTrail, "AccessControlUnauthorizedAccount");
+    });
+  });
+
+  describe("Verdict Revisions", function () {
+    it("Should store a graph with its initial revision", async function () {
+      const { satyaTrail, submitter } = await loadFixture(deploySatyaTrailV2Fixture);
+
+      await expect(satyaTrail.connect(submitter).storeGraph("QmHash123", "A claim", "unknown", 40, nodes))
+        .to.emit(satyaTrail, "GraphStored")
+        .withArgs("QmHash123", "A claim", "unknown", anyValue);
+
+      const graph = await satyaTrail.getGraph("QmHash123");
+      expect(graph.claim).to.equal("A claim");
+      expect(graph.verdict).to.equal("unknown");
+      expect(graph.submitter).to.equal(submitter.address);
+      expect(graph.nodes.length).to.equal(1);
+
+      const revision = await satyaTrail.getRevision("QmHash123", 0);
+      expect(revision.verdict).to.equal("unknown");
+      expect(revision.accuracyScore).to.equal(40);
+      expect(revision.reason).to.equal(Reason.Initial);
+      expect(revision.submitter).to.equal(submitter.address);
+    });
+
+    it("Should still fail if the graph already exists", async function () {
+      const { satyaTrail } = await loadFixture(deploySatyaTrailV2Fixture);
+
+      await satyaTrail.storeGraph("QmHash123", "A claim", "true", 95, []);
+      await expect(satyaTrail.storeGraph("QmHash123", "Another claim", "false", 10, []))
+        .to.be.revertedWith("Graph already exists");
+    });
+
+    it("Should append revisions and report the latest verdict", async function () {
+      const { satyaTrail, owner, submitter } = await loadFixture(deploySatyaTrailV2Fixture);
+      await satyaTrail.storeGraph("QmHash123", "A claim", "unknown", 40, nodes);
+
+      await expect(satyaTrail.connect(submitter).reviseVerdict("QmHash123", "false", 85, Reason.Recheck))
+        .to.emit(satyaTrail, "VerdictRevised")
+        .withArgs("QmHash123", 1, "false", 85, Reason.Recheck, submitter.address, anyValue);
+      await expect(satyaTrail.reviseVerdict("QmHash123", "mixed", 60, Reason.EditorOverride))
+        .to.emit(satyaTrail, "VerdictRevised")
+        .withArgs("QmHash123", 2, "mixed", 60, Reason.EditorOverride, owner.address, anyValue);
+
+      const graph = await satyaTrail.getGraph("QmHash123");
+      expect(graph.verdict).to.equal("mixed");
+      expect(graph.accuracyScore).to.equal(60);
+      // The original storage is kept
+      expect(graph.submitter).to.equal(owner.address);
+
+      const revisions = await satyaTrail.getRevisions("QmHash123");
+      expect(revisions.map((r) => r.verdict)).to.deep.equal(["unknown", "false", "mixed"]);
+      expect(revisions.map((r) => r.reason)).to.deep.equal([
+        BigInt(Reason.Initial),
+        BigInt(Reason.Recheck),
+        BigInt(Reason.EditorOverride),
+      ]);
+      expect(await satyaTrail.getRevisionCount("QmHash123")).to.equal(3);
+    });
+
+    it("Should reject revisions of unknown graphs and reserved reasons", async function () {
+      const { satyaTrail } = await loadFixture(deploySatyaTrailV2Fixture);
+      await satyaTrail.storeGraph("QmHash123", "A claim", "true", 95, []);
+
+      await expect(satyaTrail.reviseVerdict("QmMissing", "false", 10, Reason.Correction))
+        .to.be.revertedWith("Graph not found");
+      await expect(satyaTrail.reviseVerdict("QmHash123", "false", 10, Reason.Initial))
+        .to.be.revertedWith("Invalid reason");
+      await expect(satyaTrail.reviseVerdict("QmHash123", "false", 10, Reason.Migrated))
+        .to.be.revertedWith("Invalid reason");
+      await expect(satyaTrail.reviseVerdict("QmHash123", "false", 10, 6)).to.be.reverted;
+      await expect(satyaTrail.getRevision("QmHash123", 1)).to.be.revertedWith("Revision not found");
+    });
+
+    it("Should return an empty graph for an unknown hash", async function () {
+      const { satyaTrail } = await loadFixture(deploySatyaTrailV2Fixture);
+
+      const graph = await satyaTrail.getGraph("QmMissing");
+      expect(graph.claim).to.equal("");
+      expect(graph.verdict).to.equal("");
+      expect(await satyaTrail.getRevisionCount("QmMissing")).to.equal(0);
+    });
+  });
+
+  describe("Paginated Reads", function () {
+    it("Should page through graphs oldest first", async function () {
+      const { satyaTrail, owner, submitter } = await loadFixture(deploySatyaTrailV2Fixture);
+      await storeGraphs(satyaTrail, [owner, submitter], 5);
+      await satyaTrail.reviseVerdict("hash1", "false", 20, Reason.NewEvidence);
+
+      const first = await satyaTrail.getGraphs(0, 2);
+      expect(first.map((g) => g.hash)).to.deep.equal(["hash0", "hash1"]);
+      expect(first[1].verdict).to.equal("false");
+      expect(first[1].revisionCount).to.equal(2);
+
+      const last = await satyaTrail.getGraphs(4, 2);
+      expect(last.map((g) => g.hash)).to.deep.equal(["hash4"]);
+
+      expect(await satyaTrail.getGraphs(5, 2)).to.deep.equal([]);
+      expect(await satyaTrail.getGraphs(0, 0)).to.deep.equal([]);
+    });
+
+    it("Should cap the page size", async function () {
+      const { satyaTrail } = await loadFixture(deploySatyaTrailV2Fixture);
+
+      const max = await satyaTrail.MAX_PAGE_SIZE();
+      expect(await satyaTrail.getGraphs(0, max)).to.deep.equal([]);
+      await expect(satyaTrail.getGraphs(0, max + 1n)).to.be.revertedWith("Limit too large");
+    });
+
+    it("Should look graphs up by submitter", async function () {
+      const { satyaTrail, owner, submitter, otherAccount } = await loadFixture(deploySatyaTrailV2Fixture);
+      await storeGraphs(satyaTrail, [owner, submitter], 5);
+
+      expect(await satyaTrail.getSubmitterGraphCount(owner.address)).to.equal(3);
+      expect(await satyaTrail.getSubmitterGraphCount(submitter.address)).to.equal(2);
+      expect(await satyaTrail.getSubmitterGraphCount(otherAccount.address)).to.equal(0);
+
+      const mine = await satyaTrail.getGraphsBySubmitter(submitter.address, 0, 10);
+      expect(mine.map((g) => g.hash)).to.deep.equal(["hash1", "hash3"]);
+      expect(mine.every((g) => g.submitter === submitter.address)).to.equal(true);
+
+      const page = await satyaTrail.getGraphsBySubmitter(owner.address, 1, 1);
+      expect(page.map((g) => g.hash)).to.deep.equal(["hash2"]);
+    });
+  });
+
+  describe("Migration", function () {
+    it("Should import a v1 graph with its original timestamp and submitter", async function () {
+      const { satyaTrail, otherAccount } = await loadFixture(deploySatyaTrailV2Fixture);
+
+      await expect(satyaTrail.importGraph("QmOld", "Old claim", "true", 95, nodes, 1700000000, otherAccount.address))
+        .to.emit(satyaTrail, "GraphImported")
+        .withArgs("QmOld", otherAccount.address, 1700000000);
+
+      const graph = await satyaTrail.getGraph("QmOld");
+      expect(graph.timestamp).to.equal(1700000000);
+      expect(graph.submitter).to.equal(otherAccount.address);
+      expect((await satyaTrail.getRevision("QmOld", 0)).reason).to.equal(Reason.Migrated);
+      expect(await satyaTrail.getSubmitterGraphCount(otherAccount.address)).to.equal(1);
+
+      await expect(satyaTrail.importGraph("QmOld", "Old claim", "true", 95, nodes, 1700000000, otherAccount.address))
+        .to.be.revertedWith("Graph already exists");
+    });
+
+    it("Should copy every graph from a v1 contract", async function () {
+      const { satyaTrail, owner } = await loadFixture(deploySatyaTrailV2Fixture);
+      const SatyaTrail = await ethers.getContractFactory("SatyaTrail");
+      const legacy = await SatyaTrail.deploy();
+      await legacy.storeGraph("QmA", "Claim A", "true", 90, nodes);
+      await legacy.storeGraph("QmB", "Claim B", "false", 20, []);
+
+      const count = await legacy.getGraphCount();
+      for (let i = 0; i < count; i++) {
+        const hash = await legacy.graphHashes(i);
+        const g = await legacy.getGraph(hash);
+        const legacyNodes = g.nodes.map((n) => ({
+          id: n.id,
+          url: n.url,
+          role: n.role,
+          domainReputation: n.domainReputation,
+          timestamp: n.timestamp,
+          title: n.title,
+        }));
+        await satyaTrail.importGraph(hash, g.claim, g.verdict, g.accuracyScore, legacyNodes, g.timestamp, g.submitter);
+      }
+
+      const [a, b] = await satyaTrail.getGraphs(0, 10);
+      expect([a.hash, a.verdict, b.hash, b.verdict]).to.deep.equal(["QmA", "true", "QmB", "false"]);
+      expect(a.timestamp).to.equal((await legacy.getGraph("QmA")).timestamp);
+      expect(a.submitter).to.equal(owner.address);
+      expect((await satyaTrail.getGraph("QmA")).nodes[0].title).to.equal("Example Source");
+    });
+
+    it("Should refuse imports once the migration is closed", async function () {
+      const { satyaTrail, otherAccount } = await loadFixture(deploySatyaTrailV2Fixture);
+
+      await expect(satyaTrail.closeMigration()).to.emit(satyaTrail, "MigrationClosed");
+      expect(await satyaTrail.migrationClosed()).to.equal(true);
+
+      await expect(satyaTrail.importGraph("QmOld", "Old claim", "true", 95, nodes, 1700000000, otherAccount.address))
+        .to.be.revertedWith("Migration closed");
+      await expect(satyaTrail.closeMigration()).to.be.revertedWith("Migration closed");
+    });
+  });
+});
@@ -56,9 +56,7 @@ async function quickVerifyText(text, tab) {
 
     const response = await fetch(`${settings.apiUrl}/api/v1/verify/extension/quick`, {
       method: 'POST',
-      headers: {
-        'Content-Type': 'application/json'
-      },
+      headers: apiHeaders(settings),
       body: JSON.stringify({
         text,
         url: tab.url
@@ -117,12 +115,26 @@ async function getSettings() {
   return new Promise(resolve => {
     chrome.storage.sync.get({
       apiUrl: DEFAULT_API_URL,
+      apiKey: '',
       autoVerify: false,
       showNotifications: true
     }, resolve);
   });
 }
 
+/**
+ * Request headers for the API, with the API key when one is set
+ */
+function apiHeaders(settings) {
+  const headers = {
+    'Content-Type': 'application/json'
+  };
+  if (settings.apiKey) {
+    headers['X-Api-Key'] = settings.apiKey;
+  }
+  return headers;
+}
+
 /**
  * Show notification
  */
@@ -181,9 +193,7 @@ async function handlePageVerification(tabId) {
   // Call API
   const response = await fetch(`${settings.apiUrl}/api/v1/verify/extension/analyze`, {
     method: 'POST',
-    headers: {
-      'Content-Type': 'application/json'
-    },
+    headers: apiHeaders(settings),
     body: JSON.stringify({
       domContent: content.text,
       url: content.url,
@@ -30,6 +30,7 @@ const elements = {
   quickVerifyBtn: document.getElementById('quickVerifyBtn'),
   newVerifyBtn: document.getElementById('newVerifyBtn'),
   shareBtn: document.getElementById('shareBtn'),
+  receiptBtn: document.getElementById('receiptBtn'),
   retryBtn: document.getElementById('retryBtn'),
   settingsBtn: document.getElementById('settingsBtn'),
   closeSettingsBtn: document.getElementById('closeSettingsBtn'),
@@ -63,6 +64,8 @@ const elements = {
   recommendationCard: document.getElementById('recommendationCard'),
   recommendationText: document.getElementById('recommendationText'),
   processingTime: document.getElementById('processingTime'),
+  receiptSection: document.getElementById('receiptSection'),
+  receiptStatus: document.getElementById('receiptStatus'),
 
   // Tooltip
   tooltipContainer: document.getElementById('tooltipContainer'),
@@ -82,6 +85,7 @@ const elements = {
   // Settings
   settingsModal: document.getElementById('settingsModal'),
   apiUrl: document.getElementById('apiUrl'),
+  apiKey: document.getElementById('apiKey'),
   autoVerify: document.getElementById('autoVerify'),
   showNotifications: document.getElementById('showNotifications')
 };
@@ -140,6 +144,7 @@ function setupEventListeners() {
   elements.quickVerifyBtn.addEventListener('click', handleQuickVerify);
   elements.newVerifyBtn.addEventListener('click', handleNewVerify);
   elements.shareBtn.addEventListener('click', handleShare);
+  elements.receiptBtn.addEventListener('click', handleReceipt);
   elements.retryBtn.addEventListener('click', handleVerify);
   elements.settingsBtn.addEventListener('click', () => toggleModal(true));
   elements.closeSettingsBtn.addEventListener('click', () => toggleModal(false));
@@ -399,7 +404,7 @@ async function handleVerify() {
     const settings = await getSettings();
     const response = await fetch(`${settings.apiUrl}/api/v1/verify/extension/analyze`, {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
+      headers: apiHeaders(settings),
       body: JSON.stringify({
         domContent,
         url: tab.url,
@@ -463,7 +468,7 @@ async function handleQuickVerify() {
     const settings = await getSettings();
     const response = await fetch(`${settings.apiUrl}/api/v1/verify/extension/quick`, {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
+      headers: apiHeaders(settings),
       body: JSON.stringify({ text: selectedText, url: tab.url })
     });
 
@@ -587,6 +592,10 @@ function displayResults(result) {
 
   // Processing time
   elements.processingTime.textContent = result.processing_time_ms || 0;
+
+  // Signed receipt, for page analyses stored under a graph hash
+  elements.receiptSection.classList.toggle('hidden', !result.graph_hash);
+  setReceiptStatus('');
 }
 
 /**
@@ -828,6 +837,60 @@ async function handleShare() {
   }
 }
 
+/**
+ * Download the verification's signed receipt, once its signature checks
+ * out against the server's published keys (receipt.js)
+ */
+async function handleReceipt() {
+  if (!verificationResult?.graph_hash) return;
+
+  elements.receiptBtn.disabled = true;
+  setReceiptStatus('Checking signature...');
+
+  try {
+    const settings = await getSettings();
+    const response = await fetch(`${settings.apiUrl}/api/v1/verify/${verificationResult.graph_hash}/receipt`);
+
+    // The analysis is stored just after the result is sent
+    if (response.status === 404) {
+      throw new Error('Receipt not ready yet, try again in a moment');
+    }
+    if (!response.ok) {
+      throw new Error(`Server error: ${response.status}`);
+    }
+
+    const receipt = await response.json();
+    const keys = await SatyaTrailReceipt.fetchKeys(settings.apiUrl);
+    const check = await SatyaTrailReceipt.verifyReceipt(receipt, keys);
+    if (!check.valid) {
+      throw new Error(`Signature not verified (${check.reason})`);
+    }
+
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([JSON.stringify(receipt, null, 2)], { type: 'application/json' }));
+    link.download = `satyatrail-receipt-${receipt.graph_hash.substring(0, 12)}.json`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+
+    setReceiptStatus('✓ Signature verified, receipt downloaded', 'valid');
+  } catch (error) {
+    console.error('Receipt failed:', error);
+    setReceiptStatus(error.message, 'invalid');
+  } finally {
+    elements.receiptBtn.disabled = false;
+  }
+}
+
+/**
+ * Show the receipt check's outcome under the receipt button
+ * @param {string} text
+ * @param {string} [status] - valid or invalid
+ */
+function setReceiptStatus(text, status) {
+  elements.receiptStatus.textContent = text;
+  elements.receiptStatus.className = status ? `receipt-status ${status}` : 'receipt-status';
+}
+
 /**
  * Toggle settings modal
  */
@@ -845,6 +908,7 @@ function toggleModal(show) {
 async function loadSettings() {
   const settings = await getSettings();
   elements.apiUrl.value = settings.apiUrl;
+  elements.apiKey.value = settings.apiKey;
   elements.autoVerify.checked = settings.autoVerify;
   elements.showNotifications.checked = settings.showNotifications;
 }
@@ -856,18 +920,31 @@ async function getSettings() {
   return new Promise(resolve => {
     chrome.storage.sync.get({
       apiUrl: DEFAULT_API_URL,
+      apiKey: '',
       autoVerify: false,
       showNotifications: true
     }, resolve);
   });
 }
 
+/**
+ * Request headers for the API, with the API key when one is set
+ */
+function apiHeaders(settings) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (settings.apiKey) {
+    headers['X-Api-Key'] = settings.apiKey;
+  }
+  return headers;
+}
+
 /**
  * Save settings to storage
  */
 async function saveSettings() {
   const settings = {
     apiUrl: elements.apiUrl.value || DEFAULT_API_URL,
+    apiKey: elements.apiKey.value.trim(),
     autoVerify: elements.autoVerify.checked,
     showNotifications: elements.showNotifications.checked
   };
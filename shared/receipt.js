@@ -0,0 +1,133 @@
+/**
+ * SatyaTrail Verification Receipt Verifier
+ *
+ * Checks the Ed25519 signature on a receipt from
+ * GET /api/v1/verify/:hash/receipt against the server's published keys
+ * (GET /.well-known/satyatrail-keys.json), so a receipt can be checked
+ * offline, without trusting the API. The signature covers the receipt's
+ * canonical JSON (keys sorted, no whitespace) without `signature`; the
+ * backend signs the same bytes (backend/services/receiptService.js).
+ *
+ * One file for every platform, using only WebCrypto:
+ * - Node 20+: require('shared/receipt.js')
+ * - web app: src/lib/receipt.js
+ * - extension: extension/receipt.js, generated from this file by
+ *   npm run build:extension (run on npm install)
+ * Anywhere else it sets SatyaTrailReceipt on the global object.
+ */
+
+(function (global, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    global.SatyaTrailReceipt = factory();
+  }
+})(typeof self !== 'undefined' ? self : globalThis, function () {
+  'use strict';
+
+  const RECEIPT_VERSION = 1;
+  const KEYS_PATH = '/.well-known/satyatrail-keys.json';
+
+  const encoder = new TextEncoder();
+
+  const fromBase64Url = (text) => {
+    const base64 = text.replace(/-/g, '+').replace(/_/g, '/') + '==='.slice((text.length + 3) % 4);
+    return Uint8Array.from(atob(base64), (c) => c.charCodeAt(0));
+  };
+
+  /**
+   * Serialize a value as JSON with object keys sorted and no whitespace
+   * @param {*} value - JSON-compatible value
+   * @returns {string}
+   */
+  function canonicalize(value) {
+    if (value === null || typeof value !== 'object') {
+      return JSON.stringify(value);
+    }
+    if (Array.isArray(value)) {
+      return '[' + value.map((item) => (item === undefined ? 'null' : canonicalize(item))).join(',') + ']';
+    }
+    return '{' + Object.keys(value)
+      .sort()
+      .filter((key) => value[key] !== undefined)
+      .map((key) => JSON.stringify(key) + ':' + canonicalize(value[key]))
+      .join(',') + '}';
+  }
+
+  /**
+   * The signed bytes of a receipt: its canonical JSON without `signature`
+   * @param {Object} receipt
+   * @returns {string}
+   */
+  function signedPayload(receipt) {
+    const { signature, ...payload } = receipt;
+    return canonicalize(payload);
+  }
+
+  /**
+   * Verify a receipt's signature
+   * @param {Object} receipt - Receipt JSON
+   * @param {Object|Object[]} keys - The published key set ({ keys: JWK[] }) or its keys
+   * @returns {Promise<{valid: boolean, key_id: string|null, reason: string|null}>}
+   *   reason: malformed, unsupported_version, unknown_key, unsupported_key
+   *   (no Ed25519 in this WebCrypto) or bad_signature
+   */
+  async function verifyReceipt(receipt, keys) {
+    const result = (valid, reason) => ({ valid, key_id: receipt?.key_id ?? null, reason });
+
+    if (!receipt || typeof receipt !== 'object' ||
+        typeof receipt.signature !== 'string' || typeof receipt.key_id !== 'string') {
+      return result(false, 'malformed');
+    }
+    if (receipt.version !== RECEIPT_VERSION) {
+      return result(false, 'unsupported_version');
+    }
+
+    const jwk = (Array.isArray(keys) ? keys : keys?.keys || [])
+      .find((key) => key.kid === receipt.key_id && key.kty === 'OKP' && key.crv === 'Ed25519');
+    if (!jwk) {
+      return result(false, 'unknown_key');
+    }
+
+    let publicKey;
+    try {
+      publicKey = await crypto.subtle.importKey(
+        'jwk',
+        { kty: 'OKP', crv: 'Ed25519', x: jwk.x },
+        { name: 'Ed25519' },
+        false,
+        ['verify']
+      );
+    } catch (error) {
+      return result(false, 'unsupported_key');
+    }
+
+    let valid = false;
+    try {
+      valid = await crypto.subtle.verify(
+        { name: 'Ed25519' },
+        publicKey,
+        fromBase64Url(receipt.signature),
+        encoder.encode(signedPayload(receipt))
+      );
+    } catch (error) {
+      // Signature that isn't base64url or 64 bytes
+    }
+    return valid ? result(true, null) : result(false, 'bad_signature');
+  }
+
+  /**
+   * Fetch the published key set from a SatyaTrail server
+   * @param {string} baseUrl - Server origin, e.g. https://satyatrail.onrender.com
+   * @returns {Promise<{keys: Object[]}>}
+   */
+  async function fetchKeys(baseUrl) {
+    const response = await fetch(String(baseUrl).replace(/\/+$/, '') + KEYS_PATH);
+    if (!response.ok) {
+      throw new Error(`Failed to fetch receipt keys (${response.status})`);
+    }
+    return response.json();
+  }
+
+  return { RECEIPT_VERSION, KEYS_PATH, canonicalize, signedPayload, verifyReceipt, fetchKeys };
+});
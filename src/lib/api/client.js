@@ -27,11 +27,11 @@ async function request(endpoint, options = {}) {
   const url = `${API_BASE_URL}${endpoint}`
 
   const config = {
+    ...options,
     headers: {
       'Content-Type': 'application/json',
       ...options.headers
-    },
-    ...options
+    }
   }
 
   try {
@@ -88,6 +88,90 @@ export const apiClient = {
     })
   },
 
+  /**
+   * Start an asynchronous verification job
+   * @param {Object} params
+   * @param {string} [params.url] - URL to verify
+   * @param {string} [params.text] - Text/claim to verify
+   * @param {string} [params.source] - Source of request (frontend, telegram, etc.)
+   * @returns {Promise<{job_id: string, status: string, status_url: string, events_url: string}>}
+   */
+  async createVerificationJob({ url, text, source = 'frontend' }) {
+    return request('/api/v1/verify/jobs', {
+      method: 'POST',
+      body: JSON.stringify({ url, text, source })
+    })
+  },
+
+  /**
+   * Poll a verification job
+   * @param {string} jobId - Job ID
+   * @returns {Promise<Object>} - Job snapshot ({ status, completed_steps, result, error, ... })
+   */
+  async getVerificationJob(jobId) {
+    return request(`/api/v1/verify/jobs/${jobId}`)
+  },
+
+  /**
+   * Follow a verification job until it finishes
+   * Uses Server-Sent Events and falls back to polling if the stream fails.
+   * @param {string} jobId - Job ID
+   * @param {Function} [onEvent] - Called as onEvent(type, data) for each progress event
+   * @returns {Promise<VerificationResult>} - Resolves with the job result
+   */
+  streamVerificationJob(jobId, onEvent = () => {}) {
+    return new Promise((resolve, reject) => {
+      const finish = (job) => {
+        if (job.status === 'completed') {
+          resolve(job.result)
+        } else {
+          reject(new APIError(job.error?.message || 'Verification failed', 500, job))
+        }
+      }
+
+      const poll = async () => {
+        try {
+          const job = await apiClient.getVerificationJob(jobId)
+          if (job.status === 'completed' || job.status === 'failed') {
+            finish(job)
+          } else {
+            setTimeout(poll, 2000)
+          }
+        } catch (error) {
+          reject(error)
+        }
+      }
+
+      if (typeof EventSource === 'undefined') {
+        poll()
+        return
+      }
+
+      const source = new EventSource(`${API_BASE_URL}/api/v1/verify/jobs/${jobId}/events`)
+      const eventTypes = ['step_started', 'step_finished', 'agent_report', 'partial_verdict']
+
+      eventTypes.forEach((type) => {
+        source.addEventListener(type, (event) => onEvent(type, JSON.parse(event.data)))
+      })
+
+      source.addEventListener('job_status', (event) => {
+        const data = JSON.parse(event.data)
+        onEvent('job_status', data)
+
+        if (data.status === 'completed' || data.status === 'failed') {
+          source.close()
+          finish({ status: data.status, result: data.result, error: data.error })
+        }
+      })
+
+      source.onerror = () => {
+        // Stream dropped (proxy, network) - keep going by polling
+        source.close()
+        poll()
+      }
+    })
+  },
+
   /**
    * Get verification by hash
    * @param {string} hash - Graph hash
@@ -97,6 +181,46 @@ export const apiClient = {
     return request(`/api/v1/verify/${hash}`)
   },
 
+  /**
+   * Get a Merkle inclusion proof for one node or edge of a verification.
+   * Check it with verifyInclusionProof from src/lib/merkle.js.
+   * @param {string} hash - Graph hash
+   * @param {{node?: string, edge?: string}} target - Node or edge id
+   * @returns {Promise<{hash: string, hash_version: number, leaf: Object, proof: Array, root: string}>}
+   */
+  async getInclusionProof(hash, { node, edge }) {
+    const params = new URLSearchParams(node !== undefined ? { node } : { edge })
+    return request(`/api/v1/verify/${hash}/proof?${params}`)
+  },
+
+  /**
+   * Get the signed receipt of a verification.
+   * Check it with verifyReceipt from src/lib/receipt.js.
+   * @param {string} hash - Graph hash
+   * @returns {Promise<Object>} Receipt
+   */
+  async getReceipt(hash) {
+    return request(`/api/v1/verify/${hash}/receipt`)
+  },
+
+  /**
+   * Download link for a verification's receipt
+   * @param {string} hash - Graph hash
+   * @param {'json'|'svg'|'png'} [format='json'] - svg and png are QR codes of the JSON
+   * @returns {string}
+   */
+  getReceiptUrl(hash, format = 'json') {
+    return `${API_BASE_URL}/api/v1/verify/${hash}/receipt?format=${format}&download=true`
+  },
+
+  /**
+   * Get the public keys receipts are signed with
+   * @returns {Promise<{keys: Array}>} JWK set
+   */
+  async getReceiptKeys() {
+    return request('/.well-known/satyatrail-keys.json')
+  },
+
   /**
    * Get recent verifications
    * @param {number} [limit=10] - Number of results
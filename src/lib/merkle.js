@@ -0,0 +1,62 @@
+/**
+ * Merkle inclusion proof verifier
+ *
+ * Checks a proof from GET /api/v1/verify/:hash/proof against a graph hash
+ * in the browser, so a single source can be shown part of an anchored
+ * graph without trusting the server. Must match backend/utils/merkle.js:
+ * leaf = SHA-256(0x00 || canonical JSON), inner = SHA-256(0x01 || left || right).
+ */
+
+const encoder = new TextEncoder()
+
+const toHex = (bytes) => Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('')
+
+const fromHex = (hex) => Uint8Array.from(hex.match(/.{2}/g) || [], b => parseInt(b, 16))
+
+async function sha256(prefix, ...parts) {
+  const data = new Uint8Array(1 + parts.reduce((n, p) => n + p.length, 0))
+  data[0] = prefix
+  let offset = 1
+  for (const part of parts) {
+    data.set(part, offset)
+    offset += part.length
+  }
+  return new Uint8Array(await crypto.subtle.digest('SHA-256', data))
+}
+
+/**
+ * Serialize a leaf with sorted keys
+ * @param {Object} leaf - Flat object of strings and nulls
+ * @returns {string}
+ */
+export function canonicalLeaf(leaf) {
+  return JSON.stringify(leaf, Object.keys(leaf).sort())
+}
+
+/**
+ * Hash a leaf
+ * @param {Object} leaf - Flat object of strings and nulls
+ * @returns {Promise<string>} Hex digest
+ */
+export async function hashLeaf(leaf) {
+  return toHex(await sha256(0x00, encoder.encode(canonicalLeaf(leaf))))
+}
+
+/**
+ * Verify an inclusion proof
+ * @param {Object} params
+ * @param {Object} params.leaf - Node or edge leaf from the proof response
+ * @param {Array<{position: string, hash: string}>} params.proof - Sibling hashes, leaf to root
+ * @param {string} params.root - Graph hash (as anchored on chain)
+ * @returns {Promise<boolean>}
+ */
+export async function verifyInclusionProof({ leaf, proof, root }) {
+  let hash = await sha256(0x00, encoder.encode(canonicalLeaf(leaf)))
+  for (const step of proof) {
+    const sibling = fromHex(step.hash)
+    hash = step.position === 'left'
+      ? await sha256(0x01, sibling, hash)
+      : await sha256(0x01, hash, sibling)
+  }
+  return toHex(hash) === String(root).toLowerCase()
+}
@@ -0,0 +1,15 @@
+/**
+ * Verification receipt verifier
+ *
+ * Re-exports shared/receipt.js, the same verifier the extension and Node
+ * use: checks a receipt's Ed25519 signature against the keys published at
+ * /.well-known/satyatrail-keys.json, without trusting the API.
+ */
+
+import '../../shared/receipt.js'
+
+const receipt = globalThis.SatyaTrailReceipt
+
+export const { canonicalize, signedPayload, verifyReceipt, fetchKeys, KEYS_PATH } = receipt
+
+export default receipt
@@ -24,13 +24,25 @@ const verificationToArticle = (verification, index) => {
         mixed: "mixed",
         unknown: "unclear",
     };
+    // Channel the verification was requested through
+    const sourceLabels = {
+        frontend: "SatyaTrail Web",
+        extension: "Browser Extension",
+        telegram: "Telegram",
+        whatsapp: "WhatsApp",
+        twitter: "Twitter",
+    };
 
     return {
         id: verification.hash || generateId(),
         headline: verification.claim || "Untitled Verification",
-        sourceName: verification.source || "SatyaTrail Verification",
+        sourceName:
+            sourceLabels[verification.source] || "SatyaTrail Verification",
         sourceId: "satyatrail",
-        publishedAt: verification.timestamp || new Date().toISOString(),
+        publishedAt:
+            verification.timestamp ||
+            verification.createdAt ||
+            new Date().toISOString(),
         category: "Verification",
         body: verification.claim || "",
         verdict: verdictMap[verification.verdict?.toLowerCase()] || "unclear",
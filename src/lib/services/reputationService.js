@@ -71,10 +71,11 @@ export const reputationService = {
           reputationScore: repScore,
           accuracyRate:
             agent.accuracyRate ??
-            (agent.stats?.totalVerifications
+            (agent.stats?.correctPredictions || agent.stats?.incorrectPredictions
               ? Math.round(
                   ((agent.stats.correctPredictions || 0) /
-                    agent.stats.totalVerifications) *
+                    ((agent.stats.correctPredictions || 0) +
+                      (agent.stats.incorrectPredictions || 0))) *
                     100
                 )
               : 0),
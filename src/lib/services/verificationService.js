@@ -1,4 +1,6 @@
 import { apiClient, APIError } from '../api/client'
+import { verifyReceipt } from '../receipt'
+import { verifyInclusionProof } from '../merkle'
 
 // Store for verification sessions (local cache)
 let sessions = []
@@ -28,6 +30,21 @@ const demoClaims = [
   }
 ]
 
+/**
+ * Build a chat message for a single agent report
+ * @param {string} sessionId - Session ID
+ * @param {Object} report - Agent report from the backend
+ * @param {Date} [createdAt] - Message timestamp
+ * @returns {Object} - Chat message
+ */
+const createAgentMessage = (sessionId, report, createdAt = new Date()) => ({
+  id: generateMessageId(),
+  sessionId,
+  sender: report.agent_name.toLowerCase().replace(/\s+/g, '_') + '_agent',
+  content: `**${report.agent_name}** (Credibility: ${Math.round((report.credibility_score || 0.5) * 100)}%)\n\n${report.summary}\n\n${report.reasoning ? `_Reasoning: ${report.reasoning}_` : ''}`,
+  createdAt: createdAt.toISOString()
+})
+
 /**
  * Convert backend response to chat messages
  * @param {string} sessionId - Session ID
@@ -60,13 +77,7 @@ const convertToMessages = (sessionId, inputValue, result) => {
   // Add agent reports as messages
   if (result.agent_reports && result.agent_reports.length > 0) {
     result.agent_reports.forEach((report, index) => {
-      messages.push({
-        id: generateMessageId(),
-        sessionId,
-        sender: report.agent_name.toLowerCase().replace(/\s+/g, '_') + '_agent',
-        content: `**${report.agent_name}** (Credibility: ${Math.round((report.credibility_score || 0.5) * 100)}%)\n\n${report.summary}\n\n${report.reasoning ? `_Reasoning: ${report.reasoning}_` : ''}`,
-        createdAt: new Date(now.getTime() + (index + 2) * 2000).toISOString()
-      })
+      messages.push(createAgentMessage(sessionId, report, new Date(now.getTime() + (index + 2) * 2000)))
     })
   }
 
@@ -107,12 +118,16 @@ const mapVerdict = (verdict) => {
 
 /**
  * Start a new verification session using real backend
+ * Runs as a background job so progress can be reported while it runs.
  * @param {Object} input - Input data
  * @param {string} input.type - "url" | "text" | "demo"
  * @param {string} input.value - The URL, text, or demo claim ID
+ * @param {Object} [handlers] - Progress handlers
+ * @param {Function} [handlers.onProgress] - Called as onProgress(type, data) for each job event
+ * @param {Function} [handlers.onMessage] - Called with chat messages as agent reports arrive
  * @returns {Promise<Object>} - { session, messages, result }
  */
-const startSession = async (input) => {
+const startSession = async (input, { onProgress = () => {}, onMessage = () => {} } = {}) => {
   const sessionId = generateId()
   const now = new Date().toISOString()
 
@@ -128,13 +143,20 @@ const startSession = async (input) => {
     }
   }
 
-  // Call the backend API
-  const result = await apiClient.verify({
+  // Start the verification job and follow its progress
+  const job = await apiClient.createVerificationJob({
     url: isUrl ? inputValue : undefined,
     text: !isUrl ? inputValue : undefined,
     source: 'frontend'
   })
 
+  const result = await apiClient.streamVerificationJob(job.job_id, (type, data) => {
+    onProgress(type, data)
+    if (type === 'agent_report' && data.report) {
+      onMessage(createAgentMessage(sessionId, data.report))
+    }
+  })
+
   // Create session object
   const session = {
     id: sessionId,
@@ -241,6 +263,36 @@ const getVerificationByHash = async (hash) => {
   }
 }
 
+/**
+ * Download a verification's signed receipt and check its signature
+ * against the published keys
+ * @param {string} hash - Graph hash
+ * @returns {Promise<{receipt: Object, valid: boolean, key_id: string|null, reason: string|null}>}
+ */
+const checkReceipt = async (hash) => {
+  const [receipt, keys] = await Promise.all([
+    apiClient.getReceipt(hash),
+    apiClient.getReceiptKeys()
+  ])
+  return { receipt, ...(await verifyReceipt(receipt, keys)) }
+}
+
+/**
+ * Check that every source of a verification is part of its graph hash.
+ * Each node's inclusion proof is checked against the hash itself, not the
+ * root the server sends with it.
+ * @param {{hash: string, nodes: Array}} sourceGraph
+ * @returns {Promise<{proven: number, total: number, failed: Array<string>}>} failed: node ids
+ */
+const checkSources = async ({ hash, nodes = [] }) => {
+  const results = await Promise.all(nodes.map(async ({ id }) => {
+    const { leaf, proof } = await apiClient.getInclusionProof(hash, { node: id })
+    return { id, valid: await verifyInclusionProof({ leaf, proof, root: hash }) }
+  }))
+  const failed = results.filter(result => !result.valid).map(result => result.id)
+  return { proven: results.length - failed.length, total: results.length, failed }
+}
+
 /**
  * Create a session from an article headline
  * @param {string} headline - Article headline
@@ -268,6 +320,9 @@ export const verificationService = {
   startSessionFromArticle,
   getRecentVerifications,
   getVerificationByHash,
+  checkReceipt,
+  checkSources,
+  getReceiptUrl: apiClient.getReceiptUrl,
   clearSessions,
   demoClaims
 }
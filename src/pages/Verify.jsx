@@ -14,7 +14,10 @@ import {
   Database,
   CheckCircle2,
   Sparkles,
-  FileText
+  FileText,
+  Receipt,
+  QrCode,
+  ShieldCheck
 } from 'lucide-react'
 import NBCard from '../components/NBCard'
 import NBButton from '../components/NBButton'
@@ -103,47 +106,54 @@ export default function Verify() {
   const [messages, setMessages] = useState([])
   const [isLoading, setIsLoading] = useState(false)
   const [error, setError] = useState(null)
-  const [streamingMessageIndex, setStreamingMessageIndex] = useState(0)
   const [completedSteps, setCompletedSteps] = useState([])
   const [recentVerifications, setRecentVerifications] = useState([])
   const [isLoadingRecent, setIsLoadingRecent] = useState(false)
+  const [receiptCheck, setReceiptCheck] = useState(null)
+  const [sourcesCheck, setSourcesCheck] = useState(null)
 
   // Loading steps with different colors and messages
+  // backendSteps lists the pipeline steps (from the job event stream) each one covers
   const loadingSteps = [
     { 
       icon: FileText, 
       message: 'Analyzing claim...', 
       color: 'text-blue-600',
       bgColor: 'bg-blue-50',
-      borderColor: 'border-blue-200'
+      borderColor: 'border-blue-200',
+      backendSteps: ['extract_claim']
     },
     { 
       icon: Search, 
       message: 'Searching sources...', 
       color: 'text-yellow-600',
       bgColor: 'bg-yellow-50',
-      borderColor: 'border-yellow-200'
-    },
-    { 
-      icon: Database, 
-      message: 'Checking fact database...', 
-      color: 'text-purple-600',
-      bgColor: 'bg-purple-50',
-      borderColor: 'border-purple-200'
+      borderColor: 'border-yellow-200',
+      backendSteps: ['gather_evidence', 'classify_stance', 'check_timeline']
     },
     { 
       icon: Sparkles, 
       message: 'AI agents analyzing...', 
       color: 'text-green-600',
       bgColor: 'bg-green-50',
-      borderColor: 'border-green-200'
+      borderColor: 'border-green-200',
+      backendSteps: ['run_agents', 'agent_reputations']
     },
     { 
       icon: CheckCircle2, 
       message: 'Finalizing verdict...', 
       color: 'text-black',
       bgColor: 'bg-white',
-      borderColor: 'border-black/30'
+      borderColor: 'border-black/30',
+      backendSteps: ['aggregate']
+    },
+    { 
+      icon: Database, 
+      message: 'Tracing & anchoring...', 
+      color: 'text-purple-600',
+      bgColor: 'bg-purple-50',
+      borderColor: 'border-purple-200',
+      backendSteps: ['build_graph', 'anchor_blockchain', 'update_reputations', 'compile_result']
     }
   ]
 
@@ -182,39 +192,36 @@ export default function Verify() {
     setIsLoading(true)
     setError(null)
     setMessages([])
-    setStreamingMessageIndex(0)
     setCompletedSteps([])
 
-    // Progress through steps sequentially with even spacing
-    const stepDuration = 3000 // 3 seconds per step
-    const stepTimeouts = []
+    // Track pipeline steps reported by the backend job
+    const finishedBackendSteps = new Set()
+
+    const handleProgress = (type, event) => {
+      if (type !== 'step_finished') return
 
-    for (let i = 0; i < loadingSteps.length; i++) {
-      const timeout = setTimeout(() => {
-        setCompletedSteps(prev => [...prev, i])
-      }, i * stepDuration)
-      stepTimeouts.push(timeout)
+      finishedBackendSteps.add(event.step)
+      setCompletedSteps(
+        loadingSteps
+          .map((step, index) => step.backendSteps.every(s => finishedBackendSteps.has(s)) ? index : null)
+          .filter(index => index !== null)
+      )
     }
 
     try {
-      // Call the real backend API
+      // Run verification as a backend job; agent reports show up as they finish
       const result = await verificationService.startSession({
         type: data.inputType,
         value: data.inputValue
+      }, {
+        onProgress: handleProgress,
+        onMessage: (message) => setMessages(prev => [...prev, message])
       })
 
-      // Clear all timeouts
-      stepTimeouts.forEach(timeout => clearTimeout(timeout))
       setCompletedSteps([...Array(loadingSteps.length).keys()]) // Mark all as complete
 
       setCurrentSession(result.session)
-      
-      // Stream messages with delays for effect
-      for (let i = 0; i < result.messages.length; i++) {
-        await new Promise(resolve => setTimeout(resolve, 600))
-        setMessages(prev => [...prev, result.messages[i]])
-        setStreamingMessageIndex(i + 1)
-      }
+      setMessages(result.messages)
 
       // Store trail data if we have a source graph
       if (result.result?.source_graph?.hash) {
@@ -229,8 +236,6 @@ export default function Verify() {
         description: `Verdict: ${result.session.finalVerdict}`
       })
     } catch (err) {
-      // Clear all timeouts
-      stepTimeouts.forEach(timeout => clearTimeout(timeout))
       console.error('Verification failed:', err)
       
       let errorMessage = 'Verification failed. Please try again.'
@@ -302,6 +307,32 @@ export default function Verify() {
     }
   }
 
+  // Receipt and source checks belong to the verification they were run on
+  useEffect(() => {
+    setReceiptCheck(null)
+    setSourcesCheck(null)
+  }, [currentSession?.sourceGraph?.hash])
+
+  const handleCheckReceipt = async () => {
+    setReceiptCheck({ status: 'checking' })
+    try {
+      const { valid, reason } = await verificationService.checkReceipt(currentSession.sourceGraph.hash)
+      setReceiptCheck({ status: valid ? 'valid' : 'invalid', reason })
+    } catch (err) {
+      setReceiptCheck({ status: 'invalid', reason: err.message })
+    }
+  }
+
+  const handleCheckSources = async () => {
+    setSourcesCheck({ status: 'checking' })
+    try {
+      const { proven, total } = await verificationService.checkSources(currentSession.sourceGraph)
+      setSourcesCheck({ status: proven === total ? 'valid' : 'invalid', proven, total })
+    } catch (err) {
+      setSourcesCheck({ status: 'error', reason: err.message })
+    }
+  }
+
   const handleNewSession = () => {
     setCurrentSession(null)
     setMessages([])
@@ -554,6 +585,65 @@ export default function Verify() {
                       <span className="text-xs px-2 py-1 bg-white border border-nb-ink/30 rounded font-mono text-black">
                         {currentSession.sourceGraph.edges?.length || 0} connections
                       </span>
+                      {/* Merkle inclusion proofs, checked in the browser */}
+                      {currentSession.sourceGraph.hash && currentSession.sourceGraph.nodes?.length > 0 && (
+                        <button
+                          onClick={handleCheckSources}
+                          disabled={sourcesCheck?.status === 'checking'}
+                          className="text-xs text-nb-ink/70 hover:text-black hover:underline inline-flex items-center gap-1 disabled:opacity-50"
+                        >
+                          {sourcesCheck?.status === 'checking'
+                            ? <Loader2 className="w-3 h-3 animate-spin" />
+                            : <ShieldCheck className="w-3 h-3" />}
+                          Prove sources
+                        </button>
+                      )}
+                      {sourcesCheck?.status === 'valid' && (
+                        <span className="text-xs font-semibold text-green-700">✓ All {sourcesCheck.total} sources are in the graph hash</span>
+                      )}
+                      {sourcesCheck?.status === 'invalid' && (
+                        <span className="text-xs font-semibold text-red-600">✗ {sourcesCheck.total - sourcesCheck.proven} of {sourcesCheck.total} sources not in the graph hash</span>
+                      )}
+                      {sourcesCheck?.status === 'error' && (
+                        <span className="text-xs font-semibold text-red-600">✗ Not verified ({sourcesCheck.reason})</span>
+                      )}
+                    </div>
+                  )}
+
+                  {/* Signed receipt, checkable offline with shared/receipt.js */}
+                  {currentSession.sourceGraph?.hash && (
+                    <div className="mt-3 flex flex-wrap gap-3 items-center">
+                      <span className="text-xs text-nb-ink/70 font-semibold">Signed receipt:</span>
+                      <a
+                        href={verificationService.getReceiptUrl(currentSession.sourceGraph.hash)}
+                        className="text-xs text-nb-ink/70 hover:text-black hover:underline inline-flex items-center gap-1"
+                      >
+                        <Receipt className="w-3 h-3" />
+                        JSON
+                      </a>
+                      <a
+                        href={verificationService.getReceiptUrl(currentSession.sourceGraph.hash, 'png')}
+                        className="text-xs text-nb-ink/70 hover:text-black hover:underline inline-flex items-center gap-1"
+                      >
+                        <QrCode className="w-3 h-3" />
+                        QR code
+                      </a>
+                      <button
+                        onClick={handleCheckReceipt}
+                        disabled={receiptCheck?.status === 'checking'}
+                        className="text-xs text-nb-ink/70 hover:text-black hover:underline inline-flex items-center gap-1 disabled:opacity-50"
+                      >
+                        {receiptCheck?.status === 'checking'
+                          ? <Loader2 className="w-3 h-3 animate-spin" />
+                          : <ShieldCheck className="w-3 h-3" />}
+                        Check signature
+                      </button>
+                      {receiptCheck?.status === 'valid' && (
+                        <span className="text-xs font-semibold text-green-700">✓ Signature valid</span>
+                      )}
+                      {receiptCheck?.status === 'invalid' && (
+                        <span className="text-xs font-semibold text-red-600">✗ Not verified ({receiptCheck.reason})</span>
+                      )}
                     </div>
                   )}
                 </motion.div>